@@ -1,13 +1,25 @@
 // Example Backend Integration for ConvoAI + Agora
-// This is a sample implementation - adapt to your backend framework
+// This is a sample implementation - adapt to your backend framework.
+// EXAMPLE ONLY: the password sign-in, in-memory sessions and in-memory rate limit
+// below are the bare minimum for a server that holds your ConvoAI, LLM and TTS keys.
+// Swap in your real user accounts (or OAuth) and a shared session and rate-limit
+// store before exposing it to the internet.
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const { ConvoAIEngine } = require('@agora/convoai'); // Example - replace with actual ConvoAI SDK
 const { RtcTokenBuilder, RtcRole } = require('agora-access-token');
 
 const app = express();
-app.use(cors());
+
+// Browser origins that may call this backend with their session cookie (comma separated)
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || 'http://localhost:5173')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+app.use(cors({ origin: ALLOWED_ORIGINS, credentials: true }));
 app.use(express.json());
 
 // Configuration
@@ -15,6 +27,146 @@ const AGORA_APP_ID = process.env.AGORA_APP_ID;
 const AGORA_APP_CERTIFICATE = process.env.AGORA_APP_CERTIFICATE;
 const CONVOAI_API_KEY = process.env.CONVOAI_API_KEY;
 const CONVOAI_UID = 8888; // Must match frontend configuration
+const TOKEN_EXPIRY_SECONDS = 3600; // The frontend renews tokens before they expire
+
+// ConvoAI REST proxy configuration - these secrets never reach the browser
+const CONVOAI_BASE_URL = process.env.CONVOAI_BASE_URL || 'https://api.agora.io/api/conversational-ai-agent/v2';
+const CONVOAI_CUSTOMER_ID = process.env.CONVOAI_CUSTOMER_ID;
+const CONVOAI_CUSTOMER_SECRET = process.env.CONVOAI_CUSTOMER_SECRET;
+// LLM endpoint + key per provider preset (ids from src/services/llmProviders.js):
+// LLM_<PROVIDER>_URL and LLM_<PROVIDER>_API_KEY, e.g. LLM_GROQ_URL / LLM_GROQ_API_KEY.
+// For `openai`, LLM_URL / LLM_API_KEY work too.
+const LLM_URL = process.env.LLM_URL || 'https://api.openai.com/v1/chat/completions';
+const LLM_API_KEY = process.env.LLM_API_KEY;
+const TTS_API_KEY = process.env.TTS_API_KEY;
+
+// Who may sign in: PROXY_USERS="alice:correct-horse,bob:battery-staple".
+// The browser never holds a backend secret - users sign in with their own password and
+// get an HttpOnly session cookie the page can't read. While no user is set, sign-in fails.
+const PROXY_USERS = new Map(
+  (process.env.PROXY_USERS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry.includes(':'))
+    .map(entry => [entry.slice(0, entry.indexOf(':')), entry.slice(entry.indexOf(':') + 1)])
+);
+const SESSION_COOKIE = 'agent_session';
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '30', 10); // per client IP and window
+
+// session id -> { user, expiresAt }, in memory - per process only
+const sessions = new Map();
+
+const sha256 = (text) => crypto.createHash('sha256').update(String(text)).digest();
+
+const checkPassword = (user, password) => {
+  const expected = PROXY_USERS.get(user);
+  // Compare digests so the check takes the same time whatever the password length
+  return !!expected && crypto.timingSafeEqual(sha256(password), sha256(expected));
+};
+
+const readCookie = (req, name) => {
+  const pair = (req.get('Cookie') || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+  return pair ? decodeURIComponent(pair.slice(1).join('=')) : null;
+};
+
+const getSession = (req) => {
+  const id = readCookie(req, SESSION_COOKIE);
+  const session = id && sessions.get(id);
+  if (!session || session.expiresAt <= Date.now()) {
+    return null;
+  }
+  return { id, ...session };
+};
+
+// Cookies ride along on cross-site form posts too - only our own pages may use them
+const requireAllowedOrigin = (req, res, next) => {
+  const origin = req.get('Origin');
+  if (origin && !ALLOWED_ORIGINS.includes(origin)) {
+    return res.status(403).json({ success: false, error: `Origin ${origin} is not allowed` });
+  }
+  next();
+};
+
+const requireSession = (req, res, next) => {
+  const session = getSession(req);
+  if (!session) {
+    return res.status(401).json({ success: false, error: 'Sign in to the backend first' });
+  }
+  req.user = session.user;
+  next();
+};
+
+// Fixed window per client IP, kept in memory - per process only
+const requestCounts = new Map();
+const rateLimit = (req, res, next) => {
+  const now = Date.now();
+  const entry = requestCounts.get(req.ip);
+  if (!entry || now - entry.windowStart >= RATE_LIMIT_WINDOW_MS) {
+    requestCounts.set(req.ip, { windowStart: now, count: 1 });
+    return next();
+  }
+  entry.count += 1;
+  if (entry.count > RATE_LIMIT_MAX_REQUESTS) {
+    res.set('Retry-After', String(Math.ceil((entry.windowStart + RATE_LIMIT_WINDOW_MS - now) / 1000)));
+    return res.status(429).json({ success: false, error: 'Too many requests - try again later' });
+  }
+  next();
+};
+setInterval(() => {
+  const now = Date.now();
+  requestCounts.forEach((entry, ip) => {
+    if (now - entry.windowStart >= RATE_LIMIT_WINDOW_MS) requestCounts.delete(ip);
+  });
+  sessions.forEach((session, id) => {
+    if (session.expiresAt <= now) sessions.delete(id);
+  });
+}, RATE_LIMIT_WINDOW_MS).unref();
+
+app.use('/api/session', rateLimit, requireAllowedOrigin);
+// Everything that mints tokens or spends the keys needs a signed-in user; /api/health stays open
+app.use(['/api/agora/token', '/api/convoai'], rateLimit, requireAllowedOrigin, requireSession);
+
+// Sign in: POST /api/session  { username, password } -> HttpOnly session cookie
+app.post('/api/session', (req, res) => {
+  const { username, password } = req.body || {};
+  if (typeof username !== 'string' || typeof password !== 'string' || !checkPassword(username, password)) {
+    return res.status(401).json({ success: false, error: 'Wrong username or password' });
+  }
+  const id = crypto.randomBytes(32).toString('base64url');
+  sessions.set(id, { user: username, expiresAt: Date.now() + SESSION_TTL_MS });
+  res.cookie(SESSION_COOKIE, id, {
+    httpOnly: true,
+    sameSite: 'strict', // serve the app and this backend from the same site (ports don't count)
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: SESSION_TTL_MS,
+    path: '/api',
+  });
+  res.json({ success: true, user: username });
+});
+
+// Who is signed in: GET /api/session
+app.get('/api/session', (req, res) => {
+  const session = getSession(req);
+  if (!session) {
+    return res.status(401).json({ success: false, error: 'Not signed in' });
+  }
+  res.json({ success: true, user: session.user, expiresAt: session.expiresAt });
+});
+
+// Sign out: DELETE /api/session
+app.delete('/api/session', (req, res) => {
+  const session = getSession(req);
+  if (session) {
+    sessions.delete(session.id);
+  }
+  res.clearCookie(SESSION_COOKIE, { path: '/api' });
+  res.json({ success: true });
+});
 
 // Initialize ConvoAI Engine
 const convoAI = new ConvoAIEngine({
@@ -80,23 +232,34 @@ app.post('/api/convoai/message', async (req, res) => {
 });
 
 // Endpoint to generate Agora tokens for frontend clients
+// Set VITE_AGORA_TOKEN_ENDPOINT to this URL. The frontend calls it once for the user
+// (uid 0 = any uid) and once for the ConvoAI agent (its agent UID), and again on renewal.
 app.post('/api/agora/token', (req, res) => {
   try {
     const { channel, uid } = req.body;
     
+    if (!channel) {
+      return res.status(400).json({
+        success: false,
+        error: 'channel is required'
+      });
+    }
+    
+    const expiresAt = Math.floor(Date.now() / 1000) + TOKEN_EXPIRY_SECONDS;
     const token = RtcTokenBuilder.buildTokenWithUid(
       AGORA_APP_ID,
       AGORA_APP_CERTIFICATE,
       channel,
       uid || 0,
       RtcRole.PUBLISHER,
-      Math.floor(Date.now() / 1000) + 3600 // 1 hour expiry
+      expiresAt
     );
     
     res.json({
       success: true,
       token: token,
-      appId: AGORA_APP_ID
+      appId: AGORA_APP_ID,
+      expiresAt: expiresAt
     });
     
   } catch (error) {
@@ -108,21 +271,227 @@ app.post('/api/agora/token', (req, res) => {
   }
 });
 
+// ConvoAI agent proxy - set VITE_CONVOAI_PROXY_URL to `<this server>/api/convoai` on the frontend.
+// The browser sends the agent properties without keys; the secrets are added here.
+
+const convoAIAuthHeader = () =>
+  `Basic ${Buffer.from(`${CONVOAI_CUSTOMER_ID}:${CONVOAI_CUSTOMER_SECRET}`).toString('base64')}`;
+
+// The frontend's TTS vendor table and typed-turn helpers (ES modules) - the one list of
+// vendors, their params and key param, and the one LLM request format for typed turns.
+// Keep these paths pointing at them (or copy the files along) when moving this server.
+const sharedModulesReady = Promise.all([
+  import('./src/services/ttsVendors.js'),
+  import('./src/services/typedTurns.js'),
+]);
+let checkTtsProperties;
+let typedTurns;
+
+// A request the proxy refuses before it reaches ConvoAI
+class ProxyRequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// URL and key of an LLM provider preset, or null when the backend has none for it
+const getLlmSecrets = (provider) => {
+  if (!/^[a-z0-9_]+$/i.test(provider)) {
+    return null;
+  }
+  const prefix = `LLM_${provider.toUpperCase()}`;
+  let url = process.env[`${prefix}_URL`];
+  let apiKey = process.env[`${prefix}_API_KEY`];
+  if (provider === 'openai') {
+    url = url || LLM_URL;
+    apiKey = apiKey || LLM_API_KEY;
+  }
+  return url ? { url, apiKey } : null;
+};
+
+// Fill in the secrets the frontend left out (and never trust a browser-supplied LLM URL).
+// `llmProvider` is the preset picked in Settings; without backend config for it the request is refused.
+const withSecrets = (properties = {}, llmProvider = 'openai') => {
+  const result = { ...properties };
+  if (result.llm) {
+    const llmSecrets = getLlmSecrets(String(llmProvider));
+    if (!llmSecrets) {
+      throw new ProxyRequestError(400, `The backend has no LLM configured for provider "${llmProvider}" - set LLM_${String(llmProvider).toUpperCase()}_URL and LLM_${String(llmProvider).toUpperCase()}_API_KEY`);
+    }
+    result.llm = { ...result.llm, url: llmSecrets.url };
+    if (llmSecrets.apiKey) {
+      result.llm.api_key = llmSecrets.apiKey;
+    }
+  }
+  if (result.tts) {
+    // Only known vendors and the params the frontend builds for them - nothing that could
+    // send the key to another endpoint (e.g. a custom base URL)
+    let tts;
+    try {
+      tts = checkTtsProperties(result.tts);
+    } catch (error) {
+      throw new ProxyRequestError(400, error.message);
+    }
+    // Vendor-specific keys (e.g. TTS_ELEVENLABS_API_KEY) win over the generic TTS_API_KEY
+    const vendorKey = process.env[`TTS_${tts.vendor.toUpperCase()}_API_KEY`];
+    result.tts = { vendor: tts.vendor, params: { ...tts.params, [tts.keyParam]: vendorKey || TTS_API_KEY } };
+  }
+  return result;
+};
+
+// Forward a request to the ConvoAI REST API and relay its status and body
+const forwardToConvoAI = async (res, path, body) => {
+  const response = await fetch(`${CONVOAI_BASE_URL}/projects/${AGORA_APP_ID}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': convoAIAuthHeader(),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await response.text();
+  res.status(response.status).type('application/json').send(text || '{}');
+};
+
+// An RTC token for the agent, for frontends without a token server
+const mintAgentToken = (channel, agentUid) => RtcTokenBuilder.buildTokenWithUid(
+  AGORA_APP_ID,
+  AGORA_APP_CERTIFICATE,
+  channel,
+  parseInt(agentUid || CONVOAI_UID, 10),
+  RtcRole.PUBLISHER,
+  Math.floor(Date.now() / 1000) + TOKEN_EXPIRY_SECONDS
+);
+
+// Start an agent: POST /api/convoai/agents  { name, properties, llm_provider }
+app.post('/api/convoai/agents', async (req, res) => {
+  try {
+    const { name, properties, llm_provider: llmProvider } = req.body;
+    if (!properties || !properties.channel) {
+      return res.status(400).json({ success: false, error: 'properties.channel is required' });
+    }
+
+    const agentProperties = withSecrets(properties, llmProvider);
+
+    // Without a token server on the frontend, issue the agent's token here
+    if (!agentProperties.token) {
+      agentProperties.token = mintAgentToken(agentProperties.channel, agentProperties.agent_rtc_uid);
+    }
+
+    await forwardToConvoAI(res, '/join', { name: name || `agora-agent-${Date.now()}`, properties: agentProperties });
+  } catch (error) {
+    console.error('ConvoAI start proxy error:', error);
+    res.status(error.status || 502).json({ success: false, error: error.message });
+  }
+});
+
+// Stop an agent: POST /api/convoai/agents/:agentId/stop
+app.post('/api/convoai/agents/:agentId/stop', async (req, res) => {
+  try {
+    await forwardToConvoAI(res, `/agents/${encodeURIComponent(req.params.agentId)}/leave`);
+  } catch (error) {
+    console.error('ConvoAI stop proxy error:', error);
+    res.status(502).json({ success: false, error: error.message });
+  }
+});
+
+// Update a running agent: POST /api/convoai/agents/:agentId/update  { properties, llm_provider }
+app.post('/api/convoai/agents/:agentId/update', async (req, res) => {
+  try {
+    const { properties, llm_provider: llmProvider } = req.body;
+    await forwardToConvoAI(res, `/agents/${encodeURIComponent(req.params.agentId)}/update`, {
+      properties: withSecrets(properties, llmProvider),
+    });
+  } catch (error) {
+    console.error('ConvoAI update proxy error:', error);
+    res.status(error.status || 502).json({ success: false, error: error.message });
+  }
+});
+
+// Renew the token the join above issued: POST /api/convoai/agents/:agentId/token  { channel, agent_rtc_uid }
+// The frontend calls this before TOKEN_EXPIRY_SECONDS run out when it has no token server
+app.post('/api/convoai/agents/:agentId/token', async (req, res) => {
+  try {
+    const { channel, agent_rtc_uid: agentUid } = req.body;
+    if (!channel) {
+      return res.status(400).json({ success: false, error: 'channel is required' });
+    }
+    await forwardToConvoAI(res, `/agents/${encodeURIComponent(req.params.agentId)}/update`, {
+      properties: { token: mintAgentToken(channel, agentUid) },
+    });
+  } catch (error) {
+    console.error('ConvoAI token renewal proxy error:', error);
+    res.status(502).json({ success: false, error: error.message });
+  }
+});
+
+// Interrupt a speaking agent: POST /api/convoai/agents/:agentId/interrupt
+app.post('/api/convoai/agents/:agentId/interrupt', async (req, res) => {
+  try {
+    await forwardToConvoAI(res, `/agents/${encodeURIComponent(req.params.agentId)}/interrupt`);
+  } catch (error) {
+    console.error('ConvoAI interrupt proxy error:', error);
+    res.status(502).json({ success: false, error: error.message });
+  }
+});
+
+// Answer a typed turn: POST /api/convoai/agents/:agentId/chat  { messages, llm, llm_provider }
+// The LLM answers with the backend's URL and key, then the agent says the answer through
+// the ConvoAI speak endpoint (see src/services/typedTurns.js)
+app.post('/api/convoai/agents/:agentId/chat', async (req, res) => {
+  try {
+    const { messages, llm, llm_provider: llmProvider } = req.body;
+    if (!llm || typeof llm !== 'object') {
+      throw new ProxyRequestError(400, 'llm is required');
+    }
+    let completion;
+    try {
+      typedTurns.checkTypedTurnMessages(messages);
+      completion = typedTurns.buildChatCompletionRequest(withSecrets({ llm }, llmProvider).llm, messages);
+    } catch (error) {
+      throw error instanceof ProxyRequestError ? error : new ProxyRequestError(400, error.message);
+    }
+
+    const llmResponse = await fetch(completion.url, {
+      method: 'POST',
+      headers: completion.headers,
+      body: JSON.stringify(completion.body),
+    });
+    if (!llmResponse.ok) {
+      console.error('Typed turn LLM error:', llmResponse.status, await llmResponse.text());
+      throw new ProxyRequestError(502, `LLM answer failed (${llmResponse.status})`);
+    }
+    const answer = typedTurns.readChatCompletion(await llmResponse.json());
+
+    await forwardToConvoAI(res, `/agents/${encodeURIComponent(req.params.agentId)}/speak`, typedTurns.buildSpeakRequest(answer));
+  } catch (error) {
+    console.error('ConvoAI chat proxy error:', error);
+    res.status(error.status || 502).json({ success: false, error: error.message });
+  }
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({
     status: 'healthy',
     services: {
       agora: !!AGORA_APP_ID,
-      convoAI: !!CONVOAI_API_KEY
+      convoAI: !!CONVOAI_API_KEY,
+      convoAIProxy: !!(CONVOAI_CUSTOMER_ID && CONVOAI_CUSTOMER_SECRET),
+      signIn: PROXY_USERS.size > 0
     }
   });
 });
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Backend server running on port ${PORT}`);
-  console.log('ConvoAI + Agora integration ready');
+sharedModulesReady.then(([ttsVendors, typedTurnHelpers]) => {
+  ({ checkTtsProperties } = ttsVendors);
+  typedTurns = typedTurnHelpers;
+  app.listen(PORT, () => {
+    console.log(`Backend server running on port ${PORT}`);
+    console.log('ConvoAI + Agora integration ready');
+  });
 });
 
 module.exports = app;
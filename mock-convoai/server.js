@@ -0,0 +1,587 @@
+// Local mock ConvoAI server for offline development
+//
+// Stands in for both halves of the real service:
+//   - the ConvoAI REST API (join / leave / update / interrupt / speak / status / list), with
+//     realistic responses and error codes
+//   - the agent inside the RTC channel: a simulated agent that emits chunked
+//     `stream-message` transcripts and "speaks" a synthesized WAV whose word
+//     timings match the transcript
+//   - an OpenAI-style chat completion endpoint, so typed turns (LLM answer +
+//     speak) work offline too
+//
+// The browser reaches the simulated agent through the mock RTC client
+// (src/services/mockRtcClient.js), which talks to the /mock/* routes below
+// over Server-Sent Events instead of the Agora network.
+//
+// Usage:
+//   npm run mock:convoai
+//   VITE_CONVOAI_API_BASE_URL=http://localhost:8787
+//   VITE_MOCK_RTC_URL=http://localhost:8787      (no Agora network needed)
+//   VITE_LLM_URL=http://localhost:8787/mock/llm/chat/completions   (typed turns)
+//
+// Environment:
+//   PORT                         default 8787
+//   MOCK_CONVOAI_CUSTOMER_ID     require these Basic auth credentials (default: accept any)
+//   MOCK_CONVOAI_CUSTOMER_SECRET
+//   MOCK_FAIL                    force errors, e.g. "join:503,update:500"
+//   MOCK_CHUNK_SIZE              base64 characters per stream-message chunk (default 120)
+//   MOCK_SHUFFLE_CHUNKS=1        deliver chunks out of order
+//   MOCK_AUDIO_FILE              play this WAV for every turn instead of synthesized audio
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+
+const PORT = parseInt(process.env.PORT || '8787', 10);
+const CHUNK_SIZE = parseInt(process.env.MOCK_CHUNK_SIZE || '120', 10);
+const SHUFFLE_CHUNKS = process.env.MOCK_SHUFFLE_CHUNKS === '1';
+const AUDIO_FILE = process.env.MOCK_AUDIO_FILE;
+const SAMPLE_RATE = 16000;
+
+// action -> forced HTTP status
+const FORCED_FAILURES = Object.fromEntries(
+  (process.env.MOCK_FAIL || '')
+    .split(',')
+    .map(entry => entry.trim().split(':'))
+    .filter(([action, status]) => action && status)
+    .map(([action, status]) => [action, parseInt(status, 10)])
+);
+
+const agents = new Map();       // agentId -> agent
+const subscribers = new Map();  // channel -> Set<{ res, uid }>
+const audioClips = new Map();   // clipId -> Buffer (WAV)
+
+const log = (...args) => console.log(new Date().toISOString().slice(11, 23), ...args);
+
+// ---------------------------------------------------------------------------
+// HTTP helpers
+// ---------------------------------------------------------------------------
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// Error bodies follow the ConvoAI shape: { detail, reason }
+const sendError = (res, status, reason, detail, extra = {}) => sendJson(res, status, { detail, reason, ...extra });
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', (chunk) => { raw += chunk; });
+  req.on('end', () => {
+    if (!raw) {
+      resolve({});
+      return;
+    }
+    try {
+      resolve(JSON.parse(raw));
+    } catch (error) {
+      reject(new Error('Request body is not valid JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const isAuthorized = (req) => {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Basic ')) {
+    return false;
+  }
+  const [id, secret] = Buffer.from(header.slice(6), 'base64').toString().split(':');
+  if (process.env.MOCK_CONVOAI_CUSTOMER_ID) {
+    return id === process.env.MOCK_CONVOAI_CUSTOMER_ID && secret === process.env.MOCK_CONVOAI_CUSTOMER_SECRET;
+  }
+  return !!id && !!secret;
+};
+
+// ---------------------------------------------------------------------------
+// Channel events (Server-Sent Events)
+// ---------------------------------------------------------------------------
+
+const broadcast = (channel, event, data) => {
+  (subscribers.get(channel) || new Set()).forEach(({ res }) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+};
+
+// Send a JSON object the way ConvoAI does: base64, split into messageId|part|total|data chunks
+const sendStreamMessage = (agent, object) => {
+  const messageId = crypto.randomBytes(4).toString('hex');
+  const base64 = Buffer.from(JSON.stringify(object), 'utf8').toString('base64');
+  const pieces = [];
+  for (let i = 0; i < base64.length; i += CHUNK_SIZE) {
+    pieces.push(base64.slice(i, i + CHUNK_SIZE));
+  }
+  const chunks = pieces.map((piece, index) => `${messageId}|${index + 1}|${pieces.length}|${piece}`);
+  if (SHUFFLE_CHUNKS) {
+    chunks.sort(() => Math.random() - 0.5);
+  }
+  chunks.forEach(payload => broadcast(agent.channel, 'stream-message', { uid: agent.uid, payload }));
+};
+
+const announceAgent = (agent, target = null) => {
+  const events = [
+    ['user-joined', { uid: agent.uid }],
+    ['user-published', { uid: agent.uid, mediaType: 'audio' }],
+  ];
+  events.forEach(([event, data]) => {
+    if (target) {
+      target.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    } else {
+      broadcast(agent.channel, event, data);
+    }
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Speech synthesis (formant-ish vowels + noise for fricatives)
+// ---------------------------------------------------------------------------
+
+const VOWEL_FORMANTS = {
+  a: [800, 1200], e: [500, 1900], i: [300, 2300], o: [500, 900], u: [350, 800], y: [300, 2100],
+};
+
+const wavFromSamples = (samples) => {
+  const buffer = Buffer.alloc(44 + samples.length * 2);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + samples.length * 2, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);            // PCM
+  buffer.writeUInt16LE(1, 22);            // mono
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples.length * 2, 40);
+  samples.forEach((value, index) => {
+    buffer.writeInt16LE(Math.max(-1, Math.min(1, value)) * 32767, 44 + index * 2);
+  });
+  return buffer;
+};
+
+const synthesizeWord = (samples, word, startMs, durationMs) => {
+  const start = Math.floor((startMs / 1000) * SAMPLE_RATE);
+  const length = Math.floor((durationMs / 1000) * SAMPLE_RATE);
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '') || 'a';
+  const pitch = 170 + Math.random() * 30;
+
+  for (let n = 0; n < length && start + n < samples.length; n++) {
+    const progress = n / length;
+    const letter = letters[Math.min(letters.length - 1, Math.floor(progress * letters.length))];
+    const t = n / SAMPLE_RATE;
+    const envelope = Math.sin(Math.PI * progress) ** 0.5;
+    let value;
+
+    if (VOWEL_FORMANTS[letter]) {
+      const [f1, f2] = VOWEL_FORMANTS[letter];
+      value = 0;
+      for (let harmonic = 1; harmonic <= 20; harmonic++) {
+        const frequency = harmonic * pitch;
+        const gain = 1 / (1 + ((frequency - f1) / 120) ** 2) + 0.6 / (1 + ((frequency - f2) / 150) ** 2);
+        value += gain * Math.sin(2 * Math.PI * frequency * t);
+      }
+      value *= 0.25;
+    } else if ('sfzhcx'.includes(letter)) {
+      value = (Math.random() * 2 - 1) * 0.2;
+    } else if ('pbm'.includes(letter)) {
+      value = 0.05 * Math.sin(2 * Math.PI * pitch * t);
+    } else {
+      value = 0.15 * Math.sin(2 * Math.PI * pitch * t) + (Math.random() * 2 - 1) * 0.05;
+    }
+    samples[start + n] += value * envelope;
+  }
+};
+
+// Word timings for a reply: longer words take longer, with short gaps between them
+const timeWords = (text) => {
+  let cursor = 150;
+  return text.split(/\s+/).filter(Boolean).map((word) => {
+    const durationMs = Math.min(700, 120 + word.length * 55);
+    const timed = { word, start_ms: cursor, duration_ms: durationMs, stable: true };
+    cursor += durationMs + 70;
+    return timed;
+  });
+};
+
+const createAudioClip = (words) => {
+  const clipId = crypto.randomBytes(6).toString('hex');
+  if (AUDIO_FILE) {
+    audioClips.set(clipId, fs.readFileSync(AUDIO_FILE));
+    return clipId;
+  }
+  const last = words[words.length - 1];
+  const totalMs = last ? last.start_ms + last.duration_ms + 300 : 500;
+  const samples = new Float32Array(Math.ceil((totalMs / 1000) * SAMPLE_RATE));
+  words.forEach(word => synthesizeWord(samples, word.word, word.start_ms, word.duration_ms));
+  audioClips.set(clipId, wavFromSamples(samples));
+  return clipId;
+};
+
+// ---------------------------------------------------------------------------
+// Simulated agent behaviour
+// ---------------------------------------------------------------------------
+
+const replyTo = (text) => {
+  const lower = text.toLowerCase();
+  if (/\b(hi|hello|hey)\b/.test(lower)) {
+    return 'Hello there! This is the mock agent. Type anything and I will answer with a simulated voice.';
+  }
+  if (lower.includes('?')) {
+    return `Good question. I am only a mock, so I cannot really answer "${text}", but the transcript and lip sync should still work.`;
+  }
+  return `You said: ${text}. This reply comes from the local mock ConvoAI server.`;
+};
+
+const stopSpeaking = (agent) => {
+  agent.speechTimers.forEach(clearTimeout);
+  agent.speechTimers = [];
+  agent.speaking = null;
+};
+
+// Speak `text` as one assistant turn: audio clip + interim transcripts per word + final transcript
+const speak = (agent, text) => {
+  stopSpeaking(agent);
+  const turnId = ++agent.turnId;
+  const words = timeWords(text);
+  const clipId = createAudioClip(words);
+  const startedAt = Date.now();
+  const last = words[words.length - 1];
+  const durationMs = last ? last.start_ms + last.duration_ms + 100 : 100;
+  agent.speaking = { turnId, startedAt, endsAt: startedAt + durationMs };
+
+  broadcast(agent.channel, 'audio', { uid: agent.uid, turnId, url: `/mock/audio/${clipId}.wav` });
+
+  const transcription = (spoken, turnStatus) => ({
+    object: 'assistant.transcription',
+    text: spoken.map(w => w.word).join(' '),
+    start_ms: 0,
+    duration_ms: spoken.length ? spoken[spoken.length - 1].start_ms + spoken[spoken.length - 1].duration_ms : 0,
+    language: 'en-US',
+    turn_id: turnId,
+    stream_id: 0,
+    user_id: String(agent.uid),
+    words: spoken,
+    quiet: false,
+    turn_seq_id: turnId,
+    turn_status: turnStatus,
+  });
+
+  words.forEach((word, index) => {
+    agent.speechTimers.push(setTimeout(() => {
+      sendStreamMessage(agent, transcription(words.slice(0, index + 1), 0));
+    }, word.start_ms));
+  });
+
+  agent.speechTimers.push(setTimeout(() => {
+    sendStreamMessage(agent, transcription(words, 1));
+    agent.speaking = null;
+  }, durationMs));
+
+  log(`🗣️  [${agent.channel}] agent turn ${turnId}: ${text}`);
+};
+
+// Cut the current turn short: stop the audio and tell the channel where it stopped
+const interruptSpeech = (agent) => {
+  const { turnId, startedAt } = agent.speaking;
+  stopSpeaking(agent);
+  broadcast(agent.channel, 'audio-stop', { uid: agent.uid, turnId });
+  sendStreamMessage(agent, { object: 'message.interrupt', turn_id: turnId, start_ms: Date.now() - startedAt });
+  log(`✂️  [${agent.channel}] turn ${turnId} interrupted`);
+};
+
+const stopAgent = (agent, reason) => {
+  stopSpeaking(agent);
+  clearTimeout(agent.idleTimer);
+  agent.status = 'STOPPED';
+  agent.stoppedAt = Date.now();
+  broadcast(agent.channel, 'user-left', { uid: agent.uid, reason });
+  log(`🛑 Agent ${agent.id} stopped (${reason})`);
+};
+
+// Mirror ConvoAI's idle_timeout: the agent leaves once nobody else is in the channel
+const checkIdle = (channel) => {
+  const hasUsers = (subscribers.get(channel) || new Set()).size > 0;
+  agents.forEach((agent) => {
+    if (agent.channel !== channel || agent.status !== 'RUNNING') return;
+    clearTimeout(agent.idleTimer);
+    if (!hasUsers) {
+      agent.idleTimer = setTimeout(() => stopAgent(agent, 'ServerTimeOut'), agent.idleTimeout * 1000);
+    }
+  });
+};
+
+// ---------------------------------------------------------------------------
+// REST API
+// ---------------------------------------------------------------------------
+
+const agentStatus = (agent) => ({
+  agent_id: agent.id,
+  create_ts: Math.floor(agent.createdAt / 1000),
+  status: agent.status,
+});
+
+const handleJoin = async (req, res, appId) => {
+  const body = await readJsonBody(req);
+  const properties = body.properties || {};
+  const missing = ['channel', 'agent_rtc_uid', 'remote_rtc_uids'].filter(field => properties[field] === undefined);
+  if (!body.name || missing.length > 0) {
+    return sendError(res, 400, 'InvalidRequest', `Missing required field(s): ${[!body.name && 'name', ...missing].filter(Boolean).join(', ')}`);
+  }
+  if (!properties.llm || !properties.tts) {
+    return sendError(res, 400, 'InvalidRequest', 'properties.llm and properties.tts are required');
+  }
+
+  const conflict = [...agents.values()].find(agent => agent.name === body.name && agent.status === 'RUNNING');
+  if (conflict) {
+    return sendError(res, 409, 'TaskConflict', 'An agent with this name is already running', { agent_id: conflict.id });
+  }
+
+  const agent = {
+    id: crypto.randomBytes(16).toString('hex').toUpperCase(),
+    appId,
+    name: body.name,
+    channel: properties.channel,
+    uid: parseInt(properties.agent_rtc_uid, 10),
+    properties,
+    idleTimeout: properties.idle_timeout || 30,
+    status: 'RUNNING',
+    createdAt: Date.now(),
+    turnId: 0,
+    speechTimers: [],
+    speaking: null,
+    idleTimer: null,
+  };
+  agents.set(agent.id, agent);
+  log(`🤖 Agent ${agent.id} joined ${agent.channel} as uid ${agent.uid}`);
+
+  announceAgent(agent);
+  checkIdle(agent.channel);
+
+  const greeting = properties.llm.greeting_message;
+  if (greeting) {
+    setTimeout(() => agent.status === 'RUNNING' && speak(agent, greeting), 1000);
+  }
+
+  return sendJson(res, 200, agentStatus(agent));
+};
+
+const findRunningAgent = (res, agentId) => {
+  const agent = agents.get(agentId);
+  if (!agent || agent.status !== 'RUNNING') {
+    sendError(res, 404, 'TaskNotFound', `Agent ${agentId} not found or already stopped`);
+    return null;
+  }
+  return agent;
+};
+
+const handleLeave = (req, res, agentId) => {
+  const agent = findRunningAgent(res, agentId);
+  if (!agent) return;
+  stopAgent(agent, 'Quit');
+  sendJson(res, 200, {});
+};
+
+const handleInterrupt = (req, res, agentId) => {
+  const agent = findRunningAgent(res, agentId);
+  if (!agent) return;
+  if (agent.speaking) {
+    interruptSpeech(agent);
+  }
+  sendJson(res, 200, {});
+};
+
+// Speak a given text: INTERRUPT cuts the current turn off, APPEND waits for it, IGNORE drops the text
+const SPEAK_PRIORITIES = ['INTERRUPT', 'APPEND', 'IGNORE'];
+
+const handleSpeak = async (req, res, agentId) => {
+  const agent = findRunningAgent(res, agentId);
+  if (!agent) return;
+
+  const body = await readJsonBody(req);
+  const text = typeof body.text === 'string' ? body.text.trim() : '';
+  const priority = body.priority || 'INTERRUPT';
+  if (!text || Buffer.byteLength(text) > 512) {
+    return sendError(res, 400, 'InvalidRequest', 'text is required and may be at most 512 bytes');
+  }
+  if (!SPEAK_PRIORITIES.includes(priority)) {
+    return sendError(res, 400, 'InvalidRequest', `priority must be one of ${SPEAK_PRIORITIES.join(', ')}`);
+  }
+
+  const result = { agent_id: agent.id, channel: agent.channel, start_ts: Math.floor(Date.now() / 1000) };
+  if (agent.speaking && priority === 'IGNORE') {
+    log(`🙊 [${agent.channel}] speak ignored - the agent is talking`);
+    return sendJson(res, 200, result);
+  }
+  if (agent.speaking && priority === 'APPEND') {
+    agent.speechTimers.push(setTimeout(() => agent.status === 'RUNNING' && speak(agent, text), agent.speaking.endsAt - Date.now()));
+  } else {
+    if (agent.speaking) {
+      interruptSpeech(agent);
+    }
+    speak(agent, text);
+  }
+  return sendJson(res, 200, result);
+};
+
+// OpenAI-style chat completion: answers the last user message with replyTo()
+const handleChatCompletion = async (req, res) => {
+  const body = await readJsonBody(req);
+  const messages = Array.isArray(body.messages) ? body.messages : [];
+  const lastUser = [...messages].reverse().find(message => message && message.role === 'user');
+  if (!lastUser || typeof lastUser.content !== 'string') {
+    return sendJson(res, 400, { error: { message: 'messages must contain a user message', type: 'invalid_request_error' } });
+  }
+  log(`💬 LLM: ${lastUser.content}`);
+  return sendJson(res, 200, {
+    id: `chatcmpl-${crypto.randomBytes(8).toString('hex')}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: body.model || 'mock',
+    choices: [{ index: 0, message: { role: 'assistant', content: replyTo(lastUser.content) }, finish_reason: 'stop' }],
+  });
+};
+
+const handleUpdate = async (req, res, agentId) => {
+  const agent = findRunningAgent(res, agentId);
+  if (!agent) return;
+
+  const body = await readJsonBody(req);
+  if (!body.properties || typeof body.properties !== 'object') {
+    return sendError(res, 400, 'InvalidRequest', 'properties is required');
+  }
+
+  const { llm, ...rest } = body.properties;
+  agent.properties = {
+    ...agent.properties,
+    ...rest,
+    llm: llm ? { ...agent.properties.llm, ...llm } : agent.properties.llm,
+  };
+  log(`🔄 Agent ${agent.id} updated:`, Object.keys(body.properties).join(', '));
+  sendJson(res, 200, agentStatus(agent));
+};
+
+// ---------------------------------------------------------------------------
+// Router
+// ---------------------------------------------------------------------------
+
+const routes = [
+  // ConvoAI REST API (any base path prefix, so VITE_CONVOAI_API_BASE_URL can be http://localhost:8787)
+  { method: 'POST', pattern: /\/projects\/([^/]+)\/join$/, action: 'join', auth: true, handler: (req, res, [appId]) => handleJoin(req, res, appId) },
+  { method: 'POST', pattern: /\/projects\/[^/]+\/agents\/([^/]+)\/leave$/, action: 'leave', auth: true, handler: (req, res, [agentId]) => handleLeave(req, res, agentId) },
+  { method: 'POST', pattern: /\/projects\/[^/]+\/agents\/([^/]+)\/update$/, action: 'update', auth: true, handler: (req, res, [agentId]) => handleUpdate(req, res, agentId) },
+  { method: 'POST', pattern: /\/projects\/[^/]+\/agents\/([^/]+)\/interrupt$/, action: 'interrupt', auth: true, handler: (req, res, [agentId]) => handleInterrupt(req, res, agentId) },
+  { method: 'POST', pattern: /\/projects\/[^/]+\/agents\/([^/]+)\/speak$/, action: 'speak', auth: true, handler: (req, res, [agentId]) => handleSpeak(req, res, agentId) },
+  {
+    // Agent list - the Settings diagnostics use it to test the credentials
+    method: 'GET', pattern: /\/projects\/[^/]+\/agents$/, action: 'list', auth: true,
+    handler: (req, res) => {
+      const list = [...agents.values()].map(agentStatus);
+      sendJson(res, 200, { data: { count: list.length, list }, meta: { cursor: '', total: list.length } });
+    },
+  },
+  {
+    method: 'GET', pattern: /\/projects\/[^/]+\/agents\/([^/]+)$/, action: 'query', auth: true,
+    handler: (req, res, [agentId]) => {
+      const agent = agents.get(agentId);
+      return agent ? sendJson(res, 200, agentStatus(agent)) : sendError(res, 404, 'TaskNotFound', `Agent ${agentId} not found`);
+    },
+  },
+
+  // Simulated RTC channel (used by src/services/mockRtcClient.js)
+  {
+    method: 'GET', pattern: /^\/mock\/channels\/([^/]+)\/events$/,
+    handler: (req, res, [channel], url) => {
+      res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+      const subscriber = { res, uid: url.searchParams.get('uid') };
+      if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+      subscribers.get(channel).add(subscriber);
+      res.write(`event: connected\ndata: ${JSON.stringify({ channel })}\n\n`);
+      log(`👤 [${channel}] user connected (${subscribers.get(channel).size} in channel)`);
+
+      // Agents already in the channel show up for late joiners too
+      agents.forEach(agent => agent.channel === channel && agent.status === 'RUNNING' && announceAgent(agent, res));
+      checkIdle(channel);
+
+      const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+      req.on('close', () => {
+        clearInterval(keepAlive);
+        subscribers.get(channel).delete(subscriber);
+        log(`👋 [${channel}] user disconnected`);
+        checkIdle(channel);
+      });
+    },
+  },
+  {
+    // Stand-in LLM for typed turns - no key needed
+    method: 'POST', pattern: /^\/mock\/llm\/chat\/completions$/, action: 'llm',
+    handler: handleChatCompletion,
+  },
+  {
+    method: 'GET', pattern: /^\/mock\/audio\/([a-f0-9]+)\.wav$/,
+    handler: (req, res, [clipId]) => {
+      const clip = audioClips.get(clipId);
+      if (!clip) return sendError(res, 404, 'NotFound', 'Unknown audio clip');
+      res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'audio/wav', 'Content-Length': clip.length });
+      res.end(clip);
+    },
+  },
+  {
+    method: 'GET', pattern: /^\/mock\/health$/,
+    handler: (req, res) => sendJson(res, 200, {
+      status: 'healthy',
+      agents: [...agents.values()].filter(agent => agent.status === 'RUNNING').length,
+      channels: [...subscribers.entries()].map(([channel, users]) => ({ channel, users: users.size })),
+    }),
+  },
+];
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const route = routes.find(candidate => candidate.method === req.method && candidate.pattern.test(url.pathname));
+  if (!route) {
+    sendError(res, 404, 'NotFound', `No mock route for ${req.method} ${url.pathname}`);
+    return;
+  }
+
+  if (route.auth && !isAuthorized(req)) {
+    sendJson(res, 401, { message: 'Invalid authentication credentials' });
+    return;
+  }
+
+  if (route.action && FORCED_FAILURES[route.action]) {
+    const status = FORCED_FAILURES[route.action];
+    sendError(res, status, 'MockForcedFailure', `Forced ${status} for ${route.action} (MOCK_FAIL)`);
+    return;
+  }
+
+  try {
+    await route.handler(req, res, url.pathname.match(route.pattern).slice(1), url);
+  } catch (error) {
+    sendError(res, 400, 'InvalidRequest', error.message);
+  }
+});
+
+server.listen(PORT, () => {
+  log(`🧪 Mock ConvoAI server listening on http://localhost:${PORT}`);
+  log(`   VITE_CONVOAI_API_BASE_URL=http://localhost:${PORT}`);
+  log(`   VITE_MOCK_RTC_URL=http://localhost:${PORT}`);
+  log(`   VITE_LLM_URL=http://localhost:${PORT}/mock/llm/chat/completions   (typed turns)`);
+  if (Object.keys(FORCED_FAILURES).length > 0) {
+    log('   Forced failures:', FORCED_FAILURES);
+  }
+});
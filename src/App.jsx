@@ -1,7 +1,7 @@
 import { Loader } from "@react-three/drei";
 import { Canvas } from "@react-three/fiber";
 import { Leva } from "leva";
-import { useState } from "react";
+import { useRef, useState } from "react";
 import { Experience } from "./components/Experience";
 import { UI } from "./components/UI";
 import { BlendShapeController } from "./components/BlendShapeController";
@@ -19,8 +19,7 @@ function App() {
   
   // Audio Visualizer state
   const [showVisualizer, setShowVisualizer] = useState(false);
-  const [visualizerViseme, setVisualizerViseme] = useState(null);
-  const [visualizerAudioLevel, setVisualizerAudioLevel] = useState(0);
+  const visualizerFrameRef = useRef(null); // Latest Visualizer lip sync frame, read by the avatar every frame
   
   // Visualization modes
   const [showWireframe, setShowWireframe] = useState(false);
@@ -84,10 +83,7 @@ function App() {
             </div>
           </div>
           <div className="overflow-y-auto max-h-[calc(90vh-80px)] p-4 visualizer-scrollbar">
-            <Visualizer 
-              onVisemeChange={setVisualizerViseme}
-              onAudioLevelChange={setVisualizerAudioLevel}
-            />
+            <Visualizer frameRef={visualizerFrameRef} />
           </div>
         </div>
       )}
@@ -98,8 +94,7 @@ function App() {
           currentAvatar={currentAvatar}
           manualBlendShapes={showBlendShapeController ? manualBlendShapes : null}
           manualViseme={showBlendShapeController ? manualViseme : null}
-          visualizerViseme={showVisualizer ? visualizerViseme : null}
-          visualizerAudioLevel={showVisualizer ? visualizerAudioLevel : 0}
+          visualizerFrameRef={showVisualizer ? visualizerFrameRef : null}
           showWireframe={showWireframe}
         />
       </Canvas>
@@ -47,9 +47,10 @@ const AgoraProductsPanel = () => {
     extensions: [
       {
         name: "AI Noise Suppression",
-        description: "Reduce background noise for real-time audio and video",
+        description: "Reduce background noise for real-time audio and video - enable it under Settings → Audio Processing",
         url: "https://www.agora.io/en/products/ai-noise-suppression/",
-        icon: "🔇"
+        icon: "🔇",
+        badge: "Built in"
       },
       {
         name: "3D Spatial Audio",
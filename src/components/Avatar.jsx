@@ -11,6 +11,7 @@ import React, { useEffect, useRef, useState } from "react";
 import * as THREE from "three";
 import { useChat } from "../hooks/useChat";
 import { useAgora } from "../hooks/useAgora";
+import { VisemeBlender, jawOpening } from "../services/visemeBlender";
 
 const facialExpressions = {
   default: {},
@@ -129,14 +130,15 @@ const oculusVisemes = [
 
 let setupMode = false;
 
+export const DEFAULT_AVATAR = "Aurora";
+
 export function Avatar({ 
   currentExpression, 
   currentAnimation, 
-  currentAvatar = "Aurora",
+  currentAvatar = DEFAULT_AVATAR,
   manualBlendShapes = null,
   manualViseme = null,
-  visualizerViseme = null,
-  visualizerAudioLevel = 0,
+  visualizerFrameRef = null,
   showWireframe = false,
   ...props 
 }) {
@@ -147,22 +149,32 @@ export function Avatar({
     Lyra: "Lyra.glb"
   };
 
-  // Load the selected avatar model
-  const avatarModel = availableAvatars[currentAvatar] || availableAvatars.Aurora;
+  // Load the selected avatar model - other names (e.g. from public/personas.json) load models/Avatars/<name>.glb.
+  // A missing model makes useGLTF throw; Experience catches that and renders the default avatar.
+  const avatarModel = availableAvatars[currentAvatar] || (currentAvatar ? `${currentAvatar}.glb` : availableAvatars[DEFAULT_AVATAR]);
   const { nodes, materials, scene } = useGLTF(
     `${import.meta.env.BASE_URL}models/Avatars/${avatarModel}`
   );
 
   const { message, onMessagePlayed, chat } = useChat();
-  const { lipSyncData, audioLevel } = useAgora(); // Get WebAudio lip sync data
+  const { lipSyncFrameRef, agentSpeaking, interruptedAt } = useAgora(); // WebAudio lip sync frames land in lipSyncFrameRef
 
   const [lipsync, setLipsync] = useState();
   
   // Smoothing states for lip sync
-  const smoothedAudioLevel = useRef(0);
-  const lastViseme = useRef('X');
-  const visemeTransition = useRef(0);
+  const visemeBlender = useRef(null); // Eases all 15 viseme weights with per-viseme attack/release
+  if (!visemeBlender.current) {
+    visemeBlender.current = new VisemeBlender();
+  }
   const mouthTargetValues = useRef({});
+  const snapMouthClosed = useRef(false); // Set when the agent is interrupted
+
+  // The agent was cut off - close the mouth on the next frame instead of easing out
+  useEffect(() => {
+    if (interruptedAt) {
+      snapMouthClosed.current = true;
+    }
+  }, [interruptedAt]);
 
   useEffect(() => {
     console.log(message);
@@ -362,39 +374,59 @@ export function Avatar({
       return; // Skip automatic lip sync when manual control is active
     }
 
+    if (snapMouthClosed.current) {
+      snapMouthClosed.current = false;
+      oculusVisemes.forEach((viseme) => lerpMorphTarget(viseme, 0, 1));
+      Object.keys(mouthTargetValues.current).forEach((target) => {
+        mouthTargetValues.current[target] = 0;
+        lerpMorphTarget(target, 0, 1);
+      });
+      visemeBlender.current.reset();
+    }
+
     const appliedMorphTargets = [];
     
-    // Priority: 1. Visualizer viseme, 2. WebAudio lip sync data
-    const activeViseme = visualizerViseme || (lipSyncData && lipSyncData.viseme);
+    // Priority: 1. Visualizer frame, 2. WebAudio lip sync frame of the agent (both refs - no re-render per frame)
+    const visualizerFrame = visualizerFrameRef && visualizerFrameRef.current;
+    const agentFrame = lipSyncFrameRef.current;
     // Use raw audio levels for both - no smoothing for more responsive movement
-    const activeAudioLevel = visualizerAudioLevel > 0 ? visualizerAudioLevel : (audioLevel || 0);
-    
-    if (activeViseme && activeAudioLevel > 0.01) {
-      // For Oculus visemes, apply the blend shape directly!
-      // The viseme name IS the blend shape name
-      const visemeBlendShape = activeViseme; // e.g., 'viseme_aa', 'viseme_I', etc.
-      
-      // Handle viseme transitions smoothly
-      if (lastViseme.current !== activeViseme) {
-        visemeTransition.current = 0;
-        lastViseme.current = activeViseme;
-      }
-      visemeTransition.current = Math.min(visemeTransition.current + deltaTime * 20, 1); // Very fast transitions for natural speech
-      
-      // Apply the viseme blend shape directly with higher intensity for visibility
-      const intensity = Math.min(activeAudioLevel * 4.0, 1.0) * visemeTransition.current; // Increased from 2.5 to 4.0
-      lerpMorphTarget(visemeBlendShape, intensity, 0.5); // Faster lerp (0.7->0.5) for responsiveness
-      appliedMorphTargets.push(visemeBlendShape);
-      
-      // Add more pronounced jaw movement for natural speech
-      const jawAmount = activeAudioLevel * 0.8 * visemeTransition.current; // Increased from 0.5 to 0.8
+    const visualizerAudioLevel = visualizerFrame ? visualizerFrame.volume : 0;
+    const activeFrame = visualizerFrame && (visualizerAudioLevel > 0 || !agentFrame) ? visualizerFrame : agentFrame;
+    // Loudness -> opening, with the voice's silence threshold and gain already applied (lip-sync profile)
+    const intensity = (activeFrame && activeFrame.intensity) || 0;
+    const speaking = intensity > 0;
+
+    // Every viseme gets weight x loudness; the blender eases each one in and out on its own
+    // attack/release, so neighbouring shapes overlap instead of snapping from one to the next
+    const targets = {};
+    if (speaking) {
+      oculusVisemes.forEach((viseme) => {
+        targets[viseme] = viseme === 'viseme_sil' ? 0 : (activeFrame.weights[viseme] || 0) * intensity;
+      });
+    }
+    const blended = visemeBlender.current.update(targets, deltaTime);
+
+    if (speaking || !(message && lipsync)) {
+      oculusVisemes.forEach((viseme) => {
+        if (blended[viseme] > 0.001) {
+          lerpMorphTarget(viseme, blended[viseme], 1);
+          appliedMorphTargets.push(viseme);
+        }
+      });
+    }
+
+    if (speaking) {
+      // Open the jaw as far as the current mix of shapes calls for - not at all for p/b/m,
+      // up to 0.8 for a fully open vowel at full intensity (both factors are 0..1)
+      const jawAmount = intensity * 0.8 * jawOpening(activeFrame.weights);
       if (jawAmount > 0.03) {
-        lerpMorphTarget("jawOpen", Math.min(jawAmount, 0.8), 0.5); // Allow up to 0.8 jaw opening
+        lerpMorphTarget("jawOpen", jawAmount, 0.5);
         appliedMorphTargets.push("jawOpen");
       }
     }
+
     // Fallback to original message-based lip sync with smoothing
-    else if (message && lipsync) {
+    if (!speaking && message && lipsync) {
       const currentAudioTime = audio.currentTime;
       for (let i = 0; i < lipsync.mouthCues.length; i++) {
         const mouthCue = lipsync.mouthCues[i];
@@ -423,15 +455,17 @@ export function Avatar({
       }
     }
 
-    // Reset unused morph targets with smooth transitions
-    Object.values(corresponding).forEach((value) => {
+    // Reset unused morph targets with smooth transitions (every viseme, so none is left half-open)
+    oculusVisemes.forEach((value) => {
       if (appliedMorphTargets.includes(value)) {
         return;
       }
       lerpMorphTarget(value, 0, 0.2);
     });
     
-    // Smoothly reset mouth morph targets when no audio
+    // Smoothly reset the mouth morph targets nothing drove this frame - the jaw and lips
+    // rest slightly open for a natural look
+    const mouthRest = { jawOpen: 0.02, mouthOpen: 0.01 };
     const allMouthTargets = [
       "jawOpen", "mouthOpen", "mouthWide", "mouthSmileLeft", "mouthSmileRight",
       "mouthFunnel", "mouthPucker", "mouthPressLeft", "mouthPressRight", 
@@ -440,16 +474,9 @@ export function Avatar({
     
     allMouthTargets.forEach((target) => {
       if (!appliedMorphTargets.includes(target)) {
-        smoothLerpMouthTarget(target, 0, deltaTime);
+        smoothLerpMouthTarget(target, mouthRest[target] || 0, deltaTime);
       }
     });
-    
-    // Smooth reset when no audio activity
-    if (!lipSyncData || smoothedAudioLevel.current <= 0.01) {
-      // Gentle reset to slightly open mouth for natural look
-      smoothLerpMouthTarget("jawOpen", 0.02, deltaTime);
-      smoothLerpMouthTarget("mouthOpen", 0.01, deltaTime);
-    }
   });
   
   // Legacy actions and mixer for compatibility (keeping for now)
@@ -490,9 +517,11 @@ export function Avatar({
         setAnimation("Idle");
       }
     } else if (!message) {
-      setAnimation("Idle");
+      // Auto: talk while the agent's turn is open, back to Idle as soon as it ends or is interrupted
+      const talking = agentSpeaking && animations.some(a => a.name === "Talking_0");
+      setAnimation(talking ? "Talking_0" : "Idle");
     }
-  }, [currentAnimation, message, animations, currentExpression]);
+  }, [currentAnimation, message, animations, currentExpression, agentSpeaking]);
   
   useEffect(() => {
     // Play animation using custom system
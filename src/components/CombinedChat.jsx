@@ -1,14 +1,23 @@
 import { useState, useEffect, useRef } from "react";
 import { useAgora } from "../hooks/useAgora";
 import { useChat } from "../hooks/useChat";
+import { EXPORT_FORMATS, downloadTranscript } from "../services/transcriptExport";
+import { SessionBrowser } from "./SessionBrowser";
 
 export const CombinedChat = ({ isConnected }) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [isMinimized, setIsMinimized] = useState(true);
-  const { chatHistory, clearChatHistory, testChatMessage } = useAgora();
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [showSessions, setShowSessions] = useState(false);
+  const { chatHistory, clearChatHistory, testChatMessage, getSessionMetadata, activeSessionId, typedMessagesSupported, reportError } = useAgora();
   const { chat, loading, message } = useChat();
   const messagesEndRef = useRef(null);
   const input = useRef();
+  // Typed turns need an OpenAI-style LLM to answer them (services/typedTurns.js)
+  const canType = isConnected && typedMessagesSupported;
+  const inputPlaceholder = !isConnected
+    ? "Connect to Agora first..."
+    : typedMessagesSupported ? "Type a message..." : "Speak to the agent - typed messages need an OpenAI-compatible LLM";
 
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
@@ -19,12 +28,21 @@ export const CombinedChat = ({ isConnected }) => {
 
   const sendMessage = () => {
     const text = input.current.value;
-    if (!loading && !message && isConnected && text.trim()) {
+    if (!loading && !message && canType && text.trim()) {
       chat(text);
       input.current.value = "";
     }
   };
 
+  const exportChat = (format) => {
+    setShowExportMenu(false);
+    try {
+      downloadTranscript(format, chatHistory, getSessionMetadata());
+    } catch (error) {
+      reportError(error, 'STORAGE_EXPORT_FAILED');
+    }
+  };
+
   const formatTime = (timestamp) => {
     return new Date(timestamp).toLocaleTimeString([], { 
       hour: '2-digit', 
@@ -93,6 +111,40 @@ export const CombinedChat = ({ isConnected }) => {
               >
                 {isExpanded ? "−" : "+"}
               </button>
+              <button
+                onClick={() => setShowSessions(!showSessions)}
+                className={`text-white/70 hover:text-white text-sm px-2 py-1 rounded hover:bg-white/10 transition-colors ${
+                  showSessions ? "bg-white/10" : ""
+                }`}
+                title="Past conversations"
+              >
+                🗂️
+              </button>
+              <div className="relative">
+                <button
+                  onClick={() => setShowExportMenu(!showExportMenu)}
+                  disabled={chatHistory.length === 0}
+                  className={`text-white/70 hover:text-white text-sm px-2 py-1 rounded hover:bg-white/10 transition-colors ${
+                    chatHistory.length === 0 ? "cursor-not-allowed opacity-50" : ""
+                  }`}
+                  title="Export transcript"
+                >
+                  💾
+                </button>
+                {showExportMenu && chatHistory.length > 0 && (
+                  <div className="absolute right-0 mt-1 w-32 bg-black/90 border border-white/20 rounded shadow-lg z-10">
+                    {Object.entries(EXPORT_FORMATS).map(([format, { label, extension }]) => (
+                      <button
+                        key={format}
+                        onClick={() => exportChat(format)}
+                        className="block w-full text-left text-white/80 hover:text-white hover:bg-white/10 text-xs px-3 py-2 transition-colors"
+                      >
+                        {label} <span className="text-white/40">.{extension}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
               <button
                 onClick={clearChatHistory}
                 className="text-white/70 hover:text-white text-sm px-2 py-1 rounded hover:bg-white/10 transition-colors"
@@ -101,7 +153,10 @@ export const CombinedChat = ({ isConnected }) => {
                 🗑️
               </button>
               <button
-                onClick={() => setIsMinimized(true)}
+                onClick={() => {
+                  setIsMinimized(true);
+                  setShowSessions(false);
+                }}
                 className="text-white/70 hover:text-white text-xl leading-none hover:bg-white/10 w-7 h-7 rounded flex items-center justify-center transition-colors"
                 title="Minimize chat"
               >
@@ -130,11 +185,14 @@ export const CombinedChat = ({ isConnected }) => {
                         message.speaker === 'user'
                           ? 'bg-blue-600/80 text-white ml-4'
                           : 'bg-gray-700/80 text-white mr-4'
-                      }`}
+                      } ${message.turnStatus === 'interrupted' ? 'opacity-70 border border-dashed border-white/30' : ''}`}
                     >
                       <div className="flex items-start justify-between">
                         <p className="leading-relaxed break-words flex-1">
                           {message.message}
+                          {message.turnStatus === 'interrupted' && (
+                            <span className="text-white/60">…</span>
+                          )}
                           {message.isPartial && (
                             <span className="inline-block w-2 h-4 ml-1 bg-current animate-pulse opacity-70">|</span>
                           )}
@@ -144,6 +202,11 @@ export const CombinedChat = ({ isConnected }) => {
                             ⚡ Live
                           </span>
                         )}
+                        {message.turnStatus === 'interrupted' && (
+                          <span className="text-xs text-yellow-300/80 ml-2 flex-shrink-0" title="The agent was interrupted before finishing this turn">
+                            ✂️ Interrupted
+                          </span>
+                        )}
                       </div>
                     </div>
                     
@@ -167,6 +230,24 @@ export const CombinedChat = ({ isConnected }) => {
                           • {message.words.length}w
                         </span>
                       )}
+                      {message.startTime !== undefined && message.endTime > message.startTime && (
+                        <span className="ml-2 text-white/40">
+                          • {(message.endTime - message.startTime).toFixed(1)}s
+                        </span>
+                      )}
+                      {message.deliveryStatus && (
+                        <span className={`ml-2 ${message.deliveryStatus === 'failed' ? 'text-red-400' : 'text-white/40'}`}>
+                          • {message.deliveryStatus === 'sending' && 'sending...'}
+                          {message.deliveryStatus === 'sent' && '✓ sent'}
+                          {message.deliveryStatus === 'answered' && '✓✓ answered'}
+                          {message.deliveryStatus === 'failed' && '⚠️ not delivered'}
+                        </span>
+                      )}
+                      {message.inReplyTo && (
+                        <span className="ml-2 text-white/40" title={`Reply to ${message.inReplyTo}`}>
+                          • ↩ reply
+                        </span>
+                      )}
                     </div>
                   </div>
                 ))
@@ -181,8 +262,8 @@ export const CombinedChat = ({ isConnected }) => {
               <input
                 ref={input}
                 className="flex-1 bg-white/10 text-white placeholder-white/50 p-2 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 border border-white/20"
-                placeholder={isConnected ? "Type a message..." : "Connect to Agora first..."}
-                disabled={!isConnected}
+                placeholder={inputPlaceholder}
+                disabled={!canType}
                 onKeyDown={(e) => {
                   if (e.key === "Enter") {
                     sendMessage();
@@ -190,10 +271,10 @@ export const CombinedChat = ({ isConnected }) => {
                 }}
               />
               <button
-                disabled={loading || message || !isConnected}
+                disabled={loading || message || !canType}
                 onClick={sendMessage}
                 className={`bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 text-sm font-medium rounded transition-colors ${
-                  loading || message || !isConnected ? "cursor-not-allowed opacity-50" : ""
+                  loading || message || !canType ? "cursor-not-allowed opacity-50" : ""
                 }`}
               >
                 {loading ? "..." : "Send"}
@@ -214,6 +295,13 @@ export const CombinedChat = ({ isConnected }) => {
           </div>
         </div>
       )}
+
+      {/* Past conversations, opened next to the chat window */}
+      {!isMinimized && showSessions && (
+        <div className="absolute bottom-0 left-full ml-2">
+          <SessionBrowser activeSessionId={activeSessionId} onClose={() => setShowSessions(false)} />
+        </div>
+      )}
     </div>
   );
 };
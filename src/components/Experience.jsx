@@ -4,9 +4,10 @@ import {
   Environment,
   Text,
 } from "@react-three/drei";
-import { Suspense, useEffect, useRef, useState } from "react";
+import { Component, Suspense, useEffect, useRef, useState } from "react";
 import { useChat } from "../hooks/useChat";
-import { Avatar } from "./Avatar";
+import { useAgora } from "../hooks/useAgora";
+import { Avatar, DEFAULT_AVATAR } from "./Avatar";
 
 const Dots = (props) => {
   const { loading } = useChat();
@@ -37,19 +38,37 @@ const Dots = (props) => {
   );
 };
 
+// Renders `fallback` when the avatar fails to load - e.g. a persona naming a
+// model that isn't in public/models/Avatars
+class AvatarErrorBoundary extends Component {
+  state = { failed: false };
+
+  static getDerivedStateFromError() {
+    return { failed: true };
+  }
+
+  componentDidCatch(error) {
+    this.props.onError(error);
+  }
+
+  render() {
+    return this.state.failed ? this.props.fallback : this.props.children;
+  }
+}
+
 export const Experience = ({ 
   currentExpression, 
   currentAnimation, 
   currentAvatar,
   manualBlendShapes,
   manualViseme,
-  visualizerViseme,
-  visualizerAudioLevel,
+  visualizerFrameRef,
   showWireframe,
   showVertices
 }) => {
   const cameraControls = useRef();
   const { cameraZoomed } = useChat();
+  const { notify } = useAgora();
 
   useEffect(() => {
     cameraControls.current.setLookAt(0, 2, 5, 0, 1.5, 0);
@@ -62,6 +81,26 @@ export const Experience = ({
       cameraControls.current.setLookAt(0, 2.2, 5, 0, 1.0, 0, true);
     }
   }, [cameraZoomed]);
+
+  const handleAvatarError = (error) => {
+    console.warn(`⚠️ Avatar "${currentAvatar}" could not be loaded - showing ${DEFAULT_AVATAR}:`, error);
+    notify({
+      type: 'warning',
+      title: 'Avatar model missing',
+      message: `models/Avatars/${currentAvatar}.glb could not be loaded - showing ${DEFAULT_AVATAR} instead.`,
+    });
+  };
+
+  const avatarProps = {
+    currentExpression,
+    currentAnimation,
+    manualBlendShapes,
+    manualViseme,
+    visualizerFrameRef,
+    showWireframe,
+    showVertices,
+  };
+
   return (
     <>
       <CameraControls ref={cameraControls} />
@@ -71,18 +110,13 @@ export const Experience = ({
         <Dots position-y={1.75} position-x={-0.02} />
       </Suspense>
       <Suspense fallback={null}>
-        <Avatar 
+        <AvatarErrorBoundary
           key={currentAvatar} // Force remount when avatar changes
-          currentExpression={currentExpression} 
-          currentAnimation={currentAnimation}
-          currentAvatar={currentAvatar}
-          manualBlendShapes={manualBlendShapes}
-          manualViseme={manualViseme}
-          visualizerViseme={visualizerViseme}
-          visualizerAudioLevel={visualizerAudioLevel}
-          showWireframe={showWireframe}
-          showVertices={showVertices}
-        />
+          fallback={<Avatar {...avatarProps} currentAvatar={DEFAULT_AVATAR} />}
+          onError={handleAvatarError}
+        >
+          <Avatar {...avatarProps} currentAvatar={currentAvatar} />
+        </AvatarErrorBoundary>
       </Suspense>
       <ContactShadows opacity={0.7} />
     </>
@@ -0,0 +1,136 @@
+import { useEffect, useState } from "react";
+import { useAgora } from "../hooks/useAgora";
+
+const PUSH_TO_TALK_KEY = 'Space';
+const LEVEL_POLL_MS = 100;
+
+// Don't hijack the space bar while the user is typing
+const isTypingTarget = (target) =>
+  target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable);
+
+// Microphone picker, mute, push-to-talk and input level - lives in the title panel
+export const MicrophoneControls = () => {
+  const {
+    isJoined,
+    localAudioTrack,
+    microphones,
+    microphoneId,
+    selectMicrophone,
+    refreshMicrophones,
+    micMuted,
+    setMicMuted,
+    micOpen,
+    pushToTalk,
+    setPushToTalk,
+    pushToTalkActive,
+    setPushToTalkActive,
+  } = useAgora();
+  const [level, setLevel] = useState(0);
+
+  // getVolumeLevel() is 0..1 and has no change event, so poll it
+  useEffect(() => {
+    if (!localAudioTrack || !localAudioTrack.getVolumeLevel) {
+      setLevel(0);
+      return;
+    }
+    const timer = setInterval(() => setLevel(micOpen ? localAudioTrack.getVolumeLevel() : 0), LEVEL_POLL_MS);
+    return () => clearInterval(timer);
+  }, [localAudioTrack, micOpen]);
+
+  // Hold the space bar to talk
+  useEffect(() => {
+    if (!pushToTalk) return;
+
+    const handleKeyDown = (event) => {
+      if (event.code !== PUSH_TO_TALK_KEY || event.repeat || isTypingTarget(event.target)) return;
+      event.preventDefault();
+      setPushToTalkActive(true);
+    };
+    const handleKeyUp = (event) => {
+      if (event.code !== PUSH_TO_TALK_KEY) return;
+      setPushToTalkActive(false);
+    };
+    // Releasing the key in another window never reaches us
+    const handleBlur = () => setPushToTalkActive(false);
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
+    };
+  }, [pushToTalk, setPushToTalkActive]);
+
+  const status = micMuted
+    ? '🔇 Muted'
+    : pushToTalk
+      ? (pushToTalkActive ? '🔴 Talking' : '✋ Hold Space to talk')
+      : '🎙️ Live';
+
+  return (
+    <div className="pointer-events-auto mt-2 text-xs space-y-1.5">
+      <div className="flex items-center gap-2">
+        <button
+          onClick={() => setMicMuted(!micMuted)}
+          className={`px-2 py-1 rounded-md font-medium transition-colors ${
+            micMuted ? 'bg-red-500 text-white hover:bg-red-600' : 'bg-white bg-opacity-70 hover:bg-opacity-100'
+          }`}
+          title={micMuted ? 'Unmute microphone' : 'Mute microphone'}
+        >
+          {micMuted ? '🔇 Unmute' : '🎙️ Mute'}
+        </button>
+        <label className="flex items-center gap-1 cursor-pointer" title="Only send audio while Space (or the Talk button) is held">
+          <input
+            type="checkbox"
+            checked={pushToTalk}
+            onChange={(e) => setPushToTalk(e.target.checked)}
+          />
+          Push-to-talk
+        </label>
+        {pushToTalk && !micMuted && (
+          <button
+            onPointerDown={() => setPushToTalkActive(true)}
+            onPointerUp={() => setPushToTalkActive(false)}
+            onPointerLeave={() => setPushToTalkActive(false)}
+            className={`px-2 py-1 rounded-md font-medium select-none transition-colors ${
+              pushToTalkActive ? 'bg-green-500 text-white' : 'bg-white bg-opacity-70 hover:bg-opacity-100'
+            }`}
+            title="Hold to talk"
+          >
+            Talk
+          </button>
+        )}
+      </div>
+
+      {isJoined && (
+        <div className="flex items-center gap-2" title={status}>
+          <span className="w-28 truncate">{status}</span>
+          <div className="flex-1 h-1.5 bg-gray-300 rounded-full overflow-hidden">
+            <div
+              className={`h-full transition-all duration-100 ${level > 0.8 ? 'bg-red-500' : 'bg-green-500'}`}
+              style={{ width: `${Math.min(100, level * 100)}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      <select
+        value={microphoneId}
+        onChange={(e) => selectMicrophone(e.target.value)}
+        onFocus={() => refreshMicrophones()}
+        className="w-full p-1 rounded-md bg-white bg-opacity-70 border border-gray-300"
+        title="Microphone"
+      >
+        <option value="">🎙️ System default microphone</option>
+        {microphones.filter(mic => mic.deviceId !== 'default').map(mic => (
+          <option key={mic.deviceId} value={mic.deviceId}>{mic.label}</option>
+        ))}
+        {microphoneId && !microphones.some(mic => mic.deviceId === microphoneId) && (
+          <option value={microphoneId}>Saved microphone (not connected)</option>
+        )}
+      </select>
+    </div>
+  );
+};
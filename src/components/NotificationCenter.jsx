@@ -0,0 +1,57 @@
+import { useAgora } from "../hooks/useAgora";
+
+const STYLES = {
+  error: { icon: '❌', className: 'bg-red-50 border-red-300 text-red-800' },
+  warning: { icon: '⚠️', className: 'bg-yellow-50 border-yellow-300 text-yellow-800' },
+  success: { icon: '✅', className: 'bg-green-50 border-green-300 text-green-800' },
+  info: { icon: 'ℹ️', className: 'bg-blue-50 border-blue-300 text-blue-800' },
+};
+
+// Toasts for errors and notices raised through useAgora's notify() / reportError()
+const NotificationCenter = () => {
+  const { notifications, dismissNotification } = useAgora();
+
+  if (notifications.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="fixed bottom-4 right-4 z-[60] flex flex-col gap-2 w-96 max-w-[calc(100vw-2rem)]">
+      {notifications.map(notification => {
+        const style = STYLES[notification.type] || STYLES.info;
+        return (
+          <div
+            key={notification.id}
+            role={notification.type === 'error' ? 'alert' : 'status'}
+            className={`pointer-events-auto border rounded-lg shadow-lg p-3 text-sm ${style.className}`}
+          >
+            <div className="flex justify-between items-start gap-2">
+              <p className="font-semibold">
+                {style.icon} {notification.title}
+                {notification.count > 1 && <span className="font-normal opacity-75"> ×{notification.count}</span>}
+              </p>
+              <button
+                onClick={() => dismissNotification(notification.id)}
+                className="opacity-60 hover:opacity-100 font-bold leading-none"
+                title="Dismiss"
+              >
+                ×
+              </button>
+            </div>
+            {notification.message && notification.message !== notification.title && (
+              <p className="mt-1 break-words">{notification.message}</p>
+            )}
+            {notification.fix && (
+              <p className="mt-1 text-xs opacity-90">💡 {notification.fix}</p>
+            )}
+            {notification.code && (
+              <p className="mt-1 text-[10px] font-mono opacity-60">{notification.code}</p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default NotificationCenter;
@@ -0,0 +1,227 @@
+import { useState, useEffect, useCallback } from "react";
+import { useAgora } from "../hooks/useAgora";
+import { deleteSession, isSessionStoreAvailable, listSessions, matchesSessionQuery } from "../services/sessionStore";
+import { EXPORT_FORMATS, downloadTranscript } from "../services/transcriptExport";
+
+// Past conversations stored in IndexedDB - opened next to the chat panel
+export const SessionBrowser = ({ activeSessionId, onClose }) => {
+  const { reportError } = useAgora();
+  const [sessions, setSessions] = useState([]);
+  const [query, setQuery] = useState("");
+  const [selectedSession, setSelectedSession] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadSessions = useCallback(async () => {
+    if (!isSessionStoreAvailable()) {
+      setError("IndexedDB is not available in this browser");
+      return;
+    }
+    setLoading(true);
+    try {
+      setSessions(await listSessions());
+      setError(null);
+    } catch (loadError) {
+      console.error('❌ Failed to load conversation history:', loadError);
+      setError(loadError.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Reload when opened and whenever a session starts or ends
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions, activeSessionId]);
+
+  const handleDelete = async (session) => {
+    if (!window.confirm(`Delete the conversation from ${new Date(session.startedAt).toLocaleString()}?`)) {
+      return;
+    }
+    try {
+      await deleteSession(session.id);
+      console.log('🗑️ Deleted conversation session:', session.id);
+      if (selectedSession?.id === session.id) {
+        setSelectedSession(null);
+      }
+      await loadSessions();
+    } catch (deleteError) {
+      console.error('❌ Failed to delete conversation session:', deleteError);
+      setError(deleteError.message);
+    }
+  };
+
+  const handleExport = (session, format) => {
+    try {
+      downloadTranscript(format, session.messages || [], {
+        channel: session.channel,
+        agentId: session.agentId,
+        agentName: session.agentName,
+        avatar: session.avatar,
+        startedAt: new Date(session.startedAt).toISOString(),
+        endedAt: session.endedAt ? new Date(session.endedAt).toISOString() : null,
+      });
+    } catch (exportError) {
+      reportError(exportError, 'STORAGE_EXPORT_FAILED');
+    }
+  };
+
+  const formatDuration = (session) => {
+    const end = session.endedAt || session.updatedAt;
+    const seconds = Math.max(0, Math.round((end - session.startedAt) / 1000));
+    return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+  };
+
+  const filteredSessions = sessions.filter(session => matchesSessionQuery(session, query));
+
+  return (
+    <div className="bg-black/80 backdrop-blur-sm border border-white/20 rounded-lg shadow-2xl w-80 h-96 flex flex-col">
+      {/* Header */}
+      <div className="flex items-center justify-between p-3 border-b border-white/20 bg-black/60 rounded-t-lg">
+        <h3 className="text-white font-semibold text-sm flex items-center gap-2">
+          {selectedSession ? (
+            <button
+              onClick={() => setSelectedSession(null)}
+              className="text-white/70 hover:text-white transition-colors"
+              title="Back to conversations"
+            >
+              ←
+            </button>
+          ) : "🗂️"}
+          Conversations
+          {!selectedSession && sessions.length > 0 && (
+            <span className="bg-blue-600 text-white text-xs px-2 py-0.5 rounded-full">
+              {sessions.length}
+            </span>
+          )}
+        </h3>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={loadSessions}
+            className="text-white/70 hover:text-white text-sm px-2 py-1 rounded hover:bg-white/10 transition-colors"
+            title="Refresh"
+          >
+            🔄
+          </button>
+          <button
+            onClick={onClose}
+            className="text-white/70 hover:text-white text-xl leading-none hover:bg-white/10 w-7 h-7 rounded flex items-center justify-center transition-colors"
+            title="Close conversations"
+          >
+            ×
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="px-3 py-2 text-xs text-red-400 border-b border-white/10">⚠️ {error}</div>
+      )}
+
+      {selectedSession ? (
+        <>
+          {/* Session details */}
+          <div className="px-3 py-2 border-b border-white/10 text-xs text-white/60 space-y-0.5">
+            <div>📡 {selectedSession.channel}{selectedSession.avatar && ` • ${selectedSession.avatar}`}</div>
+            <div>🕒 {new Date(selectedSession.startedAt).toLocaleString()} • {formatDuration(selectedSession)}</div>
+            {selectedSession.agentId && <div className="truncate">🤖 {selectedSession.agentId}</div>}
+          </div>
+          <div className="flex-1 overflow-y-auto p-3 space-y-2">
+            {(selectedSession.messages || []).map((message, index) => (
+              <div
+                key={`${message.id}-${index}`}
+                className={`flex ${message.speaker === 'user' ? 'justify-end' : 'justify-start'}`}
+              >
+                <div
+                  className={`max-w-[85%] p-2 rounded-lg text-xs text-white ${
+                    message.speaker === 'user' ? 'bg-blue-600/60' : 'bg-gray-700/60'
+                  }`}
+                >
+                  {message.message}
+                  {message.turnStatus === 'interrupted' && <span className="text-white/60">…</span>}
+                </div>
+              </div>
+            ))}
+          </div>
+          <div className="p-2 border-t border-white/20 flex items-center gap-1 flex-wrap">
+            {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+              <button
+                key={format}
+                onClick={() => handleExport(selectedSession, format)}
+                className="text-white/70 hover:text-white text-xs px-2 py-1 rounded bg-white/5 hover:bg-white/10 transition-colors"
+                title={`Export as ${label}`}
+              >
+                💾 {label}
+              </button>
+            ))}
+            <button
+              onClick={() => handleDelete(selectedSession)}
+              className="ml-auto text-red-400 hover:text-red-300 text-xs px-2 py-1 rounded hover:bg-white/10 transition-colors"
+              title="Delete conversation"
+            >
+              🗑️
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          {/* Search */}
+          <div className="p-2 border-b border-white/10">
+            <input
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              className="w-full bg-white/10 text-white placeholder-white/50 p-2 rounded text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 border border-white/20"
+              placeholder="Search channel, agent, avatar or transcript..."
+            />
+          </div>
+
+          {/* Session list */}
+          <div className="flex-1 overflow-y-auto p-2 space-y-1">
+            {loading && sessions.length === 0 ? (
+              <div className="text-white/50 text-center text-sm mt-8">Loading...</div>
+            ) : filteredSessions.length === 0 ? (
+              <div className="text-white/50 text-center text-sm mt-8">
+                {query ? "No conversations match your search" : "Past conversations will appear here after you disconnect"}
+              </div>
+            ) : (
+              filteredSessions.map(session => (
+                <div
+                  key={session.id}
+                  onClick={() => setSelectedSession(session)}
+                  className="group p-2 rounded cursor-pointer hover:bg-white/10 transition-colors border border-white/10"
+                >
+                  <div className="flex items-center justify-between text-xs">
+                    <span className="text-white font-medium truncate">
+                      {new Date(session.startedAt).toLocaleString()}
+                    </span>
+                    {session.id === activeSessionId ? (
+                      <span className="text-green-400 flex-shrink-0 ml-2">● live</span>
+                    ) : (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleDelete(session);
+                        }}
+                        className="opacity-0 group-hover:opacity-100 text-white/50 hover:text-red-400 ml-2 transition-opacity"
+                        title="Delete conversation"
+                      >
+                        🗑️
+                      </button>
+                    )}
+                  </div>
+                  <div className="text-xs text-white/50 truncate">
+                    📡 {session.channel}
+                    {session.avatar && ` • ${session.avatar}`}
+                    {` • ${session.messageCount} msg • ${formatDuration(session)}`}
+                  </div>
+                  {session.preview && (
+                    <div className="text-xs text-white/70 truncate mt-0.5">{session.preview}</div>
+                  )}
+                </div>
+              ))
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
@@ -1,69 +1,210 @@
 import { useState, useEffect } from 'react';
+import { useAgora } from '../hooks/useAgora';
+import { DEFAULT_TTS_VENDOR, TTS_VENDORS, getTtsVendor } from '../services/ttsVendors';
+import {
+  applyConfigValues,
+  deleteProfile,
+  downloadProfiles,
+  getActiveProfileName,
+  importProfiles,
+  listProfiles,
+  loadProfile,
+  saveProfile,
+} from '../services/settingsProfiles';
+import { DEFAULT_LLM_PROVIDER, LLM_MODALITIES, LLM_PROVIDERS, LLM_STYLES, getLlmProvider, parseSystemMessages } from '../services/llmProviders';
+import { DIAGNOSTIC_CHECKS, runDiagnostics } from '../services/diagnostics';
+import { backendSessionUrl, getBackendSession, signInToBackend, signOutOfBackend } from '../services/backendSession';
+import { AI_DENOISER_LEVELS, AI_DENOISER_MODES, DEFAULT_AI_DENOISER_ASSETS_PATH } from '../services/audioProcessing';
+import { LATENCY_OFFSET_RANGE } from '../services/lipSyncLatency';
+
+// Current value: this session's settings first, then the build-time environment
+const configValue = (key) => sessionStorage.getItem(key) || import.meta.env[key];
+
+const DIAGNOSTIC_ICONS = { pass: '✅', warn: '⚠️', fail: '❌', skip: '⏭️' };
+const DIAGNOSTIC_COLORS = { pass: 'text-green-700', warn: 'text-yellow-700', fail: 'text-red-600', skip: 'text-gray-500' };
+
+// Form state for the config the app is running with right now
+const readSettings = () => {
+  const ttsVendor = configValue('VITE_TTS_VENDOR') || DEFAULT_TTS_VENDOR;
+  const ttsDefaults = getTtsVendor(ttsVendor).defaults;
+  const llmProvider = configValue('VITE_LLM_PROVIDER') || DEFAULT_LLM_PROVIDER;
+  return {
+    // Agora Configuration
+    agoraAppId: configValue('VITE_AGORA_APP_ID') || '',
+    agoraToken: configValue('VITE_AGORA_TOKEN') || '',
+    agoraTokenEndpoint: configValue('VITE_AGORA_TOKEN_ENDPOINT') || '',
+    agoraChannel: configValue('VITE_AGORA_CHANNEL') || 'AgoraAgent_Channel',
+    
+    // ConvoAI REST API Configuration
+    convoaiApiBaseUrl: configValue('VITE_CONVOAI_API_BASE_URL') || 'https://api.agora.io/api/conversational-ai-agent/v2',
+    convoaiProxyUrl: configValue('VITE_CONVOAI_PROXY_URL') || '',
+    restfulApiKey: configValue('VITE_RESTFUL_API_KEY') || '',
+    restfulPassword: configValue('VITE_RESTFUL_PASSWORD') || '',
+    convoaiAgentName: configValue('VITE_CONVOAI_AGENT_NAME') || 'Agora Agent',
+    convoaiAgentUid: configValue('VITE_CONVOAI_AGENT_UID') || '8888',
+    
+    // LLM Configuration
+    llmProvider: llmProvider,
+    llmUrl: configValue('VITE_LLM_URL') || getLlmProvider(llmProvider).url,
+    llmApiKey: configValue('VITE_LLM_API_KEY') || '',
+    llmModel: configValue('VITE_LLM_MODEL') || getLlmProvider(llmProvider).models[0],
+    llmTemperature: configValue('VITE_LLM_TEMPERATURE') || '',
+    llmMaxTokens: configValue('VITE_LLM_MAX_TOKENS') || '',
+    llmStyle: configValue('VITE_LLM_STYLE') || getLlmProvider(llmProvider).style,
+    llmInputModalities: configValue('VITE_LLM_INPUT_MODALITIES') || 'text',
+    llmOutputModalities: configValue('VITE_LLM_OUTPUT_MODALITIES') || 'text',
+    llmSystemMessages: parseSystemMessages(
+      configValue('VITE_LLM_SYSTEM_MESSAGES'),
+      configValue('VITE_LLM_SYSTEM_MESSAGE') || 'You are a friendly Agora agent assistant.'
+    ),
+    llmGreeting: configValue('VITE_LLM_GREETING') || "Hello! I'm your Agora agent. How can I help you today?",
+    
+    // TTS Configuration
+    ttsVendor: ttsVendor,
+    ttsApiKey: configValue('VITE_TTS_API_KEY') || '',
+    ttsRegion: configValue('VITE_TTS_REGION') || ttsDefaults.ttsRegion || '',
+    ttsVoiceName: configValue('VITE_TTS_VOICE_NAME') || ttsDefaults.ttsVoiceName || '',
+    ttsModel: configValue('VITE_TTS_MODEL') || ttsDefaults.ttsModel || '',
+    ttsGroupId: configValue('VITE_TTS_GROUP_ID') || '',
+    
+    // ASR Configuration
+    asrLanguage: configValue('VITE_ASR_LANGUAGE') || 'en-US',
+    
+    // Audio Processing - echo cancellation etc. default on
+    audioAec: configValue('VITE_AUDIO_AEC') !== 'false',
+    audioAns: configValue('VITE_AUDIO_ANS') !== 'false',
+    audioAgc: configValue('VITE_AUDIO_AGC') !== 'false',
+    aiDenoiser: configValue('VITE_AI_DENOISER') === 'true',
+    aiDenoiserMode: configValue('VITE_AI_DENOISER_MODE') || 'NSNG',
+    aiDenoiserLevel: configValue('VITE_AI_DENOISER_LEVEL') || 'AGGRESSIVE',
+    aiDenoiserAssetsPath: configValue('VITE_AI_DENOISER_ASSETS_PATH') || '',
+
+    // Lip Sync (key spelled so handleReset maps it to VITE_LIPSYNC_*)
+    lipsyncTextDriven: configValue('VITE_LIPSYNC_TEXT_DRIVEN') !== 'false',
+    lipsyncLatencyOffset: configValue('VITE_LIPSYNC_LATENCY_OFFSET') || '',
+  };
+};
 
 const Settings = ({ isOpen, onClose }) => {
+  const { notify } = useAgora();
   const [settings, setSettings] = useState({
     // Agora Configuration
     agoraAppId: '',
     agoraToken: '',
+    agoraTokenEndpoint: '',
     agoraChannel: '',
     
     // ConvoAI REST API Configuration
     convoaiApiBaseUrl: '',
+    convoaiProxyUrl: '',
     restfulApiKey: '',
     restfulPassword: '',
     convoaiAgentName: '',
     convoaiAgentUid: '',
     
     // LLM Configuration
+    llmProvider: '',
     llmUrl: '',
     llmApiKey: '',
     llmModel: '',
-    llmSystemMessage: '',
+    llmTemperature: '',
+    llmMaxTokens: '',
+    llmStyle: '',
+    llmInputModalities: '',
+    llmOutputModalities: '',
+    llmSystemMessages: [],
     llmGreeting: '',
     
     // TTS Configuration
+    ttsVendor: '',
     ttsApiKey: '',
     ttsRegion: '',
     ttsVoiceName: '',
+    ttsModel: '',
+    ttsGroupId: '',
     
     // ASR Configuration
     asrLanguage: '',
+    
+    // Audio Processing
+    audioAec: true,
+    audioAns: true,
+    audioAgc: true,
+    aiDenoiser: false,
+    aiDenoiserMode: '',
+    aiDenoiserLevel: '',
+    aiDenoiserAssetsPath: '',
+
+    // Lip Sync
+    lipsyncTextDriven: true,
+    lipsyncLatencyOffset: '',
+  });
+
+  // Named profiles in localStorage (see services/settingsProfiles.js)
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfile, setActiveProfile] = useState(null);
+  const [selectedProfile, setSelectedProfile] = useState('');
+  const [newProfileName, setNewProfileName] = useState('');
+  const [profilePassphrase, setProfilePassphrase] = useState('');
+  const [profileStatus, setProfileStatus] = useState(null); // {type: 'success' | 'error', text}
+
+  // Backend sign-in (see services/backendSession.js) - the password only lives in this form
+  const [backendUser, setBackendUser] = useState(null);
+  const [backendCredentials, setBackendCredentials] = useState({ username: '', password: '' });
+  const [backendSignInError, setBackendSignInError] = useState(null);
+  const backendSessionEndpoint = backendSessionUrl({
+    proxyUrl: settings.convoaiProxyUrl,
+    tokenEndpoint: settings.agoraTokenEndpoint,
   });
 
-  // Load current environment variables when component mounts
+  // Diagnostics results by check id (see services/diagnostics.js)
+  const [diagnostics, setDiagnostics] = useState({});
+  const [runningDiagnostics, setRunningDiagnostics] = useState(false);
+
+  // Load the current settings (session, then environment) when the panel opens
   useEffect(() => {
     if (isOpen) {
-      setSettings({
-        // Agora Configuration
-        agoraAppId: import.meta.env.VITE_AGORA_APP_ID || '',
-        agoraToken: import.meta.env.VITE_AGORA_TOKEN || '',
-        agoraChannel: import.meta.env.VITE_AGORA_CHANNEL || 'AgoraAgent_Channel',
-        
-        // ConvoAI REST API Configuration
-        convoaiApiBaseUrl: import.meta.env.VITE_CONVOAI_API_BASE_URL || 'https://api.agora.io/api/conversational-ai-agent/v2',
-        restfulApiKey: import.meta.env.VITE_RESTFUL_API_KEY || '',
-        restfulPassword: import.meta.env.VITE_RESTFUL_PASSWORD || '',
-        convoaiAgentName: import.meta.env.VITE_CONVOAI_AGENT_NAME || 'Agora Agent',
-        convoaiAgentUid: import.meta.env.VITE_CONVOAI_AGENT_UID || '8888',
-        
-        // LLM Configuration
-        llmUrl: import.meta.env.VITE_LLM_URL || 'https://api.openai.com/v1/chat/completions',
-        llmApiKey: import.meta.env.VITE_LLM_API_KEY || '',
-        llmModel: import.meta.env.VITE_LLM_MODEL || 'gpt-4o-mini',
-        llmSystemMessage: import.meta.env.VITE_LLM_SYSTEM_MESSAGE || 'You are a friendly Agora agent assistant.',
-        llmGreeting: import.meta.env.VITE_LLM_GREETING || "Hello! I'm your Agora agent. How can I help you today?",
-        
-        // TTS Configuration
-        ttsApiKey: import.meta.env.VITE_TTS_API_KEY || '',
-        ttsRegion: import.meta.env.VITE_TTS_REGION || 'eastus',
-        ttsVoiceName: import.meta.env.VITE_TTS_VOICE_NAME || 'en-US-AriaNeural',
-        
-        // ASR Configuration
-        asrLanguage: import.meta.env.VITE_ASR_LANGUAGE || 'en-US',
-      });
+      setSettings(readSettings());
+      setProfiles(listProfiles());
+      setActiveProfile(getActiveProfileName());
+      setSelectedProfile(getActiveProfileName() || '');
+      setProfileStatus(null);
+      setDiagnostics({});
     }
   }, [isOpen]);
 
+  useEffect(() => {
+    if (!isOpen || !backendSessionEndpoint) {
+      setBackendUser(null);
+      return;
+    }
+    let cancelled = false;
+    getBackendSession(backendSessionEndpoint)
+      .then(session => !cancelled && setBackendUser(session ? session.user : null))
+      .catch(() => !cancelled && setBackendUser(null));
+    return () => { cancelled = true; };
+  }, [isOpen, backendSessionEndpoint]);
+
+  const handleBackendSignIn = async () => {
+    setBackendSignInError(null);
+    try {
+      const user = await signInToBackend(backendSessionEndpoint, backendCredentials);
+      setBackendUser(user);
+      setBackendCredentials({ username: '', password: '' });
+    } catch (error) {
+      setBackendSignInError(error.message);
+    }
+  };
+
+  const handleBackendSignOut = async () => {
+    try {
+      await signOutOfBackend(backendSessionEndpoint);
+    } catch (error) {
+      console.warn('⚠️ Backend sign-out failed:', error);
+    }
+    setBackendUser(null);
+  };
+
   const handleInputChange = (field, value) => {
     setSettings(prev => ({
       ...prev,
@@ -71,43 +212,205 @@ const Settings = ({ isOpen, onClose }) => {
     }));
   };
 
-  const handleSave = () => {
-    // Store settings in sessionStorage so they persist during the session
-    const configToStore = {
+  // A provider preset fills in its URL, default model and style - all still editable
+  const handleLlmProviderChange = (providerId) => {
+    const provider = getLlmProvider(providerId);
+    setSettings(prev => ({
+      ...prev,
+      llmProvider: providerId,
+      llmUrl: provider.url,
+      llmModel: provider.models[0],
+      llmStyle: provider.style,
+    }));
+  };
+
+  const handleSystemMessageChange = (index, value) => {
+    setSettings(prev => ({
+      ...prev,
+      llmSystemMessages: prev.llmSystemMessages.map((message, i) => (i === index ? value : message)),
+    }));
+  };
+
+  const addSystemMessage = () => {
+    setSettings(prev => ({ ...prev, llmSystemMessages: [...prev.llmSystemMessages, ''] }));
+  };
+
+  const removeSystemMessage = (index) => {
+    setSettings(prev => ({ ...prev, llmSystemMessages: prev.llmSystemMessages.filter((_, i) => i !== index) }));
+  };
+
+  // Switching TTS vendor swaps in that vendor's default voice/model - their ids don't carry over
+  const handleTtsVendorChange = (vendorId) => {
+    setSettings(prev => ({
+      ...prev,
+      ...getTtsVendor(vendorId).defaults,
+      ttsVendor: vendorId,
+    }));
+  };
+
+  // Form state as VITE_* config values
+  const buildConfigValues = () => ({
       VITE_AGORA_APP_ID: settings.agoraAppId,
       VITE_AGORA_TOKEN: settings.agoraToken,
+      VITE_AGORA_TOKEN_ENDPOINT: settings.agoraTokenEndpoint,
       VITE_AGORA_CHANNEL: settings.agoraChannel,
       VITE_RESTFUL_API_KEY: settings.restfulApiKey,
       VITE_RESTFUL_PASSWORD: settings.restfulPassword,
       VITE_CONVOAI_AGENT_NAME: settings.convoaiAgentName,
       VITE_CONVOAI_AGENT_UID: settings.convoaiAgentUid,
       VITE_CONVOAI_API_BASE_URL: settings.convoaiApiBaseUrl,
+      VITE_CONVOAI_PROXY_URL: settings.convoaiProxyUrl,
+      VITE_LLM_PROVIDER: settings.llmProvider,
       VITE_LLM_URL: settings.llmUrl,
       VITE_LLM_API_KEY: settings.llmApiKey,
       VITE_LLM_MODEL: settings.llmModel,
-      VITE_LLM_SYSTEM_MESSAGE: settings.llmSystemMessage,
+      VITE_LLM_TEMPERATURE: settings.llmTemperature,
+      VITE_LLM_MAX_TOKENS: settings.llmMaxTokens,
+      VITE_LLM_STYLE: settings.llmStyle,
+      VITE_LLM_INPUT_MODALITIES: settings.llmInputModalities,
+      VITE_LLM_OUTPUT_MODALITIES: settings.llmOutputModalities,
+      VITE_LLM_SYSTEM_MESSAGES: JSON.stringify(settings.llmSystemMessages.filter(message => message.trim())),
       VITE_LLM_GREETING: settings.llmGreeting,
+      VITE_TTS_VENDOR: settings.ttsVendor,
       VITE_TTS_API_KEY: settings.ttsApiKey,
       VITE_TTS_REGION: settings.ttsRegion,
       VITE_TTS_VOICE_NAME: settings.ttsVoiceName,
+      VITE_TTS_MODEL: settings.ttsModel,
+      VITE_TTS_GROUP_ID: settings.ttsGroupId,
       VITE_ASR_LANGUAGE: settings.asrLanguage,
-    };
+      VITE_AUDIO_AEC: String(settings.audioAec),
+      VITE_AUDIO_ANS: String(settings.audioAns),
+      VITE_AUDIO_AGC: String(settings.audioAgc),
+      VITE_AI_DENOISER: String(settings.aiDenoiser),
+      VITE_AI_DENOISER_MODE: settings.aiDenoiserMode,
+      VITE_AI_DENOISER_LEVEL: settings.aiDenoiserLevel,
+      VITE_AI_DENOISER_ASSETS_PATH: settings.aiDenoiserAssetsPath,
+      VITE_LIPSYNC_TEXT_DRIVEN: String(settings.lipsyncTextDriven),
+      VITE_LIPSYNC_LATENCY_OFFSET: settings.lipsyncLatencyOffset,
+  });
+
+  const handleSave = async () => {
+    const configToStore = buildConfigValues();
 
-    // Store in sessionStorage
+    // Store in sessionStorage - cleared fields fall back to the environment defaults
     Object.entries(configToStore).forEach(([key, value]) => {
       if (value) {
         sessionStorage.setItem(key, value);
+      } else {
+        sessionStorage.removeItem(key);
       }
     });
 
     // Trigger custom event to notify components of sessionStorage update
     window.dispatchEvent(new Event('sessionStorageUpdate'));
 
-    // Show success message
-    alert('Settings saved! Please refresh the page for changes to take effect.');
+    // Keep the active profile in step so the settings survive closing the tab
+    let profileNote = '';
+    let profileFailed = false;
+    const active = profiles.find(profile => profile.name === activeProfile);
+    if (active) {
+      if (active.encrypted && !profilePassphrase) {
+        profileNote = ` Profile "${active.name}" was not updated - enter its passphrase to save into it.`;
+      } else {
+        try {
+          // Re-encrypt only under the profile's own passphrase, never a mistyped one
+          if (active.encrypted) {
+            await loadProfile(active.name, { passphrase: profilePassphrase });
+          }
+          await saveProfile(active.name, configToStore, { passphrase: profilePassphrase });
+          profileNote = ` Profile "${active.name}" updated.`;
+        } catch (error) {
+          profileNote = ` Profile "${active.name}" was not updated (${error.message}).`;
+          profileFailed = true;
+        }
+      }
+    }
+
+    notify({
+      type: profileFailed ? 'warning' : 'success',
+      title: 'Settings saved and applied',
+      message: `${profileNote.trim()} Changes to the Agora App ID or channel take effect on the next connect.`.trim(),
+    });
     onClose();
   };
 
+  const showProfileError = (error) => {
+    setProfileStatus({ type: 'error', text: error.message || String(error) });
+  };
+
+  // Switch the whole app to another profile - the provider re-reads its config, no reload
+  const handleSwitchProfile = async () => {
+    if (!selectedProfile) return;
+    try {
+      const values = await loadProfile(selectedProfile, { passphrase: profilePassphrase });
+      applyConfigValues(values, selectedProfile);
+      setSettings(readSettings());
+      setActiveProfile(selectedProfile);
+      setProfileStatus({ type: 'success', text: `Switched to "${selectedProfile}"` });
+    } catch (error) {
+      showProfileError(error);
+    }
+  };
+
+  // Save the form as a profile (encrypting secrets if a passphrase is set) and switch to it
+  const handleSaveProfile = async () => {
+    const name = newProfileName.trim() || selectedProfile;
+    try {
+      const values = buildConfigValues();
+      const savedName = await saveProfile(name, values, { passphrase: profilePassphrase });
+      applyConfigValues(values, savedName);
+      setProfiles(listProfiles());
+      setActiveProfile(savedName);
+      setSelectedProfile(savedName);
+      setNewProfileName('');
+      setProfileStatus({
+        type: 'success',
+        text: `Saved "${savedName}"${profilePassphrase ? ' with encrypted secrets' : ' - secrets are stored unencrypted'}`,
+      });
+    } catch (error) {
+      showProfileError(error);
+    }
+  };
+
+  const handleDeleteProfile = () => {
+    if (!selectedProfile || !window.confirm(`Delete the settings profile "${selectedProfile}"?`)) {
+      return;
+    }
+    deleteProfile(selectedProfile);
+    setProfiles(listProfiles());
+    setActiveProfile(getActiveProfileName());
+    setProfileStatus({ type: 'success', text: `Deleted "${selectedProfile}"` });
+    setSelectedProfile('');
+  };
+
+  const handleImportProfiles = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+    try {
+      const imported = importProfiles(await file.text());
+      setProfiles(listProfiles());
+      setProfileStatus({ type: 'success', text: `Imported ${imported.length} profile(s): ${imported.join(', ')}` });
+    } catch (error) {
+      showProfileError(error);
+    }
+  };
+
+  // Check the form values as they are now - nothing needs to be saved first
+  const handleRunDiagnostics = async () => {
+    setRunningDiagnostics(true);
+    setDiagnostics({});
+    try {
+      const values = { ...buildConfigValues(), VITE_MOCK_RTC_URL: configValue('VITE_MOCK_RTC_URL') };
+      const results = await runDiagnostics(values, (result) => {
+        setDiagnostics(prev => ({ ...prev, [result.id]: result }));
+      });
+      console.log('🩺 Diagnostics:', results);
+    } finally {
+      setRunningDiagnostics(false);
+    }
+  };
+
   const handleReset = () => {
     // Clear sessionStorage
     Object.keys(settings).forEach(key => {
@@ -119,22 +422,42 @@ const Settings = ({ isOpen, onClose }) => {
     setSettings({
       agoraAppId: '',
       agoraToken: '',
-      agoraChannel: 'AgoraAgent_Channel',
+      agoraTokenEndpoint: '',
+        agoraChannel: 'AgoraAgent_Channel',
       convoaiApiBaseUrl: 'https://api.agora.io/api/conversational-ai-agent/v2',
+      convoaiProxyUrl: '',
       authCode: '',
       restfulApiKey: '',
       restfulPassword: '',
       convoaiAgentName: 'Agora Agent',
       convoaiAgentUid: '8888',
+      llmProvider: DEFAULT_LLM_PROVIDER,
       llmUrl: 'https://api.openai.com/v1/chat/completions',
       llmApiKey: '',
       llmModel: 'gpt-4o-mini',
-      llmSystemMessage: 'You are a friendly Agora agent assistant.',
+      llmTemperature: '',
+      llmMaxTokens: '',
+      llmStyle: 'openai',
+      llmInputModalities: 'text',
+      llmOutputModalities: 'text',
+      llmSystemMessages: ['You are a friendly Agora agent assistant.'],
       llmGreeting: "Hello! I am your Agora agent. How can I help you today?",
+      ttsVendor: DEFAULT_TTS_VENDOR,
       ttsApiKey: '',
       ttsRegion: 'eastus',
       ttsVoiceName: 'en-US-AriaNeural',
+      ttsModel: '',
+      ttsGroupId: '',
       asrLanguage: 'en-US',
+      audioAec: true,
+      audioAns: true,
+      audioAgc: true,
+      aiDenoiser: false,
+      aiDenoiserMode: 'NSNG',
+      aiDenoiserLevel: 'AGGRESSIVE',
+      aiDenoiserAssetsPath: '',
+      lipsyncTextDriven: true,
+      lipsyncLatencyOffset: '',
     });
   };
 
@@ -154,6 +477,126 @@ const Settings = ({ isOpen, onClose }) => {
         </div>
 
         <div className="p-6 space-y-8">
+          {/* Settings Profiles */}
+          <div className="border rounded-lg p-4 bg-gray-50">
+            <h3 className="text-lg font-semibold text-gray-800 mb-1">💾 Profiles</h3>
+            <p className="text-xs text-gray-500 mb-4">
+              Keep named configurations (e.g. staging and prod) in this browser and switch between them without reloading.
+              {activeProfile ? <> Active: <span className="font-medium">{activeProfile}</span></> : ' No profile active - settings last until the tab closes.'}
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="flex gap-2">
+                <select
+                  value={selectedProfile}
+                  onChange={(e) => setSelectedProfile(e.target.value)}
+                  className="flex-1 p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-gray-500 focus:border-transparent"
+                >
+                  <option value="">Select a profile...</option>
+                  {profiles.map(profile => (
+                    <option key={profile.name} value={profile.name}>
+                      {profile.encrypted ? '🔒 ' : ''}{profile.name}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={handleSwitchProfile}
+                  disabled={!selectedProfile}
+                  className="px-3 py-2 text-sm rounded-md transition-colors bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Switch
+                </button>
+                <button
+                  onClick={handleDeleteProfile}
+                  disabled={!selectedProfile}
+                  className="px-3 py-2 text-sm rounded-md transition-colors bg-gray-200 text-gray-700 hover:bg-red-100 hover:text-red-700 disabled:opacity-50"
+                >
+                  Delete
+                </button>
+              </div>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={newProfileName}
+                  onChange={(e) => setNewProfileName(e.target.value)}
+                  className="flex-1 p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-gray-500 focus:border-transparent"
+                  placeholder={selectedProfile ? `Save as "${selectedProfile}" or a new name` : 'New profile name'}
+                />
+                <button
+                  onClick={handleSaveProfile}
+                  disabled={!newProfileName.trim() && !selectedProfile}
+                  className="px-3 py-2 text-sm rounded-md transition-colors bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+                >
+                  Save Profile
+                </button>
+              </div>
+              <div>
+                <input
+                  type="password"
+                  value={profilePassphrase}
+                  onChange={(e) => setProfilePassphrase(e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-gray-500 focus:border-transparent"
+                  placeholder="Passphrase (optional - encrypts tokens, keys and passwords)"
+                  autoComplete="new-password"
+                />
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => downloadProfiles()}
+                  disabled={profiles.length === 0}
+                  className="px-3 py-2 text-sm rounded-md transition-colors bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50"
+                >
+                  Export JSON
+                </button>
+                <label className="px-3 py-2 text-sm rounded-md transition-colors bg-gray-200 text-gray-700 hover:bg-gray-300 cursor-pointer">
+                  Import JSON
+                  <input type="file" accept="application/json,.json" onChange={handleImportProfiles} className="hidden" />
+                </label>
+              </div>
+            </div>
+            {profileStatus && (
+              <p className={`text-sm mt-3 ${profileStatus.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>
+                {profileStatus.text}
+              </p>
+            )}
+          </div>
+
+          {/* Diagnostics */}
+          <div className="border rounded-lg p-4 bg-gray-50">
+            <div className="flex justify-between items-start mb-4">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-800 mb-1">🩺 Diagnostics</h3>
+                <p className="text-xs text-gray-500">
+                  Tests the values in this form against the real services - run it before saving to find setup problems.
+                </p>
+              </div>
+              <button
+                onClick={handleRunDiagnostics}
+                disabled={runningDiagnostics}
+                className="px-3 py-2 text-sm rounded-md transition-colors bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 whitespace-nowrap"
+              >
+                {runningDiagnostics ? 'Running...' : 'Run checks'}
+              </button>
+            </div>
+            <ul className="space-y-2">
+              {DIAGNOSTIC_CHECKS.map(check => {
+                const result = diagnostics[check.id];
+                return (
+                  <li key={check.id} className="flex gap-2 text-sm">
+                    <span className="w-5 text-center">
+                      {result ? DIAGNOSTIC_ICONS[result.status] : (runningDiagnostics ? '⏳' : '•')}
+                    </span>
+                    <div>
+                      <span className="font-medium text-gray-700">{check.label}</span>
+                      {result && (
+                        <p className={`text-xs ${DIAGNOSTIC_COLORS[result.status]}`}>{result.message}</p>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+
           {/* Agora Configuration */}
           <div className="border rounded-lg p-4 bg-blue-50">
             <h3 className="text-lg font-semibold text-blue-800 mb-4">🎯 Agora Configuration</h3>
@@ -184,16 +627,81 @@ const Settings = ({ isOpen, onClose }) => {
               </div>
               <div className="md:col-span-2">
                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Token *
+                  Token {settings.agoraTokenEndpoint ? '(not used with a token server)' : '*'}
                 </label>
                 <textarea
                   value={settings.agoraToken}
                   onChange={(e) => handleInputChange('agoraToken', e.target.value)}
                   rows={2}
-                  className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  disabled={!!settings.agoraTokenEndpoint}
+                  className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100 disabled:text-gray-400"
                   placeholder="Your Agora Token"
                 />
               </div>
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Token Server URL (optional)
+                </label>
+                <input
+                  type="text"
+                  value={settings.agoraTokenEndpoint}
+                  onChange={(e) => handleInputChange('agoraTokenEndpoint', e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  placeholder="https://your-backend.example.com/api/agora/token"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Fetches separate user and agent tokens (see backend-example.js) and renews them before they expire
+                </p>
+              </div>
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Backend Sign-in (token server / proxy)
+                </label>
+                {backendUser ? (
+                  <div className="flex flex-row items-center gap-3">
+                    <span className="flex-1 text-sm text-green-700">Signed in as {backendUser}</span>
+                    <button
+                      type="button"
+                      onClick={handleBackendSignOut}
+                      className="px-3 py-2 text-sm bg-gray-500 text-white rounded-md hover:bg-gray-600"
+                    >
+                      Sign out
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex flex-row items-center gap-3">
+                    <input
+                      type="text"
+                      value={backendCredentials.username}
+                      onChange={(e) => setBackendCredentials(prev => ({ ...prev, username: e.target.value }))}
+                      className="flex-1 p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      placeholder="Username"
+                      autoComplete="username"
+                    />
+                    <input
+                      type="password"
+                      value={backendCredentials.password}
+                      onChange={(e) => setBackendCredentials(prev => ({ ...prev, password: e.target.value }))}
+                      className="flex-1 p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      placeholder="Password"
+                      autoComplete="current-password"
+                    />
+                    <button
+                      type="button"
+                      onClick={handleBackendSignIn}
+                      disabled={!backendSessionEndpoint || !backendCredentials.username}
+                      className="px-3 py-2 text-sm bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50"
+                    >
+                      Sign in
+                    </button>
+                  </div>
+                )}
+                <p className={`text-xs mt-1 ${backendSignInError ? 'text-red-600' : 'text-gray-500'}`}>
+                  {backendSignInError || (backendSessionEndpoint
+                    ? `Your backend account (PROXY_USERS in backend-example.js) - the backend keeps you signed in with a cookie, the password is not stored`
+                    : 'Set a token server or backend proxy URL to sign in')}
+                </p>
+              </div>
             </div>
           </div>
 
@@ -216,6 +724,22 @@ const Settings = ({ isOpen, onClose }) => {
                   The Agora ConvoAI REST API endpoint
                 </p>
               </div>
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Backend Proxy URL (recommended for public deployments)
+                </label>
+                <input
+                  type="url"
+                  value={settings.convoaiProxyUrl}
+                  onChange={(e) => handleInputChange('convoaiProxyUrl', e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                  placeholder="https://your-backend.example.com/api/convoai"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  When set, agents are started, stopped and updated through your backend (see backend-example.js),
+                  which holds the RESTful, LLM and TTS keys - leave the key fields below empty
+                </p>
+              </div>
               
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -272,6 +796,23 @@ const Settings = ({ isOpen, onClose }) => {
           <div className="border rounded-lg p-4 bg-purple-50">
             <h3 className="text-lg font-semibold text-purple-800 mb-4">🧠 LLM Settings</h3>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Provider
+                </label>
+                <select
+                  value={settings.llmProvider}
+                  onChange={(e) => handleLlmProviderChange(e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                >
+                  {Object.entries(LLM_PROVIDERS).map(([providerId, provider]) => (
+                    <option key={providerId} value={providerId}>{provider.label}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  Fills in the URL, model and style below - LLM changes are applied to a running agent when you save
+                </p>
+              </div>
               <div className="md:col-span-2">
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   LLM API URL *
@@ -281,7 +822,7 @@ const Settings = ({ isOpen, onClose }) => {
                   value={settings.llmUrl}
                   onChange={(e) => handleInputChange('llmUrl', e.target.value)}
                   className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-                  placeholder="https://api.openai.com/v1/chat/completions"
+                  placeholder={getLlmProvider(settings.llmProvider).url}
                 />
                 <p className="text-xs text-gray-500 mt-1">
                   The endpoint URL for your LLM service (e.g., OpenAI, Azure OpenAI, etc.)
@@ -289,7 +830,7 @@ const Settings = ({ isOpen, onClose }) => {
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                  OpenAI API Key *
+                  {getLlmProvider(settings.llmProvider).label} API Key {getLlmProvider(settings.llmProvider).requiresKey && !settings.convoaiProxyUrl ? '*' : '(optional)'}
                 </label>
                 <input
                   type="password"
@@ -303,28 +844,123 @@ const Settings = ({ isOpen, onClose }) => {
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Model
                 </label>
-                <select
+                <input
+                  type="text"
+                  list="llm-model-options"
                   value={settings.llmModel}
                   onChange={(e) => handleInputChange('llmModel', e.target.value)}
                   className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  placeholder={getLlmProvider(settings.llmProvider).models[0]}
+                />
+                <datalist id="llm-model-options">
+                  {getLlmProvider(settings.llmProvider).models.map(model => (
+                    <option key={model} value={model} />
+                  ))}
+                </datalist>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Temperature
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  max="2"
+                  step="0.1"
+                  value={settings.llmTemperature}
+                  onChange={(e) => handleInputChange('llmTemperature', e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  placeholder="Provider default"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Max Tokens
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={settings.llmMaxTokens}
+                  onChange={(e) => handleInputChange('llmMaxTokens', e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  placeholder={getLlmProvider(settings.llmProvider).maxTokens ? String(getLlmProvider(settings.llmProvider).maxTokens) : 'Provider default'}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Style
+                </label>
+                <select
+                  value={settings.llmStyle}
+                  onChange={(e) => handleInputChange('llmStyle', e.target.value)}
+                  className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-purple-500 focus:border-transparent"
                 >
-                  <option value="gpt-4o-mini">GPT-4o Mini</option>
-                  <option value="gpt-4o">GPT-4o</option>
-                  <option value="gpt-4-turbo">GPT-4 Turbo</option>
-                  <option value="gpt-3.5-turbo">GPT-3.5 Turbo</option>
+                  {LLM_STYLES.map(style => (
+                    <option key={style} value={style}>{style}</option>
+                  ))}
                 </select>
               </div>
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Input
+                  </label>
+                  <select
+                    value={settings.llmInputModalities}
+                    onChange={(e) => handleInputChange('llmInputModalities', e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  >
+                    {LLM_MODALITIES.input.map(modality => (
+                      <option key={modality} value={modality}>{modality.replace(',', ' + ')}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Output
+                  </label>
+                  <select
+                    value={settings.llmOutputModalities}
+                    onChange={(e) => handleInputChange('llmOutputModalities', e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  >
+                    {LLM_MODALITIES.output.map(modality => (
+                      <option key={modality} value={modality}>{modality.replace(',', ' + ')}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
               <div className="md:col-span-2">
                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                  System Message
+                  System Messages
                 </label>
-                <textarea
-                  value={settings.llmSystemMessage}
-                  onChange={(e) => handleInputChange('llmSystemMessage', e.target.value)}
-                  rows={2}
-                  className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-                  placeholder="You are a friendly Agora agent assistant."
-                />
+                <div className="space-y-2">
+                  {settings.llmSystemMessages.map((message, index) => (
+                    <div key={index} className="flex gap-2">
+                      <textarea
+                        value={message}
+                        onChange={(e) => handleSystemMessageChange(index, e.target.value)}
+                        rows={2}
+                        className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                        placeholder="You are a friendly Agora agent assistant."
+                      />
+                      <button
+                        onClick={() => removeSystemMessage(index)}
+                        className="px-2 text-gray-500 hover:text-red-600"
+                        title="Remove system message"
+                      >
+                        ×
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    onClick={addSystemMessage}
+                    className="text-sm text-purple-700 hover:text-purple-900"
+                  >
+                    + Add system message
+                  </button>
+                </div>
               </div>
               <div className="md:col-span-2">
                 <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -345,53 +981,50 @@ const Settings = ({ isOpen, onClose }) => {
           <div className="border rounded-lg p-4 bg-orange-50">
             <h3 className="text-lg font-semibold text-orange-800 mb-4">🎤 Text-to-Speech (TTS)</h3>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Azure TTS API Key *
-                </label>
-                <input
-                  type="password"
-                  value={settings.ttsApiKey}
-                  onChange={(e) => handleInputChange('ttsApiKey', e.target.value)}
-                  className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-orange-500 focus:border-transparent"
-                  placeholder="Your Azure TTS API Key"
-                />
-              </div>
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Region
-                </label>
-                <select
-                  value={settings.ttsRegion}
-                  onChange={(e) => handleInputChange('ttsRegion', e.target.value)}
-                  className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-orange-500 focus:border-transparent"
-                >
-                  <option value="eastus">East US</option>
-                  <option value="westus">West US</option>
-                  <option value="eastus2">East US 2</option>
-                  <option value="westus2">West US 2</option>
-                  <option value="centralus">Central US</option>
-                  <option value="northeurope">North Europe</option>
-                  <option value="westeurope">West Europe</option>
-                </select>
-              </div>
-              <div>
+              <div className="md:col-span-2">
                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Voice Name
+                  TTS Vendor *
                 </label>
                 <select
-                  value={settings.ttsVoiceName}
-                  onChange={(e) => handleInputChange('ttsVoiceName', e.target.value)}
+                  value={settings.ttsVendor}
+                  onChange={(e) => handleTtsVendorChange(e.target.value)}
                   className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-orange-500 focus:border-transparent"
                 >
-                  <option value="en-US-AriaNeural">Aria (English US, Female)</option>
-                  <option value="en-US-JennyNeural">Jenny (English US, Female)</option>
-                  <option value="en-US-GuyNeural">Guy (English US, Male)</option>
-                  <option value="en-US-DavisNeural">Davis (English US, Male)</option>
-                  <option value="en-GB-SoniaNeural">Sonia (English UK, Female)</option>
-                  <option value="en-GB-RyanNeural">Ryan (English UK, Male)</option>
+                  {Object.entries(TTS_VENDORS).map(([vendorId, vendor]) => (
+                    <option key={vendorId} value={vendorId}>{vendor.label}</option>
+                  ))}
                 </select>
               </div>
+              {getTtsVendor(settings.ttsVendor).fields.map(field => (
+                <div key={field.key}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {field.label}{field.required && !(field.secret && settings.convoaiProxyUrl) ? ' *' : ''}
+                  </label>
+                  {field.type === 'select' ? (
+                    <select
+                      value={settings[field.key]}
+                      onChange={(e) => handleInputChange(field.key, e.target.value)}
+                      className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                    >
+                      {/* Keep a custom value from the environment selectable */}
+                      {settings[field.key] && !field.options.some(option => option.value === settings[field.key]) && (
+                        <option value={settings[field.key]}>{settings[field.key]}</option>
+                      )}
+                      {field.options.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      type={field.type}
+                      value={settings[field.key]}
+                      onChange={(e) => handleInputChange(field.key, e.target.value)}
+                      className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-orange-500 focus:border-transparent"
+                      placeholder={field.placeholder}
+                    />
+                  )}
+                </div>
+              ))}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   ASR Language
@@ -413,6 +1046,122 @@ const Settings = ({ isOpen, onClose }) => {
               </div>
             </div>
           </div>
+
+          {/* Audio Processing */}
+          <div className="border rounded-lg p-4 bg-teal-50">
+            <h3 className="text-lg font-semibold text-teal-800 mb-1">🎧 Audio Processing</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Keep echo cancellation on when using speakers - otherwise the agent hears itself and interrupts its own answers.
+              Changing these reopens the microphone.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-2 mb-4">
+              {[
+                { key: 'audioAec', label: 'Echo cancellation (AEC)' },
+                { key: 'audioAns', label: 'Noise suppression (ANS)' },
+                { key: 'audioAgc', label: 'Auto gain control (AGC)' },
+              ].map(option => (
+                <label key={option.key} className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={settings[option.key]}
+                    onChange={(e) => handleInputChange(option.key, e.target.checked)}
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-700 cursor-pointer mb-3">
+              <input
+                type="checkbox"
+                checked={settings.aiDenoiser}
+                onChange={(e) => handleInputChange('aiDenoiser', e.target.checked)}
+              />
+              Agora AI Denoiser (AI noise suppression extension)
+            </label>
+            {settings.aiDenoiser && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Mode
+                  </label>
+                  <select
+                    value={settings.aiDenoiserMode}
+                    onChange={(e) => handleInputChange('aiDenoiserMode', e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-teal-500 focus:border-transparent"
+                  >
+                    {AI_DENOISER_MODES.map(mode => (
+                      <option key={mode.value} value={mode.value}>{mode.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Level
+                  </label>
+                  <select
+                    value={settings.aiDenoiserLevel}
+                    onChange={(e) => handleInputChange('aiDenoiserLevel', e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-teal-500 focus:border-transparent"
+                  >
+                    {AI_DENOISER_LEVELS.map(level => (
+                      <option key={level.value} value={level.value}>{level.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Assets Path
+                  </label>
+                  <input
+                    type="text"
+                    value={settings.aiDenoiserAssetsPath}
+                    onChange={(e) => handleInputChange('aiDenoiserAssetsPath', e.target.value)}
+                    className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-teal-500 focus:border-transparent"
+                    placeholder={DEFAULT_AI_DENOISER_ASSETS_PATH}
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Where the denoiser's .wasm files are served - leave empty for the copy bundled with this app.
+                  </p>
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* Lip Sync */}
+          <div className="border rounded-lg p-4 bg-pink-50">
+            <h3 className="text-lg font-semibold text-pink-800 mb-1">👄 Lip Sync</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              The avatar's mouth follows the agent's voice. With word timings from the transcript it can also
+              pick the exact shape of each sound - closed lips for p/b/m, rounded lips for oo/w.
+            </p>
+            <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={settings.lipsyncTextDriven}
+                onChange={(e) => handleInputChange('lipsyncTextDriven', e.target.checked)}
+              />
+              Transcript-driven visemes (word timings + pronunciation, audio sets the loudness)
+            </label>
+            <div className="mt-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Latency Offset (ms)
+              </label>
+              <input
+                type="number"
+                min={LATENCY_OFFSET_RANGE.min}
+                max={LATENCY_OFFSET_RANGE.max}
+                step="5"
+                value={settings.lipsyncLatencyOffset}
+                onChange={(e) => handleInputChange('lipsyncLatencyOffset', e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-pink-500 focus:border-transparent"
+                placeholder="0"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                The audio output latency is measured and compensated automatically. Raise this if the mouth still moves
+                before the sound, lower it (down to {LATENCY_OFFSET_RANGE.min}) if it lags - or calibrate it with the click track in the Audio Visualizer.
+              </p>
+            </div>
+          </div>
         </div>
 
         {/* Footer Actions */}
@@ -442,7 +1191,7 @@ const Settings = ({ isOpen, onClose }) => {
         {/* Help Text */}
         <div className="px-6 pb-4 text-sm text-gray-600">
           <p className="mb-2">
-            <strong>Note:</strong> Settings are saved in your browser session and will persist until you refresh the page or close the browser.
+            <strong>Note:</strong> Settings are saved in your browser session and will persist until you close the tab - save them as a profile to keep them in this browser.
           </p>
           <p>
             Fields marked with <span className="text-red-500">*</span> are required for the application to function properly.
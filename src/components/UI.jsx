@@ -1,9 +1,13 @@
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import { useChat } from "../hooks/useChat";
 import { useAgora } from "../hooks/useAgora";
 import Settings from "./Settings";
 import { CombinedChat } from "./CombinedChat";
 import AgoraProductsPanel from "./AgoraProductsPanel";
+import NotificationCenter from "./NotificationCenter";
+import { MicrophoneControls } from "./MicrophoneControls";
+import { CONNECTION_STATES, describeDisconnectReason } from "../services/connectionSupervisor";
+import { loadPersonas } from "../services/personas";
 
 export const UI = ({ 
   hidden, 
@@ -28,7 +32,57 @@ export const UI = ({
   const [showAnimationPanel, setShowAnimationPanel] = useState(false);
   
   const { chat, loading, cameraZoomed, setCameraZoomed, message } = useChat();
-  const { isConnected, isJoined, joinChannel, leaveChannel, audioLevel, config, agentId } = useAgora();
+  const { isConnected, isJoined, joinChannel, leaveChannel, audioLevel, config, agentId, setSessionAvatar, connectionStatus, retryConnection, applyPersona, reportError, aiDenoiserStatus, agentSpeaking, interruptAgent } = useAgora();
+  const [now, setNow] = useState(Date.now());
+
+  // Tick once a second while a retry is scheduled so the countdown stays current
+  useEffect(() => {
+    if (!connectionStatus?.nextRetryAt) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [connectionStatus?.nextRetryAt]);
+
+  const connectionProblem = connectionStatus && [CONNECTION_STATES.RECONNECTING, CONNECTION_STATES.FAILED].includes(connectionStatus.state);
+  const retryInSeconds = connectionStatus?.nextRetryAt ? Math.max(0, Math.ceil((connectionStatus.nextRetryAt - now) / 1000)) : null;
+
+  // Record the avatar with the saved conversation
+  useEffect(() => {
+    setSessionAvatar(currentAvatar);
+  }, [currentAvatar, setSessionAvatar]);
+
+  // Personas from public/personas.json - plain avatar buttons are shown if there are none
+  const [personas, setPersonas] = useState([]);
+  const [switchingPersona, setSwitchingPersona] = useState(false);
+  const activePersona = personas.find(persona => persona.id === config?.personaId && persona.avatar === currentAvatar);
+
+  const showPersonaLook = (persona) => {
+    setCurrentAvatar(persona.avatar);
+    setCurrentAnimation(persona.animation);
+    setCurrentExpression(persona.expression);
+  };
+
+  useEffect(() => {
+    loadPersonas().then(loaded => {
+      setPersonas(loaded);
+      // Restore the look of the persona selected earlier in this session
+      const selected = loaded.find(persona => persona.id === config?.personaId);
+      if (selected) {
+        showPersonaLook(selected);
+      }
+    });
+  }, []);
+
+  const handlePersonaSelect = async (persona) => {
+    showPersonaLook(persona);
+    setSwitchingPersona(true);
+    try {
+      await applyPersona(persona);
+    } catch (error) {
+      reportError(error, 'AGENT_RESTART_FAILED');
+    } finally {
+      setSwitchingPersona(false);
+    }
+  };
 
   // Available avatars
   const availableAvatars = [
@@ -125,8 +179,8 @@ export const UI = ({
               <span className="text-xs font-medium">🎭</span>
               
               {/* Current Avatar indicator */}
-              <div className="text-lg bg-blue-500 text-white w-8 h-8 rounded-md flex items-center justify-center" title={`Current Avatar: ${currentAvatar}`}>
-                {availableAvatars.find(av => av.name === currentAvatar)?.emoji || "👤"}
+              <div className="text-lg bg-blue-500 text-white w-8 h-8 rounded-md flex items-center justify-center" title={activePersona ? `Current Persona: ${activePersona.name}` : `Current Avatar: ${currentAvatar}`}>
+                {activePersona?.emoji || availableAvatars.find(av => av.name === currentAvatar)?.emoji || "👤"}
               </div>
               
               {availableAnimations.slice(0, 5).map((anim) => (
@@ -160,7 +214,7 @@ export const UI = ({
                 <h3 className="font-medium text-sm">🎭 Avatar Control Center</h3>
                 <div className="flex items-center gap-4">
                   <div className="text-xs text-gray-600 flex gap-3">
-                    <span>👤 {currentAvatar}</span>
+                    <span>👤 {activePersona ? `${activePersona.name} (persona)` : currentAvatar}</span>
                     <span>🎬 {currentAnimation || "Auto"}</span>
                     <span>😊 {currentExpression || "default"}</span>
                   </div>
@@ -177,26 +231,54 @@ export const UI = ({
               </div>
               
               <div className="grid grid-cols-3 gap-4">
-                {/* Avatar Selection */}
+                {/* Persona / Avatar Selection */}
                 <div>
-                  <p className="text-xs text-gray-600 mb-2">👤 Choose Avatar:</p>
-                  <div className="flex gap-2">
-                    {availableAvatars.map((avatar) => (
-                      <button
-                        key={avatar.name}
-                        onClick={() => setCurrentAvatar(avatar.name)}
-                        className={`pointer-events-auto p-2 rounded text-xs transition-colors flex-1 ${
-                          currentAvatar === avatar.name
-                            ? "bg-blue-500 text-white" 
-                            : "bg-white bg-opacity-70 hover:bg-blue-200"
-                        }`}
-                        title={avatar.description}
-                      >
-                        <div className="text-lg">{avatar.emoji}</div>
-                        <div className="text-xs leading-tight">{avatar.name}</div>
-                      </button>
-                    ))}
-                  </div>
+                  {personas.length > 0 ? (
+                    <>
+                      <p className="text-xs text-gray-600 mb-2">
+                        🎭 Choose Persona:{switchingPersona && <span className="ml-1 text-blue-600">switching...</span>}
+                      </p>
+                      <div className="flex gap-2">
+                        {personas.map((persona) => (
+                          <button
+                            key={persona.id}
+                            onClick={() => handlePersonaSelect(persona)}
+                            disabled={switchingPersona}
+                            className={`pointer-events-auto p-2 rounded text-xs transition-colors flex-1 disabled:opacity-60 ${
+                              activePersona?.id === persona.id
+                                ? "bg-blue-500 text-white" 
+                                : "bg-white bg-opacity-70 hover:bg-blue-200"
+                            }`}
+                            title={`${persona.description}${agentId ? ' - switches the running agent' : ''}`}
+                          >
+                            <div className="text-lg">{persona.emoji}</div>
+                            <div className="text-xs leading-tight">{persona.name}</div>
+                          </button>
+                        ))}
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                      <p className="text-xs text-gray-600 mb-2">👤 Choose Avatar:</p>
+                      <div className="flex gap-2">
+                        {availableAvatars.map((avatar) => (
+                          <button
+                            key={avatar.name}
+                            onClick={() => setCurrentAvatar(avatar.name)}
+                            className={`pointer-events-auto p-2 rounded text-xs transition-colors flex-1 ${
+                              currentAvatar === avatar.name
+                                ? "bg-blue-500 text-white" 
+                                : "bg-white bg-opacity-70 hover:bg-blue-200"
+                            }`}
+                            title={avatar.description}
+                          >
+                            <div className="text-lg">{avatar.emoji}</div>
+                            <div className="text-xs leading-tight">{avatar.name}</div>
+                          </button>
+                        ))}
+                      </div>
+                    </>
+                  )}
                   
                   {/* Visualization Modes */}
                   <div className="mt-3 pt-3 border-t border-gray-300">
@@ -307,10 +389,48 @@ export const UI = ({
                 </button>
               </div>
               <p></p>
+              {/* Connection problems are always shown - otherwise the avatar just goes quiet */}
+              {connectionProblem && (
+                <div className={`pointer-events-auto mt-1 text-xs rounded-md px-2 py-1.5 ${
+                  connectionStatus.state === CONNECTION_STATES.FAILED ? 'bg-red-100 text-red-700' : 'bg-yellow-100 text-yellow-800'
+                }`}>
+                  <p className="font-semibold">
+                    {connectionStatus.state === CONNECTION_STATES.FAILED ? '🔴 Connection lost' : '🟡 Reconnecting...'}
+                    {connectionStatus.attempt > 0 && connectionStatus.state !== CONNECTION_STATES.FAILED && (
+                      <span className="font-normal"> (attempt {connectionStatus.attempt}/{connectionStatus.maxAttempts}{retryInSeconds !== null ? `, retry in ${retryInSeconds}s` : ''})</span>
+                    )}
+                  </p>
+                  {connectionStatus.reason && (
+                    <p>{describeDisconnectReason(connectionStatus.reason)}</p>
+                  )}
+                  {connectionStatus.lastError && (
+                    <p className="opacity-75 truncate" title={connectionStatus.lastError}>{connectionStatus.lastError}</p>
+                  )}
+                  {connectionStatus.state === CONNECTION_STATES.FAILED || retryInSeconds !== null ? (
+                    <button
+                      onClick={retryConnection}
+                      className="mt-1 underline hover:no-underline"
+                    >
+                      Retry now
+                    </button>
+                  ) : null}
+                </div>
+              )}
+              {/* Mute / push-to-talk stay in reach without opening the details */}
+              <MicrophoneControls />
+              {agentSpeaking && (
+                <button
+                  onClick={interruptAgent}
+                  className="pointer-events-auto mt-2 w-full bg-orange-500 hover:bg-orange-600 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors"
+                  title="Interrupt the agent - talking over it works too"
+                >
+                  ✋ Stop talking
+                </button>
+              )}
               {showConnectionPanel && (
                 <div className="mt-2 text-sm space-y-1">
-                  <p className={`font-semibold ${isConnected ? 'text-green-600' : 'text-red-600'}`}>
-                    {isConnected ? '🟢 Connected to Agora' : '🔴 Not connected'}
+                  <p className={`font-semibold ${isConnected ? 'text-green-600' : connectionProblem ? 'text-yellow-600' : 'text-red-600'}`}>
+                    {isConnected ? '🟢 Connected to Agora' : connectionProblem ? '🟡 Connection interrupted' : '🔴 Not connected'}
                   </p>
                   <p className="text-gray-600">
                     Channel: <span className="font-mono">{config?.channel || 'ConvoAINPC'}</span>
@@ -318,11 +438,34 @@ export const UI = ({
                   <p className="text-gray-600">
                     ConvoAI UID: <span className="font-mono">{config?.convoAIUid || '8888'}</span>
                   </p>
+                  <p className="text-gray-600">
+                    Token: <span className="font-mono">{config?.tokenMode === 'endpoint' ? 'token server (auto-renew)' : 'static'}</span>
+                  </p>
+                  <p className="text-gray-600">
+                    LLM: <span className="font-mono">{config?.llmProvider} · {config?.llmModel}</span>
+                  </p>
+                  <p className="text-gray-600">
+                    TTS: <span className="font-mono">{config?.ttsVendor}</span>
+                  </p>
+                  <p className="text-gray-600">
+                    Mic processing: <span className="font-mono">{config?.audioProcessing?.length ? config.audioProcessing.join(' · ') : 'off'}</span>
+                    {aiDenoiserStatus !== 'off' && aiDenoiserStatus !== 'on' && (
+                      <span className={aiDenoiserStatus === 'loading' ? 'text-gray-500' : 'text-yellow-600'}> (AI Denoiser {aiDenoiserStatus})</span>
+                    )}
+                  </p>
                   {agentId && (
                     <p className="text-green-600">
                       🤖 Agent Active: <span className="font-mono text-xs">{agentId}</span>
                     </p>
                   )}
+                  {config?.convoaiMode === 'proxy' ? (
+                    <>
+                      <p className="text-xs text-green-600">🔒 Credentials held by backend proxy</p>
+                      {!config?.hasTTSKey && (
+                        <p className="text-xs text-red-600">❌ TTS missing: {config?.ttsMissingFields?.join(', ')}</p>
+                      )}
+                    </>
+                  ) : (
                   <div className="flex gap-2">
                     <p className={`text-xs ${config?.hasCredentials ? 'text-green-600' : 'text-red-600'}`}>
                       {config?.hasCredentials ? '✅' : '❌'} Auth
@@ -330,10 +473,14 @@ export const UI = ({
                     <p className={`text-xs ${config?.hasLLMKey ? 'text-green-600' : 'text-red-600'}`}>
                       {config?.hasLLMKey ? '✅' : '❌'} LLM
                     </p>
-                    <p className={`text-xs ${config?.hasTTSKey ? 'text-green-600' : 'text-red-600'}`}>
+                    <p
+                      className={`text-xs ${config?.hasTTSKey ? 'text-green-600' : 'text-red-600'}`}
+                      title={config?.hasTTSKey ? config?.ttsVendor : `Missing: ${config?.ttsMissingFields?.join(', ')}`}
+                    >
                       {config?.hasTTSKey ? '✅' : '❌'} TTS
                     </p>
                   </div>
+                  )}
                   <p className="text-blue-600">
                     🎤 Audio Level: {(audioLevel * 100).toFixed(1)}%
                   </p>
@@ -542,6 +689,9 @@ export const UI = ({
         onClose={() => setShowSettings(false)} 
       />
       
+      {/* Errors and notices from useAgora */}
+      <NotificationCenter />
+      
       {/* Combined Chat Component */}
       <CombinedChat isConnected={isConnected} />
       
@@ -1,5 +1,17 @@
-import React, { useRef, useEffect, useState } from 'react';
+import React, { useRef, useEffect, useMemo, useState } from 'react';
 import { useLipSync } from "../hooks/useLipSync";
+import { useAgora } from "../hooks/useAgora";
+import { SILENT_FRAME } from "../services/lipSyncEngine";
+import { LATENCY_OFFSET_RANGE, createClickTrack } from "../services/lipSyncLatency";
+import { CALIBRATION_CLIPS, decodeClip, fitLipSyncTuning } from "../services/lipSyncCalibration";
+import { deleteLipSyncProfile, listLipSyncProfiles, saveLipSyncProfile } from "../services/lipSyncProfiles";
+
+// A click frame is far louder than the silence between clicks
+const CLICK_FLASH_VOLUME = 0.08;
+// A calibration recording stops by itself after this long
+const MAX_RECORDING_MS = 10000;
+
+const percent = (value) => `${Math.round(value * 100)}%`;
 
 const audioFiles = [
   {
@@ -66,7 +78,7 @@ const audioFiles = [
   },
 ];
 
-export const Visualizer = ({ onVisemeChange, onAudioLevelChange }) => {
+export const Visualizer = ({ frameRef = null }) => {
   const canvasRef = useRef(null);
   const visemeRef = useRef(null);
   const volumeRef = useRef(null);
@@ -76,17 +88,172 @@ export const Visualizer = ({ onVisemeChange, onAudioLevelChange }) => {
   const [audioFile, setAudioFile] = useState("");
 
   // Use the useLipSync hook for WebAudio analysis
-  const { viseme, features, isConnected, connectAudio, disconnectAudio } = useLipSync();
+  const { viseme, isConnected, connectAudio, disconnectAudio, engine } = useLipSync();
+  const { lipSyncConfig, setLipSyncLatencyOffset, notify, reportError, microphoneId } = useAgora();
+
+  // Latency calibration: play clicks, flash on the (delayed) frames, move the offset until both coincide
+  const flashRef = useRef(null);
+  const [calibrating, setCalibrating] = useState(false);
+  const [latencyOffset, setLatencyOffset] = useState(lipSyncConfig.latencyOffsetMs);
+  const [outputLatency, setOutputLatency] = useState(null);
+
+  useEffect(() => {
+    setLatencyOffset(lipSyncConfig.latencyOffsetMs);
+  }, [lipSyncConfig.latencyOffsetMs]);
+
+  useEffect(() => {
+    engine.setLatencyOffset(latencyOffset);
+  }, [engine, latencyOffset]);
+
+  useEffect(() => engine.on('ended', () => setCalibrating(false)), [engine]);
+
+  const startCalibration = async () => {
+    audioRef.current?.pause();
+    setAudioFile("");
+    await connectAudio(createClickTrack(engine.getContext()));
+    setOutputLatency(engine.getLatency().outputMs);
+    setCalibrating(true);
+  };
+
+  const stopCalibration = () => {
+    disconnectAudio();
+    setCalibrating(false);
+  };
+
+  const saveLatencyOffset = () => {
+    setLipSyncLatencyOffset(latencyOffset);
+    notify({
+      type: 'success',
+      title: 'Lip sync offset saved',
+      message: `The avatar now uses ${latencyOffset} ms on top of the measured output latency.`,
+    });
+  };
+
+  // Voice calibration: fit the analysis to sample utterances and save it as the voice's profile
+  const [voiceName, setVoiceName] = useState(lipSyncConfig.voiceName || '');
+  const [profileName, setProfileName] = useState('');
+  const [clipFiles, setClipFiles] = useState({}); // clip id -> recording of the TTS voice, replacing Emma's
+  const [voiceFit, setVoiceFit] = useState(null);
+  const [fitting, setFitting] = useState(false);
+  const [recordingClipId, setRecordingClipId] = useState(null);
+  const recorderRef = useRef(null);
+  // lipSyncConfig is rebuilt whenever a profile is saved or deleted
+  const profiles = useMemo(() => listLipSyncProfiles(), [lipSyncConfig]);
 
-  // Update parent component with viseme data when it changes
   useEffect(() => {
-    if (onVisemeChange) {
-      onVisemeChange(viseme);
+    setVoiceName(lipSyncConfig.voiceName || '');
+  }, [lipSyncConfig.voiceName]);
+
+  // Preview the fitted tuning on the sample audios; otherwise analyse like the agent's lip sync does
+  useEffect(() => {
+    const profile = lipSyncConfig.profile;
+    engine.setTuning(voiceFit ? voiceFit.tuning : profile ? profile.tuning : null);
+  }, [engine, voiceFit, lipSyncConfig.profile]);
+
+  const setClipFile = (clipId, file) => {
+    setClipFiles((prev) => {
+      const next = { ...prev };
+      if (file) {
+        next[clipId] = file;
+      } else {
+        delete next[clipId];
+      }
+      return next;
+    });
+  };
+
+  // Record a clip from the selected microphone - the browser's voice processing is off
+  // so the formants reach the fit as spoken
+  const startRecording = async (clip) => {
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+          deviceId: microphoneId ? { exact: microphoneId } : undefined,
+          echoCancellation: false,
+          noiseSuppression: false,
+          autoGainControl: false,
+        },
+      });
+    } catch (error) {
+      reportError(error, 'RTC_MIC_BUSY');
+      return;
+    }
+
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    const limit = setTimeout(() => recorder.stop(), MAX_RECORDING_MS);
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        chunks.push(event.data);
+      }
+    };
+    recorder.onstop = () => {
+      clearTimeout(limit);
+      stream.getTracks().forEach(track => track.stop());
+      recorderRef.current = null;
+      setRecordingClipId(null);
+      if (chunks.length === 0) {
+        return;
+      }
+      const type = recorder.mimeType || chunks[0].type;
+      const extension = type.includes('mp4') ? 'm4a' : type.includes('ogg') ? 'ogg' : 'webm';
+      setClipFile(clip.id, new File(chunks, `${clip.id}-recording.${extension}`, { type }));
+      console.log(`🎙️ Recorded calibration clip "${clip.label}"`);
+    };
+    recorder.start();
+    recorderRef.current = recorder;
+    setRecordingClipId(clip.id);
+  };
+
+  const stopRecording = () => {
+    if (recorderRef.current && recorderRef.current.state !== 'inactive') {
+      recorderRef.current.stop();
     }
-    if (onAudioLevelChange && features) {
-      onAudioLevelChange(features.volume || 0);
+  };
+
+  useEffect(() => stopRecording, []);
+
+  const runVoiceCalibration = async () => {
+    setFitting(true);
+    try {
+      const context = engine.getContext();
+      const clips = await Promise.all(CALIBRATION_CLIPS.map(async (clip) => {
+        const source = clipFiles[clip.id] || `${import.meta.env.BASE_URL}${clip.path}`;
+        const { samples, sampleRate } = await decodeClip(context, source);
+        return { label: clip.label, viseme: clip.viseme, samples, sampleRate };
+      }));
+      const fit = fitLipSyncTuning(clips);
+      console.log('🎚️ Lip sync calibration:', fit);
+      setVoiceFit(fit);
+    } catch (error) {
+      console.error('❌ Lip sync calibration failed:', error);
+      notify({ type: 'error', title: 'Calibration failed', message: error.message });
+    } finally {
+      setFitting(false);
     }
-  }, [viseme, features, onVisemeChange, onAudioLevelChange]);
+  };
+
+  const saveVoiceProfile = () => {
+    try {
+      const profile = saveLipSyncProfile({
+        name: profileName || voiceName,
+        voiceName,
+        tuning: voiceFit.tuning,
+        accuracy: voiceFit.report.accuracy,
+      });
+      setVoiceFit(null);
+      notify({
+        type: 'success',
+        title: 'Lip sync profile saved',
+        message: profile.voiceName
+          ? `"${profile.name}" is used whenever the TTS voice is ${profile.voiceName}.`
+          : `"${profile.name}" is saved but not tied to a voice.`,
+      });
+    } catch (error) {
+      notify({ type: 'error', title: 'Could not save the profile', message: error.message });
+    }
+  };
 
   useEffect(() => {
     const handleAudioEnded = () => {
@@ -154,8 +321,12 @@ export const Visualizer = ({ onVisemeChange, onAudioLevelChange }) => {
     };
   }, [audioFile, connectAudio]);
   const [detectedVisemes, setDetectedVisemes] = useState([]);
-  const prevViseme = useRef(null);
 
+  useEffect(() => {
+    setDetectedVisemes((prev) => [...prev, viseme]);
+  }, [viseme]);
+
+  // Draw straight from the engine's frames - no React state per frame
   useEffect(() => {
     const drawVisualisation = (features, viseme) => {
   if (!canvasRef.current) return; // canvas might not be mounted
@@ -246,43 +417,44 @@ export const Visualizer = ({ onVisemeChange, onAudioLevelChange }) => {
       });
     };
 
-    let rafId = null;
-    const analyzeAudio = () => {
-      rafId = requestAnimationFrame(analyzeAudio);
+    const handleFrame = (frame) => {
+      // Hand the frame to the avatar (App passes the same ref to Experience)
+      if (frameRef) {
+        frameRef.current = frame;
+      }
       try {
-        // Use the viseme and features from the useLipSync hook
-        const currentFeatures = features || { volume: 0, centroid: 0, bands: new Array(64).fill(0) };
-        
         if (visemeRef.current) {
-          visemeRef.current.innerText = viseme;
+          visemeRef.current.innerText = frame.viseme;
         }
         if (volumeRef.current) {
-          volumeRef.current.innerText = (currentFeatures.volume || 0).toFixed(2);
+          volumeRef.current.innerText = (frame.volume || 0).toFixed(2);
         }
         if (centroidRef.current) {
-          centroidRef.current.innerText = `${(currentFeatures.centroid || 0).toFixed(2)} Hz`;
+          centroidRef.current.innerText = `${(frame.centroid || 0).toFixed(2)} Hz`;
+        }
+        if (flashRef.current) {
+          flashRef.current.style.opacity = frame.volume > CLICK_FLASH_VOLUME ? '1' : '0.15';
         }
         // draw only if canvas exists
         try {
-          drawVisualisation(currentFeatures, viseme);
+          drawVisualisation(frame, frame.viseme);
         } catch (e) {
           // swallow drawing errors if canvas gets removed mid-frame
         }
-        if (viseme !== prevViseme.current) {
-          setDetectedVisemes((prev) => [...prev, viseme]);
-          prevViseme.current = viseme;
-        }
       } catch (err) {
-        console.warn('Visualizer analyzeAudio error:', err);
+        console.warn('Visualizer frame error:', err);
       }
     };
 
-    analyzeAudio();
+    handleFrame(SILENT_FRAME);
+    const unsubscribe = engine.on('frame', handleFrame);
     return () => {
-      // cleanup RAF loop if unmounted
-      if (typeof rafId === 'number') cancelAnimationFrame(rafId);
+      unsubscribe();
+      if (frameRef) {
+        frameRef.current = null;
+      }
     };
-  }, [viseme, features]);
+  }, [engine, frameRef]);
 
   return (
     <div className="flex flex-col gap-4">
@@ -333,6 +505,166 @@ export const Visualizer = ({ onVisemeChange, onAudioLevelChange }) => {
           </div>
         ))}
       </div>
+      <div className="flex flex-col gap-2">
+        <h2 className="text-lg font-bold text-left">Latency Calibration</h2>
+        <p className="text-xs text-gray-300 text-left">
+          Play the click track and watch the square (and the avatar's mouth). Move the slider until each flash lands
+          exactly on the click you hear, then save it for the agent's lip sync.
+        </p>
+        <div className="flex flex-row items-center gap-3">
+          <div
+            ref={flashRef}
+            className="w-10 h-10 rounded bg-yellow-300 transition-none"
+            style={{ opacity: 0.15 }}
+          />
+          <button
+            className="p-2 text-white bg-indigo-500 hover:bg-indigo-600 cursor-pointer rounded"
+            onClick={calibrating ? stopCalibration : startCalibration}
+          >
+            {calibrating ? 'Stop clicks' : 'Play click track'}
+          </button>
+          <button
+            className="p-2 text-white bg-green-600 hover:bg-green-700 cursor-pointer rounded disabled:opacity-50"
+            onClick={saveLatencyOffset}
+            disabled={latencyOffset === lipSyncConfig.latencyOffsetMs}
+          >
+            Save offset
+          </button>
+        </div>
+        <label className="flex flex-row items-center gap-3 text-sm">
+          <span className="w-28 text-left">Offset {latencyOffset} ms</span>
+          <input
+            type="range"
+            min={LATENCY_OFFSET_RANGE.min}
+            max={LATENCY_OFFSET_RANGE.max}
+            step="5"
+            value={latencyOffset}
+            onChange={(e) => setLatencyOffset(Number(e.target.value))}
+            className="flex-1"
+          />
+        </label>
+        {outputLatency !== null && (
+          <p className="text-xs text-gray-300 text-left">
+            Measured output latency {outputLatency.toFixed(0)} ms - frames are delayed by {Math.max(0, outputLatency + latencyOffset).toFixed(0)} ms in total.
+          </p>
+        )}
+      </div>
+      <div className="flex flex-col gap-2">
+        <h2 className="text-lg font-bold text-left">Voice Calibration</h2>
+        <p className="text-xs text-gray-300 text-left">
+          Fits the formant bands, silence threshold and mouth gain to a voice from the sample utterances below. Swap in
+          recordings of your TTS voice saying the same thing - pick a file or record it from the microphone - then save
+          the result; it loads automatically whenever that voice is configured.
+        </p>
+        <div className="flex flex-col gap-1">
+          {CALIBRATION_CLIPS.map((clip) => (
+            <label key={clip.id} className="flex flex-row items-center gap-3 text-sm">
+              <span className="w-12 text-left font-bold">{clip.label}</span>
+              <span className="w-24 text-left font-mono text-xs text-purple-300">{clip.viseme}</span>
+              <span className="flex-1 text-left text-xs text-gray-300 truncate">
+                {clipFiles[clip.id] ? clipFiles[clip.id].name : clip.path}
+              </span>
+              <input
+                type="file"
+                accept="audio/*"
+                className="text-xs w-48"
+                onChange={(e) => setClipFile(clip.id, e.target.files && e.target.files[0])}
+              />
+              <button
+                type="button"
+                className={`p-1 px-2 text-xs text-white rounded cursor-pointer disabled:opacity-50 ${
+                  recordingClipId === clip.id ? 'bg-red-600 hover:bg-red-700' : 'bg-gray-600 hover:bg-gray-700'
+                }`}
+                onClick={() => (recordingClipId === clip.id ? stopRecording() : startRecording(clip))}
+                disabled={typeof MediaRecorder === 'undefined' || (recordingClipId !== null && recordingClipId !== clip.id)}
+              >
+                {recordingClipId === clip.id ? 'Stop' : 'Record'}
+              </button>
+            </label>
+          ))}
+        </div>
+        <div className="flex flex-row items-center gap-3">
+          <input
+            type="text"
+            value={voiceName}
+            onChange={(e) => setVoiceName(e.target.value)}
+            placeholder="TTS voice name"
+            className="flex-1 p-2 rounded text-black text-sm"
+          />
+          <input
+            type="text"
+            value={profileName}
+            onChange={(e) => setProfileName(e.target.value)}
+            placeholder={voiceName || 'Profile name'}
+            className="flex-1 p-2 rounded text-black text-sm"
+          />
+        </div>
+        <div className="flex flex-row items-center gap-3">
+          <button
+            className="p-2 text-white bg-indigo-500 hover:bg-indigo-600 cursor-pointer rounded disabled:opacity-50"
+            onClick={runVoiceCalibration}
+            disabled={fitting}
+          >
+            {fitting ? 'Calibrating...' : 'Run calibration'}
+          </button>
+          <button
+            className="p-2 text-white bg-green-600 hover:bg-green-700 cursor-pointer rounded disabled:opacity-50"
+            onClick={saveVoiceProfile}
+            disabled={!voiceFit || !(profileName || voiceName).trim()}
+          >
+            Save profile
+          </button>
+          {voiceFit && (
+            <button
+              className="p-2 text-white bg-gray-600 hover:bg-gray-700 cursor-pointer rounded"
+              onClick={() => setVoiceFit(null)}
+            >
+              Discard
+            </button>
+          )}
+        </div>
+        {voiceFit && (
+          <div className="text-xs text-gray-300 text-left flex flex-col gap-1">
+            <p>
+              Accuracy {percent(voiceFit.report.accuracyBefore)} → {percent(voiceFit.report.accuracy)} (band scale{' '}
+              {voiceFit.report.bandScale.toFixed(2)}) - the sample audios above now play with this tuning.
+            </p>
+            <p className="font-mono">
+              bands [{voiceFit.tuning.formantBands.join(', ')}] · silence {voiceFit.tuning.silenceVolume.toFixed(3)} · gain{' '}
+              {voiceFit.tuning.intensityGain.toFixed(1)}
+            </p>
+            <p>
+              {voiceFit.report.clips.map((clip) => `${clip.label} ${percent(clip.accuracy)}`).join(' · ')}
+            </p>
+          </div>
+        )}
+        {profiles.length > 0 && (
+          <div className="flex flex-col gap-1">
+            {profiles.map((profile) => (
+              <div key={profile.name} className="flex flex-row items-center gap-3 text-sm">
+                <span className="flex-1 text-left">
+                  {profile.name}
+                  {profile.voiceName && profile.voiceName !== profile.name && (
+                    <span className="text-xs text-gray-300"> ({profile.voiceName})</span>
+                  )}
+                  {lipSyncConfig.profile && lipSyncConfig.profile.name === profile.name && (
+                    <span className="ml-2 text-xs text-green-400">active</span>
+                  )}
+                </span>
+                {typeof profile.accuracy === 'number' && (
+                  <span className="text-xs text-gray-300">{percent(profile.accuracy)}</span>
+                )}
+                <button
+                  className="px-2 py-1 text-xs text-white bg-red-600 hover:bg-red-700 cursor-pointer rounded"
+                  onClick={() => deleteLipSyncProfile(profile.name)}
+                >
+                  Delete
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
       {detectedVisemes.length > 0 && (
         <div className="flex flex-col gap-2">
           <h2 className="text-lg font-bold text-left">Detected Visemes</h2>
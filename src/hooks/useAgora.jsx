@@ -1,12 +1,30 @@
-import { createContext, useContext, useEffect, useState, useRef, useCallback } from "react";
+import { createContext, useContext, useEffect, useMemo, useState, useRef, useCallback } from "react";
 import AgoraRTC from 'agora-rtc-sdk-ng';
 import protobuf from 'protobufjs';
+import { TranscriptDecoder, decodeUtf8, looksLikeJson } from '../services/transcriptDecoder';
+import { TURN_STATUS, applyInterrupt, applyTranscription, applyWords, linkReplies, mergeWords, normalizeProtoWords } from '../services/conversationModel';
+import { closeDanglingSessions, createSession, saveSession } from '../services/sessionStore';
+import { CONNECTION_STATES, ConnectionSupervisor, describeDisconnectReason } from '../services/connectionSupervisor';
+import { fetchRtcToken } from '../services/tokenService';
+import { buildAgentProperties, redactAgentSecrets } from '../services/agentProperties';
+import { createMockRtcClient } from '../services/mockRtcClient';
+import { DEFAULT_TTS_VENDOR, getMissingTtsFields, getTtsVendor } from '../services/ttsVendors';
+import { DEFAULT_LLM_PROVIDER, buildLlmUpdate, getLlmProvider, parseSystemMessages } from '../services/llmProviders';
+import { getPersonaConfigEntries, needsAgentRestart } from '../services/personas';
+import { buildChatCompletionRequest, buildSpeakRequest, buildTypedTurnMessages, readChatCompletion, supportsTypedTurns } from '../services/typedTurns';
+import { AppError, convoAIHttpError, describeAppError, toAppError } from '../services/appErrors';
+import { LipSyncEngine, SILENT_FRAME } from '../services/lipSyncEngine';
+import { TextVisemeTrack } from '../services/textLipSync';
+import { clampLatencyOffset } from '../services/lipSyncLatency';
+import { findLipSyncProfileForVoice } from '../services/lipSyncProfiles';
+import { DEFAULT_AI_DENOISER_ASSETS_PATH, attachAiDenoiser, buildTrackProcessing, detachAiDenoiser, updateAiDenoiser } from '../services/audioProcessing';
 
 const AgoraContext = createContext();
 
 // Load protobuf schema
 let protoRoot = null;
 let SomeMessage = null;
+let protoSchemaError = null; // Set when schema.proto failed to load and the inline copy is used
 
 const loadProtoSchema = async () => {
   if (!protoRoot) {
@@ -16,7 +34,8 @@ const loadProtoSchema = async () => {
       SomeMessage = protoRoot.lookupType('SomeMessage');
       console.log('✅ Protobuf schema loaded successfully');
     } catch (error) {
-      console.error('❌ Failed to load protobuf schema:', error);
+      console.warn('⚠️ Failed to load protobuf schema:', error);
+      protoSchemaError = error;
       // Fallback to inline schema definition
       const schema = `
         syntax = "proto3";
@@ -63,35 +82,114 @@ const getConfigValue = (key, defaultValue = null) => {
 const getAgoraConfig = () => ({
   appId: getConfigValue('VITE_AGORA_APP_ID'),
   token: getConfigValue('VITE_AGORA_TOKEN'),
+  tokenEndpoint: getConfigValue('VITE_AGORA_TOKEN_ENDPOINT'), // Optional token server - replaces the static token
+  mockRtcUrl: getConfigValue('VITE_MOCK_RTC_URL'), // Local mock server instead of the Agora network (mock-convoai/)
   channel: getConfigValue('VITE_AGORA_CHANNEL', 'AgoraAgent_Channel'),
   uid: null, // null for auto-generation
   convoAIUid: parseInt(getConfigValue('VITE_CONVOAI_AGENT_UID', '8888')),
 });
 
+// Default for a TTS field of the configured vendor
+const getTtsDefault = (field) => getTtsVendor(getConfigValue('VITE_TTS_VENDOR')).defaults[field] || null;
+
 // ConvoAI API configuration - Uses sessionStorage and environment variables
 const getConvoAIConfig = () => ({
   baseUrl: getConfigValue('VITE_CONVOAI_API_BASE_URL', 'https://api.agora.io/api/conversational-ai-agent/v2'),
+  proxyUrl: getConfigValue('VITE_CONVOAI_PROXY_URL'), // Optional backend proxy - keeps credentials out of the browser
   apiKey: getConfigValue('VITE_RESTFUL_API_KEY'),
   password: getConfigValue('VITE_RESTFUL_PASSWORD'),
   agentUid: parseInt(getConfigValue('VITE_CONVOAI_AGENT_UID', '8888')),
   agentName: getConfigValue('VITE_CONVOAI_AGENT_NAME', 'Agora Agent'),
+  personaId: getConfigValue('VITE_PERSONA'), // Last selected persona (public/personas.json)
 
   // LLM Configuration
-  llmUrl: getConfigValue('VITE_LLM_URL', 'https://api.openai.com/v1/chat/completions'),
+  llmProvider: getConfigValue('VITE_LLM_PROVIDER', DEFAULT_LLM_PROVIDER),
+  llmUrl: getConfigValue('VITE_LLM_URL', getLlmProvider(getConfigValue('VITE_LLM_PROVIDER')).url),
   llmApiKey: getConfigValue('VITE_LLM_API_KEY'),
-  llmModel: getConfigValue('VITE_LLM_MODEL', 'gpt-4o-mini'),
-  systemMessage: getConfigValue('VITE_LLM_SYSTEM_MESSAGE', 'You are a friendly Agora agent assistant.'),
+  llmModel: getConfigValue('VITE_LLM_MODEL', getLlmProvider(getConfigValue('VITE_LLM_PROVIDER')).models[0]),
+  llmTemperature: getConfigValue('VITE_LLM_TEMPERATURE'), // Empty = provider default
+  llmMaxTokens: getConfigValue('VITE_LLM_MAX_TOKENS'),
+  llmStyle: getConfigValue('VITE_LLM_STYLE'), // Empty = the provider's style
+  llmInputModalities: getConfigValue('VITE_LLM_INPUT_MODALITIES', 'text'),
+  llmOutputModalities: getConfigValue('VITE_LLM_OUTPUT_MODALITIES', 'text'),
+  // VITE_LLM_SYSTEM_MESSAGES (JSON array) replaces the single VITE_LLM_SYSTEM_MESSAGE
+  systemMessages: parseSystemMessages(
+    getConfigValue('VITE_LLM_SYSTEM_MESSAGES'),
+    getConfigValue('VITE_LLM_SYSTEM_MESSAGE', 'You are a friendly Agora agent assistant.')
+  ),
   greeting: getConfigValue('VITE_LLM_GREETING', "Hello! I'm your Agora agent. How can I help you today?"),
   
-  // TTS Configuration
+  // TTS Configuration - which fields apply depends on the vendor (see services/ttsVendors.js)
+  ttsVendor: getConfigValue('VITE_TTS_VENDOR', DEFAULT_TTS_VENDOR),
   ttsApiKey: getConfigValue('VITE_TTS_API_KEY'),
-  ttsRegion: getConfigValue('VITE_TTS_REGION', 'eastus'),
-  ttsVoiceName: getConfigValue('VITE_TTS_VOICE_NAME', 'en-US-AriaNeural'),
+  ttsRegion: getConfigValue('VITE_TTS_REGION', getTtsDefault('ttsRegion')),
+  ttsVoiceName: getConfigValue('VITE_TTS_VOICE_NAME', getTtsDefault('ttsVoiceName')),
+  ttsModel: getConfigValue('VITE_TTS_MODEL', getTtsDefault('ttsModel')),
+  ttsGroupId: getConfigValue('VITE_TTS_GROUP_ID'),
   
   // ASR Configuration
   asrLanguage: getConfigValue('VITE_ASR_LANGUAGE', 'en-US'),
 });
 
+// Microphone processing - see services/audioProcessing.js
+const getAudioProcessingConfig = () => ({
+  aec: getConfigValue('VITE_AUDIO_AEC', 'true') !== 'false',
+  ans: getConfigValue('VITE_AUDIO_ANS', 'true') !== 'false',
+  agc: getConfigValue('VITE_AUDIO_AGC', 'true') !== 'false',
+  denoiser: getConfigValue('VITE_AI_DENOISER', 'false') === 'true',
+  denoiserMode: getConfigValue('VITE_AI_DENOISER_MODE', 'NSNG'),
+  denoiserLevel: getConfigValue('VITE_AI_DENOISER_LEVEL', 'AGGRESSIVE'),
+  denoiserAssetsPath: getConfigValue('VITE_AI_DENOISER_ASSETS_PATH', DEFAULT_AI_DENOISER_ASSETS_PATH),
+});
+
+// Lip sync - see services/textLipSync.js
+const getLipSyncConfig = () => {
+  // Calibrated analysis tuning for the configured TTS voice, if one was saved (services/lipSyncProfiles.js)
+  const voiceName = getConvoAIConfig().ttsVoiceName;
+  return {
+    textDriven: getConfigValue('VITE_LIPSYNC_TEXT_DRIVEN', 'true') !== 'false',
+    latencyOffsetMs: clampLatencyOffset(getConfigValue('VITE_LIPSYNC_LATENCY_OFFSET', '0')), // see services/lipSyncLatency.js
+    voiceName,
+    profile: findLipSyncProfileForVoice(voiceName),
+  };
+};
+
+// Which client the config calls for - the client is recreated when this changes
+const getClientInitKey = (agoraConfig) => {
+  if (agoraConfig.mockRtcUrl) {
+    return `mock:${agoraConfig.mockRtcUrl}`;
+  }
+  return agoraConfig.appId && (agoraConfig.token || agoraConfig.tokenEndpoint) ? 'agora' : 'none';
+};
+
+// Token for the local user: from the token server when configured, otherwise the static VITE_AGORA_TOKEN
+const resolveUserToken = async (agoraConfig) => {
+  if (!agoraConfig.tokenEndpoint) {
+    return agoraConfig.token;
+  }
+  const { token } = await fetchRtcToken({
+    endpoint: agoraConfig.tokenEndpoint,
+    channel: agoraConfig.channel,
+    uid: agoraConfig.uid || 0,
+  });
+  console.log('🔑 Fetched user token from token server');
+  return token;
+};
+
+// The agent joins with its own UID, so in token-endpoint mode it gets its own token
+const resolveAgentToken = async (agoraConfig) => {
+  if (!agoraConfig.tokenEndpoint) {
+    return agoraConfig.token;
+  }
+  const { token } = await fetchRtcToken({
+    endpoint: agoraConfig.tokenEndpoint,
+    channel: agoraConfig.channel,
+    uid: agoraConfig.convoAIUid,
+  });
+  console.log('🔑 Fetched agent token from token server');
+  return token;
+};
+
 // Generate Basic Auth header
 const generateBasicAuthHeader = () => {
   const config = getConvoAIConfig();
@@ -161,6 +259,55 @@ const generateBasicAuthHeaderWithCredentials = (apiKey, password) => {
   return authHeader;
 };
 
+// Resolve where a ConvoAI REST call goes ('join' | 'leave' | 'update' | 'interrupt' | 'chat' | 'token'):
+// straight to Agora with Basic auth, or through our backend proxy, which holds the secrets.
+// Returns null when direct mode has no usable credentials.
+const getConvoAIRequest = (action, agentId) => {
+  const agoraConfig = getAgoraConfig();
+  const convoaiConfig = getConvoAIConfig();
+
+  if (convoaiConfig.proxyUrl) {
+    const proxyBase = `${convoaiConfig.proxyUrl.replace(/\/+$/, '')}/agents`;
+    const proxyUrls = {
+      join: proxyBase,                            // POST /agents
+      leave: `${proxyBase}/${agentId}/stop`,      // POST /agents/:agentId/stop
+      update: `${proxyBase}/${agentId}/update`,   // POST /agents/:agentId/update
+      interrupt: `${proxyBase}/${agentId}/interrupt`, // POST /agents/:agentId/interrupt
+      chat: `${proxyBase}/${agentId}/chat`,       // POST /agents/:agentId/chat - LLM answer + speak
+      token: `${proxyBase}/${agentId}/token`,     // POST /agents/:agentId/token - fresh backend-minted agent token
+    };
+    return {
+      proxy: true,
+      url: proxyUrls[action],
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include', // the backend session cookie (services/backendSession.js)
+    };
+  }
+
+  const authHeader = generateBasicAuthHeader();
+  if (!authHeader) {
+    return null;
+  }
+
+  const projectBase = `${convoaiConfig.baseUrl}/projects/${agoraConfig.appId}`;
+  const directUrls = {
+    join: `${projectBase}/join`,                          // POST /projects/:appid/join
+    leave: `${projectBase}/agents/${agentId}/leave`,      // POST /projects/:appid/agents/:agentId/leave
+    update: `${projectBase}/agents/${agentId}/update`,    // POST /projects/:appid/agents/:agentId/update
+    interrupt: `${projectBase}/agents/${agentId}/interrupt`, // POST /projects/:appid/agents/:agentId/interrupt
+    chat: `${projectBase}/agents/${agentId}/speak`,       // POST /projects/:appid/agents/:agentId/speak - after the browser asked the LLM
+  };
+  return {
+    proxy: false,
+    url: directUrls[action],
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': authHeader,
+    },
+    credentials: 'same-origin',
+  };
+};
+
 // Test function to verify Basic Auth encoding/decoding
 const testBasicAuthCredentials = () => {
   const authHeader = generateBasicAuthHeader();
@@ -196,162 +343,37 @@ const testBasicAuthCredentials = () => {
   }
 };
 
-// Lip Sync Manager for audio analysis
-class LipsyncManager {
-  constructor() {
-    this.audioContext = null;
-    this.analyser = null;
-    this.source = null;
-    this.dataArray = null;
-    this.viseme = 'viseme_PP';
-    this.features = { volume: 0, centroid: 0, bands: [] };
-    this.isProcessing = false;
-    this.connectedElement = null;
-  }
-
-  connectAudio(audioElement) {
-    try {
-      if (!audioElement) {
-        console.warn('⚠️ No audio element provided to lipsyncManager');
-        return;
-      }
-
-      // If this is the same element, don't reconnect
-      if (this.connectedElement === audioElement && this.audioContext && this.source) {
-        console.log('🔄 Reusing existing audio connection');
-        this.isProcessing = true;
-        return;
-      }
-
-      // Disconnect previous source if exists
-      if (this.source) {
-        try {
-          this.source.disconnect();
-        } catch (e) {
-          // Ignore disconnect errors
-        }
-        this.source = null;
-      }
-
-      // Create audio context if it doesn't exist or is closed
-      if (!this.audioContext || this.audioContext.state === 'closed') {
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      }
-
-      // Resume context if suspended
-      if (this.audioContext.state === 'suspended') {
-        this.audioContext.resume();
-      }
-
-      // Create analyser if it doesn't exist
-      if (!this.analyser) {
-        this.analyser = this.audioContext.createAnalyser();
-        this.analyser.fftSize = 256;
-        this.analyser.smoothingTimeConstant = 0.8;
-      }
-
-      // Create source and connect - only if not already connected
-      if (!audioElement._audioSourceConnected) {
-        this.source = this.audioContext.createMediaElementSource(audioElement);
-        this.source.connect(this.analyser);
-        this.analyser.connect(this.audioContext.destination);
-        audioElement._audioSourceConnected = true;
-      } else {
-        // Element already connected, just reconnect to analyser
-        console.log('🔗 Audio element already has source, reusing connection');
-      }
+// Microphone choice and push-to-talk survive reloads: {deviceId, pushToTalk}
+const MICROPHONE_STORAGE_KEY = 'agora-avatar-microphone';
 
-      // Initialize data array
-      this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
-      
-      this.connectedElement = audioElement;
-      this.isProcessing = true;
-      console.log('✅ LipsyncManager connected to audio element');
-    } catch (error) {
-      console.error('❌ LipsyncManager connection error:', error);
-      // If connection fails, try to reset and reconnect with a fresh element
-      this.disconnect();
-    }
+const readMicrophonePreferences = () => {
+  try {
+    return JSON.parse(localStorage.getItem(MICROPHONE_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
   }
+};
 
-  processAudio() {
-    if (!this.analyser || !this.dataArray || !this.isProcessing) {
-      return;
-    }
+const saveMicrophonePreferences = (changes) => {
+  localStorage.setItem(MICROPHONE_STORAGE_KEY, JSON.stringify({ ...readMicrophonePreferences(), ...changes }));
+};
 
-    try {
-      this.analyser.getByteFrequencyData(this.dataArray);
-
-      // Calculate volume
-      const average = this.dataArray.reduce((sum, value) => sum + value, 0) / this.dataArray.length;
-      const volume = average / 255;
-
-      // Calculate spectral centroid
-      let weightedSum = 0;
-      let sum = 0;
-      for (let i = 0; i < this.dataArray.length; i++) {
-        const freq = i * (this.audioContext.sampleRate / 2) / this.dataArray.length;
-        weightedSum += freq * this.dataArray[i];
-        sum += this.dataArray[i];
-      }
-      const centroid = sum > 0 ? weightedSum / sum : 0;
-
-      // Create frequency bands for visualization
-      const numBands = 8;
-      const bandsArray = [];
-      const bandSize = Math.floor(this.dataArray.length / numBands);
-      for (let i = 0; i < numBands; i++) {
-        const start = i * bandSize;
-        const end = start + bandSize;
-        const bandAvg = this.dataArray.slice(start, end).reduce((sum, val) => sum + val, 0) / bandSize;
-        bandsArray.push(bandAvg / 255);
-      }
+// Transcript changes are written to IndexedDB at most once per second
+const SESSION_SAVE_DEBOUNCE_MS = 1000;
 
-      // Detect viseme based on frequency analysis
-      let currentViseme = 'viseme_PP';
-      if (volume > 0.01) {
-        const lowFreq = this.dataArray.slice(0, 15).reduce((sum, val) => sum + val, 0) / 15;
-        const midFreq = this.dataArray.slice(15, 60).reduce((sum, val) => sum + val, 0) / 45;
-        const highFreq = this.dataArray.slice(60, 100).reduce((sum, val) => sum + val, 0) / 40;
-
-        if (highFreq > midFreq && highFreq > lowFreq) {
-          currentViseme = Math.random() > 0.5 ? 'viseme_I' : 'viseme_TH';
-        } else if (lowFreq > midFreq && lowFreq > highFreq) {
-          currentViseme = Math.random() > 0.5 ? 'viseme_O' : 'viseme_U';
-        } else if (midFreq > 20) {
-          currentViseme = Math.random() > 0.5 ? 'viseme_AA' : 'viseme_PP';
-        } else {
-          currentViseme = Math.random() > 0.5 ? 'viseme_kk' : 'viseme_FF';
-        }
-      }
+// After a reconnect, give the agent this long to reappear before restarting it
+const AGENT_RECOVERY_GRACE_MS = 5000;
 
-      this.viseme = currentViseme;
-      this.features = { volume, centroid, bands: bandsArray };
-    } catch (error) {
-      console.error('❌ LipsyncManager processAudio error:', error);
-    }
-  }
+// Behind the proxy without a token server the backend mints the agent's token for an hour
+// (TOKEN_EXPIRY_SECONDS in backend-example.js) - ask it for a fresh one well before that
+const PROXY_AGENT_TOKEN_RENEW_MS = 50 * 60 * 1000;
 
-  disconnect() {
-    this.isProcessing = false;
-    if (this.source) {
-      try {
-        this.source.disconnect();
-      } catch (e) {
-        // Ignore
-      }
-      this.source = null;
-    }
-    // Don't close the audio context, keep it for reuse
-    // Just reset the connection tracking
-    this.connectedElement = null;
-    this.viseme = 'viseme_PP';
-    this.features = { volume: 0, centroid: 0, bands: [] };
-  }
-}
+// After an interruption the jitter buffer still holds audio of the cut-off turn -
+// keep the mouth closed for at most this long, or until the next agent turn starts
+const LIPSYNC_INTERRUPT_HOLD_MS = 2000;
 
-// Export singleton instance
-export const lipsyncManager = new LipsyncManager();
+// The on-screen audio level only needs a few updates a second
+const AUDIO_LEVEL_STATE_INTERVAL_MS = 250;
 
 export const AgoraProvider = ({ children }) => {
   const [client, setClient] = useState(null);
@@ -360,308 +382,867 @@ export const AgoraProvider = ({ children }) => {
   const [isConnected, setIsConnected] = useState(false);
   const [isJoined, setIsJoined] = useState(false);
   const [audioLevel, setAudioLevel] = useState(0);
-  const [lipSyncData, setLipSyncData] = useState(null);
+  const lipSyncFrameRef = useRef(null); // Latest lip sync frame - read per render frame by the avatar, never React state
   const [agentId, setAgentId] = useState(null); // Store the agent ID for stopping
   const [configVersion, setConfigVersion] = useState(0); // To trigger config updates
   const [chatHistory, setChatHistory] = useState([]); // Store conversation transcript
-  const [processedMessageIds, setProcessedMessageIds] = useState(new Set()); // Track processed message IDs
-  const [messageChunks, setMessageChunks] = useState(new Map()); // Track message chunks: messageId -> {parts: Map, totalParts: number}
-  
+  const transcriptDecoderRef = useRef(null); // Reassembles chunked stream-message transcripts
+  if (!transcriptDecoderRef.current) {
+    transcriptDecoderRef.current = new TranscriptDecoder();
+  }
+  const [activeSessionId, setActiveSessionId] = useState(null); // Session being recorded to IndexedDB
+  const currentSessionRef = useRef(null);
+  const chatHistoryRef = useRef([]); // Latest chatHistory for callbacks created before it changed
+  const sessionAvatarRef = useRef(null);
+  const [connectionStatus, setConnectionStatus] = useState({ state: CONNECTION_STATES.IDLE, reason: null, attempt: 0 });
+  const clientRef = useRef(null); // Same client as `client`, for callbacks registered before it was set
+  const localAudioTrackRef = useRef(null);
+  const isLeavingRef = useRef(false);
+  const agentCheckTimerRef = useRef(null);
+  const rejoinRef = useRef(null);
+  const recoverAfterReconnectRef = useRef(null);
+  const renewTokensRef = useRef(null);
+  const clientInitKeyRef = useRef(null);
+  const appliedLlmConfigRef = useRef(null); // {agentId, signature} of the llm settings the running agent has
+  const [lastError, setLastError] = useState(null); // Most recent error-severity AppError (see services/appErrors.js)
+  const [notifications, setNotifications] = useState([]); // Toasts: {id, type, title, message, fix, code, count}
+  const notificationIdRef = useRef(0);
+  const [microphones, setMicrophones] = useState([]); // [{deviceId, label}]
+  const [microphoneId, setMicrophoneId] = useState(() => readMicrophonePreferences().deviceId || ''); // '' = system default
+  const microphoneIdRef = useRef(microphoneId);
+  const [micMuted, setMicMuted] = useState(false);
+  const [pushToTalk, setPushToTalkState] = useState(() => !!readMicrophonePreferences().pushToTalk);
+  const [pushToTalkActive, setPushToTalkActive] = useState(false); // Key or button held down
+  const [interruptedAt, setInterruptedAt] = useState(null); // When the agent was last cut off - the avatar resets its mouth
+  const lipSyncHoldRef = useRef(null); // {turnId, until} - ignore the agent's audio after an interruption
+  const typedReplyRef = useRef(null); // {messageId, afterTurnId} - the typed turn the next agent turn answers
+  const [aiDenoiserStatus, setAiDenoiserStatus] = useState('off'); // off | loading | on | unsupported | error
+  const denoiserRef = useRef(null); // {track, processor} - the AI Denoiser and the track it is piped into
+  const trackProcessingRef = useRef(null); // AEC/ANS/AGC the open microphone was created with
+  const replacingTrackRef = useRef(false);
+  const supervisorRef = useRef(null); // Retries the join with backoff when the link drops
+  if (!supervisorRef.current) {
+    supervisorRef.current = new ConnectionSupervisor({ rejoin: () => rejoinRef.current() });
+  }
+
+  const dismissNotification = useCallback((id) => {
+    setNotifications(prev => prev.filter(notification => notification.id !== id));
+  }, []);
+
+  // Show a toast. Errors stay until dismissed; the same code/title again bumps the count instead of stacking.
+  const notify = useCallback(({ type = 'info', title, message = null, fix = null, code = null }) => {
+    const key = code || `${type}:${title}`;
+    let id = null;
+    setNotifications(prev => {
+      const existing = prev.find(notification => notification.key === key);
+      if (existing) {
+        id = existing.id;
+        return prev.map(notification => notification === existing
+          ? { ...notification, message, count: notification.count + 1 }
+          : notification);
+      }
+      id = ++notificationIdRef.current;
+      return [...prev, { id, key, type, title, message, fix, code, count: 1 }].slice(-5);
+    });
+    const timeout = { success: 4000, info: 5000, warning: 10000 }[type];
+    if (timeout) {
+      setTimeout(() => setNotifications(prev => prev.filter(notification => notification.key !== key)), timeout);
+    }
+  }, []);
+
+  // Classify, log and surface a failure. Returns the AppError so callers can rethrow it.
+  const reportError = useCallback((error, fallbackCode, { toast = true } = {}) => {
+    const appError = toAppError(error, fallbackCode);
+    const log = appError.severity === 'warning' ? console.warn : console.error;
+    log(`❌ [${appError.code}] ${appError.title}:`, appError.cause || appError);
+    if (appError.severity === 'error') {
+      setLastError({ ...describeAppError(appError), at: Date.now() });
+    }
+    if (toast) {
+      notify({ type: appError.severity, title: appError.title, message: appError.message, fix: appError.fix, code: appError.code });
+    }
+    return appError;
+  }, [notify]);
+
+  const clearError = useCallback(() => setLastError(null), []);
+
   // Generate unique ID for messages to avoid React key conflicts
   const generateUniqueId = () => {
     return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   };
 
-  // Process complete message after all chunks are received
-  const processCompleteMessage = async (messageId, completeMessageData) => {
+  // The agent was cut off: close the avatar's mouth now instead of animating what is left in the buffer
+  const holdLipSync = (turnId) => {
+    lipSyncHoldRef.current = { turnId, until: Date.now() + LIPSYNC_INTERRUPT_HOLD_MS };
+    setInterruptedAt(Date.now());
+    setAudioLevel(0);
+    lipSyncFrameRef.current = null;
+    textVisemeTrackRef.current.clear();
+  };
+
+  // A new agent turn ends the hold early; a turn reported as interrupted starts one
+  const trackAgentTurnForLipSync = (data) => {
+    const hold = lipSyncHoldRef.current;
+    if (data.turn_status === 2) {
+      if (!hold || hold.turnId !== data.turn_id) {
+        holdLipSync(data.turn_id);
+      }
+    } else if (hold && hold.turnId !== data.turn_id) {
+      lipSyncHoldRef.current = null;
+    }
+  };
+
+  // Handle a decoded JSON payload from the agent (returns false if the text is not JSON)
+  const processJsonMessage = (jsonText) => {
+    let messageDataJson;
     try {
-      console.log('🔍 Processing complete message:', messageId, 'Length:', completeMessageData.length);
-      
+      messageDataJson = JSON.parse(jsonText);
+    } catch (jsonError) {
+      return false;
+    }
+    console.log('📄 JSON decoded successfully:', messageDataJson);
+
+    const now = new Date();
+    switch (messageDataJson.object) {
+      case 'user.transcription':
+      case 'assistant.transcription':
+        console.log(`✅ Processing ${messageDataJson.object} (turn ${messageDataJson.turn_id}):`, messageDataJson.text);
+        let reply;
+        if (messageDataJson.object === 'assistant.transcription') {
+          trackAgentTurnForLipSync(messageDataJson);
+          // The first agent turn after a typed turn was spoken is its answer (see sendMessageToConvoAI)
+          const typedReply = typedReplyRef.current;
+          if (typedReply && messageDataJson.turn_id !== undefined && messageDataJson.turn_id !== typedReply.afterTurnId) {
+            reply = { inReplyTo: typedReply.messageId };
+            typedReplyRef.current = null;
+          }
+        }
+        updateChatHistory(prev => applyTranscription(prev, messageDataJson, now, reply));
+        break;
+      case 'message.interrupt':
+        console.log('✂️ Agent turn interrupted:', messageDataJson.turn_id);
+        holdLipSync(messageDataJson.turn_id);
+        updateChatHistory(prev => applyInterrupt(prev, messageDataJson, now));
+        break;
+      default:
+        console.log('🚫 Filtering out non-transcription message:', messageDataJson.object);
+    }
+    return true;
+  };
+
+  // Process complete message after all chunks are received.
+  // messageBytes is the base64-decoded payload: either a protobuf SomeMessage or UTF-8 JSON.
+  const processCompleteMessage = async (messageId, messageBytes) => {
+    try {
+      console.log('🔍 Processing complete message:', messageId, 'Length:', messageBytes.length);
+
+      // Basic validation: messages should not be empty and should have reasonable size
+      if (messageBytes.length === 0) {
+        throw new Error('Empty buffer - no data to decode');
+      }
+      if (messageBytes.length > 1000000) { // 1MB limit
+        throw new Error(`Buffer too large: ${messageBytes.length} bytes`);
+      }
+
+      // JSON is UTF-8 text - decode it as such so non-ASCII transcripts stay intact
+      if (looksLikeJson(messageBytes) && processJsonMessage(decodeUtf8(messageBytes))) {
+        return;
+      }
+
       // Load protobuf schema if not already loaded
       const { SomeMessage: MessageType } = await loadProtoSchema();
-      
-      // Convert base64 decoded string to proper Uint8Array
-      // The completeMessageData is already base64 decoded, but we need to handle it as binary data
-      let buffer;
-      try {
-        // Try to convert the string to proper byte array
-        // Since atob() returns a binary string, we need to convert each char to byte
-        buffer = new Uint8Array(completeMessageData.length);
-        for (let i = 0; i < completeMessageData.length; i++) {
-          buffer[i] = completeMessageData.charCodeAt(i) & 0xFF; // Mask to byte range
-        }
-        console.log('📦 Buffer created, length:', buffer.length, 'First few bytes:', Array.from(buffer.slice(0, 10)));
-        
-        // Basic validation: protobuf messages should not be empty and should have reasonable size
-        if (buffer.length === 0) {
-          throw new Error('Empty buffer - no data to decode');
-        }
-        if (buffer.length > 1000000) { // 1MB limit
-          throw new Error(`Buffer too large: ${buffer.length} bytes`);
-        }
-        
-      } catch (bufferError) {
-        console.error('❌ Buffer creation failed:', bufferError);
-        throw new Error(`Buffer creation failed: ${bufferError.message}`);
+      if (protoSchemaError) {
+        reportError(new AppError('DECODE_SCHEMA', protoSchemaError.message, { cause: protoSchemaError }));
+        protoSchemaError = null; // Once is enough
       }
-      
+
       try {
-        // First, check if the data might actually be JSON (common case)
-        const trimmedData = completeMessageData.trim();
-        if (trimmedData.startsWith('{') && trimmedData.endsWith('}')) {
-          console.log('🔍 Data appears to be JSON, skipping protobuf decode');
-          throw new Error('Data appears to be JSON format');
-        }
-        
-        // Try protobuf decoding
-        const protoMessage = MessageType.decode(buffer);
+        // Protobuf decodes its string fields as UTF-8 straight from the bytes
+        const protoMessage = MessageType.decode(messageBytes);
         console.log('📋 Protobuf decoded successfully:', protoMessage);
-        
+
         // Process based on message type
         if (protoMessage.words && protoMessage.words.words) {
           console.log('✅ Found Words message with', protoMessage.words.words.length, 'words');
-          
-          // Extract words with timing information
-          const wordDetails = protoMessage.words.words.map(word => ({
-            word: word.word,
-            start: word.start,
-            end: word.end,
-            confidence: word.confidence,
-            speaker: word.speaker ? 'user' : 'agent'
-          }));
-          
-          // Only show actual words (filter out empty or very short words)
-          const meaningfulWords = wordDetails.filter(w => w.word && w.word.trim().length > 0);
-          
+
+          // Each word carries its own speaker flag, so user and agent words land in separate turns
+          const meaningfulWords = normalizeProtoWords(protoMessage.words.words);
+
           if (meaningfulWords.length > 0) {
-            const transcriptText = meaningfulWords.map(w => w.word).join(' ');
-            const speaker = meaningfulWords.some(w => w.speaker === 'user') ? 'user' : 'agent';
-            
-            console.log('📝 Real-time transcript update:', transcriptText);
-            
-            // Update existing message or create new one
-            addOrUpdateMessageInChat({
-              id: messageId,
-              timestamp: new Date(),
-              speaker: speaker,
-              message: transcriptText.trim(),
-              type: 'transcript',
-              words: meaningfulWords,
-              raw: protoMessage
-            });
+            console.log('📝 Real-time transcript update:', meaningfulWords.map(w => w.word).join(' '));
+            const now = new Date();
+            updateChatHistory(prev => applyWords(prev, meaningfulWords, { interim: false, now }));
           }
-          
+
         } else if (protoMessage.metadata) {
           console.log('📋 Found Metadata message:', protoMessage.metadata);
           // Don't add metadata messages to chat for now
         }
-        
+
       } catch (protoError) {
-        console.warn('❌ Protobuf decode failed, trying JSON fallback:', {
+        const text = decodeUtf8(messageBytes);
+        console.warn('❌ Protobuf decode failed, trying UTF-8 text fallback:', {
           error: protoError.message,
-          bufferLength: buffer.length,
-          dataLength: completeMessageData.length,
-          firstBytes: Array.from(buffer.slice(0, 20)), // Show more bytes for debugging
+          dataLength: messageBytes.length,
+          firstBytes: Array.from(messageBytes.slice(0, 20)), // Show more bytes for debugging
           errorType: protoError.constructor.name
         });
-        
-        // Try JSON fallback
-        try {
-          const messageDataJson = JSON.parse(completeMessageData);
-          console.log('📄 JSON decoded successfully:', messageDataJson);
-          
-          // Only process assistant.transcription messages
-          if (messageDataJson.object === "assistant.transcription") {
-            console.log('✅ Processing assistant.transcription message');
-            
-            // Extract transcript and words
-            const transcriptText = messageDataJson.transcript || messageDataJson.text || '';
-            const speaker = messageDataJson.role === 'user' ? 'user' : 'agent';
-            
-            // Extract words if available
-            let wordDetails = [];
-            if (messageDataJson.words && Array.isArray(messageDataJson.words)) {
-              wordDetails = messageDataJson.words.map(word => ({
-                word: word.word || word.text || word,
-                start: word.start || word.start_time || 0,
-                end: word.end || word.end_time || 0,
-                confidence: word.confidence || 1.0,
-                speaker: word.speaker || speaker
-              })).filter(w => w.word && w.word.trim().length > 0);
-            }
-            
-            if (transcriptText.trim() || wordDetails.length > 0) {
-              console.log('📝 Real-time transcript update from JSON:', transcriptText);
-              
-              // Update existing message or create new one
-              addOrUpdateMessageInChat({
-                id: messageId,
-                timestamp: new Date(),
-                speaker: speaker,
-                message: transcriptText.trim() || wordDetails.map(w => w.word).join(' '),
-                type: 'transcript',
-                words: wordDetails.length > 0 ? wordDetails : null,
-                raw: messageDataJson
-              });
-            }
-          } else {
-            console.log('🚫 Filtering out non-assistant.transcription message:', messageDataJson.object);
-          }
-          
-        } catch (jsonError) {
-          console.warn('❌ Both protobuf and JSON decode failed:', {
-            jsonError: jsonError.message,
-            dataSnippet: completeMessageData.substring(0, 100) + '...', // Show first 100 chars
-            dataLength: completeMessageData.length,
-            isPrintable: /^[\x20-\x7E]*$/.test(completeMessageData.substring(0, 50)) // Check if printable ASCII
+
+        if (processJsonMessage(text)) {
+          return;
+        }
+
+        // Last resort: treat as plain text if it decodes as valid UTF-8 and looks readable
+        const trimmedData = text.trim();
+        if (trimmedData.length > 0 && trimmedData.length < 10000 && !trimmedData.includes('\uFFFD')) {
+          console.log('🔤 Treating as plain text message');
+          addOrUpdateMessageInChat({
+            id: messageId,
+            timestamp: new Date(),
+            speaker: 'agent',
+            message: trimmedData,
+            type: 'text',
+            raw: { originalData: trimmedData }
           });
-          
-          // Last resort: treat as plain text if it looks like readable text
-          const trimmedData = completeMessageData.trim();
-          if (trimmedData.length > 0 && trimmedData.length < 10000) {
-            console.log('🔤 Treating as plain text message');
-            addOrUpdateMessageInChat({
-              id: messageId,
-              timestamp: new Date(),
-              speaker: 'agent',
-              message: trimmedData,
-              type: 'text',
-              raw: { originalData: completeMessageData }
-            });
+        } else {
+          console.warn('❌ Message is neither protobuf, JSON nor UTF-8 text:', {
+            dataSnippet: trimmedData.substring(0, 100) + '...', // Show first 100 chars
+            dataLength: messageBytes.length
+          });
+        }
+      }
+
+    } catch (error) {
+      reportError(error, 'DECODE_TRANSCRIPT');
+    }
+  };
+
+  // Process individual chunk for real-time updates (before complete message)
+  const processPartialMessage = async (messageId, partialBytes) => {
+    try {
+      // Partial JSON can't be parsed and would only flicker in the chat
+      if (looksLikeJson(partialBytes)) {
+        return;
+      }
+
+      // Try to decode partial data to show real-time progress
+      const { SomeMessage: MessageType } = await loadProtoSchema();
+
+      try {
+        const protoMessage = MessageType.decode(partialBytes);
+
+        if (protoMessage.words && protoMessage.words.words) {
+          const wordDetails = normalizeProtoWords(protoMessage.words.words);
+
+          if (wordDetails.length > 0) {
+            console.log('⚡ Real-time partial update:', wordDetails.map(w => w.word).join(' '));
+
+            // Update with partial data (marked as interim)
+            const now = new Date();
+            updateChatHistory(prev => applyWords(prev, wordDetails, { interim: true, now }));
           }
         }
+      } catch (error) {
+        // Partial decode might fail, that's okay
+        console.log('⚡ Partial decode failed (expected for incomplete data)');
+      }
+    } catch (error) {
+      // Silent fail for partial updates
+    }
+  };
+
+  // Apply an update to chatHistory, then link typed turns with the agent turns that answer them
+  const updateChatHistory = (updater) => {
+    setChatHistory(prev => linkReplies(updater(prev)));
+  };
+
+  // Add or update a non-turn message in chat (typed text, plain text fallback, tests)
+  const addOrUpdateMessageInChat = (messageUpdate) => {
+    const now = new Date();
+    updateChatHistory(prev => {
+      const existingIndex = prev.findIndex(existing => existing.id === messageUpdate.id);
+      
+      if (existingIndex !== -1) {
+        // Update existing message
+        console.log('🔄 Updating existing message:', messageUpdate.id);
+        const updatedHistory = [...prev];
+        const existingMessage = updatedHistory[existingIndex];
+        
+        // Merge new words with existing words, avoiding duplicates
+        const updatedWords = mergeWords(existingMessage.words || [], messageUpdate.words || []);
+        
+        // Update the message
+        updatedHistory[existingIndex] = {
+          ...existingMessage,
+          message: updatedWords.map(w => w.word).join(' '), // Rebuild transcript from words
+          words: updatedWords,
+          isPartial: messageUpdate.isPartial,
+          lastUpdated: now,
+          raw: messageUpdate.raw || existingMessage.raw
+        };
+        
+        console.log('✅ Message updated with', updatedWords.length, 'words');
+        return updatedHistory;
+      } else {
+        // Create new message
+        console.log('➕ Creating new message:', messageUpdate.id);
+        const newHistory = [...prev, {
+          ...messageUpdate,
+          createdAt: now,
+          lastUpdated: now
+        }];
+        console.log('✅ Chat history updated, new length:', newHistory.length);
+        return newHistory;
+      }
+    });
+  };
+  
+  // Start recording a new conversation session (saved once it has messages)
+  const startSession = (channel) => {
+    const session = createSession({
+      channel,
+      agentId,
+      agentName: getConvoAIConfig().agentName,
+      avatar: sessionAvatarRef.current,
+    });
+    currentSessionRef.current = session;
+    setActiveSessionId(session.id);
+    console.log('🗂️ Recording conversation session:', session.id);
+  };
+
+  // Close the active session and write its final transcript
+  const endSession = async () => {
+    const session = currentSessionRef.current;
+    if (!session) return;
+    currentSessionRef.current = null;
+    setActiveSessionId(null);
+
+    if (chatHistoryRef.current.length === 0) return;
+    try {
+      await saveSession({ ...session, endedAt: Date.now() }, chatHistoryRef.current);
+      console.log('💾 Conversation session saved:', session.id);
+    } catch (error) {
+      console.warn('⚠️ Failed to save conversation session:', error);
+    }
+  };
+
+  const setSessionAvatar = useCallback((avatar) => {
+    sessionAvatarRef.current = avatar;
+    if (currentSessionRef.current) {
+      currentSessionRef.current = { ...currentSessionRef.current, avatar };
+    }
+  }, []);
+
+  // Keep the active session's transcript in IndexedDB as it changes
+  useEffect(() => {
+    chatHistoryRef.current = chatHistory;
+    const session = currentSessionRef.current;
+    if (!session || chatHistory.length === 0) return;
+
+    const timer = setTimeout(() => {
+      // The session may have ended (and been saved with endedAt) while we waited
+      if (currentSessionRef.current?.id !== session.id) return;
+      saveSession(currentSessionRef.current, chatHistory)
+        .catch(error => console.warn('⚠️ Failed to save conversation session:', error));
+    }, SESSION_SAVE_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [chatHistory]);
+
+  useEffect(() => {
+    if (currentSessionRef.current && agentId) {
+      currentSessionRef.current = { ...currentSessionRef.current, agentId };
+    }
+  }, [agentId]);
+
+  // Sessions left open by a reload are closed at their last save; flush the live one on unload
+  useEffect(() => {
+    closeDanglingSessions()
+      .then(count => count > 0 && console.log(`🗂️ Closed ${count} session(s) interrupted by a reload`))
+      .catch(error => console.warn('⚠️ Conversation history unavailable:', error));
+
+    const handlePageHide = () => {
+      if (currentSessionRef.current && chatHistoryRef.current.length > 0) {
+        saveSession(currentSessionRef.current, chatHistoryRef.current).catch(() => {});
+      }
+    };
+    window.addEventListener('pagehide', handlePageHide);
+    return () => window.removeEventListener('pagehide', handlePageHide);
+  }, []);
+
+  // Lip sync for the agent's voice - the same engine the Visualizer uses (services/lipSyncEngine.js)
+  const lipSyncEngineRef = useRef(null);
+  if (!lipSyncEngineRef.current) {
+    lipSyncEngineRef.current = new LipSyncEngine();
+  }
+  // Mouth shapes from the agent's transcript words, when they line up with the audio
+  const textVisemeTrackRef = useRef(null);
+  if (!textVisemeTrackRef.current) {
+    textVisemeTrackRef.current = new TextVisemeTrack();
+  }
+  const lipSyncConfig = useMemo(getLipSyncConfig, [configVersion]);
+  const lipSyncConfigRef = useRef(lipSyncConfig);
+  const loadedLipSyncProfileRef = useRef(null);
+  useEffect(() => {
+    lipSyncConfigRef.current = lipSyncConfig;
+    lipSyncEngineRef.current.setLatencyOffset(lipSyncConfig.latencyOffsetMs);
+
+    const { profile, voiceName } = lipSyncConfig;
+    lipSyncEngineRef.current.setTuning(profile ? profile.tuning : null);
+    const profileKey = profile ? `${profile.name}@${profile.updatedAt}` : null;
+    if (profileKey !== loadedLipSyncProfileRef.current) {
+      console.log(profile
+        ? `🎚️ Lip sync profile "${profile.name}" loaded for voice ${voiceName}`
+        : `🎚️ No lip sync profile for voice ${voiceName || '(default)'} - using default tuning`);
+      loadedLipSyncProfileRef.current = profileKey;
+    }
+  }, [lipSyncConfig]);
+
+  // Store a calibrated offset (Visualizer) the same way Settings saves one
+  const setLipSyncLatencyOffset = useCallback((offsetMs) => {
+    sessionStorage.setItem('VITE_LIPSYNC_LATENCY_OFFSET', String(clampLatencyOffset(offsetMs)));
+    window.dispatchEvent(new Event('sessionStorageUpdate'));
+  }, []);
+
+  // Frames arrive ~60 times a second and go straight into lipSyncFrameRef; only the
+  // audio level readout in the UI is React state, and it is throttled
+  useEffect(() => {
+    const engine = lipSyncEngineRef.current;
+    let lastLevelUpdate = 0;
+    const unsubscribe = engine.on('frame', (frame) => {
+      const hold = lipSyncHoldRef.current;
+      if (hold && Date.now() < hold.until) {
+        return; // Still playing out an interrupted turn - holdLipSync() already reset the levels
+      }
+      // The audio decides whether and how wide the mouth opens; the transcript, when aligned, picks the shape
+      const clock = performance.now() / 1000;
+      const textTrack = textVisemeTrackRef.current;
+      textTrack.noteAudio(clock, frame.volume);
+      const textCue = lipSyncConfigRef.current.textDriven && frame.viseme !== SILENT_FRAME.viseme
+        ? textTrack.sample(clock)
+        : null;
+      lipSyncFrameRef.current = textCue ? { ...frame, viseme: textCue.viseme, weights: textCue.weights, source: 'text' } : frame;
+      const now = Date.now();
+      if (now - lastLevelUpdate >= AUDIO_LEVEL_STATE_INTERVAL_MS) {
+        lastLevelUpdate = now;
+        setAudioLevel(frame.volume);
+      }
+    });
+    return () => {
+      unsubscribe();
+      engine.destroy();
+    };
+  }, []);
+
+  // Play the agent's audio track and run the real-time lip sync analysis on it.
+  // Safe to call again with a new track (e.g. after a reconnect) - the old analysis is torn down first.
+  const attachAgentAudio = async (audioTrack) => {
+    stopAgentAudioAnalysis();
+
+    // STEP 1: Ensure audio is playing
+    try {
+      console.log('🔊 Starting audio playback...');
+      audioTrack.play();
+      console.log('✅ Audio track play() called successfully');
+      
+      // Set volume to maximum to ensure audibility
+      if (audioTrack.setVolume) {
+        audioTrack.setVolume(100);
+        console.log('🔊 Set audio volume to 100%');
+      }
+      
+    } catch (playError) {
+      reportError(playError, 'RTC_PLAYBACK_BLOCKED');
+    }
+    
+    // Set up Web Audio API analysis for real-time ConvoAI audio
+    try {
+      console.log('🎛️ Setting up Web Audio API for real-time lip sync...');
+      const mediaStreamTrack = audioTrack.getMediaStreamTrack();
+      console.log('MediaStreamTrack:', {
+        enabled: mediaStreamTrack.enabled,
+        muted: mediaStreamTrack.muted,
+        readyState: mediaStreamTrack.readyState
+      });
+
+      await lipSyncEngineRef.current.connect(mediaStreamTrack);
+      console.log('🔊 Real-time audio analysis setup complete, starting ConvoAI lip sync...');
+    } catch (error) {
+      console.error('❌ Error setting up real-time audio analysis:', error);
+    }
+  };
+
+  // Stop the lip sync analysis and let the avatar fall back to rest. The AudioContext is
+  // kept for the next track (e.g. after a reconnect) unless `release` - on leaving the channel
+  const stopAgentAudioAnalysis = ({ release = false } = {}) => {
+    if (release) {
+      lipSyncEngineRef.current.destroy();
+    } else {
+      lipSyncEngineRef.current.disconnect();
+    }
+    lipSyncHoldRef.current = null;
+    lipSyncFrameRef.current = null;
+    textVisemeTrackRef.current.clear();
+    setAudioLevel(0);
+  };
+
+
+  useEffect(() => {
+    localAudioTrackRef.current = localAudioTrack;
+  }, [localAudioTrack]);
+
+  // Without a granted permission the browser hides device labels - ask only once we use the mic anyway
+  const refreshMicrophones = useCallback(async (askPermission = false) => {
+    try {
+      const devices = await AgoraRTC.getMicrophones(!askPermission);
+      const list = devices
+        .filter(device => device.deviceId)
+        .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Microphone ${index + 1}` }));
+      setMicrophones(list);
+      return list;
+    } catch (error) {
+      console.warn('⚠️ Could not list microphones:', error);
+      return [];
+    }
+  }, []);
+
+  // Switch the input device, live if a track is open
+  const selectMicrophone = useCallback(async (deviceId) => {
+    microphoneIdRef.current = deviceId;
+    setMicrophoneId(deviceId);
+    saveMicrophonePreferences({ deviceId });
+
+    const track = localAudioTrackRef.current;
+    if (track && typeof track.setDevice === 'function') {
+      try {
+        await track.setDevice(deviceId || 'default');
+        console.log('🎙️ Switched microphone to', track.getTrackLabel());
+      } catch (error) {
+        reportError(error, 'RTC_MIC_SWITCH_FAILED');
+      }
+    }
+  }, [reportError]);
+
+  const setPushToTalk = useCallback((enabled) => {
+    setPushToTalkState(enabled);
+    setPushToTalkActive(false);
+    saveMicrophonePreferences({ pushToTalk: enabled });
+  }, []);
+
+  // Follow microphones being plugged in and out
+  useEffect(() => {
+    refreshMicrophones();
+    AgoraRTC.onMicrophoneChanged = async ({ state, device }) => {
+      console.log(`🎙️ Microphone ${state === 'ACTIVE' ? 'connected' : 'disconnected'}:`, device.label);
+      const list = await refreshMicrophones();
+      if (state === 'ACTIVE') {
+        notify({ type: 'info', title: 'Microphone connected', message: `${device.label} - pick it under 🎙️ to use it` });
+        return;
+      }
+
+      const track = localAudioTrackRef.current;
+      const inUse = device.deviceId === microphoneIdRef.current ||
+        (track && track.getMediaStreamTrack().getSettings().deviceId === device.deviceId);
+      if (inUse) {
+        notify({ type: 'warning', title: 'Microphone disconnected', message: `${device.label} is gone - switched to ${list[0] ? list[0].label : 'the system default'}` });
+        await selectMicrophone(list[0] ? list[0].deviceId : '');
+      }
+    };
+    return () => {
+      AgoraRTC.onMicrophoneChanged = null;
+    };
+  }, [refreshMicrophones, selectMicrophone, notify]);
+
+  // Muted, or push-to-talk without the key held: publish silence but keep the device open for instant unmute
+  const micOpen = !micMuted && (!pushToTalk || pushToTalkActive);
+  useEffect(() => {
+    if (localAudioTrack && typeof localAudioTrack.setMuted === 'function') {
+      localAudioTrack.setMuted(!micOpen).catch(error => console.warn('⚠️ Could not change the microphone mute state:', error));
+    }
+  }, [localAudioTrack, micOpen]);
+
+  // AI Denoiser on the current microphone track: attach, reconfigure or switch off to match the settings
+  const syncAiDenoiser = useCallback(async (track, processing) => {
+    const current = denoiserRef.current;
+    if (current && current.track !== track) {
+      // The track it was piped into is gone
+      denoiserRef.current = null;
+      await detachAiDenoiser(current.track, current.processor).catch(() => {});
+    }
+
+    try {
+      if (denoiserRef.current) {
+        await updateAiDenoiser(denoiserRef.current.processor, processing);
+        setAiDenoiserStatus(processing.denoiser ? 'on' : 'off');
+      } else if (processing.denoiser) {
+        setAiDenoiserStatus('loading');
+        const processor = await attachAiDenoiser(track, processing, {
+          onError: (error) => {
+            reportError(error, 'RTC_DENOISER_FAILED');
+            setAiDenoiserStatus('error');
+          },
+        });
+        if (!processor) {
+          setAiDenoiserStatus('unsupported');
+          notify({ type: 'warning', title: 'AI noise suppression not supported', message: 'This browser cannot run the AI Denoiser - the built-in noise suppression is used instead.' });
+          return;
+        }
+        denoiserRef.current = { track, processor };
+        console.log(`🎧 AI Denoiser on (${processing.denoiserMode}, ${processing.denoiserLevel})`);
+        setAiDenoiserStatus('on');
+      } else {
+        setAiDenoiserStatus('off');
+      }
+    } catch (error) {
+      // Never block the microphone on the denoiser
+      reportError(error, 'RTC_DENOISER_FAILED');
+      setAiDenoiserStatus('error');
+    }
+  }, [reportError, notify]);
+
+  const releaseAiDenoiser = useCallback(async () => {
+    const current = denoiserRef.current;
+    denoiserRef.current = null;
+    setAiDenoiserStatus('off');
+    if (current) {
+      await detachAiDenoiser(current.track, current.processor).catch(error => console.warn('⚠️ Could not release the AI Denoiser:', error));
+    }
+  }, []);
+
+  // Open the selected microphone with the configured processing (falls back to the default device)
+  const createMicrophoneTrack = useCallback(async () => {
+    const processing = getAudioProcessingConfig();
+    const microphoneConfig = {
+      encoderConfig: {
+        sampleRate: 48000,
+        stereo: false,
+        bitrate: 128,
+      },
+      ...buildTrackProcessing(processing),
+    };
+    let audioTrack;
+    try {
+      audioTrack = await AgoraRTC.createMicrophoneAudioTrack({
+        ...microphoneConfig,
+        microphoneId: microphoneIdRef.current || undefined,
+      });
+    } catch (deviceError) {
+      // The saved microphone may be unplugged - fall back to the system default
+      if (!microphoneIdRef.current || deviceError.code !== 'DEVICE_NOT_FOUND') {
+        throw deviceError;
+      }
+      console.warn('🎙️ Saved microphone not found, using the default one');
+      microphoneIdRef.current = '';
+      setMicrophoneId('');
+      audioTrack = await AgoraRTC.createMicrophoneAudioTrack(microphoneConfig);
+    }
+    trackProcessingRef.current = JSON.stringify(buildTrackProcessing(processing));
+    console.log('🎧 Microphone processing:', buildTrackProcessing(processing));
+    await syncAiDenoiser(audioTrack, processing);
+    return audioTrack;
+  }, [syncAiDenoiser]);
+
+  // Apply Settings changes to the open microphone. AEC/ANS/AGC are fixed at creation,
+  // so those need a new track (republished if joined); the denoiser switches live.
+  useEffect(() => {
+    const track = localAudioTrack;
+    if (!track || typeof track.setDevice !== 'function' || replacingTrackRef.current) {
+      return; // No microphone, or the mock's silent track
+    }
+    const processing = getAudioProcessingConfig();
+    if (JSON.stringify(buildTrackProcessing(processing)) === trackProcessingRef.current) {
+      syncAiDenoiser(track, processing);
+      return;
+    }
+
+    const replaceTrack = async () => {
+      replacingTrackRef.current = true;
+      try {
+        console.log('🎧 Audio processing changed, reopening the microphone');
+        const newTrack = await createMicrophoneTrack();
+        const agoraClient = clientRef.current;
+        if (agoraClient && agoraClient.connectionState === 'CONNECTED') {
+          await agoraClient.unpublish([track]);
+          await agoraClient.publish([newTrack]);
+        }
+        track.close();
+        setLocalAudioTrack(newTrack);
+      } catch (error) {
+        reportError(error, 'RTC_MIC_SWITCH_FAILED');
+      } finally {
+        replacingTrackRef.current = false;
+      }
+    };
+    replaceTrack();
+  }, [configVersion, localAudioTrack, createMicrophoneTrack, syncAiDenoiser, reportError]);
+
+  // Rejoin once the SDK has given up reconnecting by itself: fresh join + republish the microphone
+  rejoinRef.current = async () => {
+    const agoraClient = clientRef.current;
+    const agoraConfig = getAgoraConfig();
+    if (!agoraClient) {
+      throw new Error('Agora client is not initialized');
+    }
+
+    if (agoraClient.connectionState !== 'DISCONNECTED') {
+      await agoraClient.leave();
+    }
+    // Always ask for a fresh token - an expired one is a common reason for the drop
+    const userToken = await resolveUserToken(agoraConfig);
+    await agoraClient.join(agoraConfig.appId, agoraConfig.channel, userToken, agoraConfig.uid);
+
+    const audioTrack = localAudioTrackRef.current;
+    if (audioTrack) {
+      await agoraClient.publish([audioTrack]);
+    }
+    console.log('✅ Rejoined Agora channel:', agoraConfig.channel);
+  };
+
+  // Renew the user's and the agent's tokens in place (token-endpoint mode only)
+  renewTokensRef.current = async () => {
+    const agoraConfig = getAgoraConfig();
+    if (!agoraConfig.tokenEndpoint) {
+      console.warn('⚠️ Agora token is about to expire, but no token server is configured - a static token cannot be renewed');
+      return false;
+    }
+
+    const userToken = await resolveUserToken(agoraConfig);
+    await clientRef.current.renewToken(userToken);
+    console.log('✅ User token renewed');
+
+    if (agentId) {
+      const agentToken = await resolveAgentToken(agoraConfig);
+      const updated = await updateConvoAIConfigs({ token: agentToken });
+      console.log(updated ? '✅ Agent token renewed' : '⚠️ Failed to renew agent token');
+    }
+    return true;
+  };
+
+  // Proxy mode without a token server: the backend issued the agent's token at join and
+  // renews it on request (the token server path above covers every other setup)
+  const renewProxyAgentToken = useCallback(async () => {
+    const agoraConfig = getAgoraConfig();
+    const request = agentId && !agoraConfig.tokenEndpoint ? getConvoAIRequest('token', agentId) : null;
+    if (!request || !request.proxy) {
+      return false;
+    }
+
+    const response = await fetch(request.url, {
+      method: 'POST',
+      headers: request.headers,
+      credentials: request.credentials,
+      body: JSON.stringify({
+        channel: agoraConfig.channel,
+        agent_rtc_uid: getConvoAIConfig().agentUid.toString(),
+      }),
+    });
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw convoAIHttpError(response.status, errorText, 'RTC_TOKEN_RENEW_FAILED', { proxy: true });
+    }
+    console.log('✅ Agent token renewed by the backend');
+    return true;
+  }, [agentId]);
+
+  useEffect(() => {
+    if (!agentId) {
+      return undefined;
+    }
+    const timer = setInterval(() => {
+      renewProxyAgentToken().catch(error => reportError(error, 'RTC_TOKEN_RENEW_FAILED'));
+    }, PROXY_AGENT_TOKEN_RENEW_MS);
+    return () => clearInterval(timer);
+  }, [agentId, renewProxyAgentToken, reportError]);
+
+  // Back online: re-attach the agent's audio, and restart the agent if the idle timeout removed it
+  recoverAfterReconnectRef.current = async () => {
+    const agoraClient = clientRef.current;
+    const { convoAIUid } = getAgoraConfig();
+    if (!agoraClient) return;
+
+    const agentUser = agoraClient.remoteUsers.find(user => user.uid == convoAIUid);
+    if (agentUser && agentUser.hasAudio) {
+      try {
+        if (!agentUser.audioTrack) {
+          await agoraClient.subscribe(agentUser, 'audio');
+        }
+        console.log('🔁 Re-attaching ConvoAI agent audio after reconnect');
+        await attachAgentAudio(agentUser.audioTrack);
+      } catch (error) {
+        reportError(error, 'RTC_SUBSCRIBE_FAILED');
       }
-      
-      // Mark as processed
-      setProcessedMessageIds(prev => new Set([...prev, messageId]));
-      
-    } catch (error) {
-      console.error('❌ Error processing complete message:', error);
     }
-  };
 
-  // Process individual chunk for real-time updates (before complete message)
-  const processPartialMessage = async (messageId, partialData) => {
-    try {
-      // Try to decode partial data to show real-time progress
-      const { SomeMessage: MessageType } = await loadProtoSchema();
-      
-      const buffer = new Uint8Array(partialData.length);
-      for (let i = 0; i < partialData.length; i++) {
-        buffer[i] = partialData.charCodeAt(i);
+    clearTimeout(agentCheckTimerRef.current);
+    agentCheckTimerRef.current = setTimeout(async () => {
+      if (isLeavingRef.current || !clientRef.current || clientRef.current.connectionState !== 'CONNECTED') {
+        return;
       }
-      
+      const agentPresent = clientRef.current.remoteUsers.some(user => user.uid == getAgoraConfig().convoAIUid);
+      if (agentPresent) {
+        console.log('🤖 ConvoAI agent survived the reconnect');
+        return;
+      }
+
+      console.warn('🤖 ConvoAI agent is gone after the reconnect (idle timeout?) - restarting it...');
       try {
-        const protoMessage = MessageType.decode(buffer);
-        
-        if (protoMessage.words && protoMessage.words.words) {
-          const wordDetails = protoMessage.words.words
-            .map(word => ({
-              word: word.word,
-              start: word.start,
-              end: word.end,
-              confidence: word.confidence,
-              speaker: word.speaker ? 'user' : 'agent'
-            }))
-            .filter(w => w.word && w.word.trim().length > 0);
-          
-          if (wordDetails.length > 0) {
-            const speaker = wordDetails.some(w => w.speaker === 'user') ? 'user' : 'agent';
-            
-            console.log('⚡ Real-time partial update:', wordDetails.map(w => w.word).join(' '));
-            
-            // Update with partial data (marked as incomplete)
-            addOrUpdateMessageInChat({
-              id: messageId,
-              timestamp: new Date(),
-              speaker: speaker,
-              message: wordDetails.map(w => w.word).join(' ') + '...',
-              type: 'transcript',
-              words: wordDetails,
-              isPartial: true,
-              raw: protoMessage
-            });
-          }
-        }
+        setAgentId(null);
+        await startConvoAIAgent();
       } catch (error) {
-        // Partial decode might fail, that's okay
-        console.log('⚡ Partial decode failed (expected for incomplete data)');
+        reportError(error, 'AGENT_RESTART_FAILED');
       }
-    } catch (error) {
-      // Silent fail for partial updates
-    }
+    }, AGENT_RECOVERY_GRACE_MS);
   };
 
-  // Add or update message in chat with real-time word updates
-  const addOrUpdateMessageInChat = (messageUpdate) => {
-    setChatHistory(prev => {
-      const existingIndex = prev.findIndex(existing => existing.id === messageUpdate.id);
-      
-      if (existingIndex !== -1) {
-        // Update existing message
-        console.log('🔄 Updating existing message:', messageUpdate.id);
-        const updatedHistory = [...prev];
-        const existingMessage = updatedHistory[existingIndex];
-        
-        // Merge new words with existing words, avoiding duplicates
-        let updatedWords = existingMessage.words || [];
-        if (messageUpdate.words) {
-          messageUpdate.words.forEach(newWord => {
-            // Check if this word already exists (by position/timing)
-            const existingWordIndex = updatedWords.findIndex(existing => 
-              Math.abs(existing.start - newWord.start) < 0.01 && existing.word === newWord.word
-            );
-            
-            if (existingWordIndex === -1) {
-              // New word, add it in correct position
-              updatedWords.push(newWord);
-              updatedWords.sort((a, b) => a.start - b.start); // Keep words in chronological order
-            } else {
-              // Update existing word if needed (e.g., confidence improved)
-              updatedWords[existingWordIndex] = { ...updatedWords[existingWordIndex], ...newWord };
-            }
-          });
+  // Reflect supervisor state in React and react to drops / recoveries
+  useEffect(() => {
+    const supervisor = supervisorRef.current;
+    const unsubscribe = [
+      supervisor.on('status', setConnectionStatus),
+      supervisor.on('lost', ({ reason }) => {
+        console.warn('📡 Connection lost:', describeDisconnectReason(reason) || 'unknown reason');
+        // The agent's audio is gone until we are back - let the avatar rest instead of freezing mid-word
+        stopAgentAudioAnalysis();
+      }),
+      supervisor.on('status', (status) => {
+        if (status.state === CONNECTION_STATES.FAILED) {
+          reportError(
+            new AppError('RTC_CONNECTION_FAILED', status.lastError || describeDisconnectReason(status.reason) || 'Rejoin failed'),
+            null,
+            { toast: false }
+          );
         }
-        
-        // Update the message
-        updatedHistory[existingIndex] = {
-          ...existingMessage,
-          message: updatedWords.map(w => w.word).join(' '), // Rebuild transcript from words
-          words: updatedWords,
-          lastUpdated: new Date(),
-          raw: messageUpdate.raw || existingMessage.raw
-        };
-        
-        console.log('✅ Message updated with', updatedWords.length, 'words');
-        return updatedHistory;
-      } else {
-        // Create new message
-        console.log('➕ Creating new message:', messageUpdate.id);
-        const newHistory = [...prev, {
-          ...messageUpdate,
-          createdAt: new Date(),
-          lastUpdated: new Date()
-        }];
-        console.log('✅ Chat history updated, new length:', newHistory.length);
-        return newHistory;
-      }
-    });
-  };
-  
-  const audioAnalyserRef = useRef(null);
-  const animationFrameRef = useRef(null);
+      }),
+      supervisor.on('recovered', ({ attempts }) => {
+        console.log(`📡 Connection recovered${attempts ? ` after ${attempts} rejoin attempt(s)` : ''}`);
+        recoverAfterReconnectRef.current();
+      }),
+    ];
+    return () => {
+      unsubscribe.forEach(fn => fn());
+      supervisor.stop();
+      clearTimeout(agentCheckTimerRef.current);
+    };
+  }, []);
+
+  // Initialize Agora client - again whenever the kind of client needed changes
+  // (credentials appear after a profile switch, mock mode is toggled), but never mid-call
+  if (!isJoined || clientInitKeyRef.current === null) {
+    clientInitKeyRef.current = getClientInitKey(getAgoraConfig());
+  }
+  const clientInitKey = clientInitKeyRef.current;
 
-  // Initialize Agora client
   useEffect(() => {
+    let disposed = false;
+
     const initClient = async () => {
       // Check if we have basic Agora configuration before creating client
       const agoraConfig = getAgoraConfig();
       
-      if (!agoraConfig.appId || !agoraConfig.token) {
+      if (!agoraConfig.mockRtcUrl && (!agoraConfig.appId || (!agoraConfig.token && !agoraConfig.tokenEndpoint))) {
         console.log('⏸️ Skipping Agora client initialization - missing credentials');
         console.log('Missing:', {
           appId: !agoraConfig.appId ? 'MISSING' : 'SET',
-          token: !agoraConfig.token ? 'MISSING' : 'SET'
+          token: !agoraConfig.token && !agoraConfig.tokenEndpoint ? 'MISSING' : 'SET'
         });
         return;
       }
@@ -671,12 +1252,21 @@ export const AgoraProvider = ({ children }) => {
         
         // Configure Agora for better connection handling
         AgoraRTC.setLogLevel(1); // Reduce log verbosity to avoid WebSocket spam
+        // Browsers refuse to start audio before a user gesture - tell the user instead of staying silent
+        AgoraRTC.onAutoplayFailed = () => {
+          reportError(new AppError('RTC_PLAYBACK_BLOCKED', "The browser blocked the agent's audio"));
+        };
         
-        // Create Agora client in LIVE mode with HOST role
-        const agoraClient = AgoraRTC.createClient({ 
-          mode: 'live',
-          codec: 'vp8' 
-        });
+        // Create Agora client in LIVE mode with HOST role (or the offline mock client)
+        const agoraClient = agoraConfig.mockRtcUrl
+          ? createMockRtcClient({ serverUrl: agoraConfig.mockRtcUrl })
+          : AgoraRTC.createClient({ 
+              mode: 'live',
+              codec: 'vp8' 
+            });
+        if (agoraConfig.mockRtcUrl) {
+          console.log('🧪 Using mock RTC client:', agoraConfig.mockRtcUrl);
+        }
         
         // Set client role to host for publishing audio
         await agoraClient.setClientRole('host');
@@ -697,7 +1287,10 @@ export const AgoraProvider = ({ children }) => {
           await agoraClient.subscribe(user, mediaType);
           console.log('✅ Successfully subscribed to user:', user.uid, 'for', mediaType);
         } catch (subscribeError) {
-          console.error('❌ Failed to subscribe to user:', user.uid, subscribeError);
+          console.warn('⚠️ Subscribe failed for user:', user.uid);
+          if (user.uid == getAgoraConfig().convoAIUid) {
+            reportError(subscribeError, 'RTC_SUBSCRIBE_FAILED');
+          }
           return;
         }
         
@@ -716,139 +1309,7 @@ export const AgoraProvider = ({ children }) => {
               isPlaying: audioTrack.isPlaying
             });
             
-            // STEP 1: Ensure audio is playing
-            try {
-              console.log('🔊 Starting audio playback...');
-              audioTrack.play();
-              console.log('✅ Audio track play() called successfully');
-              
-              // Set volume to maximum to ensure audibility
-              if (audioTrack.setVolume) {
-                audioTrack.setVolume(100);
-                console.log('🔊 Set audio volume to 100%');
-              }
-              
-            } catch (playError) {
-              console.error('❌ Failed to play audio track:', playError);
-            }
-            
-            // Set up Web Audio API analysis for real-time ConvoAI audio
-            try {
-              console.log('🎛️ Setting up Web Audio API for real-time lip sync...');
-              const mediaStreamTrack = audioTrack.getMediaStreamTrack();
-              console.log('MediaStreamTrack:', {
-                enabled: mediaStreamTrack.enabled,
-                muted: mediaStreamTrack.muted,
-                readyState: mediaStreamTrack.readyState
-              });
-              
-              const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-              console.log('AudioContext state:', audioContext.state);
-              
-              // Resume audio context if suspended (common on mobile/browser restrictions)
-              if (audioContext.state === 'suspended') {
-                console.log('🔄 Resuming suspended audio context...');
-                await audioContext.resume();
-                console.log('✅ Audio context resumed, new state:', audioContext.state);
-              }
-              
-              const mediaStreamSource = audioContext.createMediaStreamSource(new MediaStream([mediaStreamTrack]));
-              const analyser = audioContext.createAnalyser();
-              
-              mediaStreamSource.connect(analyser);
-              analyser.fftSize = 256;
-              audioAnalyserRef.current = analyser;
-              
-              console.log('🔊 Real-time audio analysis setup complete, starting ConvoAI lip sync...');
-              
-              // Start real-time audio analysis with Oculus viseme detection
-              const analyzeAudio = () => {
-                if (audioAnalyserRef.current) {
-                  const dataArray = new Uint8Array(audioAnalyserRef.current.frequencyBinCount);
-                  audioAnalyserRef.current.getByteFrequencyData(dataArray);
-                  
-                  // Calculate average audio level (0-1)
-                  const average = dataArray.reduce((sum, value) => sum + value, 0) / dataArray.length;
-                  const normalizedLevel = average / 255;
-                  
-                  setAudioLevel(normalizedLevel);
-                  
-                  // Oculus/Meta Quest viseme detection based on formant analysis
-                  // Returns actual Oculus viseme blend shape names
-                  let viseme = 'viseme_sil'; // Default silence
-                  
-                  if (normalizedLevel > 0.02) {
-                    // Calculate energy in specific frequency bands (formants)
-                    const f1 = dataArray.slice(0, 8).reduce((sum, val) => sum + val, 0) / 8;    // ~300Hz
-                    const f2 = dataArray.slice(8, 20).reduce((sum, val) => sum + val, 0) / 12;  // ~600Hz  
-                    const f3 = dataArray.slice(20, 40).reduce((sum, val) => sum + val, 0) / 20; // ~1200Hz
-                    const f4 = dataArray.slice(40, 70).reduce((sum, val) => sum + val, 0) / 30; // ~2000Hz
-                    const highF = dataArray.slice(70, 110).reduce((sum, val) => sum + val, 0) / 40; // ~3500Hz
-                    
-                    const totalEnergy = f1 + f2 + f3 + f4 + highF;
-                    
-                    if (totalEnergy > 10) {
-                      // Normalize formant energies
-                      const nf1 = f1 / totalEnergy;
-                      const nf2 = f2 / totalEnergy;
-                      const nf3 = f3 / totalEnergy;
-                      const nf4 = f4 / totalEnergy;
-                      const nhighF = highF / totalEnergy;
-                      
-                      // Vowel detection based on formant patterns
-                      if (nf1 > 0.25 && nf2 < 0.2) {
-                        // Strong F1, weak F2 = 'aa' sound (father, hot)
-                        viseme = 'viseme_aa';
-                      } else if (nf2 > 0.25 && nhighF > 0.2) {
-                        // Strong F2 and high frequencies = 'ee' sound (see, eat)
-                        viseme = 'viseme_I';
-                      } else if (nf1 > 0.2 && nf2 > 0.2) {
-                        // Balanced F1 and F2 = 'eh' sound (bed, head)
-                        viseme = 'viseme_E';
-                      } else if (nf1 < 0.15 && nf2 < 0.2 && nhighF > 0.25) {
-                        // Weak F1/F2, strong high = 'oo' sound (boot, food)
-                        viseme = 'viseme_U';
-                      } else if (nf1 < 0.2 && nf2 > 0.2 && nf3 > 0.2) {
-                        // Weak F1, strong F2/F3 = 'oh' sound (go, show)
-                        viseme = 'viseme_O';
-                      } else if (nhighF > 0.35) {
-                        // High frequency sibilants
-                        viseme = Math.random() > 0.5 ? 'viseme_SS' : 'viseme_CH'; // s/z or sh/ch
-                      } else if (nhighF > 0.25) {
-                        // Fricatives (f, v, th)
-                        viseme = Math.random() > 0.5 ? 'viseme_FF' : 'viseme_TH';
-                      } else if (nf1 < 0.15 && nf2 < 0.2 && nhighF < 0.2) {
-                        // Closed consonants (p, b, m)
-                        viseme = 'viseme_PP';
-                      } else if (nf2 < 0.2 && nf3 > 0.2) {
-                        // Back consonants (k, g)
-                        viseme = 'viseme_kk';
-                      } else {
-                        // Dental/alveolar consonants (d, t, n, l)
-                        viseme = 'viseme_DD';
-                      }
-                    }
-                  }
-                  
-                  // Generate lip sync data with Oculus viseme
-                  setLipSyncData({
-                    viseme: viseme,
-                    audioLevel: normalizedLevel,
-                    // Raw frequency data for debugging
-                    frequencies: {
-                      low: dataArray.slice(0, 15).reduce((sum, val) => sum + val, 0) / 15,
-                      mid: dataArray.slice(15, 60).reduce((sum, val) => sum + val, 0) / 45,
-                      high: dataArray.slice(60, 100).reduce((sum, val) => sum + val, 0) / 40
-                    }
-                  });
-                }
-                animationFrameRef.current = requestAnimationFrame(analyzeAudio);
-              };
-              
-              analyzeAudio();
-            } catch (error) {
-              console.error('❌ Error setting up real-time audio analysis:', error);
-            }
+            await attachAgentAudio(audioTrack);
           } else {
             console.warn('⚠️  Audio track is null/undefined');
           }
@@ -856,7 +1317,8 @@ export const AgoraProvider = ({ children }) => {
           console.log('👤 Regular user audio or different media type');
         }
         
-        setRemoteUsers(users => [...users, user]);
+        // A reconnect publishes the same user again - keep one entry per uid
+        setRemoteUsers(users => [...users.filter(u => u.uid !== user.uid), user]);
       });
 
       agoraClient.on('user-unpublished', (user) => {
@@ -884,55 +1346,30 @@ export const AgoraProvider = ({ children }) => {
         });
       });
 
-      // Helper function to check if message should be added to chat
-      const shouldAddToChat = (messageData, messageId) => {
-        // Check if message ID already processed
-        if (messageId && processedMessageIds.has(messageId)) {
-          console.log(`🔄 Skipping duplicate message ID: ${messageId}`);
-          return false;
-        }
+      agoraClient.on('connection-state-change', (curState, revState, reason) => {
+        console.log('Agora connection state:', revState, '→', curState, reason ? `(${reason})` : '');
+        setIsConnected(curState === 'CONNECTED');
+        supervisorRef.current.handleStateChange(curState, revState, reason);
+      });
 
-        // Check if message has object property
-        if (messageData && messageData.object) {
-          // Only show assistant.transcription messages
-          if (messageData.object === 'assistant.transcription') {
-            // Additional check for meaningful content
-            if (messageData.words && Array.isArray(messageData.words) && messageData.words.length > 0) {
-              console.log('✅ Valid assistant.transcription message with words');
-              return true;
-            } else if (messageData.text && messageData.text.trim()) {
-              console.log('✅ Valid assistant.transcription message with text');
-              return true;
-            } else {
-              console.log('🚫 assistant.transcription message has no meaningful content');
-              return false;
-            }
-          } else {
-            console.log(`🚫 Filtering out message type: ${messageData.object}`);
-            return false;
-          }
+      // Tokens last an hour - renew them in place instead of dropping the session
+      agoraClient.on('token-privilege-will-expire', async () => {
+        console.log('🔑 Agora token expires in 30 seconds - renewing...');
+        try {
+          await renewTokensRef.current();
+        } catch (error) {
+          reportError(error, 'RTC_TOKEN_RENEW_FAILED');
         }
+      });
 
-        // For protobuf messages without object field, check if it has actual words
-        if (messageData && messageData.words && messageData.words.words && messageData.words.words.length > 0) {
-          // Additional check to ensure words have content
-          const hasNonEmptyWords = messageData.words.words.some(word => word.word && word.word.trim());
-          if (hasNonEmptyWords) {
-            console.log('✅ Valid protobuf Words message with content');
-            return true;
-          } else {
-            console.log('🚫 Protobuf message has empty words');
-            return false;
-          }
+      agoraClient.on('token-privilege-did-expire', () => {
+        console.warn('🔑 Agora token expired');
+        // Renewal didn't make it in time - rejoin, which fetches a fresh token
+        if (getAgoraConfig().tokenEndpoint) {
+          supervisorRef.current.retryNow('TOKEN_EXPIRE');
+        } else {
+          reportError(new AppError('AUTH_TOKEN_EXPIRED', 'The static token expired during the session'));
         }
-
-        console.log('🚫 Message does not meet criteria for chat display');
-        return false;
-      };
-
-      agoraClient.on('connection-state-change', (curState) => {
-        console.log('Agora connection state:', curState);
-        setIsConnected(curState === 'CONNECTED');
       });
 
       // Subscribe to RTC data stream for ConvoAI transcript
@@ -946,119 +1383,63 @@ export const AgoraProvider = ({ children }) => {
         
         // Only handle messages from ConvoAI agent
         if (uid == getAgoraConfig().convoAIUid) {
-          try {
-            // Decode the payload using TextDecoder
-            let decodedString = new TextDecoder().decode(payload);
-            //console.log('📝 Decoded string:', decodedString);
-
-            
-            // Parse message format: messageID|part|totalParts|base64Data
-            if (!decodedString.includes('|')) {
-              console.warn('⚠️ Message format invalid - missing separators');
-              return;
-            }
-            
-            const parts = decodedString.split('|');
-            if (parts.length !== 4) {
-              console.warn('⚠️ Message format invalid - expected 4 parts, got:', parts.length);
-              return;
-            }
-            
-            const [messageId, partNumber, totalParts, base64Data] = parts;
-            const partNum = parseInt(partNumber);
-            const totalNum = parseInt(totalParts);
-            
-            console.log('📦 Message chunk:', { messageId, partNum, totalNum });
-            
-            // CRITICAL: Skip if this complete message was already processed
-            if (processedMessageIds.has(messageId)) {
-              console.log(`🔄 Ignoring duplicate complete message: ${messageId}`);
-              return;
-            }
-            
-            // Decode Base64 data
-            let messageData;
-            try {
-              messageData = atob(base64Data);
-            } catch (base64Error) {
-              console.warn('❌ Base64 decode failed:', base64Error);
-              return;
-            }
-            
-            // Handle message chunking
-            setMessageChunks(prev => {
-              const newChunks = new Map(prev);
-              
-              // Check if we already have this complete message processed
-              if (processedMessageIds.has(messageId)) {
-                console.log(`🔄 Skipping chunk for already processed message: ${messageId}`);
-                return newChunks;
-              }
-              
-              if (!newChunks.has(messageId)) {
-                newChunks.set(messageId, {
-                  parts: new Map(),
-                  totalParts: totalNum,
-                  receivedAt: Date.now()
-                });
-              }
-              
-              const messageInfo = newChunks.get(messageId);
-              
-              // Check if we already have this specific part
-              if (messageInfo.parts.has(partNum)) {
-                console.log(`🔄 Already have part ${partNum} for message ${messageId}, ignoring duplicate`);
-                return newChunks;
-              }
-              
-              messageInfo.parts.set(partNum, messageData);
-              
-              console.log(`📥 Received part ${partNum}/${totalNum} for message ${messageId} (${messageInfo.parts.size}/${totalNum} complete)`);
-              
-              // Check if we have all parts
-              if (messageInfo.parts.size === totalNum) {
-                console.log(`✅ All parts received for message ${messageId}, assembling...`);
-                
-                // Assemble complete message in correct order
-                let completeMessage = '';
-                for (let i = 1; i <= totalNum; i++) {
-                  if (messageInfo.parts.has(i)) {
-                    completeMessage += messageInfo.parts.get(i);
-                  } else {
-                    console.error(`❌ Missing part ${i} for message ${messageId}`);
-                    return newChunks; // Keep waiting
-                  }
-                }
-                
-                // Process the complete message
-                processCompleteMessage(messageId, completeMessage);
-                
-                // Remove from chunks map to save memory
-                newChunks.delete(messageId);
-              } else {
-                // Try partial update for real-time display
-                processPartialMessage(messageId, messageData);
-              }
-              
-              return newChunks;
-            });
-            
-          } catch (error) {
-            console.error('❌ Stream message processing error:', error);
+          // Reassembly, duplicate detection and expiry live in the decoder;
+          // complete and partial messages come back through its listeners
+          const result = transcriptDecoderRef.current.push(payload);
+          if (result === 'invalid') {
+            console.warn('⚠️ Message format invalid - expected messageId|part|totalParts|base64Data');
+          } else if (result === 'duplicate') {
+            console.log('🔄 Ignoring duplicate stream message chunk');
           }
         }
       });
 
+      if (disposed) {
+        agoraClient.removeAllListeners();
+        return;
+      }
+      clientRef.current = agoraClient;
       setClient(agoraClient);
       
       } catch (error) {
-        console.error('❌ Failed to initialize Agora client:', error);
-        console.log('💡 Please check your Agora App ID and Token configuration');
+        reportError(error, 'RTC_CLIENT_INIT');
       }
     };
 
     initClient();
 
+    return () => {
+      disposed = true;
+      if (clientRef.current) {
+        clientRef.current.removeAllListeners();
+        clientRef.current = null;
+      }
+      setClient(null);
+    };
+  }, [clientInitKey]);
+
+  useEffect(() => {
+    // Route reassembled transcripts from the decoder into the chat
+    const decoder = transcriptDecoderRef.current;
+    const unsubscribeDecoder = [
+      decoder.on('message', ({ messageId, data }) => {
+        console.log(`✅ All parts received for message ${messageId}, processing...`);
+        processCompleteMessage(messageId, data);
+      }),
+      decoder.on('partial', ({ messageId, part, totalParts, data }) => {
+        console.log(`📥 Received part ${part}/${totalParts} for message ${messageId}`);
+        processPartialMessage(messageId, data);
+      }),
+      decoder.on('drop', ({ messageId, reason }) => {
+        if (messageId) {
+          console.warn(`🗑️ Dropped incomplete message ${messageId} (${reason})`);
+        }
+      }),
+    ];
+
+    // Expire half-received messages even when the stream goes quiet
+    const expiryInterval = setInterval(() => decoder.expire(), 5000);
+
     // Listen for sessionStorage changes to update config
     const handleStorageChange = () => {
       setConfigVersion(prev => prev + 1);
@@ -1070,9 +1451,8 @@ export const AgoraProvider = ({ children }) => {
 
     // Cleanup
     return () => {
-      if (animationFrameRef.current) {
-        cancelAnimationFrame(animationFrameRef.current);
-      }
+      unsubscribeDecoder.forEach(unsubscribe => unsubscribe());
+      clearInterval(expiryInterval);
       window.removeEventListener('storage', handleStorageChange);
       window.removeEventListener('sessionStorageUpdate', handleStorageChange);
     };
@@ -1087,95 +1467,60 @@ export const AgoraProvider = ({ children }) => {
       const agoraConfig = getAgoraConfig();
       const convoaiConfig = getConvoAIConfig();
       
-      // Validate Basic Auth credentials
-      let authHeader = generateBasicAuthHeader();
-      if (!authHeader) {
-        console.error('❌ Failed to generate auth header - check API Key and Password');
-        return;
-      }
-      
-      if (!authHeader) {
-        throw new Error('ConvoAI API credentials not configured. Please set valid API Key and Password in Settings.');
+      // Direct mode needs Basic Auth credentials; proxy mode leaves them to the backend
+      const request = getConvoAIRequest('join');
+      if (!request) {
+        throw new AppError('CONFIG_MISSING_CREDENTIALS', 'No ConvoAI customer ID / secret configured (or they are placeholders)');
       }
       
-      // Test the credentials encoding/decoding
-      const credentialsValid = testBasicAuthCredentials();
-      if (!credentialsValid) {
-        throw new Error('ConvoAI API credentials encoding test failed. Please check your API Key and Password.');
+      if (!request.proxy) {
+        // Test the credentials encoding/decoding
+        const credentialsValid = testBasicAuthCredentials();
+        if (!credentialsValid) {
+          throw new AppError('CONFIG_MISSING_CREDENTIALS', 'ConvoAI API credentials encoding test failed. Please check your API Key and Password.');
+        }
       }
       
       // Generate a unique name for this agent session
       const uniqueName = `agora-agent-${Date.now()}`;
       
-      // Construct the API URL - POST /projects/:appid/join
-      const apiUrl = `${convoaiConfig.baseUrl}/projects/${agoraConfig.appId}/join`;
+      // The agent's UID differs from ours, so it needs its own token in token-server mode.
+      // Behind the proxy without a token server, the backend issues the agent token itself.
+      const agentToken = request.proxy && !agoraConfig.tokenEndpoint
+        ? null
+        : await resolveAgentToken(agoraConfig);
       
+      const properties = buildAgentProperties(convoaiConfig, {
+        channel: agoraConfig.channel,
+        token: agentToken,
+      });
       const requestBody = {
         "name": uniqueName,
-        "properties": {
-          "channel": agoraConfig.channel,
-          "token": agoraConfig.token,
-          "name": convoaiConfig.agentName,
-          "agent_rtc_uid": convoaiConfig.agentUid.toString(), // FIXED: Ensure string format
-          "remote_rtc_uids": ["*"], // Will be populated when users join
-          "idle_timeout": 120,
-          "llm": {
-            "url": convoaiConfig.llmUrl,
-            "api_key": convoaiConfig.llmApiKey,
-            "system_messages": [
-              {
-                "role": "system",
-                "content": convoaiConfig.systemMessage
-              }
-            ],
-            "max_history": 32,
-            "greeting_message": convoaiConfig.greeting,
-            "failure_message": "I'm sorry, I'm having trouble processing that. Please try again.",
-            "params": {
-              "model": convoaiConfig.llmModel
-            }
-          },
-          "tts": {
-            "vendor": "microsoft",
-            "params": {
-              "key": convoaiConfig.ttsApiKey,
-              "region": convoaiConfig.ttsRegion,
-              "voice_name": convoaiConfig.ttsVoiceName
-            }
-          },
-          "asr": {
-            "language": convoaiConfig.asrLanguage
-          }
-        }
+        "properties": request.proxy ? redactAgentSecrets(properties) : properties
       };
+      if (request.proxy) {
+        // The backend picks the LLM URL and key for this provider preset (llmProviders.js)
+        requestBody.llm_provider = convoaiConfig.llmProvider;
+      }
       
       console.log('🚀 ConvoAI Agent Join Request:', {
-        url: apiUrl,
+        url: request.url,
+        mode: request.proxy ? 'proxy' : 'direct',
         agentUid: convoaiConfig.agentUid,
         agentUidType: typeof convoaiConfig.agentUid,
-        body: requestBody
-      });
-      
-      console.log('🔐 Auth Debug:', {
-        authHeaderPresent: !!authHeader,
-        authHeaderLength: authHeader ? authHeader.length : 0,
-        apiKeyPresent: !!convoaiConfig.apiKey,
-        passwordPresent: !!convoaiConfig.password,
-        baseUrl: convoaiConfig.baseUrl
+        body: request.proxy ? requestBody : redactAgentSecrets(properties)
       });
       
-      const response = await fetch(apiUrl, {
+      const response = await fetch(request.url, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': authHeader,
-        },
+        headers: request.headers,
+        credentials: request.credentials,
         body: JSON.stringify(requestBody),
       });
       
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`ConvoAI API Error (${response.status}): ${errorText}`);
+        throw convoAIHttpError(response.status, errorText, 'AGENT_START_FAILED', { proxy: request.proxy });
       }
       
       const result = await response.json();
@@ -1193,8 +1538,8 @@ export const AgoraProvider = ({ children }) => {
       
       return result;
     } catch (error) {
-      console.error('Failed to start ConvoAI Agent:', error);
-      throw error;
+      // Callers decide how to surface it
+      throw toAppError(error, 'AGENT_START_FAILED');
     }
   }, []);
 
@@ -1208,26 +1553,16 @@ export const AgoraProvider = ({ children }) => {
       
       console.log('Stopping ConvoAI Agent...');
       
-      // Get current configuration (from sessionStorage or env)
-      const agoraConfig = getAgoraConfig();
-      const convoaiConfig = getConvoAIConfig();
-      
-      // Generate auth header
-      const authHeader = generateBasicAuthHeader();
-      if (!authHeader) {
+      const request = getConvoAIRequest('leave', agentId);
+      if (!request) {
         console.warn('ConvoAI API credentials not available for stopping agent');
         return;
       }
       
-      // Construct the API URL - POST /projects/:appid/agents/:agentid/leave
-      const apiUrl = `${convoaiConfig.baseUrl}/projects/${agoraConfig.appId}/agents/${agentId}/leave`;
-      
-      const response = await fetch(apiUrl, {
+      const response = await fetch(request.url, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': authHeader,
-        },
+        headers: request.headers,
+        credentials: request.credentials,
       });
       
       if (!response.ok) {
@@ -1247,6 +1582,49 @@ export const AgoraProvider = ({ children }) => {
     }
   }, [agentId]);
 
+  // "Stop talking": cut the agent off mid-answer. Talking over it does the same on the
+  // agent's side and arrives as a message.interrupt.
+  const interruptAgent = useCallback(async () => {
+    if (!agentId) {
+      console.warn('No agent ID available - nothing to interrupt');
+      return false;
+    }
+
+    // Stop the avatar and freeze the turn right away, without waiting for the round trip
+    const openTurn = [...chatHistoryRef.current].reverse().find(entry =>
+      entry.speaker === 'agent' && entry.turnStatus === TURN_STATUS.IN_PROGRESS
+    );
+    holdLipSync(openTurn ? openTurn.turnId : null);
+    if (openTurn) {
+      const now = new Date();
+      updateChatHistory(prev => applyInterrupt(prev, { turn_id: openTurn.turnId }, now));
+    }
+
+    try {
+      const request = getConvoAIRequest('interrupt', agentId);
+      if (!request) {
+        throw new AppError('CONFIG_MISSING_CREDENTIALS', 'No ConvoAI customer ID / secret configured (or they are placeholders)');
+      }
+
+      const response = await fetch(request.url, {
+        method: 'POST',
+        headers: request.headers,
+        credentials: request.credentials,
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw convoAIHttpError(response.status, errorText, 'AGENT_INTERRUPT_FAILED', { proxy: request.proxy });
+      }
+
+      console.log('✋ ConvoAI Agent interrupted');
+      return true;
+    } catch (error) {
+      reportError(error, 'AGENT_INTERRUPT_FAILED');
+      return false;
+    }
+  }, [agentId, reportError]);
+
   // Join the Agora channel and start ConvoAI Agent
   const joinChannel = useCallback(async () => {
     if (!client || isJoined) {
@@ -1262,42 +1640,55 @@ export const AgoraProvider = ({ children }) => {
       
       console.log('🔗 Joining Agora channel:', agoraConfig.channel);
       
-      if (!agoraConfig.appId) {
-        throw new Error('Agora App ID is required. Please configure it in Settings.');
-      }
-      
-      if (!agoraConfig.token) {
-        throw new Error('Agora Token is required. Please configure it in Settings.');
+      // The mock server needs neither a real App ID nor a token
+      if (!agoraConfig.mockRtcUrl) {
+        if (!agoraConfig.appId) {
+          throw new AppError('CONFIG_MISSING_APP_ID', 'Agora App ID is required. Please configure it in Settings.');
+        }
+        
+        if (!agoraConfig.token && !agoraConfig.tokenEndpoint) {
+          throw new AppError('CONFIG_MISSING_TOKEN', 'Agora Token (or a token server URL) is required. Please configure it in Settings.');
+        }
+        
+        // Validate App ID format (should be 32 character hex string)
+        if (!/^[a-f0-9]{32}$/i.test(agoraConfig.appId)) {
+          throw new AppError('CONFIG_INVALID_APP_ID', `Invalid Agora App ID format. Expected 32 character hex string, got: ${agoraConfig.appId}`);
+        }
       }
       
-      // Validate App ID format (should be 32 character hex string)
-      if (!/^[a-f0-9]{32}$/i.test(agoraConfig.appId)) {
-        throw new Error(`Invalid Agora App ID format. Expected 32 character hex string, got: ${agoraConfig.appId}`);
-      }
+      const userToken = await resolveUserToken(agoraConfig);
       
       // Create local audio track
       console.log('Creating microphone audio track...');
-      const audioTrack = await AgoraRTC.createMicrophoneAudioTrack({
-        encoderConfig: {
-          sampleRate: 48000,
-          stereo: false,
-          bitrate: 128,
+      let audioTrack;
+      try {
+        audioTrack = await createMicrophoneTrack();
+        refreshMicrophones(); // Labels are available now that the permission is granted
+      } catch (micError) {
+        if (!agoraConfig.mockRtcUrl) {
+          throw micError;
         }
-      });
+        // Headless / CI browsers have no microphone - the mock agent only needs typed messages
+        console.warn('🧪 No microphone available, joining the mock channel with a silent track:', micError);
+        const silentContext = new (window.AudioContext || window.webkitAudioContext)();
+        const silentTrack = silentContext.createMediaStreamDestination().stream.getAudioTracks()[0];
+        audioTrack = AgoraRTC.createCustomAudioTrack({ mediaStreamTrack: silentTrack });
+      }
       setLocalAudioTrack(audioTrack);
       
       // Join the channel
       console.log('Joining Agora channel with params:', {
         appId: agoraConfig.appId,
         channel: agoraConfig.channel,
-        tokenPresent: !!agoraConfig.token,
+        tokenPresent: !!userToken,
+        tokenSource: agoraConfig.tokenEndpoint ? 'token server' : 'static',
         uid: agoraConfig.uid
       });
       
       await client.join(
         agoraConfig.appId,
         agoraConfig.channel,
-        agoraConfig.token,
+        userToken,
         agoraConfig.uid
       );
       
@@ -1307,6 +1698,12 @@ export const AgoraProvider = ({ children }) => {
       
       setIsJoined(true);
       setIsConnected(true);
+      setLastError(null);
+      startSession(agoraConfig.channel);
+
+      // From now on, drops are retried until the user leaves
+      supervisorRef.current.start();
+      supervisorRef.current.handleStateChange(client.connectionState);
       
       console.log(`Successfully joined Agora channel: ${agoraConfig.channel}`);
       
@@ -1326,29 +1723,34 @@ export const AgoraProvider = ({ children }) => {
         await startConvoAIAgent();
         console.log(`ConvoAI Agent (UID: ${agoraConfig.convoAIUid}) should now join the channel`);
       } catch (agentError) {
-        console.error('Failed to start ConvoAI Agent, but user connection successful:', agentError);
         // Don't fail the entire join process if ConvoAI fails
-        alert(`Connected to Agora, but ConvoAI Agent failed to start: ${agentError.message}`);
+        reportError(agentError, 'AGENT_START_FAILED');
       }
       
     } catch (error) {
-      console.error('Failed to join channel:', error);
-      alert(`Connection failed: ${error.message}`);
+      reportError(error, 'RTC_JOIN_FAILED');
       
       // Clean up on error
+      supervisorRef.current.stop();
       setIsJoined(false);
       setIsConnected(false);
+      releaseAiDenoiser();
       if (localAudioTrack) {
         localAudioTrack.close();
         setLocalAudioTrack(null);
       }
     }
-  }, [client, isJoined, startConvoAIAgent, localAudioTrack]);
+  }, [client, isJoined, startConvoAIAgent, localAudioTrack, reportError, refreshMicrophones, createMicrophoneTrack, releaseAiDenoiser]);
 
   // Leave the Agora channel and stop ConvoAI Agent
   const leaveChannel = useCallback(async () => {
     if (!client || !isJoined) return;
     
+    // Stop supervising first so our own leave isn't treated as a drop
+    isLeavingRef.current = true;
+    supervisorRef.current.stop();
+    clearTimeout(agentCheckTimerRef.current);
+
     try {
       console.log('Leaving Agora channel and stopping ConvoAI Agent...');
       
@@ -1359,12 +1761,12 @@ export const AgoraProvider = ({ children }) => {
         console.warn('Failed to stop ConvoAI Agent (continuing with disconnect):', agentError);
       }
       
-      // Stop audio analysis
-      if (animationFrameRef.current) {
-        cancelAnimationFrame(animationFrameRef.current);
-      }
+      // Stop audio analysis and close its AudioContext
+      stopAgentAudioAnalysis({ release: true });
+      setPushToTalkActive(false);
       
       // Close local audio track
+      await releaseAiDenoiser();
       if (localAudioTrack) {
         localAudioTrack.close();
         setLocalAudioTrack(null);
@@ -1377,20 +1779,21 @@ export const AgoraProvider = ({ children }) => {
       setIsConnected(false);
       setRemoteUsers([]);
       setAudioLevel(0);
-      setLipSyncData(null);
+      lipSyncFrameRef.current = null;
+      await endSession(); // Saved to IndexedDB - browse it from the Conversations panel
       setChatHistory([]); // Clear chat history when leaving
       
-      // Clean up message chunks map
-      if (window.messagesMap) {
-        window.messagesMap.clear();
-      }
+      // Drop any half-received transcript chunks
+      transcriptDecoderRef.current.reset();
       
       console.log('Successfully left Agora channel');
       
     } catch (error) {
       console.error('Failed to leave channel:', error);
+    } finally {
+      isLeavingRef.current = false;
     }
-  }, [client, isJoined, localAudioTrack, stopConvoAIAgent]);
+  }, [client, isJoined, localAudioTrack, stopConvoAIAgent, releaseAiDenoiser]);
 
   // Update ConvoAI Agent configuration
   const updateConvoAIConfigs = useCallback(async (configUpdates) => {
@@ -1402,45 +1805,36 @@ export const AgoraProvider = ({ children }) => {
     try {
       console.log('Updating ConvoAI Agent configuration...');
       
-      // Get current configuration
-      const agoraConfig = getAgoraConfig();
-      const convoaiConfig = getConvoAIConfig();
-      
-      // Generate auth header
-      const authHeader = generateBasicAuthHeader();
-      if (!authHeader) {
-        console.error('❌ Failed to generate auth header - check API Key and Password');
-        return false;
+      const request = getConvoAIRequest('update', agentId);
+      if (!request) {
+        throw new AppError('CONFIG_MISSING_CREDENTIALS', 'No ConvoAI customer ID / secret configured (or they are placeholders)');
       }
       
-      // Construct the API URL - POST /projects/:appid/agents/:agentId/update
-      const apiUrl = `${convoaiConfig.baseUrl}/projects/${agoraConfig.appId}/agents/${agentId}/update`;
-      
-      // Build the request body with provided config updates
+      // Build the request body with provided config updates (keys stay on the backend in proxy mode)
       const requestBody = {
-        properties: {
-          ...configUpdates
-        }
+        properties: request.proxy ? redactAgentSecrets(configUpdates) : { ...configUpdates }
       };
+      if (request.proxy && configUpdates.llm) {
+        requestBody.llm_provider = getConvoAIConfig().llmProvider;
+      }
       
       console.log('🔄 ConvoAI Agent Update Request:', {
-        url: apiUrl,
+        url: request.url,
+        mode: request.proxy ? 'proxy' : 'direct',
         agentId: agentId,
-        body: requestBody
+        body: { properties: redactAgentSecrets(requestBody.properties) }
       });
       
-      const response = await fetch(apiUrl, {
+      const response = await fetch(request.url, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': authHeader,
-        },
+        headers: request.headers,
+        credentials: request.credentials,
         body: JSON.stringify(requestBody),
       });
       
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`ConvoAI Update API Error (${response.status}): ${errorText}`);
+        throw convoAIHttpError(response.status, errorText, 'AGENT_UPDATE_FAILED', { proxy: request.proxy });
       }
       
       const result = await response.json();
@@ -1448,11 +1842,163 @@ export const AgoraProvider = ({ children }) => {
       
       return result;
     } catch (error) {
-      console.error('Failed to update ConvoAI Agent configuration:', error);
-      throw error;
+      throw toAppError(error, 'AGENT_UPDATE_FAILED');
     }
   }, [agentId]);
 
+  // Push LLM setting changes (provider, model, temperature, system messages...) to the running agent
+  useEffect(() => {
+    if (!agentId) {
+      appliedLlmConfigRef.current = null;
+      return;
+    }
+
+    const llmUpdate = buildLlmUpdate(getConvoAIConfig());
+    const signature = JSON.stringify(llmUpdate);
+    const applied = appliedLlmConfigRef.current;
+
+    // A freshly started agent already runs with the current settings
+    if (!applied || applied.agentId !== agentId) {
+      appliedLlmConfigRef.current = { agentId, signature };
+      return;
+    }
+    if (applied.signature === signature) {
+      return;
+    }
+
+    appliedLlmConfigRef.current = { agentId, signature };
+    console.log('🧠 LLM settings changed - updating the running agent');
+    updateConvoAIConfigs({ llm: llmUpdate }).catch(error => {
+      reportError(error, 'AGENT_UPDATE_FAILED');
+      appliedLlmConfigRef.current = { agentId, signature: applied.signature };
+    });
+  }, [configVersion, agentId, updateConvoAIConfigs, reportError]);
+
+  // Switch the agent to a persona's voice, prompt, greeting and ASR language.
+  // LLM changes reach a running agent through the hot update above; the rest needs a restart.
+  const applyPersona = useCallback(async (persona) => {
+    const before = getConvoAIConfig();
+    Object.entries(getPersonaConfigEntries(persona, before.ttsVendor)).forEach(([key, value]) => {
+      sessionStorage.setItem(key, value);
+    });
+    const after = getConvoAIConfig();
+    const restart = !!agentId && needsAgentRestart(before, after);
+
+    // The restarted agent starts with the new LLM settings - no separate update needed
+    if (restart) {
+      appliedLlmConfigRef.current = null;
+    }
+    window.dispatchEvent(new Event('sessionStorageUpdate'));
+    console.log(`🎭 Persona: ${persona.name}${restart ? ' - restarting the agent' : ''}`);
+
+    if (restart) {
+      await stopConvoAIAgent();
+      await startConvoAIAgent();
+    }
+  }, [agentId, stopConvoAIAgent, startConvoAIAgent]);
+
+  // Typed turns: the agent's LLM answers the text and the agent speaks the answer
+  // through the REST speak endpoint (services/typedTurns.js). Needs an OpenAI-style LLM.
+  const typedMessagesSupported = supportsTypedTurns(buildLlmUpdate(getConvoAIConfig()));
+
+  // Send a typed message to the agent
+  const sendMessageToConvoAI = useCallback(async (text) => {
+    const messageText = (text || '').trim();
+    if (!messageText) {
+      return null;
+    }
+
+    const llm = buildLlmUpdate(getConvoAIConfig());
+    if (!supportsTypedTurns(llm)) {
+      throw reportError(new AppError('AGENT_TEXT_UNSUPPORTED', `Typed turns need an OpenAI-compatible LLM - the "${llm.style}" style has no text path`));
+    }
+
+    if (!isJoined) {
+      throw reportError(new AppError('AGENT_MESSAGE_FAILED', 'Not connected to Agora channel - join before sending messages'));
+    }
+
+    if (!agentId) {
+      throw reportError(new AppError('AGENT_MESSAGE_FAILED', 'ConvoAI Agent is not running - no one to send the message to'));
+    }
+
+    const messageId = `user-text-${generateUniqueId()}`;
+    const messages = buildTypedTurnMessages(chatHistoryRef.current, messageText);
+    const lastAgentTurn = [...chatHistoryRef.current].reverse().find(entry => entry.speaker === 'agent' && entry.turnId !== undefined);
+
+    // Echo the typed turn into the transcript right away
+    addOrUpdateMessageInChat({
+      id: messageId,
+      timestamp: new Date(),
+      speaker: 'user',
+      message: messageText,
+      type: 'text',
+      deliveryStatus: 'sending'
+    });
+
+    try {
+      const request = getConvoAIRequest('chat', agentId);
+      if (!request) {
+        throw new AppError('CONFIG_MISSING_CREDENTIALS', 'No ConvoAI customer ID / secret configured (or they are placeholders)');
+      }
+
+      let speakBody;
+      if (request.proxy) {
+        // The backend asks its LLM and has the agent speak the answer
+        speakBody = {
+          messages,
+          llm: redactAgentSecrets({ llm }).llm,
+          llm_provider: getConvoAIConfig().llmProvider,
+        };
+      } else {
+        const completion = buildChatCompletionRequest(llm, messages);
+        let llmResponse;
+        try {
+          llmResponse = await fetch(completion.url, {
+            method: 'POST',
+            headers: completion.headers,
+            body: JSON.stringify(completion.body),
+          });
+        } catch (error) {
+          throw new AppError('AGENT_MESSAGE_FAILED', `LLM not reachable at ${completion.url}`, { cause: error });
+        }
+        if (!llmResponse.ok) {
+          throw new AppError('AGENT_MESSAGE_FAILED', `LLM answer failed (${llmResponse.status}): ${await llmResponse.text()}`, { status: llmResponse.status });
+        }
+        speakBody = buildSpeakRequest(readChatCompletion(await llmResponse.json()));
+      }
+
+      console.log('📤 Sending typed turn to ConvoAI Agent:', { messageId, mode: request.proxy ? 'proxy' : 'direct', url: request.url });
+
+      // The answer may be transcribed before the request returns
+      typedReplyRef.current = { messageId, afterTurnId: lastAgentTurn ? lastAgentTurn.turnId : undefined };
+      const response = await fetch(request.url, {
+        method: 'POST',
+        headers: request.headers,
+        credentials: request.credentials,
+        body: JSON.stringify(speakBody),
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw convoAIHttpError(response.status, errorText, 'AGENT_MESSAGE_FAILED', { proxy: request.proxy });
+      }
+
+      updateChatHistory(prev => prev.map(existing => existing.id === messageId && existing.deliveryStatus === 'sending'
+        ? { ...existing, deliveryStatus: 'sent', lastUpdated: new Date() }
+        : existing));
+
+      return messageId;
+    } catch (error) {
+      if (typedReplyRef.current && typedReplyRef.current.messageId === messageId) {
+        typedReplyRef.current = null;
+      }
+      setChatHistory(prev => prev.map(existing => existing.id === messageId
+        ? { ...existing, deliveryStatus: 'failed', lastUpdated: new Date() }
+        : existing));
+      throw reportError(error, 'AGENT_MESSAGE_FAILED');
+    }
+  }, [isJoined, agentId, reportError]);
+
   // Test function to trigger agent speech
   const triggerAgentSpeech = useCallback(async () => {
     if (!agentId) {
@@ -1475,6 +2021,7 @@ export const AgoraProvider = ({ children }) => {
   const getConfigStatus = useCallback(() => {
     const agoraConfig = getAgoraConfig();
     const convoaiConfig = getConvoAIConfig();
+    const processing = getAudioProcessingConfig();
     
     // Helper function to check if a value is a real credential (not a placeholder)
     const isValidCredential = (value) => {
@@ -1486,19 +2033,49 @@ export const AgoraProvider = ({ children }) => {
              !value.includes('password');
     };
     
-    const hasValidConvoAICredentials = isValidCredential(convoaiConfig.apiKey) && isValidCredential(convoaiConfig.password);
-    const hasValidLLMKey = isValidCredential(convoaiConfig.llmApiKey);
-    const hasValidTTSKey = isValidCredential(convoaiConfig.ttsApiKey);
+    // In proxy mode the backend holds every secret
+    const proxyMode = !!convoaiConfig.proxyUrl;
+    const hasValidConvoAICredentials = proxyMode || (isValidCredential(convoaiConfig.apiKey) && isValidCredential(convoaiConfig.password));
+    // Local servers usually run without a key
+    const hasValidLLMKey = proxyMode || !getLlmProvider(convoaiConfig.llmProvider).requiresKey || isValidCredential(convoaiConfig.llmApiKey);
+    // Each TTS vendor has its own required fields; the key is the backend's job in proxy mode
+    const ttsMissingFields = getMissingTtsFields(convoaiConfig, { proxyMode, isValidSecret: isValidCredential });
+    const hasValidTTSKey = ttsMissingFields.length === 0;
     
     return {
       channel: agoraConfig.channel,
       convoAIUid: agoraConfig.convoAIUid,
+      tokenMode: agoraConfig.tokenEndpoint ? 'endpoint' : 'static',
+      convoaiMode: proxyMode ? 'proxy' : 'direct',
       hasCredentials: hasValidConvoAICredentials,
       hasLLMKey: hasValidLLMKey,
+      personaId: convoaiConfig.personaId,
+      llmProvider: getLlmProvider(convoaiConfig.llmProvider).label,
+      llmModel: convoaiConfig.llmModel,
       hasTTSKey: hasValidTTSKey,
+      ttsVendor: getTtsVendor(convoaiConfig.ttsVendor).label,
+      ttsMissingFields,
+      audioProcessing: [
+        processing.aec && 'AEC',
+        processing.ans && 'ANS',
+        processing.agc && 'AGC',
+        processing.denoiser && 'AI Denoiser',
+      ].filter(Boolean),
     };
   }, [configVersion]);
 
+  // The agent is talking while its latest turn is still open
+  const lastAgentTurn = chatHistory.reduce((last, entry) => (entry.speaker === 'agent' ? entry : last), null);
+  const agentSpeaking = isJoined && !!lastAgentTurn && lastAgentTurn.turnStatus === TURN_STATUS.IN_PROGRESS;
+
+  // Keep the transcript lip sync on the agent's latest turn (words grow while it speaks)
+  useEffect(() => {
+    if (!lastAgentTurn || lastAgentTurn.turnStatus === TURN_STATUS.INTERRUPTED) {
+      return;
+    }
+    textVisemeTrackRef.current.setWords(lastAgentTurn.id, lastAgentTurn.words || [], performance.now() / 1000);
+  }, [lastAgentTurn]);
+
   const value = {
     client,
     localAudioTrack,
@@ -1506,7 +2083,9 @@ export const AgoraProvider = ({ children }) => {
     isConnected,
     isJoined,
     audioLevel,
-    lipSyncData,
+    lipSyncFrameRef,
+    lipSyncConfig,
+    setLipSyncLatencyOffset,
     agentId,
     chatHistory,
     joinChannel,
@@ -1514,12 +2093,62 @@ export const AgoraProvider = ({ children }) => {
     updateConvoAIConfigs,
     startConvoAIAgent,
     stopConvoAIAgent,
+    applyPersona,
     triggerAgentSpeech,
+    sendMessageToConvoAI,
+    typedMessagesSupported,
+    // Metadata attached to exported/persisted transcripts
+    getSessionMetadata: () => {
+      const agoraConfig = getAgoraConfig();
+      const convoConfig = getConvoAIConfig();
+      return {
+        channel: agoraConfig.channel,
+        agentId,
+        agentName: convoConfig.agentName,
+        agentUid: convoConfig.agentUid,
+        persona: convoConfig.personaId,
+        llmModel: convoConfig.llmModel,
+        ttsVoiceName: convoConfig.ttsVoiceName,
+        asrLanguage: convoConfig.asrLanguage,
+      };
+    },
+    activeSessionId,
+    setSessionAvatar,
+    connectionStatus,
+    retryConnection: () => supervisorRef.current.retryNow(),
+    // Errors and toasts (services/appErrors.js)
+    lastError,
+    clearError,
+    reportError,
+    notifications,
+    notify,
+    dismissNotification,
+    // Microphone
+    microphones,
+    microphoneId,
+    selectMicrophone,
+    refreshMicrophones,
+    micMuted,
+    setMicMuted,
+    micOpen,
+    pushToTalk,
+    setPushToTalk,
+    pushToTalkActive,
+    setPushToTalkActive,
+    aiDenoiserStatus,
+    agentSpeaking,
+    interruptAgent,
+    interruptedAt,
     clearChatHistory: () => {
       console.log('🗑️ Clearing chat history, processed message IDs, and message chunks...');
+      // Keep what was said so far as its own saved session and continue in a fresh one
+      if (currentSessionRef.current) {
+        const { channel } = currentSessionRef.current;
+        endSession().catch(error => reportError(error, 'STORAGE_SESSION_SAVE_FAILED'));
+        startSession(channel);
+      }
       setChatHistory([]);
-      setProcessedMessageIds(new Set());
-      setMessageChunks(new Map());
+      transcriptDecoderRef.current.reset();
     },
     testChatMessage: () => {
       console.log('🧪 Adding test message with word details to chat...');
@@ -3,11 +3,15 @@ import ReactDOM from "react-dom/client";
 import App from "./App";
 import { ChatProvider } from "./hooks/useChat";
 import { AgoraProvider } from "./hooks/useAgora";
+import { restoreActiveProfile } from "./services/settingsProfiles";
 import "./index.css";
 
-// Suppress Three.js PropertyBinding warnings and Agora WebSocket errors
+// Pick up the last used settings profile before the providers read their config
+restoreActiveProfile();
+
+// Suppress Three.js PropertyBinding warnings (the avatars don't have every bone the animations target).
+// Agora errors are not filtered - useAgora classifies them and shows them as notifications.
 const originalWarn = console.warn;
-const originalError = console.error;
 
 console.warn = function(...args) {
   const message = args.join(' ');
@@ -17,20 +21,6 @@ console.warn = function(...args) {
   originalWarn.apply(console, args);
 };
 
-console.error = function(...args) {
-  const message = args.join(' ');
-  // Suppress common Agora WebSocket connection errors when no credentials are set
-  if (message.includes('WebSocket connection') && message.includes('failed')) {
-    console.log('ℹ️ WebSocket connection failed - this is normal if Agora credentials are not configured');
-    return;
-  }
-  if (message.includes('WebSocket is closed before the connection is established')) {
-    console.log('ℹ️ WebSocket closed during connection - this is normal if Agora credentials are not configured');
-    return;
-  }
-  originalError.apply(console, args);
-};
-
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <AgoraProvider>
@@ -0,0 +1,59 @@
+/*
+ * ConvoAI agent `properties`
+ *
+ * Builds the `properties` object of the ConvoAI join request from the resolved
+ * ConvoAI config, and strips the secrets out of it for backend proxy mode
+ * (VITE_CONVOAI_PROXY_URL), where the backend fills them back in from its own
+ * environment - see `/api/convoai/agents` in backend-example.js.
+ */
+
+import { buildLlmConfig } from './llmProviders';
+import { TTS_VENDORS, buildTtsConfig } from './ttsVendors';
+
+/**
+ * Full join `properties` for direct mode (secrets included).
+ */
+export const buildAgentProperties = (convoaiConfig, { channel, token }) => ({
+  "channel": channel,
+  "token": token,
+  "name": convoaiConfig.agentName,
+  "agent_rtc_uid": convoaiConfig.agentUid.toString(), // ConvoAI expects a string UID
+  "remote_rtc_uids": ["*"], // Will be populated when users join
+  "idle_timeout": 120,
+  "llm": buildLlmConfig(convoaiConfig), // Provider preset + advanced params, see llmProviders.js
+  "tts": buildTtsConfig(convoaiConfig), // Vendor-specific params, see ttsVendors.js
+  "asr": {
+    "language": convoaiConfig.asrLanguage
+  }
+});
+
+// Fields the backend owns in proxy mode. The LLM URL is included so a browser
+// can't point the backend's API key at an endpoint of its choosing - the proxy
+// request names the provider preset (`llm_provider`) and the backend fills in
+// that provider's URL and key.
+const SECRET_LLM_FIELDS = ['url', 'api_key'];
+const SECRET_TTS_PARAMS = [...new Set(Object.values(TTS_VENDORS).map(vendor => vendor.keyParam))];
+
+/**
+ * Copy of `properties` (join or update) without API keys, safe to send to the proxy.
+ */
+export const redactAgentSecrets = (properties = {}) => {
+  const redacted = { ...properties };
+
+  if (redacted.llm) {
+    redacted.llm = { ...redacted.llm };
+    SECRET_LLM_FIELDS.forEach(field => delete redacted.llm[field]);
+  }
+
+  if (redacted.tts && redacted.tts.params) {
+    redacted.tts = { ...redacted.tts, params: { ...redacted.tts.params } };
+    SECRET_TTS_PARAMS.forEach(field => delete redacted.tts.params[field]);
+  }
+
+  // Without a token server the backend generates the agent token itself
+  if (!redacted.token) {
+    delete redacted.token;
+  }
+
+  return redacted;
+};
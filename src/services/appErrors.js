@@ -0,0 +1,169 @@
+/*
+ * Application errors
+ *
+ * One taxonomy for everything that can go wrong between the browser, Agora
+ * and the ConvoAI agent, so the UI can tell the user what happened and what
+ * to do about it instead of a bare alert() or a console line.
+ *
+ *   config   a setting is missing or malformed            -> fix it in Settings
+ *   auth     a token or credential was rejected            -> new token / key
+ *   network  a server could not be reached                 -> check the network / backend
+ *   rtc      microphone, audio or the Agora channel failed -> device / connection
+ *   agent    the ConvoAI REST API refused a request        -> agent / project setup
+ *   decode   a transcript or schema could not be read      -> usually harmless, logged
+ *   storage  a conversation could not be exported          -> another format / browser download settings
+ *
+ * Every error has a stable `code` (e.g. AUTH_TOKEN_EXPIRED) with a title and
+ * a suggested fix in ERROR_CODES. toAppError() maps Agora SDK errors, DOM
+ * exceptions, fetch failures and HTTP statuses onto those codes.
+ */
+
+export const ERROR_CATEGORIES = {
+  CONFIG: 'config',
+  AUTH: 'auth',
+  NETWORK: 'network',
+  RTC: 'rtc',
+  AGENT: 'agent',
+  DECODE: 'decode',
+  STORAGE: 'storage',
+};
+
+const { CONFIG, AUTH, NETWORK, RTC, AGENT, DECODE, STORAGE } = ERROR_CATEGORIES;
+
+// code -> { category, title, fix, severity: 'error' | 'warning' }
+export const ERROR_CODES = {
+  CONFIG_MISSING_APP_ID: { category: CONFIG, title: 'Agora App ID missing', fix: 'Enter the App ID of your project (Agora Console → Projects) in Settings.' },
+  CONFIG_INVALID_APP_ID: { category: CONFIG, title: 'Agora App ID is malformed', fix: 'An App ID is 32 hexadecimal characters - copy it again from the Agora Console.' },
+  CONFIG_MISSING_TOKEN: { category: CONFIG, title: 'Agora token missing', fix: 'Paste a temporary token from the Agora Console or set a token server URL in Settings.' },
+  CONFIG_MISSING_CREDENTIALS: { category: CONFIG, title: 'ConvoAI credentials missing', fix: 'Enter the RESTful API customer ID and secret in Settings, or use a proxy URL.' },
+  CONFIG_INVALID: { category: CONFIG, title: 'Invalid settings', fix: 'Run the checks under Settings → Diagnostics to find the bad value.' },
+
+  AUTH_TOKEN_INVALID: { category: AUTH, title: 'Agora token rejected', fix: 'The token does not match this App ID, channel or uid - generate a new one for this channel.' },
+  AUTH_TOKEN_EXPIRED: { category: AUTH, title: 'Agora token expired', fix: 'Generate a new token, or set a token server so tokens renew automatically.' },
+  AUTH_CONVOAI_REJECTED: { category: AUTH, title: 'ConvoAI credentials rejected', fix: 'Check the customer ID and secret (Agora Console → RESTful API).' },
+  AUTH_BACKEND_SIGN_IN: { category: AUTH, title: 'Not signed in to the backend', fix: 'Sign in under Settings → Backend Sign-in - the token server and the proxy only answer signed-in users.' },
+  AUTH_CONVOAI_FORBIDDEN: { category: AUTH, title: 'ConvoAI not available for this project', fix: 'Enable Conversational AI for this App ID in the Agora Console.' },
+
+  NETWORK_UNREACHABLE: { category: NETWORK, title: 'Server not reachable', fix: 'Check your network connection and the URLs in Settings (a CORS block looks the same).' },
+  NETWORK_TOKEN_SERVER: { category: NETWORK, title: 'Token server failed', fix: 'Check that the backend is running and the token endpoint URL in Settings points at it.' },
+  NETWORK_RTC_GATEWAY: { category: NETWORK, title: 'Could not reach Agora', fix: 'Check the network or firewall - Agora needs outbound UDP or TCP 443.' },
+
+  RTC_MIC_DENIED: { category: RTC, title: 'Microphone blocked', fix: 'Allow microphone access in the site settings (lock icon in the address bar) and connect again.' },
+  RTC_MIC_NOT_FOUND: { category: RTC, title: 'No microphone found', fix: 'Plug in a microphone or check the system sound settings.' },
+  RTC_MIC_BUSY: { category: RTC, title: 'Microphone unavailable', fix: 'Close other apps that use the microphone and connect again.' },
+  RTC_MIC_SWITCH_FAILED: { category: RTC, title: 'Could not switch microphone', fix: 'The previous microphone stays active - unplug/replug the device or pick another one.', severity: 'warning' },
+  RTC_JOIN_FAILED: { category: RTC, title: 'Could not join the channel', fix: 'Run Settings → Diagnostics to check the App ID, token and network.' },
+  RTC_UID_CONFLICT: { category: RTC, title: 'User id already in the channel', fix: 'Another tab or device uses the same uid - close it or use a different uid.' },
+  RTC_CLIENT_INIT: { category: RTC, title: 'Agora client failed to start', fix: 'Reload the page; if it keeps failing, use a current Chrome, Edge, Firefox or Safari.' },
+  RTC_TOKEN_RENEW_FAILED: { category: RTC, title: 'Token renewal failed', fix: 'Check the token server - the session ends when the current token expires.', severity: 'warning' },
+  RTC_SUBSCRIBE_FAILED: { category: RTC, title: "Could not receive the agent's audio", fix: 'Leave and connect again.', severity: 'warning' },
+  RTC_PLAYBACK_BLOCKED: { category: RTC, title: 'Audio playback blocked', fix: 'Click anywhere on the page - browsers only start audio after a user interaction.', severity: 'warning' },
+  RTC_CONNECTION_FAILED: { category: RTC, title: 'Connection lost', fix: 'Use "Retry now" once the network is back.' },
+  RTC_DENOISER_FAILED: { category: RTC, title: 'AI noise suppression unavailable', fix: 'The microphone works without it - check the assets path under Settings → Audio Processing.', severity: 'warning' },
+
+  AGENT_START_FAILED: { category: AGENT, title: 'Agent failed to start', fix: 'You are in the channel but nobody will answer - check the ConvoAI, LLM and TTS settings.' },
+  AGENT_CONFLICT: { category: AGENT, title: 'Agent already running', fix: 'An agent with the same uid is already in this channel - wait a minute or change the agent uid.' },
+  AGENT_SERVICE_ERROR: { category: AGENT, title: 'ConvoAI service error', fix: 'The service had a problem - try again in a moment.' },
+  AGENT_UPDATE_FAILED: { category: AGENT, title: 'Agent settings not applied', fix: 'The running agent keeps its old settings - leave and connect again to apply them.', severity: 'warning' },
+  AGENT_RESTART_FAILED: { category: AGENT, title: 'Agent could not be restarted', fix: 'Leave and connect again.' },
+  AGENT_MESSAGE_FAILED: { category: AGENT, title: 'Message not sent', fix: 'Check that you are connected and the agent is running, then send it again.', severity: 'warning' },
+  AGENT_TEXT_UNSUPPORTED: { category: AGENT, title: 'Typed messages not supported', fix: 'Typed turns are answered by the configured LLM, which must be OpenAI-compatible - pick such a provider or style in Settings, or speak instead.', severity: 'warning' },
+  AGENT_INTERRUPT_FAILED: { category: AGENT, title: 'Agent could not be stopped', fix: 'The agent finishes its answer - talk over it or press stop again.', severity: 'warning' },
+
+  DECODE_TRANSCRIPT: { category: DECODE, title: 'Transcript message unreadable', fix: 'A transcript update was skipped - the conversation continues.', severity: 'warning' },
+  DECODE_SCHEMA: { category: DECODE, title: 'Transcript schema not loaded', fix: 'Using the built-in schema - check that schema.proto is deployed.', severity: 'warning' },
+
+  STORAGE_EXPORT_FAILED: { category: STORAGE, title: 'Transcript not exported', fix: 'Try another format, and check that the browser allows downloads from this site.', severity: 'warning' },
+  STORAGE_SESSION_SAVE_FAILED: { category: STORAGE, title: 'Conversation not saved', fix: 'The chat continues, but this part may be missing from the Conversations panel - check that the browser allows site storage.', severity: 'warning' },
+
+  UNKNOWN: { category: RTC, title: 'Something went wrong', fix: 'See the browser console for details.' },
+};
+
+export class AppError extends Error {
+  constructor(code, message, { cause, status, details } = {}) {
+    const entry = ERROR_CODES[code] || ERROR_CODES.UNKNOWN;
+    super(message || entry.title);
+    this.name = 'AppError';
+    this.code = ERROR_CODES[code] ? code : 'UNKNOWN';
+    this.category = entry.category;
+    this.title = entry.title;
+    this.fix = entry.fix;
+    this.severity = entry.severity || 'error';
+    this.status = status || null; // HTTP status, if any
+    this.details = details || null;
+    this.cause = cause;
+  }
+}
+
+/**
+ * AppError for a non-OK response from the ConvoAI REST API (or our proxy - a
+ * 401 from the proxy means the backend session is missing, not bad credentials).
+ */
+export const convoAIHttpError = (status, bodyText, fallbackCode = 'AGENT_START_FAILED', { proxy = false } = {}) => {
+  const message = `ConvoAI API error (${status}): ${bodyText}`;
+  if (status === 401) return new AppError(proxy ? 'AUTH_BACKEND_SIGN_IN' : 'AUTH_CONVOAI_REJECTED', message, { status });
+  if (status === 403) return new AppError('AUTH_CONVOAI_FORBIDDEN', message, { status });
+  if (status === 409) return new AppError('AGENT_CONFLICT', message, { status });
+  if (status >= 500) return new AppError('AGENT_SERVICE_ERROR', message, { status });
+  return new AppError(fallbackCode, message, { status });
+};
+
+// Agora SDK (AgoraRTCError.code) and DOMException names -> our codes
+const SDK_ERROR_CODES = {
+  PERMISSION_DENIED: 'RTC_MIC_DENIED',
+  NotAllowedError: 'RTC_MIC_DENIED',
+  DEVICE_NOT_FOUND: 'RTC_MIC_NOT_FOUND',
+  NotFoundError: 'RTC_MIC_NOT_FOUND',
+  NOT_READABLE: 'RTC_MIC_BUSY',
+  NotReadableError: 'RTC_MIC_BUSY',
+  UID_CONFLICT: 'RTC_UID_CONFLICT',
+  INVALID_PARAMS: 'CONFIG_INVALID',
+  NETWORK_ERROR: 'NETWORK_RTC_GATEWAY',
+  NETWORK_TIMEOUT: 'NETWORK_RTC_GATEWAY',
+  WS_ABORT: 'NETWORK_RTC_GATEWAY',
+  WS_DISCONNECT: 'NETWORK_RTC_GATEWAY',
+  WS_ERR: 'NETWORK_RTC_GATEWAY',
+  AUTOPLAY_NOT_ALLOWED: 'RTC_PLAYBACK_BLOCKED',
+};
+
+/**
+ * Classify any thrown value. AppErrors pass through; everything else gets
+ * the most specific code we can tell, or `fallbackCode`.
+ */
+export const toAppError = (error, fallbackCode = 'UNKNOWN') => {
+  if (error instanceof AppError) {
+    return error;
+  }
+  const message = (error && error.message) || String(error);
+
+  // The gateway refuses bad tokens with CAN_NOT_GET_GATEWAY_SERVER and the reason in the message
+  if (error && error.code === 'CAN_NOT_GET_GATEWAY_SERVER') {
+    if (/expired/i.test(message)) return new AppError('AUTH_TOKEN_EXPIRED', message, { cause: error });
+    if (/token|key|authoriz/i.test(message)) return new AppError('AUTH_TOKEN_INVALID', message, { cause: error });
+    return new AppError('NETWORK_RTC_GATEWAY', message, { cause: error });
+  }
+
+  const mapped = error && (SDK_ERROR_CODES[error.code] || SDK_ERROR_CODES[error.name]);
+  if (mapped) {
+    return new AppError(mapped, message, { cause: error });
+  }
+
+  // fetch() rejects with a TypeError when the request never got an answer (offline, DNS, CORS)
+  if (error instanceof TypeError && /fetch|network|load failed/i.test(message)) {
+    return new AppError('NETWORK_UNREACHABLE', message, { cause: error });
+  }
+
+  return new AppError(fallbackCode, message, { cause: error });
+};
+
+/**
+ * Plain object for React state and toasts.
+ */
+export const describeAppError = (error) => ({
+  code: error.code,
+  category: error.category,
+  title: error.title,
+  message: error.message,
+  fix: error.fix,
+  severity: error.severity,
+});
@@ -0,0 +1,109 @@
+/*
+ * Microphone audio processing
+ *
+ * The browser's built-in processing (echo cancellation, noise suppression,
+ * gain control) is fixed when the microphone track is created, so changing it
+ * means a new track. Agora's AI Denoiser extension runs on top of that as a
+ * processor piped into the track and can be switched live.
+ *
+ *   VITE_AUDIO_AEC / VITE_AUDIO_ANS / VITE_AUDIO_AGC   'true' | 'false' (default on)
+ *   VITE_AI_DENOISER                                   'true' to load the extension
+ *   VITE_AI_DENOISER_MODE                              NSNG | STATIONARY_NS
+ *   VITE_AI_DENOISER_LEVEL                             SOFT | AGGRESSIVE
+ *   VITE_AI_DENOISER_ASSETS_PATH                       where its .wasm files are served
+ *
+ * Echo cancellation matters most here: without it the agent's voice from the
+ * speakers comes back through the microphone, ASR hears it as the user and the
+ * agent interrupts itself.
+ *
+ * The .wasm files ship in node_modules/agora-extension-ai-denoiser/external;
+ * vite.config.js serves and bundles them under <base>ai-denoiser/.
+ */
+
+import AgoraRTC from 'agora-rtc-sdk-ng';
+
+export const AI_DENOISER_MODES = [
+  { value: 'NSNG', label: 'Noise + non-stationary noise (voices, typing)' },
+  { value: 'STATIONARY_NS', label: 'Stationary noise only (fans, hum)' },
+];
+
+export const AI_DENOISER_LEVELS = [
+  { value: 'SOFT', label: 'Soft' },
+  { value: 'AGGRESSIVE', label: 'Aggressive' },
+];
+
+export const DEFAULT_AI_DENOISER_ASSETS_PATH = `${import.meta.env.BASE_URL}ai-denoiser`;
+
+let extensionPromise = null;
+
+/**
+ * Options for AgoraRTC.createMicrophoneAudioTrack() - only the keys that matter
+ * for recreating the track when they change.
+ */
+export const buildTrackProcessing = (processing) => ({
+  AEC: processing.aec,
+  ANS: processing.ans,
+  AGC: processing.agc,
+});
+
+// Load and register the extension once per page; resolves to null if the browser can't run it
+const loadAiDenoiserExtension = (assetsPath) => {
+  if (!extensionPromise) {
+    extensionPromise = import('agora-extension-ai-denoiser').then(({ AIDenoiserExtension }) => {
+      const extension = new AIDenoiserExtension({ assetsPath: assetsPath.replace(/\/+$/, '') });
+      if (!extension.checkCompatibility()) {
+        console.warn('⚠️ AI Denoiser is not supported in this browser');
+        return null;
+      }
+      AgoraRTC.registerExtensions([extension]);
+      console.log('🧩 AI Denoiser extension loaded from', assetsPath);
+      return extension;
+    }).catch(error => {
+      extensionPromise = null; // Let a later attempt (e.g. with a fixed assets path) retry
+      throw error;
+    });
+  }
+  return extensionPromise;
+};
+
+/**
+ * Pipe the AI Denoiser into `track`. Returns the processor, or null if the
+ * browser is not supported. `onError` gets pipeline errors (e.g. wasm failed to load).
+ */
+export const attachAiDenoiser = async (track, processing, { onError } = {}) => {
+  const extension = await loadAiDenoiserExtension(processing.denoiserAssetsPath);
+  if (!extension) {
+    return null;
+  }
+
+  const processor = extension.createProcessor();
+  if (onError) {
+    processor.on('pipeerror', onError);
+  }
+  processor.on('overload', () => {
+    console.warn('⚠️ AI Denoiser overloaded - the CPU is too busy, audio passes through unprocessed');
+  });
+
+  track.pipe(processor).pipe(track.processorDestination);
+  await updateAiDenoiser(processor, processing);
+  return processor;
+};
+
+/**
+ * Apply mode/level/enabled to a running processor.
+ */
+export const updateAiDenoiser = async (processor, processing) => {
+  await processor.setMode(processing.denoiserMode);
+  await processor.setLevel(processing.denoiserLevel);
+  if (processing.denoiser) {
+    await processor.enable();
+  } else {
+    await processor.disable();
+  }
+};
+
+export const detachAiDenoiser = async (track, processor) => {
+  track.unpipe();
+  processor.unpipe();
+  await processor.destroy();
+};
@@ -0,0 +1,78 @@
+/*
+ * Backend sign-in
+ *
+ * The token server and the ConvoAI proxy in backend-example.js only answer
+ * signed-in users. Signing in posts a username and password to the backend's
+ * session route, which answers with an HttpOnly session cookie - the page can't
+ * read it and nothing secret ends up in the app config or the bundle. Every
+ * backend request then sends the cookie along (`credentials: 'include'`).
+ *
+ *   POST   <backend>/api/session  { username, password }  sign in
+ *   GET    <backend>/api/session                          -> { user, expiresAt } or 401
+ *   DELETE <backend>/api/session                          sign out
+ *
+ * The session route sits next to the proxy (`<backend>/api/convoai`) and the
+ * token route (`<backend>/api/agora/token`), so its URL comes from whichever
+ * of the two is configured.
+ */
+
+import { AppError } from './appErrors';
+
+/**
+ * URL of the backend's session route, or null when no backend is configured
+ * (or the configured URL is not a URL yet, e.g. while it is being typed).
+ */
+export const backendSessionUrl = ({ proxyUrl, tokenEndpoint }) => {
+  try {
+    if (proxyUrl) {
+      return new URL('../session', new URL(`${proxyUrl.replace(/\/+$/, '')}/`, window.location.href)).href;
+    }
+    if (tokenEndpoint) {
+      return new URL('../session', new URL(tokenEndpoint, window.location.href)).href;
+    }
+  } catch (error) {
+    return null;
+  }
+  return null;
+};
+
+const sessionRequest = async (sessionUrl, options = {}) => {
+  try {
+    return await fetch(sessionUrl, { credentials: 'include', ...options });
+  } catch (error) {
+    throw new AppError('NETWORK_UNREACHABLE', `Backend not reachable at ${sessionUrl}`, { cause: error });
+  }
+};
+
+/**
+ * The signed-in user ({ user, expiresAt }), or null when signed out.
+ */
+export const getBackendSession = async (sessionUrl) => {
+  const response = await sessionRequest(sessionUrl);
+  if (response.status === 401) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new AppError('NETWORK_UNREACHABLE', `Backend session check failed (${response.status})`, { status: response.status });
+  }
+  const { user, expiresAt } = await response.json();
+  return { user, expiresAt };
+};
+
+export const signInToBackend = async (sessionUrl, { username, password }) => {
+  const response = await sessionRequest(sessionUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+  if (!response.ok) {
+    const result = await response.json().catch(() => ({}));
+    throw new AppError('AUTH_BACKEND_SIGN_IN', result.error || `Sign-in failed (${response.status})`, { status: response.status });
+  }
+  const { user } = await response.json();
+  return user;
+};
+
+export const signOutOfBackend = async (sessionUrl) => {
+  await sessionRequest(sessionUrl, { method: 'DELETE' });
+};
@@ -0,0 +1,230 @@
+/*
+ * Connection supervisor
+ *
+ * Watches the Agora client's connection-state-change events and decides what
+ * to do when the link drops:
+ *
+ *   RECONNECTING              the SDK is retrying on its own - report it and wait
+ *   DISCONNECTED (LEAVE)      we left on purpose - nothing to do
+ *   DISCONNECTED (banned...)  retrying cannot help - report failure
+ *   DISCONNECTED (other)      rejoin ourselves with exponential backoff
+ *
+ * The actual rejoin / agent recovery work is injected by the owner (useAgora),
+ * so this module holds no Agora or React state of its own.
+ *
+ * Events (subscribe with on()):
+ *   'status'     {state, reason, attempt, maxAttempts, nextRetryAt, lastError}
+ *   'recovered'  {reason, attempts} - connected again after a drop
+ *   'lost'       {reason} - the link dropped, media should be treated as gone
+ */
+
+export const CONNECTION_STATES = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  FAILED: 'failed',
+};
+
+// DISCONNECTED reasons that a rejoin cannot fix
+const FATAL_DISCONNECT_REASONS = ['UID_BANNED', 'IP_BANNED', 'CHANNEL_BANNED'];
+
+// Human readable text for Agora ConnectionDisconnectedReason / reconnect reasons
+export const DISCONNECT_REASON_TEXT = {
+  LEAVE: 'Left the channel',
+  NETWORK_ERROR: 'Network error',
+  SERVER_ERROR: 'Server error',
+  UID_BANNED: 'User was removed from the channel',
+  IP_BANNED: 'IP address was banned',
+  CHANNEL_BANNED: 'Channel was banned',
+  TOKEN_EXPIRE: 'Token expired',
+  INTERRUPTED: 'Connection interrupted',
+  KEEP_ALIVE_TIMEOUT: 'Lost contact with the server',
+  FALLBACK: 'Network fallback',
+};
+
+export const describeDisconnectReason = (reason) => (reason ? (DISCONNECT_REASON_TEXT[reason] || reason) : null);
+
+export class ConnectionSupervisor {
+  constructor({
+    rejoin,
+    maxAttempts = 6,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    now = () => Date.now(),
+  } = {}) {
+    this.rejoin = rejoin;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.now = now;
+
+    this.listeners = {};
+    this.active = false; // Only supervise while the user wants to be in the channel
+    this.retryTimer = null;
+    this.rejoining = false; // A rejoin() call is in flight
+    this.dropped = false; // Set once the link drops, cleared on recovery
+    this.status = {
+      state: CONNECTION_STATES.IDLE,
+      reason: null,
+      attempt: 0,
+      maxAttempts,
+      nextRetryAt: null,
+      lastError: null,
+    };
+  }
+
+  on(event, fn) {
+    (this.listeners[event] = this.listeners[event] || []).push(fn);
+    return () => {
+      this.listeners[event] = (this.listeners[event] || []).filter(listener => listener !== fn);
+    };
+  }
+
+  emit(event, payload) {
+    (this.listeners[event] || []).forEach(listener => listener(payload));
+  }
+
+  setStatus(changes) {
+    this.status = { ...this.status, ...changes };
+    this.emit('status', this.status);
+  }
+
+  // Delay before the given retry attempt (1-based), with up to 20% jitter
+  backoffDelay(attempt) {
+    const delay = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(delay * (1 + Math.random() * 0.2));
+  }
+
+  // The user asked to join - supervise from now on
+  start() {
+    this.active = true;
+    this.dropped = false;
+    this.clearRetry();
+    this.setStatus({ state: CONNECTION_STATES.CONNECTING, reason: null, attempt: 0, nextRetryAt: null, lastError: null });
+  }
+
+  // The user left (or gave up) - stop retrying
+  stop() {
+    this.active = false;
+    this.dropped = false;
+    this.clearRetry();
+    this.setStatus({ state: CONNECTION_STATES.IDLE, reason: null, attempt: 0, nextRetryAt: null, lastError: null });
+  }
+
+  clearRetry() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  markDropped(reason) {
+    if (!this.dropped) {
+      this.dropped = true;
+      this.emit('lost', { reason });
+    }
+  }
+
+  /**
+   * Feed an Agora connection-state-change event (curState, revState, reason).
+   */
+  handleStateChange(curState, revState, reason) {
+    if (!this.active) {
+      return;
+    }
+
+    switch (curState) {
+      case 'CONNECTED': {
+        const attempts = this.status.attempt;
+        this.clearRetry();
+        this.setStatus({ state: CONNECTION_STATES.CONNECTED, attempt: 0, nextRetryAt: null, lastError: null });
+        if (this.dropped) {
+          this.dropped = false;
+          this.emit('recovered', { reason: this.status.reason, attempts });
+        }
+        break;
+      }
+
+      case 'RECONNECTING':
+        // The SDK retries by itself; our own retries only start once it gives up
+        this.markDropped(reason);
+        this.setStatus({ state: CONNECTION_STATES.RECONNECTING, reason: reason || this.status.reason });
+        break;
+
+      case 'DISCONNECTED':
+        if (reason === 'LEAVE') {
+          // Our own client.leave() - either the user left or a rejoin is in progress
+          break;
+        }
+        this.markDropped(reason);
+        if (FATAL_DISCONNECT_REASONS.includes(reason)) {
+          this.clearRetry();
+          this.setStatus({ state: CONNECTION_STATES.FAILED, reason, nextRetryAt: null });
+        } else {
+          this.setStatus({ reason: reason || this.status.reason });
+          this.scheduleRetry();
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  scheduleRetry() {
+    if (!this.active || this.retryTimer) {
+      return;
+    }
+
+    const attempt = this.status.attempt + 1;
+    if (attempt > this.maxAttempts) {
+      this.setStatus({ state: CONNECTION_STATES.FAILED, nextRetryAt: null });
+      return;
+    }
+
+    const delay = this.backoffDelay(attempt);
+    this.setStatus({ state: CONNECTION_STATES.RECONNECTING, attempt, nextRetryAt: this.now() + delay });
+    this.retryTimer = setTimeout(() => this.attemptRejoin(), delay);
+  }
+
+  async attemptRejoin() {
+    this.retryTimer = null;
+    if (!this.active || this.rejoining) {
+      return;
+    }
+
+    this.rejoining = true;
+    try {
+      console.log(`🔁 Rejoin attempt ${this.status.attempt}/${this.maxAttempts}...`);
+      this.setStatus({ nextRetryAt: null });
+      await this.rejoin();
+      // Success is reported by the CONNECTED state change
+    } catch (error) {
+      console.warn(`⚠️ Rejoin attempt ${this.status.attempt} failed:`, error);
+      this.setStatus({ lastError: error.message || String(error) });
+      this.scheduleRetry();
+    } finally {
+      this.rejoining = false;
+    }
+  }
+
+  // Skip the remaining backoff (e.g. "Retry now" in the UI, or an expired token).
+  // Does nothing while a rejoin is already running - its outcome decides what comes next.
+  retryNow(reason) {
+    if (!this.active || this.rejoining) {
+      return;
+    }
+    this.clearRetry();
+    if (reason) {
+      this.markDropped(reason);
+      this.setStatus({ reason });
+    }
+    if (this.status.state === CONNECTION_STATES.FAILED) {
+      this.setStatus({ attempt: 0 });
+    }
+    const attempt = this.status.attempt + 1;
+    this.setStatus({ state: CONNECTION_STATES.RECONNECTING, attempt: Math.min(attempt, this.maxAttempts) });
+    this.attemptRejoin();
+  }
+}
@@ -0,0 +1,313 @@
+/*
+ * Turn-aware conversation model
+ *
+ * chatHistory holds one entry per conversation turn instead of one per data
+ * stream message. Turns come from ConvoAI `user.transcription` /
+ * `assistant.transcription` objects (keyed by turn_id), from protobuf Words
+ * messages (appended to the speaker's open turn) and from `message.interrupt`.
+ *
+ * Every function is pure: it takes the current history and returns a new one,
+ * so they can run inside React state updaters.
+ *
+ * Turn entry fields (on top of the usual id/speaker/message/words/timestamp):
+ *   turnId      ConvoAI turn_id (or a generated one for protobuf words)
+ *   status      'interim' | 'final'  - whether the text may still change
+ *   turnStatus  'in-progress' | 'end' | 'interrupted'
+ *   startTime / endTime  turn timing in seconds, from word timings or start_ms/duration_ms
+ *   inReplyTo   id of the typed user message an agent turn answers (see linkReplies)
+ */
+
+export const TURN_STATUS = {
+  IN_PROGRESS: 'in-progress',
+  END: 'end',
+  INTERRUPTED: 'interrupted',
+};
+
+// ConvoAI assistant.transcription turn_status codes
+const CONVOAI_TURN_STATUS = {
+  0: TURN_STATUS.IN_PROGRESS,
+  1: TURN_STATUS.END,
+  2: TURN_STATUS.INTERRUPTED,
+};
+
+export const turnEntryId = (speaker, turnId) => `${speaker}-turn-${turnId}`;
+
+const wordsText = (words) => words.map(w => w.word).join(' ');
+
+const msToSeconds = (value) => (typeof value === 'number' ? value / 1000 : undefined);
+
+// Normalize a ConvoAI JSON word ({word, start_ms, duration_ms} or {word, start, end}) to seconds
+const normalizeJsonWord = (word, speaker) => {
+  if (typeof word === 'string') {
+    return { word, start: 0, end: 0, confidence: 1.0, speaker };
+  }
+
+  const startMs = msToSeconds(word.start_ms);
+  const start = typeof word.start === 'number' ? word.start : (startMs !== undefined ? startMs : (word.start_time || 0));
+  let end = typeof word.end === 'number' ? word.end : word.end_time;
+  if (end === undefined && startMs !== undefined && typeof word.duration_ms === 'number') {
+    end = startMs + word.duration_ms / 1000;
+  }
+
+  return {
+    word: word.word || word.text || '',
+    start,
+    end: end !== undefined ? end : start,
+    confidence: typeof word.confidence === 'number' ? word.confidence : 1.0,
+    speaker,
+  };
+};
+
+// Normalize protobuf Word messages, dropping empty words (speaker flag true = user)
+export const normalizeProtoWords = (protoWords = []) => protoWords
+  .map(word => ({
+    word: word.word,
+    start: word.start,
+    end: word.end,
+    confidence: word.confidence,
+    speaker: word.speaker ? 'user' : 'agent',
+  }))
+  .filter(w => w.word && w.word.trim().length > 0);
+
+// Merge new words into a turn, avoiding duplicates and keeping chronological order
+export const mergeWords = (existingWords = [], newWords = []) => {
+  const merged = [...(existingWords || [])];
+  newWords.forEach((newWord) => {
+    const existingIndex = merged.findIndex(existing =>
+      Math.abs(existing.start - newWord.start) < 0.01 && existing.word === newWord.word
+    );
+    if (existingIndex === -1) {
+      merged.push(newWord);
+    } else {
+      // Update existing word if needed (e.g., confidence improved)
+      merged[existingIndex] = { ...merged[existingIndex], ...newWord };
+    }
+  });
+  return merged.sort((a, b) => a.start - b.start);
+};
+
+const turnTiming = (words, startTime, endTime) => {
+  const timedWords = (words || []).filter(w => w.end > 0);
+  if (timedWords.length > 0) {
+    return {
+      startTime: Math.min(...timedWords.map(w => w.start)),
+      endTime: Math.max(...timedWords.map(w => w.end)),
+    };
+  }
+  return { startTime, endTime };
+};
+
+// Replace (or append) the entry with the given id using build(existing)
+const upsertEntry = (history, id, build) => {
+  const index = history.findIndex(entry => entry.id === id);
+  const updated = build(index === -1 ? null : history[index]);
+  if (!updated) {
+    return history;
+  }
+  if (index === -1) {
+    return [...history, updated];
+  }
+  const next = [...history];
+  next[index] = updated;
+  return next;
+};
+
+// Mark open turns as ended (a speaker can only hold one turn at a time)
+const closeOpenTurns = (history, matches, now) => history.map(entry => (
+  entry.turnStatus === TURN_STATUS.IN_PROGRESS && matches(entry)
+    ? { ...entry, turnStatus: TURN_STATUS.END, status: 'final', isPartial: false, lastUpdated: now }
+    : entry
+));
+
+// Cut an interrupted agent turn back to the words spoken before the interruption
+const truncateTurn = (entry, interruptedAt) => {
+  let { words, message } = entry;
+  if (words && words.length > 0 && typeof interruptedAt === 'number') {
+    const spokenWords = words.filter(w => w.start < interruptedAt);
+    if (spokenWords.length < words.length) {
+      words = spokenWords;
+      message = wordsText(spokenWords);
+    }
+  }
+  return {
+    ...entry,
+    words,
+    message,
+    status: 'final',
+    isPartial: false,
+    turnStatus: TURN_STATUS.INTERRUPTED,
+    interruptedAt,
+    truncated: true,
+  };
+};
+
+/**
+ * Apply a ConvoAI `user.transcription` or `assistant.transcription` object.
+ * `now` must be created outside the state updater so retries stay deterministic.
+ * `inReplyTo` marks an agent turn as the answer to a typed user message.
+ */
+export const applyTranscription = (history, data, now = new Date(), { inReplyTo } = {}) => {
+  const speaker = data.object === 'user.transcription' ? 'user' : 'agent';
+
+  let turnStatus;
+  if (speaker === 'agent' && data.turn_status !== undefined) {
+    turnStatus = CONVOAI_TURN_STATUS[data.turn_status] || TURN_STATUS.IN_PROGRESS;
+  } else {
+    turnStatus = data.final ? TURN_STATUS.END : TURN_STATUS.IN_PROGRESS;
+  }
+  const status = turnStatus === TURN_STATUS.IN_PROGRESS ? 'interim' : 'final';
+
+  // Without a turn_id, keep appending to the speaker's open turn
+  let id;
+  let turnId = data.turn_id;
+  if (turnId !== undefined && turnId !== null) {
+    id = turnEntryId(speaker, turnId);
+  } else {
+    const openTurn = [...history].reverse().find(entry =>
+      entry.speaker === speaker && entry.turnStatus === TURN_STATUS.IN_PROGRESS
+    );
+    turnId = openTurn ? openTurn.turnId : `t${now.getTime()}`;
+    id = openTurn ? openTurn.id : turnEntryId(speaker, turnId);
+  }
+
+  const incomingWords = Array.isArray(data.words)
+    ? data.words.map(word => normalizeJsonWord(word, speaker)).filter(w => w.word && w.word.trim().length > 0)
+    : [];
+  const isNewTurn = !history.some(entry => entry.id === id);
+
+  const updated = upsertEntry(history, id, (existing) => {
+    // An interrupted turn is frozen - later updates must not leak into it
+    if (existing && existing.turnStatus === TURN_STATUS.INTERRUPTED && turnStatus !== TURN_STATUS.INTERRUPTED) {
+      return null;
+    }
+
+    const words = mergeWords(existing ? existing.words : [], incomingWords);
+    const text = (data.text || data.transcript || '').trim() || wordsText(words);
+    if (!existing && !text) {
+      return null;
+    }
+
+    const startMs = msToSeconds(data.start_ms);
+    const durationMs = msToSeconds(data.duration_ms);
+    const entry = {
+      ...(existing || { id, timestamp: now, createdAt: now }),
+      type: 'transcript',
+      speaker,
+      turnId,
+      message: text,
+      words: words.length > 0 ? words : null,
+      status,
+      isPartial: status === 'interim',
+      turnStatus,
+      ...turnTiming(words, startMs, startMs !== undefined && durationMs !== undefined ? startMs + durationMs : undefined),
+      source: 'transcription',
+      ...(inReplyTo ? { inReplyTo } : {}),
+      lastUpdated: now,
+      raw: data,
+    };
+
+    return turnStatus === TURN_STATUS.INTERRUPTED ? truncateTurn(entry, entry.interruptedAt) : entry;
+  });
+
+  if (!isNewTurn || updated === history) {
+    return updated;
+  }
+
+  // A new turn ends the speaker's previous turn and any word-driven turn of the other side
+  return closeOpenTurns(updated, entry => entry.id !== id && (
+    entry.speaker === speaker || entry.source === 'words'
+  ), now);
+};
+
+/**
+ * Apply protobuf Words (already normalized to {word, start, end, confidence, speaker}).
+ * Each word's own speaker flag decides which turn it lands in.
+ */
+export const applyWords = (history, words, { interim = false, now = new Date() } = {}) => {
+  let next = history;
+
+  ['user', 'agent'].forEach((speaker) => {
+    const speakerWords = words.filter(w => w.speaker === speaker);
+    if (speakerWords.length === 0) {
+      return;
+    }
+
+    const openTurn = [...next].reverse().find(entry =>
+      entry.speaker === speaker && entry.source === 'words' && entry.turnStatus === TURN_STATUS.IN_PROGRESS
+    );
+    const turnId = openTurn ? openTurn.turnId : `w${now.getTime()}`;
+    const id = openTurn ? openTurn.id : turnEntryId(speaker, turnId);
+
+    if (!openTurn) {
+      // The other side stopped talking once this speaker starts a new turn
+      next = closeOpenTurns(next, entry => entry.source === 'words', now);
+    }
+
+    next = upsertEntry(next, id, (existing) => {
+      const mergedWords = mergeWords(existing ? existing.words : [], speakerWords);
+      return {
+        ...(existing || { id, timestamp: now, createdAt: now }),
+        type: 'transcript',
+        speaker,
+        turnId,
+        message: wordsText(mergedWords),
+        words: mergedWords,
+        status: interim ? 'interim' : 'final',
+        isPartial: interim,
+        turnStatus: TURN_STATUS.IN_PROGRESS,
+        ...turnTiming(mergedWords),
+        source: 'words',
+        lastUpdated: now,
+      };
+    });
+  });
+
+  return next;
+};
+
+/**
+ * Apply a ConvoAI `message.interrupt`: the agent turn is cut short and frozen.
+ */
+export const applyInterrupt = (history, data = {}, now = new Date()) => {
+  let index = -1;
+  if (data.turn_id !== undefined && data.turn_id !== null) {
+    index = history.findIndex(entry => entry.id === turnEntryId('agent', data.turn_id));
+  }
+  if (index === -1) {
+    for (let i = history.length - 1; i >= 0; i--) {
+      if (history[i].speaker === 'agent' && history[i].turnStatus === TURN_STATUS.IN_PROGRESS) {
+        index = i;
+        break;
+      }
+    }
+  }
+  if (index === -1) {
+    return history;
+  }
+
+  const next = [...history];
+  next[index] = { ...truncateTurn(next[index], msToSeconds(data.start_ms)), lastUpdated: now };
+  return next;
+};
+
+/**
+ * Mark typed user turns as answered by the agent turn that names them in
+ * `inReplyTo`. Idempotent, so it can run after every history update.
+ */
+export const linkReplies = (history) => {
+  let next = history;
+  history.forEach((reply) => {
+    if (reply.speaker !== 'agent' || !reply.inReplyTo) {
+      return;
+    }
+    const index = next.findIndex(entry => entry.id === reply.inReplyTo);
+    if (index === -1 || next[index].replyId === reply.id) {
+      return;
+    }
+    if (next === history) {
+      next = [...history];
+    }
+    next[index] = { ...next[index], deliveryStatus: 'answered', replyId: reply.id };
+  });
+  return next;
+};
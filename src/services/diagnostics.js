@@ -0,0 +1,364 @@
+/*
+ * Settings diagnostics
+ *
+ * Live checks behind the "Run checks" button in Settings. They run against the
+ * values in the form (the VITE_* map from buildConfigValues), so a setup can be
+ * verified before it is saved:
+ *
+ *   audio    AudioContext can be created and resumed
+ *   mic      microphone permission and an input device
+ *   appId    App ID format
+ *   token    the token (static or from the token server) decodes, matches the
+ *            App ID and channel and is not about to expire
+ *   convoai  the REST credentials are accepted (or the proxy backend is healthy)
+ *   llm      the LLM endpoint answers and accepts the key
+ *   tts      the TTS vendor accepts the key
+ *
+ * Each check resolves to { id, label, status, message } with status one of
+ * pass | warn | fail | skip; `message` says what to do about anything but a pass.
+ */
+
+import { decodeRtcToken, fetchRtcToken } from './tokenService';
+import { backendSessionUrl, getBackendSession } from './backendSession';
+import { getLlmProvider } from './llmProviders';
+import { TTS_VENDORS, getTtsVendor } from './ttsVendors';
+
+const APP_ID_PATTERN = /^[a-f0-9]{32}$/i;
+const TOKEN_EXPIRY_WARNING = 60 * 60; // seconds
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '0.0.0.0', '[::1]'];
+
+const result = (status, message) => ({ status, message });
+const pass = (message) => result('pass', message);
+const warn = (message) => result('warn', message);
+const fail = (message) => result('fail', message);
+const skip = (message) => result('skip', message);
+
+const formatDuration = (seconds) => {
+  if (seconds >= 86400) return `${Math.round(seconds / 86400)} day(s)`;
+  if (seconds >= 3600) return `${Math.round(seconds / 3600)} hour(s)`;
+  return `${Math.max(1, Math.round(seconds / 60))} minute(s)`;
+};
+
+const isLocalUrl = (url) => {
+  try {
+    return LOCAL_HOSTS.includes(new URL(url).hostname);
+  } catch (error) {
+    return false;
+  }
+};
+
+// fetch() rejects with a TypeError for network errors and CORS blocks alike
+const describeNetworkError = (error) =>
+  error instanceof TypeError ? 'network error or blocked by CORS' : (error.message || String(error));
+
+const checkAudioContext = async () => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) {
+    return fail('This browser has no Web Audio support - lip sync needs it. Use a current Chrome, Edge, Firefox or Safari.');
+  }
+  const context = new AudioContextClass();
+  try {
+    if (context.state === 'suspended') {
+      // Allowed here because the check runs from a button click
+      await context.resume();
+    }
+    if (context.state !== 'running') {
+      return warn(`AudioContext is "${context.state}" - click anywhere on the page before connecting so audio can start.`);
+    }
+    return pass(`Running at ${context.sampleRate} Hz`);
+  } finally {
+    context.close().catch(() => {});
+  }
+};
+
+const checkMicrophone = async () => {
+  if (!window.isSecureContext) {
+    return fail('The page is not served over HTTPS (or localhost), so the browser blocks the microphone.');
+  }
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    return fail('This browser has no microphone API (navigator.mediaDevices).');
+  }
+
+  try {
+    // Not every browser knows the "microphone" permission name
+    const permission = await navigator.permissions.query({ name: 'microphone' });
+    if (permission.state === 'denied') {
+      return fail('Microphone access is blocked - allow it in the site settings (lock icon in the address bar) and run the checks again.');
+    }
+  } catch (error) {
+    // Fall through to getUserMedia
+  }
+
+  try {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const [track] = stream.getAudioTracks();
+    const label = track ? track.label : '';
+    stream.getTracks().forEach(streamTrack => streamTrack.stop());
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const inputs = devices.filter(device => device.kind === 'audioinput').length;
+    return pass(`Access granted${label ? ` - ${label}` : ''} (${inputs} input device(s))`);
+  } catch (error) {
+    if (error.name === 'NotAllowedError') {
+      return fail('Microphone access was denied - allow it in the site settings and run the checks again.');
+    }
+    if (error.name === 'NotFoundError') {
+      return fail('No microphone found - plug one in or check the system sound settings.');
+    }
+    if (error.name === 'NotReadableError') {
+      return fail('The microphone is in use by another application or blocked by the system.');
+    }
+    return fail(`Could not open the microphone: ${error.message}`);
+  }
+};
+
+const checkAppId = async (values) => {
+  const appId = (values.VITE_AGORA_APP_ID || '').trim();
+  if (values.VITE_MOCK_RTC_URL) {
+    return skip('Mock RTC server in use - the App ID is not checked.');
+  }
+  if (!appId) {
+    return fail('No App ID - copy it from your project in the Agora Console.');
+  }
+  if (!APP_ID_PATTERN.test(appId)) {
+    return fail('An App ID is 32 hexadecimal characters - check for a typo or a pasted App Certificate/customer ID.');
+  }
+  return pass(appId);
+};
+
+const checkToken = async (values) => {
+  if (values.VITE_MOCK_RTC_URL) {
+    return skip('Mock RTC server in use - no token needed.');
+  }
+
+  const appId = (values.VITE_AGORA_APP_ID || '').trim();
+  const channel = values.VITE_AGORA_CHANNEL || '';
+  let token = values.VITE_AGORA_TOKEN;
+  let source = 'Static token';
+
+  if (values.VITE_AGORA_TOKEN_ENDPOINT) {
+    try {
+      ({ token } = await fetchRtcToken({ endpoint: values.VITE_AGORA_TOKEN_ENDPOINT, channel }));
+      source = 'Token from the token server';
+    } catch (error) {
+      if (error.code === 'AUTH_BACKEND_SIGN_IN') {
+        return fail('The token server needs a signed-in user - sign in under Backend Sign-in above.');
+      }
+      return fail(`Token server failed: ${describeNetworkError(error)}. Check that the backend is running and VITE_AGORA_TOKEN_ENDPOINT points at it.`);
+    }
+  } else if (!token) {
+    return warn('No token - this only works for projects without an App Certificate. Generate a temporary token in the Agora Console or set a token endpoint.');
+  }
+
+  let decoded;
+  try {
+    decoded = await decodeRtcToken(token);
+  } catch (error) {
+    return fail(`${source} could not be read (${error.message}) - paste the full token again.`);
+  }
+
+  if (appId && decoded.appId.toLowerCase() !== appId.toLowerCase()) {
+    return fail(`${source} was issued for App ID ${decoded.appId}, not ${appId}.`);
+  }
+  if (decoded.channel && decoded.channel !== channel) {
+    return fail(`${source} is for channel "${decoded.channel}" but the channel is "${channel}" - use the same channel name or a new token.`);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (decoded.expiresAt && decoded.expiresAt <= now) {
+    return fail(`${source} expired ${formatDuration(now - decoded.expiresAt)} ago - generate a new one.`);
+  }
+  if (decoded.expiresAt && decoded.expiresAt - now < TOKEN_EXPIRY_WARNING) {
+    return warn(`${source} expires in ${formatDuration(decoded.expiresAt - now)}${values.VITE_AGORA_TOKEN_ENDPOINT ? '' : ' - generate a new one soon'}.`);
+  }
+  return pass(`${source} (v${decoded.version}) valid${decoded.expiresAt ? ` for ${formatDuration(decoded.expiresAt - now)}` : ''}`);
+};
+
+const checkConvoAI = async (values) => {
+  const proxyUrl = values.VITE_CONVOAI_PROXY_URL;
+
+  if (proxyUrl) {
+    // backend-example.js serves /api/health next to /api/convoai
+    const healthUrl = new URL('../health', new URL(`${proxyUrl.replace(/\/+$/, '')}/`, window.location.href)).href;
+    try {
+      const response = await fetch(healthUrl);
+      if (!response.ok) {
+        return warn(`Proxy is reachable but ${healthUrl} answered ${response.status} - the ConvoAI credentials on the backend could not be checked.`);
+      }
+      const health = await response.json();
+      if (health.services && health.services.convoAIProxy === false) {
+        return fail('The proxy backend has no ConvoAI credentials - set CONVOAI_CUSTOMER_ID and CONVOAI_CUSTOMER_SECRET on the backend.');
+      }
+      if (health.services && health.services.signIn === false) {
+        return fail('The proxy backend has no users - set PROXY_USERS on the backend, then sign in under Backend Sign-in.');
+      }
+      const session = await getBackendSession(backendSessionUrl({ proxyUrl }));
+      if (!session) {
+        return fail('Not signed in to the proxy backend - sign in under Backend Sign-in above.');
+      }
+      return pass(`Proxy backend healthy, signed in as ${session.user} (${healthUrl})`);
+    } catch (error) {
+      return fail(`Proxy not reachable at ${healthUrl} (${describeNetworkError(error)}) - start the backend or fix VITE_CONVOAI_PROXY_URL.`);
+    }
+  }
+
+  const appId = (values.VITE_AGORA_APP_ID || '').trim();
+  if (!values.VITE_RESTFUL_API_KEY || !values.VITE_RESTFUL_PASSWORD) {
+    return fail('Customer ID and secret are required - create them under RESTful API in the Agora Console.');
+  }
+  if (!appId) {
+    return skip('Needs an App ID.');
+  }
+
+  const baseUrl = (values.VITE_CONVOAI_API_BASE_URL || '').replace(/\/+$/, '');
+  try {
+    const response = await fetch(`${baseUrl}/projects/${appId}/agents?limit=1`, {
+      headers: { Authorization: `Basic ${btoa(`${values.VITE_RESTFUL_API_KEY}:${values.VITE_RESTFUL_PASSWORD}`)}` },
+    });
+    if (response.status === 401) {
+      return fail('Credentials rejected - check the customer ID and secret (RESTful API in the Agora Console).');
+    }
+    if (response.status === 403 || response.status === 404) {
+      return fail(`Credentials accepted but the project answered ${response.status} - enable Conversational AI for this App ID in the Agora Console.`);
+    }
+    if (!response.ok) {
+      return warn(`ConvoAI answered ${response.status} - the service may be having trouble.`);
+    }
+    return pass('Credentials accepted');
+  } catch (error) {
+    return fail(`ConvoAI API not reachable at ${baseUrl} (${describeNetworkError(error)}) - check the base URL or use the proxy.`);
+  }
+};
+
+const buildLlmProbe = (values) => {
+  const style = values.VITE_LLM_STYLE || getLlmProvider(values.VITE_LLM_PROVIDER).style;
+  const apiKey = values.VITE_LLM_API_KEY;
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (style === 'anthropic') {
+    Object.assign(headers, {
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true',
+    });
+  } else if (values.VITE_LLM_PROVIDER === 'azure') {
+    headers['api-key'] = apiKey;
+  } else if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  return {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model: values.VITE_LLM_MODEL,
+      max_tokens: 1,
+      messages: [{ role: 'user', content: 'ping' }],
+    }),
+  };
+};
+
+const checkLlm = async (values) => {
+  if (values.VITE_CONVOAI_PROXY_URL) {
+    return skip('Proxy mode - the LLM key is on the backend.');
+  }
+  const url = values.VITE_LLM_URL;
+  if (!url) {
+    return fail('No LLM URL - pick a provider or enter its chat completions URL.');
+  }
+  if (isLocalUrl(url)) {
+    return warn(`${url} is only reachable from this machine - ConvoAI calls the LLM from Agora's cloud, so expose it through a tunnel (e.g. ngrok) and use that URL.`);
+  }
+  if (getLlmProvider(values.VITE_LLM_PROVIDER).requiresKey && !values.VITE_LLM_API_KEY) {
+    return fail('No LLM API key.');
+  }
+
+  try {
+    const response = await fetch(url, buildLlmProbe(values));
+    if (response.status === 401 || response.status === 403) {
+      return fail(`Key rejected (${response.status}) - check the LLM API key.`);
+    }
+    if (response.status === 404) {
+      return fail(`Not found (404) - check the LLM URL and the model "${values.VITE_LLM_MODEL}".`);
+    }
+    if (response.status === 429) {
+      return warn('Rate limited or out of quota (429) - check the billing of the LLM account.');
+    }
+    if (!response.ok) {
+      return warn(`LLM answered ${response.status} - the key was accepted but the request was not; check the model and style.`);
+    }
+    return pass(`Endpoint answered for model ${values.VITE_LLM_MODEL}`);
+  } catch (error) {
+    // Many providers don't allow browser requests; ConvoAI calls them server-side, so this is not fatal
+    return warn(`Could not reach the LLM from the browser (${describeNetworkError(error)}). ConvoAI calls it from Agora's cloud, so it may still work.`);
+  }
+};
+
+const checkTts = async (values) => {
+  if (values.VITE_CONVOAI_PROXY_URL) {
+    return skip('Proxy mode - the TTS key is on the backend.');
+  }
+  const vendor = getTtsVendor(values.VITE_TTS_VENDOR);
+  const config = {
+    ttsApiKey: values.VITE_TTS_API_KEY,
+    ttsRegion: values.VITE_TTS_REGION,
+    ttsVoiceName: values.VITE_TTS_VOICE_NAME,
+    ttsModel: values.VITE_TTS_MODEL,
+    ttsGroupId: values.VITE_TTS_GROUP_ID,
+  };
+
+  const missing = vendor.fields.filter(field => field.required && !config[field.key]).map(field => field.label);
+  if (missing.length > 0) {
+    return fail(`Missing: ${missing.join(', ')}.`);
+  }
+  if (!vendor.probe) {
+    return warn(`${vendor.label} keys can't be checked from the browser - start the agent to test it.`);
+  }
+
+  const { url, options } = vendor.probe(config);
+  try {
+    const response = await fetch(url, options);
+    if (response.status === 401 || response.status === 403) {
+      return fail(`${vendor.label} rejected the key (${response.status})${vendor === TTS_VENDORS.microsoft ? ' - check that it belongs to this region' : ''}.`);
+    }
+    if (response.status === 404) {
+      return fail(`${vendor.label} does not know voice "${config.ttsVoiceName}" (404) - check the voice ID.`);
+    }
+    if (!response.ok) {
+      return warn(`${vendor.label} answered ${response.status}.`);
+    }
+    return pass(`${vendor.label} accepted the key`);
+  } catch (error) {
+    return warn(`Could not reach ${vendor.label} from the browser (${describeNetworkError(error)}) - the key is untested.`);
+  }
+};
+
+export const DIAGNOSTIC_CHECKS = [
+  { id: 'audio', label: 'Audio playback (AudioContext)', run: checkAudioContext },
+  { id: 'mic', label: 'Microphone', run: checkMicrophone },
+  { id: 'appId', label: 'Agora App ID', run: checkAppId },
+  { id: 'token', label: 'RTC token', run: checkToken },
+  { id: 'convoai', label: 'ConvoAI credentials', run: checkConvoAI },
+  { id: 'llm', label: 'LLM endpoint', run: checkLlm },
+  { id: 'tts', label: 'TTS key', run: checkTts },
+];
+
+/**
+ * Run every check against the VITE_* `values` one after another (the mic and
+ * audio checks may prompt the user). `onResult` gets each result as it arrives;
+ * resolves to the full list.
+ */
+export const runDiagnostics = async (values, onResult = () => {}) => {
+  const results = [];
+  for (const check of DIAGNOSTIC_CHECKS) {
+    let outcome;
+    try {
+      outcome = await check.run(values);
+    } catch (error) {
+      outcome = fail(`Check crashed: ${error.message || error}`);
+    }
+    const entry = { id: check.id, label: check.label, ...outcome };
+    results.push(entry);
+    onResult(entry);
+  }
+  return results;
+};
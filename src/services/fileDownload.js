@@ -0,0 +1,22 @@
+/*
+ * File download
+ *
+ * Saves generated text (transcripts, settings exports) as a file through a
+ * Blob object URL and a temporary <a download> link - no server round trip.
+ */
+
+/**
+ * Download `text` as `filename`. `mime` is the content type without charset;
+ * the file is always UTF-8.
+ */
+export const downloadTextFile = (text, filename, mime = 'text/plain') => {
+  const blob = new Blob([text], { type: `${mime};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,187 @@
+/*
+ * English grapheme-to-phoneme conversion
+ *
+ * Turns a transcript word into ARPAbet phonemes (no stress marks) for the
+ * transcript-driven lip sync (textLipSync.js). Words in the built-in
+ * dictionary - function words and the common irregular spellings an
+ * assistant says all the time - are looked up; everything else goes through
+ * a small set of letter-to-sound rules. The rules only have to be good enough
+ * for mouth shapes: a wrong vowel quality matters far less than getting
+ * plosives, rounding and open/closed right.
+ */
+
+// word -> ARPAbet, space separated
+const DICTIONARY = {
+  a: 'AH', an: 'AE N', the: 'DH AH', of: 'AH V', to: 'T UW', too: 'T UW', two: 'T UW', do: 'D UW',
+  does: 'D AH Z', done: 'D AH N', did: 'D IH D', who: 'HH UW', whom: 'HH UW M', whose: 'HH UW Z',
+  what: 'W AH T', where: 'W EH R', when: 'W EH N', why: 'W AY', which: 'W IH CH', how: 'HH AW',
+  i: 'AY', "i'm": 'AY M', "i'll": 'AY L', "i've": 'AY V', "i'd": 'AY D', me: 'M IY', my: 'M AY',
+  you: 'Y UW', your: 'Y AO R', "you're": 'Y AO R', "you'll": 'Y UW L', "you've": 'Y UW V',
+  he: 'HH IY', she: 'SH IY', we: 'W IY', they: 'DH EY', "they're": 'DH EH R', them: 'DH EH M',
+  their: 'DH EH R', there: 'DH EH R', here: 'HH IY R', these: 'DH IY Z', those: 'DH OW Z',
+  this: 'DH IH S', that: 'DH AE T', than: 'DH AE N', then: 'DH EH N', with: 'W IH DH',
+  is: 'IH Z', are: 'AA R', was: 'W AH Z', were: 'W ER', be: 'B IY', been: 'B IH N', being: 'B IY IH NG',
+  have: 'HH AE V', has: 'HH AE Z', had: 'HH AE D', having: 'HH AE V IH NG',
+  one: 'W AH N', once: 'W AH N S', some: 'S AH M', come: 'K AH M', coming: 'K AH M IH NG',
+  give: 'G IH V', live: 'L IH V', love: 'L AH V', move: 'M UW V', above: 'AH B AH V',
+  said: 'S EH D', says: 'S EH Z', say: 'S EY', any: 'EH N IY', many: 'M EH N IY',
+  only: 'OW N L IY', also: 'AO L S OW', other: 'AH DH ER', another: 'AH N AH DH ER',
+  could: 'K UH D', would: 'W UH D', should: 'SH UH D', can: 'K AE N', "can't": 'K AE N T',
+  will: 'W IH L', "won't": 'W OW N T', "don't": 'D OW N T', "doesn't": 'D AH Z AH N T',
+  "didn't": 'D IH D AH N T', "isn't": 'IH Z AH N T', "it's": 'IH T S', "that's": 'DH AE T S',
+  "let's": 'L EH T S', "what's": 'W AH T S', "there's": 'DH EH R Z', "here's": 'HH IY R Z',
+  know: 'N OW', knew: 'N UW', known: 'N OW N', through: 'TH R UW', though: 'DH OW',
+  thought: 'TH AO T', enough: 'IH N AH F', laugh: 'L AE F', tough: 'T AH F', rough: 'R AH F',
+  people: 'P IY P AH L', friend: 'F R EH N D', friends: 'F R EH N D Z', again: 'AH G EH N',
+  because: 'B IH K AH Z', answer: 'AE N S ER', question: 'K W EH S CH AH N', eye: 'AY', buy: 'B AY',
+  from: 'F R AH M', for: 'F AO R', or: 'AO R', nor: 'N AO R', not: 'N AA T', no: 'N OW', so: 'S OW',
+  go: 'G OW', yes: 'Y EH S', yeah: 'Y AE', okay: 'OW K EY', ok: 'OW K EY', hello: 'HH AH L OW',
+  hi: 'HH AY', hey: 'HH EY', please: 'P L IY Z', thanks: 'TH AE NG K S', thank: 'TH AE NG K',
+  sorry: 'S AA R IY', great: 'G R EY T', good: 'G UH D', sure: 'SH UH R', course: 'K AO R S',
+  help: 'HH EH L P', today: 'T AH D EY', agent: 'EY JH AH N T', agora: 'AE G ER AH',
+  water: 'W AO T ER', world: 'W ER L D', work: 'W ER K', word: 'W ER D', words: 'W ER D Z',
+  very: 'V EH R IY', every: 'EH V R IY', really: 'R IH L IY', idea: 'AY D IY AH', mean: 'M IY N',
+  into: 'IH N T UW', onto: 'AA N T UW', about: 'AH B AW T', out: 'AW T', our: 'AW ER',
+  day: 'D EY', way: 'W EY', put: 'P UH T', full: 'F UH L', pull: 'P UH L', push: 'P UH SH',
+  iron: 'AY ER N', island: 'AY L AH N D', listen: 'L IH S AH N', often: 'AO F AH N',
+  women: 'W IH M AH N', woman: 'W UH M AH N', busy: 'B IH Z IY', business: 'B IH Z N AH S',
+};
+
+const VOWEL_LETTERS = 'aeiouy';
+const isVowelLetter = (letter) => letter !== undefined && VOWEL_LETTERS.includes(letter);
+
+// Multi-letter spellings, longest first within each starting letter. `at: 'start'|'end'`
+// restricts a rule to the edge of the word.
+const GRAPHEME_RULES = [
+  { g: 'tion', p: 'SH AH N' }, { g: 'sion', p: 'ZH AH N' }, { g: 'ture', p: 'CH ER' },
+  { g: 'ough', p: 'OW' }, { g: 'augh', p: 'AO' }, { g: 'eigh', p: 'EY' },
+  { g: 'igh', p: 'AY' }, { g: 'tch', p: 'CH' }, { g: 'dge', p: 'JH' },
+  { g: 'kn', p: 'N', at: 'start' }, { g: 'wr', p: 'R', at: 'start' }, { g: 'ps', p: 'S', at: 'start' },
+  { g: 'mb', p: 'M', at: 'end' }, { g: 'gh', p: 'G', at: 'start' }, { g: 'gh', p: '' },
+  { g: 'ch', p: 'CH' }, { g: 'sh', p: 'SH' }, { g: 'th', p: 'TH' }, { g: 'ph', p: 'F' },
+  { g: 'wh', p: 'W' }, { g: 'ng', p: 'NG' }, { g: 'nk', p: 'NG K' }, { g: 'ck', p: 'K' },
+  { g: 'qu', p: 'K W' },
+  { g: 'ee', p: 'IY' }, { g: 'ea', p: 'IY' }, { g: 'ie', p: 'IY' }, { g: 'ei', p: 'EY' },
+  { g: 'ey', p: 'IY', at: 'end' }, { g: 'ey', p: 'EY' },
+  { g: 'ai', p: 'EY' }, { g: 'ay', p: 'EY' }, { g: 'oa', p: 'OW' }, { g: 'oe', p: 'OW', at: 'end' },
+  { g: 'oo', p: 'UW' }, { g: 'ou', p: 'AW' }, { g: 'ow', p: 'OW', at: 'end' }, { g: 'ow', p: 'AW' },
+  { g: 'oi', p: 'OY' }, { g: 'oy', p: 'OY' }, { g: 'au', p: 'AO' }, { g: 'aw', p: 'AO' },
+  { g: 'ew', p: 'UW' }, { g: 'ue', p: 'UW' }, { g: 'ui', p: 'UW' },
+  { g: 'ar', p: 'AA R' }, { g: 'or', p: 'AO R' }, { g: 'er', p: 'ER' }, { g: 'ir', p: 'ER' }, { g: 'ur', p: 'ER' },
+];
+
+const CONSONANTS = {
+  b: 'B', d: 'D', f: 'F', h: 'HH', j: 'JH', k: 'K', l: 'L', m: 'M', n: 'N', p: 'P',
+  q: 'K', r: 'R', s: 'S', t: 'T', v: 'V', w: 'W', x: 'K S', z: 'Z',
+};
+
+const SHORT_VOWELS = { a: 'AE', e: 'EH', i: 'IH', o: 'AA', u: 'AH' };
+const LONG_VOWELS = { a: 'EY', e: 'IY', i: 'AY', o: 'OW', u: 'UW' };
+
+const matchRule = (letters, index) => GRAPHEME_RULES.find(rule => (
+  letters.startsWith(rule.g, index) &&
+  (rule.at !== 'start' || index === 0) &&
+  (rule.at !== 'end' || index + rule.g.length === letters.length)
+));
+
+// Letter-to-sound fallback for words the dictionary doesn't know
+const ruleBasedPhonemes = (letters) => {
+  const phonemes = [];
+  // A final silent e makes the vowel before the last consonant long (make, time, home)
+  const magicE = letters.length > 2 && letters.endsWith('e') &&
+    !isVowelLetter(letters[letters.length - 2]) && isVowelLetter(letters[letters.length - 3]);
+  const hasOtherVowel = (index) => [...letters].some((letter, i) => i !== index && 'aeiou'.includes(letter));
+
+  let index = 0;
+  while (index < letters.length) {
+    const letter = letters[index];
+    const next = letters[index + 1];
+
+    // Final e after a consonant is silent, unless it's the only vowel (be, she)
+    if (letter === 'e' && index === letters.length - 1 && index > 0 && hasOtherVowel(index)) {
+      break;
+    }
+
+    const rule = matchRule(letters, index);
+    if (rule) {
+      if (rule.p) phonemes.push(...rule.p.split(' '));
+      index += rule.g.length;
+      continue;
+    }
+
+    // Doubled consonants sound once (ll, ss, tt)
+    if (next === letter && !isVowelLetter(letter)) {
+      index++;
+      continue;
+    }
+
+    if (letter === 'c') {
+      phonemes.push('eiy'.includes(next) ? 'S' : 'K');
+    } else if (letter === 'g') {
+      phonemes.push('eiy'.includes(next) && index > 0 ? 'JH' : 'G');
+    } else if (letter === 'y') {
+      if (index === 0) {
+        phonemes.push('Y');
+      } else if (index === letters.length - 1) {
+        phonemes.push(hasOtherVowel(index) ? 'IY' : 'AY'); // happy / my
+      } else {
+        phonemes.push('IH');
+      }
+    } else if (SHORT_VOWELS[letter]) {
+      const long = magicE && index === letters.length - 3;
+      // An open syllable at the end is long as well (go, hi, flu)
+      const open = index === letters.length - 1;
+      phonemes.push(long || open ? LONG_VOWELS[letter] : SHORT_VOWELS[letter]);
+    } else if (CONSONANTS[letter]) {
+      phonemes.push(...CONSONANTS[letter].split(' '));
+    }
+    index++;
+  }
+  return phonemes;
+};
+
+// Own keys only - "constructor" or "toString" are words, not Object.prototype members
+const lookup = (key) => (Object.prototype.hasOwnProperty.call(DICTIONARY, key) ? DICTIONARY[key].split(' ') : null);
+
+// Dictionary words and the plurals and past tenses of known words, or null
+const dictionaryPhonemes = (cleaned, letters) => {
+  const known = lookup(cleaned);
+  if (known) {
+    return known;
+  }
+  if (letters.length > 3 && letters.endsWith('s')) {
+    const singular = lookup(letters.slice(0, -1));
+    if (singular) {
+      return [...singular, 'Z'];
+    }
+  }
+  if (letters.length > 4 && letters.endsWith('ed')) {
+    const stem = lookup(letters.slice(0, -2));
+    if (stem) {
+      return [...stem, 'D'];
+    }
+  }
+  return null;
+};
+
+const SPOKEN_DIGITS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+
+/**
+ * ARPAbet phonemes for one word, e.g. wordToPhonemes('Hello!') -> ['HH', 'AH', 'L', 'OW'].
+ * Punctuation is ignored; digits are spelled out one by one. Returns [] for
+ * text with no letters (e.g. emoji, other scripts).
+ */
+export const wordToPhonemes = (word) => {
+  const cleaned = String(word || '').toLowerCase().replace(/[’‘]/g, "'").replace(/[^a-z0-9']/g, '');
+  if (!cleaned) {
+    return [];
+  }
+  if (/[0-9]/.test(cleaned)) {
+    return cleaned.split(/([0-9])/).filter(Boolean).flatMap(part => (
+      /[0-9]/.test(part) ? wordToPhonemes(SPOKEN_DIGITS[Number(part)]) : wordToPhonemes(part)
+    ));
+  }
+
+  const letters = cleaned.replace(/'/g, '');
+  return dictionaryPhonemes(cleaned, letters) || ruleBasedPhonemes(letters);
+};
@@ -0,0 +1,314 @@
+/*
+ * Lip-sync analysis - the pure half of the lip-sync engine
+ *
+ * No Web Audio or DOM here, so it runs both on the main thread (AnalyserNode
+ * fallback in lipSyncEngine.js) and inside the AudioWorklet (lipSyncWorklet.js).
+ *
+ *   analyzeSpectrum(bins, sampleRate, tuning)   byte spectrum -> frame (viseme, weights, volume, intensity, bands...)
+ *   DEFAULT_LIPSYNC_TUNING              formant bands, silence threshold and gain - per voice via lipSyncProfiles.js
+ *   visemeVector(weights)               sparse viseme -> weight map -> weight for every one of VISEMES
+ *   SpectrumAnalyser                    time-domain samples -> byte spectrum, like AnalyserNode
+ *   packFrame / unpackFrame             frame <-> Float32Array for the worklet's message port
+ */
+
+export const VISEMES = [
+  'viseme_sil',  // silence
+  'viseme_PP',   // p, b, m
+  'viseme_FF',   // f, v
+  'viseme_TH',   // th
+  'viseme_DD',   // d, t, n, l
+  'viseme_kk',   // k, g
+  'viseme_CH',   // ch, j, sh
+  'viseme_SS',   // s, z
+  'viseme_nn',   // n, ng
+  'viseme_RR',   // r
+  'viseme_aa',   // aa (father)
+  'viseme_E',    // eh (bed)
+  'viseme_I',    // ee (see)
+  'viseme_O',    // oh (go)
+  'viseme_U',    // oo (boot)
+];
+
+const BAND_COUNT = 8;
+
+// Below this summed formant energy there is too little signal to classify
+const MIN_FORMANT_ENERGY = 10;
+
+/**
+ * The voice-dependent numbers, tuned for the sample voice (Emma). A calibrated
+ * profile (lipSyncCalibration.js) replaces them for a particular TTS voice.
+ *
+ *   formantBands   bin edges of F1 | F2 | F3 | F4 | highs over 128 bins (fftSize 256)
+ *   silenceVolume  below this volume the frame counts as silence
+ *   intensityGain  volume -> mouth opening (frame.intensity = min(volume * gain, 1))
+ */
+export const DEFAULT_LIPSYNC_TUNING = Object.freeze({
+  formantBands: Object.freeze([0, 8, 20, 40, 70, 110]), // ~300Hz, ~600Hz, ~1200Hz, ~2000Hz, ~3500Hz
+  silenceVolume: 0.02,
+  intensityGain: 4.0,
+});
+
+/**
+ * A complete, sane tuning from a partial or stored one - anything invalid falls back to the default.
+ */
+export const normalizeTuning = (tuning) => {
+  tuning = tuning || {};
+  const bands = Array.isArray(tuning.formantBands) ? tuning.formantBands.map(Number) : null;
+  const bandsValid = bands && bands.length === DEFAULT_LIPSYNC_TUNING.formantBands.length &&
+    bands.every((edge, i) => Number.isInteger(edge) && edge >= 0 && edge <= 128 && (i === 0 || edge > bands[i - 1]));
+  const silenceVolume = Number(tuning.silenceVolume);
+  const intensityGain = Number(tuning.intensityGain);
+  return {
+    formantBands: bandsValid ? bands : [...DEFAULT_LIPSYNC_TUNING.formantBands],
+    silenceVolume: silenceVolume > 0 && silenceVolume < 1 ? silenceVolume : DEFAULT_LIPSYNC_TUNING.silenceVolume,
+    intensityGain: intensityGain > 0 && intensityGain <= 50 ? intensityGain : DEFAULT_LIPSYNC_TUNING.intensityGain,
+  };
+};
+
+/**
+ * A weight for each of the 15 visemes (missing ones are 0), in VISEMES order.
+ * Frame weights always have this shape so consumers can blend all of them.
+ */
+export const visemeVector = (weights = {}) => {
+  const vector = {};
+  VISEMES.forEach((viseme) => {
+    vector[viseme] = weights[viseme] || 0;
+  });
+  return vector;
+};
+
+export const SILENT_FRAME = Object.freeze({
+  viseme: 'viseme_sil',
+  weights: Object.freeze(visemeVector({ viseme_sil: 1 })),
+  volume: 0,
+  intensity: 0,
+  centroid: 0,
+  bands: Object.freeze(new Array(BAND_COUNT).fill(0)),
+  frequencies: Object.freeze({ low: 0, mid: 0, high: 0 }),
+});
+
+const average = (bins, start, end) => {
+  let sum = 0;
+  for (let i = start; i < end; i++) {
+    sum += bins[i] || 0;
+  }
+  return sum / (end - start);
+};
+
+// Formant-pattern classifier over 128 bins (fftSize 256), with band edges from the tuning.
+// Returns viseme -> weight; ambiguous sounds split their weight between the two candidate shapes.
+const classifyFormants = (bins, edges) => {
+  const f1 = average(bins, edges[0], edges[1]);
+  const f2 = average(bins, edges[1], edges[2]);
+  const f3 = average(bins, edges[2], edges[3]);
+  const f4 = average(bins, edges[3], edges[4]);
+  const highF = average(bins, edges[4], edges[5]);
+
+  const totalEnergy = f1 + f2 + f3 + f4 + highF;
+  if (totalEnergy <= MIN_FORMANT_ENERGY) {
+    return { viseme_sil: 1 };
+  }
+
+  // Normalize formant energies
+  const nf1 = f1 / totalEnergy;
+  const nf2 = f2 / totalEnergy;
+  const nf3 = f3 / totalEnergy;
+  const nhighF = highF / totalEnergy;
+
+  // Vowels
+  if (nf1 > 0.25 && nf2 < 0.2) return { viseme_aa: 1 };                   // strong F1, weak F2 (father, hot)
+  if (nf2 > 0.25 && nhighF > 0.2) return { viseme_I: 1 };                 // strong F2 + highs (see, eat)
+  if (nf1 > 0.2 && nf2 > 0.2) return { viseme_E: 1 };                     // balanced F1/F2 (bed, head)
+  if (nf1 < 0.15 && nf2 < 0.2 && nhighF > 0.25) return { viseme_U: 1 };   // weak F1/F2, strong highs (boot, food)
+  if (nf1 < 0.2 && nf2 > 0.2 && nf3 > 0.2) return { viseme_O: 1 };        // weak F1, strong F2/F3 (go, show)
+
+  // Consonants
+  if (nhighF > 0.35) return { viseme_SS: 0.5, viseme_CH: 0.5 };           // sibilants: s/z or sh/ch
+  if (nhighF > 0.25) return { viseme_FF: 0.5, viseme_TH: 0.5 };           // fricatives: f, v, th
+  if (nf1 < 0.15 && nf2 < 0.2 && nhighF < 0.2) return { viseme_PP: 1 };   // closed: p, b, m
+  if (nf2 < 0.2 && nf3 > 0.2) return { viseme_kk: 1 };                    // back: k, g
+  return { viseme_DD: 1 };                                                // dental/alveolar: d, t, n, l
+};
+
+// Strongest viseme, for labels and change events - ties go to the first in VISEMES order.
+// The mouth itself blends the whole weight vector, so an ambiguous pair shows as a mix.
+const dominantViseme = (weights) => VISEMES.reduce(
+  (best, viseme) => ((weights[viseme] || 0) > (weights[best] || 0) ? viseme : best),
+  VISEMES[0]
+);
+
+/**
+ * Analyse one spectrum: byte frequency data (0..255 per bin, as from
+ * AnalyserNode.getByteFrequencyData) at `sampleRate`. Pure - usable offline.
+ * `tuning` must be complete (see normalizeTuning).
+ */
+export const analyzeSpectrum = (bins, sampleRate, tuning = DEFAULT_LIPSYNC_TUNING) => {
+  if (!bins || bins.length === 0) {
+    return SILENT_FRAME;
+  }
+
+  const volume = average(bins, 0, bins.length) / 255;
+
+  // Spectral centroid
+  let weightedSum = 0;
+  let sum = 0;
+  for (let i = 0; i < bins.length; i++) {
+    const freq = i * (sampleRate / 2) / bins.length;
+    weightedSum += freq * bins[i];
+    sum += bins[i];
+  }
+  const centroid = sum > 0 ? weightedSum / sum : 0;
+
+  // Frequency bands for visualization
+  const bandSize = Math.floor(bins.length / BAND_COUNT);
+  const bands = [];
+  for (let i = 0; i < BAND_COUNT; i++) {
+    bands.push(average(bins, i * bandSize, (i + 1) * bandSize) / 255);
+  }
+
+  const voiced = volume > tuning.silenceVolume;
+  const weights = visemeVector(voiced ? classifyFormants(bins, tuning.formantBands) : { viseme_sil: 1 });
+
+  return {
+    viseme: dominantViseme(weights),
+    weights,
+    volume,
+    intensity: voiced ? Math.min(volume * tuning.intensityGain, 1) : 0,
+    centroid,
+    bands,
+    // Raw frequency data for debugging
+    frequencies: {
+      low: average(bins, 0, 15),
+      mid: average(bins, 15, 60),
+      high: average(bins, 60, 100),
+    },
+  };
+};
+
+// AnalyserNode defaults, so both paths feed analyzeSpectrum the same numbers
+const MIN_DECIBELS = -100;
+const MAX_DECIBELS = -30;
+
+/**
+ * Byte frequency data from raw samples, computed the way
+ * AnalyserNode.getByteFrequencyData() does: Blackman window, FFT, magnitude
+ * smoothed over time, mapped from MIN..MAX_DECIBELS onto 0..255.
+ */
+export class SpectrumAnalyser {
+  constructor(fftSize = 256, smoothingTimeConstant = 0.8) {
+    this.fftSize = fftSize;
+    this.smoothingTimeConstant = smoothingTimeConstant;
+    this.bins = new Uint8Array(fftSize / 2);
+    this.smoothed = new Float32Array(fftSize / 2);
+    this.real = new Float32Array(fftSize);
+    this.imag = new Float32Array(fftSize);
+
+    this.window = new Float32Array(fftSize);
+    for (let i = 0; i < fftSize; i++) {
+      const x = (2 * Math.PI * i) / fftSize;
+      this.window[i] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+    }
+
+    this.cos = new Float32Array(fftSize / 2);
+    this.sin = new Float32Array(fftSize / 2);
+    for (let i = 0; i < fftSize / 2; i++) {
+      this.cos[i] = Math.cos((2 * Math.PI * i) / fftSize);
+      this.sin[i] = -Math.sin((2 * Math.PI * i) / fftSize);
+    }
+
+    this.reversed = new Uint16Array(fftSize);
+    const bits = Math.log2(fftSize);
+    for (let i = 0; i < fftSize; i++) {
+      let reversed = 0;
+      for (let bit = 0; bit < bits; bit++) {
+        reversed = (reversed << 1) | ((i >> bit) & 1);
+      }
+      this.reversed[i] = reversed;
+    }
+  }
+
+  // In-place iterative radix-2 FFT of real/imag
+  transform() {
+    const { real, imag, fftSize } = this;
+    for (let size = 2; size <= fftSize; size *= 2) {
+      const half = size / 2;
+      const step = fftSize / size;
+      for (let start = 0; start < fftSize; start += size) {
+        for (let k = 0; k < half; k++) {
+          const even = start + k;
+          const odd = even + half;
+          const cos = this.cos[k * step];
+          const sin = this.sin[k * step];
+          const oddReal = real[odd] * cos - imag[odd] * sin;
+          const oddImag = real[odd] * sin + imag[odd] * cos;
+          real[odd] = real[even] - oddReal;
+          imag[odd] = imag[even] - oddImag;
+          real[even] += oddReal;
+          imag[even] += oddImag;
+        }
+      }
+    }
+  }
+
+  /**
+   * `samples` is a ring buffer of fftSize samples whose oldest sample is at `offset`.
+   */
+  getByteFrequencyData(samples, offset = 0) {
+    const { fftSize, real, imag } = this;
+    for (let i = 0; i < fftSize; i++) {
+      const index = this.reversed[i];
+      real[index] = samples[(offset + i) % fftSize] * this.window[i];
+      imag[index] = 0;
+    }
+    this.transform();
+
+    const range = MAX_DECIBELS - MIN_DECIBELS;
+    for (let k = 0; k < this.bins.length; k++) {
+      const magnitude = Math.hypot(real[k], imag[k]) / fftSize;
+      this.smoothed[k] = this.smoothingTimeConstant * this.smoothed[k] + (1 - this.smoothingTimeConstant) * magnitude;
+      const decibels = this.smoothed[k] > 0 ? 20 * Math.log10(this.smoothed[k]) : -Infinity;
+      const scaled = (255 / range) * (decibels - MIN_DECIBELS);
+      this.bins[k] = scaled <= 0 ? 0 : scaled >= 255 ? 255 : Math.floor(scaled);
+    }
+    return this.bins;
+  }
+}
+
+// Packed frame layout: volume, centroid, viseme index, low/mid/high, intensity, bands, one weight per viseme
+const BANDS_AT = 7;
+const WEIGHTS_AT = BANDS_AT + BAND_COUNT;
+export const PACKED_FRAME_LENGTH = WEIGHTS_AT + VISEMES.length;
+
+export const packFrame = (frame, target = new Float32Array(PACKED_FRAME_LENGTH)) => {
+  target.fill(0);
+  target[0] = frame.volume;
+  target[1] = frame.centroid;
+  target[2] = VISEMES.indexOf(frame.viseme);
+  target[3] = frame.frequencies.low;
+  target[4] = frame.frequencies.mid;
+  target[5] = frame.frequencies.high;
+  target[6] = frame.intensity;
+  frame.bands.forEach((band, i) => {
+    target[BANDS_AT + i] = band;
+  });
+  Object.entries(frame.weights).forEach(([viseme, weight]) => {
+    target[WEIGHTS_AT + VISEMES.indexOf(viseme)] = weight;
+  });
+  return target;
+};
+
+export const unpackFrame = (packed) => {
+  const weights = {};
+  VISEMES.forEach((viseme, i) => {
+    weights[viseme] = packed[WEIGHTS_AT + i];
+  });
+  return {
+    viseme: VISEMES[packed[2]] || SILENT_FRAME.viseme,
+    weights,
+    volume: packed[0],
+    intensity: packed[6],
+    centroid: packed[1],
+    bands: Array.from(packed.subarray(BANDS_AT, WEIGHTS_AT)),
+    frequencies: { low: packed[3], mid: packed[4], high: packed[5] },
+  };
+};
@@ -0,0 +1,159 @@
+/*
+ * Lip-sync calibration
+ *
+ * Fits DEFAULT_LIPSYNC_TUNING (lipSyncAnalysis.js) to one voice from a few
+ * sample utterances whose mouth shape is known - by default the Emma vowel
+ * clips in public/models/audios, or recordings of the TTS voice saying the
+ * same thing (audio files or microphone recordings from the Visualizer).
+ *
+ * Each clip is analysed offline exactly like the worklet does it (same FFT,
+ * smoothing and frame rate), then:
+ *
+ *   silenceVolume   between the clips' noise floor and their speech level
+ *   intensityGain   maps the speech level to a nearly open mouth
+ *   formantBands    the default band edges scaled by the factor that classifies
+ *                   the most voiced frames as the clip's viseme - a deeper
+ *                   voice has lower formants, a higher voice higher ones
+ *
+ * The result is saved as a profile for the voice (lipSyncProfiles.js).
+ */
+
+import { DEFAULT_LIPSYNC_TUNING, SpectrumAnalyser, analyzeSpectrum } from './lipSyncAnalysis';
+
+export const CALIBRATION_CLIPS = [
+  { id: 'a', label: 'A', path: 'models/audios/Emma_a.mp3', viseme: 'viseme_aa' },
+  { id: 'e', label: 'E', path: 'models/audios/Emma_e.mp3', viseme: 'viseme_E' },
+  { id: 'o', label: 'O', path: 'models/audios/Emma_o.mp3', viseme: 'viseme_O' },
+  { id: 'you', label: 'You', path: 'models/audios/Emma_you.mp3', viseme: 'viseme_U' },
+  { id: 'lot', label: 'Lot', path: 'models/audios/Emma_lot.mp3', viseme: 'viseme_aa' },
+];
+
+const FFT_SIZE = 256;
+const FRAME_RATE = 60;
+const SMOOTHING = 0.8;
+
+// Formant band scale factors to try
+const BAND_SCALES = Array.from({ length: 15 }, (_, i) => Math.round((0.7 + i * 0.05) * 100) / 100);
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const percentile = (sorted, fraction) => (
+  sorted.length === 0 ? 0 : sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))]
+);
+
+/**
+ * Decode a clip (URL, File or Blob) to mono samples at the context's sample rate.
+ */
+export const decodeClip = async (audioContext, source) => {
+  let data;
+  if (typeof source === 'string') {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Could not load ${source} (${response.status})`);
+    }
+    data = await response.arrayBuffer();
+  } else {
+    data = await source.arrayBuffer();
+  }
+
+  const buffer = await audioContext.decodeAudioData(data);
+  const samples = new Float32Array(buffer.length);
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const channelData = buffer.getChannelData(channel);
+    for (let i = 0; i < buffer.length; i++) {
+      samples[i] += channelData[i] / buffer.numberOfChannels;
+    }
+  }
+  return { samples, sampleRate: buffer.sampleRate };
+};
+
+/**
+ * Byte spectra of `samples`, one per worklet frame: [{ bins, volume }].
+ */
+export const spectrumFrames = (samples, sampleRate) => {
+  const analyser = new SpectrumAnalyser(FFT_SIZE, SMOOTHING);
+  const hop = Math.round(sampleRate / FRAME_RATE);
+  const frames = [];
+  for (let end = FFT_SIZE; end <= samples.length; end += hop) {
+    const bins = Uint8Array.from(analyser.getByteFrequencyData(samples.subarray(end - FFT_SIZE, end), 0));
+    const volume = bins.reduce((sum, bin) => sum + bin, 0) / bins.length / 255;
+    frames.push({ bins, volume });
+  }
+  return frames;
+};
+
+const scaledBands = (scale) => {
+  const edges = DEFAULT_LIPSYNC_TUNING.formantBands.map(edge => Math.round(edge * scale));
+  for (let i = 1; i < edges.length; i++) {
+    edges[i] = Math.max(edges[i], edges[i - 1] + 1);
+  }
+  edges[edges.length - 1] = Math.min(edges[edges.length - 1], FFT_SIZE / 2);
+  return edges;
+};
+
+// Share of voiced frames classified as the clip's viseme, per clip and overall
+const scoreTuning = (clips, tuning) => {
+  let voiced = 0;
+  let correct = 0;
+  const perClip = clips.map((clip) => {
+    let clipVoiced = 0;
+    let clipCorrect = 0;
+    clip.frames.forEach(({ bins, volume }) => {
+      if (volume <= tuning.silenceVolume) return;
+      clipVoiced++;
+      if (analyzeSpectrum(bins, clip.sampleRate, tuning).viseme === clip.viseme) {
+        clipCorrect++;
+      }
+    });
+    voiced += clipVoiced;
+    correct += clipCorrect;
+    return { label: clip.label, viseme: clip.viseme, accuracy: clipVoiced > 0 ? clipCorrect / clipVoiced : 0 };
+  });
+  return { accuracy: voiced > 0 ? correct / voiced : 0, perClip };
+};
+
+/**
+ * Fit a tuning to labelled clips: [{ label, viseme, samples, sampleRate }].
+ * Returns { tuning, report } - the report compares the default tuning with the fitted one.
+ */
+export const fitLipSyncTuning = (clips) => {
+  const analysed = clips.map(clip => ({ ...clip, frames: spectrumFrames(clip.samples, clip.sampleRate) }));
+  const volumes = analysed.flatMap(clip => clip.frames.map(frame => frame.volume)).sort((a, b) => a - b);
+  if (volumes.length === 0) {
+    throw new Error('The calibration clips are too short to analyse');
+  }
+
+  const noiseFloor = percentile(volumes, 0.1);
+  const speechLevel = percentile(volumes, 0.9);
+  if (speechLevel <= noiseFloor) {
+    throw new Error('The calibration clips are silent');
+  }
+
+  const silenceVolume = clamp(noiseFloor + 0.15 * (speechLevel - noiseFloor), 0.005, 0.1);
+  const intensityGain = clamp(0.9 / speechLevel, 1, 20);
+
+  // Best band scale; on a tie the one closest to the default wins
+  let best = null;
+  BAND_SCALES.forEach((scale) => {
+    const tuning = { formantBands: scaledBands(scale), silenceVolume, intensityGain };
+    const score = scoreTuning(analysed, tuning);
+    const better = !best || score.accuracy > best.score.accuracy + 1e-9 ||
+      (Math.abs(score.accuracy - best.score.accuracy) <= 1e-9 && Math.abs(scale - 1) < Math.abs(best.scale - 1));
+    if (better) {
+      best = { scale, tuning, score };
+    }
+  });
+
+  const before = scoreTuning(analysed, DEFAULT_LIPSYNC_TUNING);
+  return {
+    tuning: best.tuning,
+    report: {
+      accuracyBefore: before.accuracy,
+      accuracy: best.score.accuracy,
+      bandScale: best.scale,
+      noiseFloor,
+      speechLevel,
+      clips: best.score.perClip,
+    },
+  };
+};
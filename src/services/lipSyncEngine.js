@@ -0,0 +1,307 @@
+/*
+ * Lip-sync engine
+ *
+ * The one place where audio turns into mouth shapes. Every consumer - the
+ * agent's RTC audio in useAgora, the sample clips in the Visualizer - feeds a
+ * source into a LipSyncEngine and listens for frames, so the viseme classifier
+ * is tuned here and nowhere else.
+ *
+ * Sources:
+ *   MediaStreamTrack / MediaStream   analysed only - the owner plays it (e.g. Agora's track.play())
+ *   HTMLMediaElement                 routed through Web Audio, so it stays audible
+ *   AudioBuffer                      played once from the start, 'ended' when done
+ *
+ * The analysis runs in an AudioWorklet (lipSyncWorklet.js) on the audio
+ * thread, which posts one packed frame per ~16ms; browsers without
+ * AudioWorklet fall back to an AnalyserNode polled on requestAnimationFrame.
+ * Both use the same classifier (lipSyncAnalysis.js).
+ *
+ * Frames are emitted when the listener hears the audio they came from, not
+ * when it was analysed: the AudioContext's output latency plus a user offset
+ * (setLatencyOffset) is compensated by lipSyncLatency.js.
+ *
+ * Events (engine.on(name, handler) returns an unsubscribe function):
+ *   frame    every analysed frame: { viseme, weights, volume, centroid, bands, frequencies }
+ *   viseme   the dominant viseme changed: (viseme, frame)
+ *   ended    an AudioBuffer source finished playing
+ *
+ * Viseme names are the Oculus/ReadyPlayerMe blend shapes on the avatar
+ * (viseme_aa, viseme_PP, ...), so consumers can apply them directly.
+ */
+
+import { SILENT_FRAME, analyzeSpectrum, normalizeTuning, unpackFrame } from './lipSyncAnalysis';
+import { FrameDelay, clampLatencyOffset, measureOutputLatency } from './lipSyncLatency';
+import lipSyncWorkletUrl from './lipSyncWorklet.js?worker&url';
+
+export { VISEMES, SILENT_FRAME, DEFAULT_LIPSYNC_TUNING, analyzeSpectrum, visemeVector } from './lipSyncAnalysis';
+
+// addModule() once per AudioContext; resolves false when worklets are unavailable
+const workletModules = new WeakMap();
+const loadWorklet = (context) => {
+  if (!workletModules.has(context)) {
+    const loading = context.audioWorklet
+      ? context.audioWorklet.addModule(lipSyncWorkletUrl).then(() => true, (error) => {
+          console.warn('⚠️ Lip sync worklet failed to load, analysing on the main thread:', error);
+          return false;
+        })
+      : Promise.resolve(false);
+    workletModules.set(context, loading);
+  }
+  return workletModules.get(context);
+};
+
+// A media element can only ever be wrapped once, by one AudioContext - remember the node
+const mediaElementSources = new WeakMap();
+
+export class LipSyncEngine {
+  constructor({ fftSize = 256, smoothingTimeConstant = 0.8, latencyOffsetMs = 0, tuning } = {}) {
+    this.fftSize = fftSize;
+    this.smoothingTimeConstant = smoothingTimeConstant;
+    this.tuning = normalizeTuning(tuning);
+    this.latencyOffsetMs = clampLatencyOffset(latencyOffsetMs);
+    this.frameDelay = new FrameDelay();
+    this.audioContext = null;
+    this.analysisNode = null; // AudioWorkletNode, or AnalyserNode in the fallback
+    this.bins = null;
+    this.sourceNode = null;
+    this.frameId = null;
+    this.connectId = 0;
+    this.frame = SILENT_FRAME;
+    this.listeners = { frame: new Set(), viseme: new Set(), ended: new Set() };
+  }
+
+  on(event, handler) {
+    this.listeners[event].add(handler);
+    return () => this.listeners[event].delete(handler);
+  }
+
+  emit(event, ...args) {
+    this.listeners[event].forEach(handler => {
+      try {
+        handler(...args);
+      } catch (error) {
+        console.error(`❌ Lip sync ${event} listener failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Analyse with another voice's formant bands, silence threshold and gain (lipSyncProfiles.js); null restores the default.
+   */
+  setTuning(tuning) {
+    this.tuning = normalizeTuning(tuning);
+    if (this.usesWorklet) {
+      this.analysisNode.port.postMessage({ tuning: this.tuning });
+    }
+  }
+
+  /**
+   * Extra delay (ms) on top of the measured output latency; negative values take some of it back.
+   */
+  setLatencyOffset(offsetMs) {
+    this.latencyOffsetMs = clampLatencyOffset(offsetMs);
+  }
+
+  /**
+   * { outputMs, offsetMs, appliedMs } - what the frames are currently delayed by.
+   */
+  getLatency() {
+    const outputMs = measureOutputLatency(this.audioContext) * 1000;
+    return {
+      outputMs,
+      offsetMs: this.latencyOffsetMs,
+      appliedMs: Math.max(0, outputMs + this.latencyOffsetMs),
+    };
+  }
+
+  // An analysed frame - held back until its audio reaches the listener
+  handleFrame(frame) {
+    this.frameDelay.setDelay(this.getLatency().appliedMs / 1000);
+    const due = this.frameDelay.push(frame, performance.now() / 1000);
+    if (due) {
+      this.emitFrame(due);
+    }
+  }
+
+  emitFrame(frame) {
+    const previous = this.frame.viseme;
+    this.frame = frame;
+    this.emit('frame', frame);
+    if (frame.viseme !== previous) {
+      this.emit('viseme', frame.viseme, frame);
+    }
+  }
+
+  // The context is kept between sources; media elements stay bound to it
+  getContext() {
+    if (!this.audioContext || this.audioContext.state === 'closed') {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      this.analysisNode = null;
+    }
+    return this.audioContext;
+  }
+
+  async getAnalysisNode(context) {
+    if (this.analysisNode) {
+      return this.analysisNode;
+    }
+
+    if (await loadWorklet(context)) {
+      const node = new AudioWorkletNode(context, 'lip-sync-analyser', {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [1],
+        processorOptions: { fftSize: this.fftSize, smoothingTimeConstant: this.smoothingTimeConstant, tuning: this.tuning },
+      });
+      node.port.onmessage = ({ data }) => {
+        if (this.sourceNode) {
+          this.handleFrame(unpackFrame(data));
+        }
+      };
+      // The processor only writes silence; being connected keeps it scheduled
+      node.connect(context.destination);
+      this.analysisNode = node;
+    } else {
+      const analyser = context.createAnalyser();
+      analyser.fftSize = this.fftSize;
+      analyser.smoothingTimeConstant = this.smoothingTimeConstant;
+      this.bins = new Uint8Array(analyser.frequencyBinCount);
+      this.analysisNode = analyser;
+    }
+    return this.analysisNode;
+  }
+
+  get usesWorklet() {
+    return typeof AudioWorkletNode !== 'undefined' && this.analysisNode instanceof AudioWorkletNode;
+  }
+
+  /**
+   * Start analysing `source` (replaces the previous one). Resolves once the
+   * graph is wired; the AudioContext may still wait for a user gesture to run.
+   */
+  async connect(source) {
+    this.disconnectSource();
+    const connectId = ++this.connectId;
+    const context = this.getContext();
+
+    if (context.state === 'suspended') {
+      // Browsers only resume after a user gesture - analysis starts whenever that happens
+      context.resume().catch(() => {});
+    }
+
+    const analysisNode = await this.getAnalysisNode(context);
+    if (connectId !== this.connectId || context !== this.audioContext) {
+      return; // another connect() or a disconnect() came in while the worklet loaded
+    }
+
+    let audible = false;
+    if (typeof MediaStreamTrack !== 'undefined' && source instanceof MediaStreamTrack) {
+      this.sourceNode = context.createMediaStreamSource(new MediaStream([source]));
+    } else if (typeof MediaStream !== 'undefined' && source instanceof MediaStream) {
+      this.sourceNode = context.createMediaStreamSource(source);
+    } else if (typeof HTMLMediaElement !== 'undefined' && source instanceof HTMLMediaElement) {
+      const existing = mediaElementSources.get(source);
+      if (existing && existing.context !== context) {
+        throw new Error('This media element is already bound to another AudioContext');
+      }
+      this.sourceNode = existing ? existing.node : context.createMediaElementSource(source);
+      mediaElementSources.set(source, { context, node: this.sourceNode });
+      audible = true;
+    } else if (typeof AudioBuffer !== 'undefined' && source instanceof AudioBuffer) {
+      const bufferSource = context.createBufferSource();
+      bufferSource.buffer = source;
+      bufferSource.onended = () => {
+        if (this.sourceNode === bufferSource) {
+          this.emit('ended');
+        }
+      };
+      bufferSource.start();
+      this.sourceNode = bufferSource;
+      audible = true;
+    } else {
+      throw new Error('Unsupported lip sync source - expected a MediaStreamTrack, MediaStream, HTMLMediaElement or AudioBuffer');
+    }
+
+    this.sourceNode.connect(analysisNode);
+    // Audible sources play straight to the speakers, next to the analysis
+    if (audible) {
+      this.sourceNode.connect(context.destination);
+    }
+
+    if (this.usesWorklet) {
+      analysisNode.port.postMessage({ active: true });
+    } else {
+      this.start();
+    }
+  }
+
+  // Main-thread fallback: poll the AnalyserNode once per animation frame
+  start() {
+    if (this.frameId !== null) return;
+
+    const tick = () => {
+      this.frameId = requestAnimationFrame(tick);
+      if (!this.analysisNode || !this.sourceNode) return;
+
+      this.analysisNode.getByteFrequencyData(this.bins);
+      this.handleFrame(analyzeSpectrum(this.bins, this.audioContext.sampleRate, this.tuning));
+    };
+    tick();
+  }
+
+  stop() {
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+    if (this.usesWorklet) {
+      this.analysisNode.port.postMessage({ active: false });
+    }
+  }
+
+  disconnectSource() {
+    if (!this.sourceNode) return;
+    if (this.sourceNode.stop) {
+      try {
+        this.sourceNode.stop(); // AudioBuffer source
+      } catch (error) {
+        // Already stopped
+      }
+    }
+    try {
+      this.sourceNode.disconnect();
+    } catch (error) {
+      // Already disconnected
+    }
+    this.sourceNode = null;
+  }
+
+  /**
+   * Stop analysing and report silence. The AudioContext is kept for the next connect().
+   */
+  disconnect() {
+    this.connectId++;
+    this.stop();
+    this.disconnectSource();
+    this.frameDelay.clear();
+    this.emitFrame(SILENT_FRAME);
+  }
+
+  /**
+   * Disconnect and close the AudioContext.
+   */
+  destroy() {
+    this.disconnect();
+    if (this.analysisNode) {
+      this.analysisNode.disconnect();
+      if (this.usesWorklet) {
+        this.analysisNode.port.onmessage = null;
+      }
+    }
+    if (this.audioContext && this.audioContext.state !== 'closed') {
+      this.audioContext.close().catch(() => {});
+    }
+    this.audioContext = null;
+    this.analysisNode = null;
+  }
+}
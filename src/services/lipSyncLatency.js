@@ -0,0 +1,92 @@
+/*
+ * Lip-sync latency compensation
+ *
+ * The lip-sync engine analyses audio when it enters the Web Audio graph, but
+ * the listener hears it later: the AudioContext's output latency (baseLatency
+ * + outputLatency - the device buffer, tens of ms, far more on Bluetooth)
+ * sits in between. Left alone, the mouth moves before the sound arrives.
+ *
+ * FrameDelay holds analysed frames back by that measured latency plus a user
+ * offset (Settings -> Lip Sync, or calibrated with the click track in the
+ * Visualizer). A positive offset delays the mouth further, a negative one
+ * takes back part of the measured delay; the total never goes below zero,
+ * since live audio can't be analysed before it arrives.
+ */
+
+export const LATENCY_OFFSET_RANGE = { min: -200, max: 400 }; // ms
+
+// Upper bound on buffered frames (~4s at 60 frames/s) in case the delay is set absurdly high
+const MAX_PENDING_FRAMES = 240;
+
+/**
+ * Seconds between a sample entering `audioContext` and the listener hearing it.
+ * outputLatency is missing in some browsers (Safari) - then only baseLatency counts.
+ */
+export const measureOutputLatency = (audioContext) => {
+  if (!audioContext) {
+    return 0;
+  }
+  return (audioContext.baseLatency || 0) + (audioContext.outputLatency || 0);
+};
+
+export const clampLatencyOffset = (offsetMs) => {
+  const value = Number(offsetMs);
+  if (!Number.isFinite(value)) {
+    return 0;
+  }
+  return Math.min(LATENCY_OFFSET_RANGE.max, Math.max(LATENCY_OFFSET_RANGE.min, Math.round(value)));
+};
+
+export class FrameDelay {
+  constructor() {
+    this.delay = 0; // seconds
+    this.pending = [];
+  }
+
+  setDelay(seconds) {
+    this.delay = Math.max(0, seconds);
+  }
+
+  /**
+   * Queue `frame` (analysed at clock time `now`, seconds) and return the newest
+   * frame whose delay has passed, or null if none is due yet. Frames that are
+   * overtaken by a newer due frame are dropped.
+   */
+  push(frame, now) {
+    this.pending.push({ frame, at: now });
+    if (this.pending.length > MAX_PENDING_FRAMES) {
+      this.pending.shift();
+    }
+
+    let due = null;
+    while (this.pending.length > 0 && this.pending[0].at <= now - this.delay + 1e-4) {
+      due = this.pending.shift().frame;
+    }
+    return due;
+  }
+
+  clear() {
+    this.pending = [];
+  }
+}
+
+/**
+ * A click track for calibration: short broadband clicks every `interval`
+ * seconds, `clicks` of them, as an AudioBuffer on `audioContext`.
+ */
+export const createClickTrack = (audioContext, { clicks = 16, interval = 0.6 } = {}) => {
+  const sampleRate = audioContext.sampleRate;
+  const buffer = audioContext.createBuffer(1, Math.ceil((clicks * interval + 0.3) * sampleRate), sampleRate);
+  const samples = buffer.getChannelData(0);
+  const clickLength = Math.floor(0.06 * sampleRate);
+
+  for (let click = 0; click < clicks; click++) {
+    const start = Math.floor((0.3 + click * interval) * sampleRate);
+    for (let n = 0; n < clickLength; n++) {
+      const decay = Math.exp(-n / (0.02 * sampleRate));
+      // 1 kHz tone plus noise - loud in every band the classifier looks at
+      samples[start + n] = decay * (0.6 * Math.sin(2 * Math.PI * 1000 * n / sampleRate) + 0.4 * (Math.random() * 2 - 1));
+    }
+  }
+  return buffer;
+};
@@ -0,0 +1,99 @@
+/*
+ * Lip-sync profiles (localStorage)
+ *
+ * A calibrated tuning (lipSyncCalibration.js) per TTS voice, so a deep male
+ * voice and a bright female one both get mouth shapes that fit:
+ *
+ *   localStorage['agora-avatar-lipsync-profiles'] = {
+ *     version: 1,
+ *     profiles: {
+ *       'en-US-AriaNeural': {
+ *         name, voiceName, updatedAt,          // epoch milliseconds
+ *         tuning: { formantBands, silenceVolume, intensityGain },
+ *         accuracy,                            // share of calibration frames classified right
+ *       },
+ *     },
+ *   }
+ *
+ * useAgora picks the profile whose voiceName matches the configured TTS voice
+ * (VITE_TTS_VOICE_NAME). Saving or deleting a profile fires
+ * `sessionStorageUpdate`, so the running lip sync switches without a reload.
+ */
+
+import { normalizeTuning } from './lipSyncAnalysis';
+
+const STORAGE_KEY = 'agora-avatar-lipsync-profiles';
+const FORMAT_VERSION = 1;
+
+// Profile names are typed by the user - no prototype, so "constructor" is just a name
+const profileMap = (profiles = {}) => Object.assign(Object.create(null), profiles);
+
+const readStore = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored && stored.profiles && typeof stored.profiles === 'object') {
+      return { ...stored, profiles: profileMap(stored.profiles) };
+    }
+  } catch (error) {
+    console.warn('⚠️ Lip sync profiles in localStorage are unreadable - starting fresh:', error);
+  }
+  return { version: FORMAT_VERSION, profiles: profileMap() };
+};
+
+const writeStore = (store) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+  window.dispatchEvent(new Event('sessionStorageUpdate'));
+};
+
+const sameVoice = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * All profiles, newest first.
+ */
+export const listLipSyncProfiles = () => Object.values(readStore().profiles)
+  .sort((a, b) => b.updatedAt - a.updatedAt);
+
+/**
+ * The profile calibrated for `voiceName`, or null.
+ */
+export const findLipSyncProfileForVoice = (voiceName) => (
+  listLipSyncProfiles().find(profile => sameVoice(profile.voiceName, voiceName)) || null
+);
+
+/**
+ * Save (or replace) a profile. A voice has at most one profile - an older one
+ * for the same voice under another name is removed.
+ */
+export const saveLipSyncProfile = ({ name, voiceName, tuning, accuracy = null }) => {
+  const profileName = (name || voiceName || '').trim();
+  if (!profileName) {
+    throw new Error('A lip sync profile needs a name or a voice');
+  }
+
+  const store = readStore();
+  Object.values(store.profiles).forEach((profile) => {
+    if (profile.name !== profileName && sameVoice(profile.voiceName, voiceName)) {
+      delete store.profiles[profile.name];
+    }
+  });
+
+  const profile = {
+    name: profileName,
+    voiceName: (voiceName || '').trim(),
+    tuning: normalizeTuning(tuning),
+    accuracy,
+    updatedAt: Date.now(),
+  };
+  store.profiles[profileName] = profile;
+  writeStore(store);
+  return profile;
+};
+
+export const deleteLipSyncProfile = (name) => {
+  const store = readStore();
+  if (!store.profiles[name]) {
+    return;
+  }
+  delete store.profiles[name];
+  writeStore(store);
+};
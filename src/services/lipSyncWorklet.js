@@ -0,0 +1,71 @@
+/*
+ * AudioWorklet processor for the lip-sync engine
+ *
+ * Runs the feature extraction on the audio rendering thread: keeps the last
+ * fftSize samples, and about `frameRate` times a second turns them into a
+ * frame (volume, bands, formants, viseme weights) and posts it packed into a
+ * Float32Array. The main thread only unpacks - no FFT, no array reductions.
+ *
+ * Loaded by lipSyncEngine.js via AudioWorklet.addModule(); Vite bundles it
+ * (with lipSyncAnalysis.js) as a separate chunk.
+ *
+ * Port messages in:
+ *   { active: boolean }   pause the analysis while no source is connected
+ *   { tuning }            switch to another voice's tuning (see DEFAULT_LIPSYNC_TUNING)
+ */
+
+import { SpectrumAnalyser, analyzeSpectrum, normalizeTuning, packFrame } from './lipSyncAnalysis';
+
+class LipSyncAnalyserProcessor extends AudioWorkletProcessor {
+  constructor({ processorOptions = {} } = {}) {
+    super();
+    const { fftSize = 256, smoothingTimeConstant = 0.8, frameRate = 60, tuning } = processorOptions;
+    this.tuning = normalizeTuning(tuning);
+    this.spectrum = new SpectrumAnalyser(fftSize, smoothingTimeConstant);
+    this.samples = new Float32Array(fftSize);
+    this.writeIndex = 0;
+    this.samplesPerFrame = Math.round(sampleRate / frameRate);
+    this.samplesSinceFrame = 0;
+    this.active = true;
+
+    this.port.onmessage = ({ data }) => {
+      if (typeof data.active === 'boolean') {
+        this.active = data.active;
+        this.samples.fill(0);
+        this.spectrum.smoothed.fill(0);
+      }
+      if (data.tuning) {
+        this.tuning = normalizeTuning(data.tuning);
+      }
+    };
+  }
+
+  process(inputs) {
+    if (!this.active) {
+      return true;
+    }
+
+    // Mono mix of whatever is connected; no input counts as silence
+    const channels = inputs[0] || [];
+    const blockLength = channels.length > 0 ? channels[0].length : 128;
+    for (let i = 0; i < blockLength; i++) {
+      let sample = 0;
+      for (let c = 0; c < channels.length; c++) {
+        sample += channels[c][i];
+      }
+      this.samples[this.writeIndex] = channels.length > 0 ? sample / channels.length : 0;
+      this.writeIndex = (this.writeIndex + 1) % this.samples.length;
+    }
+
+    this.samplesSinceFrame += blockLength;
+    if (this.samplesSinceFrame >= this.samplesPerFrame) {
+      this.samplesSinceFrame = 0;
+      const bins = this.spectrum.getByteFrequencyData(this.samples, this.writeIndex);
+      const packed = packFrame(analyzeSpectrum(bins, sampleRate, this.tuning));
+      this.port.postMessage(packed, [packed.buffer]);
+    }
+    return true;
+  }
+}
+
+registerProcessor('lip-sync-analyser', LipSyncAnalyserProcessor);
@@ -0,0 +1,131 @@
+/*
+ * LLM providers
+ *
+ * Presets for the `llm` block of the ConvoAI join request. Picking a provider
+ * in Settings fills in its URL, a default model and the request style; every
+ * value stays editable afterwards, so the presets are only starting points.
+ *
+ * The same `llm` block (minus the join-only greeting/failure messages) is sent
+ * through updateConvoAIConfigs when the settings change while an agent runs.
+ */
+
+export const DEFAULT_LLM_PROVIDER = 'openai';
+
+export const LLM_PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    url: 'https://api.openai.com/v1/chat/completions',
+    style: 'openai',
+    models: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini', 'gpt-4-turbo', 'gpt-3.5-turbo'],
+    requiresKey: true,
+  },
+  azure: {
+    label: 'Azure OpenAI',
+    // The deployment is part of the URL - replace the placeholders
+    url: 'https://your-resource.openai.azure.com/openai/deployments/your-deployment/chat/completions?api-version=2024-06-01',
+    style: 'openai',
+    models: ['gpt-4o-mini', 'gpt-4o'],
+    requiresKey: true,
+  },
+  anthropic: {
+    label: 'Anthropic-compatible',
+    url: 'https://api.anthropic.com/v1/messages',
+    style: 'anthropic',
+    models: ['claude-3-5-haiku-latest', 'claude-3-5-sonnet-latest'],
+    requiresKey: true,
+    maxTokens: 1024, // The Messages API rejects requests without max_tokens
+  },
+  groq: {
+    label: 'Groq',
+    url: 'https://api.groq.com/openai/v1/chat/completions',
+    style: 'openai',
+    models: ['llama-3.3-70b-versatile', 'llama-3.1-8b-instant'],
+    requiresKey: true,
+  },
+  local: {
+    label: 'Local (OpenAI-compatible)',
+    // Ollama's default port; LM Studio and llama.cpp serve the same API. The
+    // ConvoAI cloud must be able to reach it, e.g. through a tunnel.
+    url: 'http://localhost:11434/v1/chat/completions',
+    style: 'openai',
+    models: ['llama3.2', 'qwen2.5'],
+    requiresKey: false,
+  },
+};
+
+export const LLM_STYLES = ['openai', 'anthropic', 'gemini', 'dify'];
+
+export const LLM_MODALITIES = {
+  input: ['text', 'text,image'],
+  output: ['text', 'text,audio'],
+};
+
+// Unknown provider ids fall back to OpenAI, the original hard-coded provider
+export const getLlmProvider = (providerId) => LLM_PROVIDERS[providerId] || LLM_PROVIDERS[DEFAULT_LLM_PROVIDER];
+
+/**
+ * System messages are stored as a JSON array of strings (VITE_LLM_SYSTEM_MESSAGES);
+ * anything else is treated as a single message.
+ */
+export const parseSystemMessages = (raw, fallback = '') => {
+  if (raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      if (Array.isArray(parsed)) {
+        return parsed.filter(message => typeof message === 'string' && message.trim());
+      }
+    } catch (error) {
+      // Not JSON - a plain message
+    }
+    return [raw];
+  }
+  return fallback ? [fallback] : [];
+};
+
+// "text,image" -> ['text', 'image']
+export const parseModalities = (raw) =>
+  (raw || 'text').split(',').map(modality => modality.trim()).filter(Boolean);
+
+// Optional numbers are left out of the request when empty
+const parseOptionalNumber = (value, parse) => {
+  if (value === null || value === undefined || value === '') return undefined;
+  const number = parse(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * `llm` fields that can change while the agent is running.
+ */
+export const buildLlmUpdate = (convoaiConfig) => {
+  const provider = getLlmProvider(convoaiConfig.llmProvider);
+  const params = { model: convoaiConfig.llmModel };
+
+  const temperature = parseOptionalNumber(convoaiConfig.llmTemperature, parseFloat);
+  if (temperature !== undefined) {
+    params.temperature = temperature;
+  }
+  const maxTokens = parseOptionalNumber(convoaiConfig.llmMaxTokens, value => parseInt(value, 10)) ?? provider.maxTokens;
+  if (maxTokens !== undefined) {
+    params.max_tokens = maxTokens;
+  }
+
+  return {
+    url: convoaiConfig.llmUrl,
+    api_key: convoaiConfig.llmApiKey,
+    style: convoaiConfig.llmStyle || provider.style,
+    system_messages: convoaiConfig.systemMessages.map(content => ({ role: 'system', content })),
+    input_modalities: parseModalities(convoaiConfig.llmInputModalities),
+    output_modalities: parseModalities(convoaiConfig.llmOutputModalities),
+    params,
+  };
+};
+
+/**
+ * Full `llm` block of the join request.
+ */
+export const buildLlmConfig = (convoaiConfig) => ({
+  ...buildLlmUpdate(convoaiConfig),
+  max_history: 32,
+  greeting_message: convoaiConfig.greeting,
+  failure_message: "I'm sorry, I'm having trouble processing that. Please try again.",
+});
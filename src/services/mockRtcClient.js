@@ -0,0 +1,230 @@
+/*
+ * Mock RTC client
+ *
+ * Drop-in stand-in for the parts of the Agora IAgoraRTCClient that useAgora
+ * uses, backed by the local mock ConvoAI server (mock-convoai/server.js)
+ * instead of the Agora network. Enabled by VITE_MOCK_RTC_URL.
+ *
+ * The server pushes channel events over Server-Sent Events:
+ *   user-joined / user-published / user-left   the simulated agent
+ *   stream-message                             chunked transcripts, same framing as ConvoAI
+ *   audio / audio-stop                         a WAV clip the agent "speaks"
+ *
+ * The agent's audio track plays those clips through Web Audio and exposes a
+ * real MediaStreamTrack, so the lip sync analysis runs exactly as in production.
+ */
+
+class MockRemoteAudioTrack {
+  constructor() {
+    this.context = new (window.AudioContext || window.webkitAudioContext)();
+    this.gain = this.context.createGain();
+    this.destination = this.context.createMediaStreamDestination();
+    this.gain.connect(this.destination);
+    this.source = null;
+    this.isPlaying = false;
+    this.enabled = true;
+    this.muted = false;
+  }
+
+  // Audible output; the MediaStreamTrack carries the audio either way
+  play() {
+    if (!this.isPlaying) {
+      this.gain.connect(this.context.destination);
+      this.isPlaying = true;
+    }
+    if (this.context.state === 'suspended') {
+      this.context.resume();
+    }
+  }
+
+  stop() {
+    if (this.isPlaying) {
+      this.gain.disconnect(this.context.destination);
+      this.isPlaying = false;
+    }
+  }
+
+  setVolume(volume) {
+    this.gain.gain.value = volume / 100;
+  }
+
+  getVolumeLevel() {
+    return this.source ? this.gain.gain.value : 0;
+  }
+
+  getMediaStreamTrack() {
+    return this.destination.stream.getAudioTracks()[0];
+  }
+
+  async playClip(url) {
+    this.stopClip();
+    const response = await fetch(url);
+    const audioBuffer = await this.context.decodeAudioData(await response.arrayBuffer());
+    const source = this.context.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(this.gain);
+    source.onended = () => {
+      if (this.source === source) {
+        this.source = null;
+      }
+    };
+    this.source = source;
+    source.start();
+  }
+
+  stopClip() {
+    if (this.source) {
+      this.source.stop();
+      this.source = null;
+    }
+  }
+
+  close() {
+    this.stopClip();
+    this.context.close().catch(() => {});
+  }
+}
+
+class MockRtcClient {
+  constructor(serverUrl) {
+    this.serverUrl = serverUrl.replace(/\/+$/, '');
+    this.listeners = {};
+    this.connectionState = 'DISCONNECTED';
+    this.remoteUsers = [];
+    this.channel = null;
+    this.uid = null;
+    this.eventSource = null;
+  }
+
+  on(event, fn) {
+    (this.listeners[event] = this.listeners[event] || []).push(fn);
+  }
+
+  off(event, fn) {
+    this.listeners[event] = (this.listeners[event] || []).filter(listener => listener !== fn);
+  }
+
+  removeAllListeners() {
+    this.listeners = {};
+  }
+
+  emit(event, ...args) {
+    (this.listeners[event] || []).forEach(listener => listener(...args));
+  }
+
+  setConnectionState(state, reason) {
+    const previous = this.connectionState;
+    if (previous === state) return;
+    this.connectionState = state;
+    this.emit('connection-state-change', state, previous, reason);
+  }
+
+  async setClientRole() {}
+
+  async join(appId, channel, token, uid) {
+    this.channel = channel;
+    this.uid = uid || Math.floor(Math.random() * 100000) + 1000;
+    this.setConnectionState('CONNECTING');
+
+    const url = `${this.serverUrl}/mock/channels/${encodeURIComponent(channel)}/events?uid=${this.uid}`;
+    const eventSource = new EventSource(url);
+    this.eventSource = eventSource;
+
+    await new Promise((resolve, reject) => {
+      eventSource.addEventListener('connected', resolve, { once: true });
+      eventSource.addEventListener('error', () => {
+        if (this.connectionState === 'CONNECTING') {
+          eventSource.close();
+          this.setConnectionState('DISCONNECTED', 'NETWORK_ERROR');
+          reject(new Error(`Mock RTC server not reachable at ${this.serverUrl}`));
+        }
+      }, { once: true });
+    });
+
+    this.setConnectionState('CONNECTED');
+
+    // EventSource reconnects by itself - mirror the SDK's RECONNECTING / CONNECTED cycle
+    eventSource.addEventListener('error', () => {
+      if (this.connectionState === 'CONNECTED') {
+        this.setConnectionState('RECONNECTING', 'NETWORK_ERROR');
+      }
+    });
+    eventSource.addEventListener('connected', () => this.setConnectionState('CONNECTED'));
+
+    const onEvent = (name, handler) => eventSource.addEventListener(name, (event) => handler(JSON.parse(event.data)));
+
+    onEvent('user-joined', ({ uid: remoteUid }) => {
+      if (this.remoteUsers.some(user => user.uid === remoteUid)) return;
+      const user = { uid: remoteUid, hasAudio: false, hasVideo: false, audioTrack: null, videoTrack: null };
+      this.remoteUsers.push(user);
+      this.emit('user-joined', user);
+    });
+
+    onEvent('user-published', ({ uid: remoteUid, mediaType }) => {
+      const user = this.remoteUsers.find(candidate => candidate.uid === remoteUid);
+      if (!user) return;
+      user.hasAudio = true;
+      this.emit('user-published', user, mediaType);
+    });
+
+    onEvent('user-left', ({ uid: remoteUid, reason }) => {
+      const user = this.remoteUsers.find(candidate => candidate.uid === remoteUid);
+      if (!user) return;
+      this.remoteUsers = this.remoteUsers.filter(candidate => candidate !== user);
+      user.hasAudio = false;
+      if (user.audioTrack) {
+        user.audioTrack.close();
+        user.audioTrack = null;
+      }
+      this.emit('user-unpublished', user, 'audio');
+      this.emit('user-left', user, reason);
+    });
+
+    onEvent('stream-message', ({ uid: remoteUid, payload }) => {
+      this.emit('stream-message', remoteUid, new TextEncoder().encode(payload));
+    });
+
+    onEvent('audio', ({ uid: remoteUid, url: clipUrl }) => {
+      const user = this.remoteUsers.find(candidate => candidate.uid === remoteUid);
+      if (user && user.audioTrack) {
+        user.audioTrack.playClip(`${this.serverUrl}${clipUrl}`)
+          .catch(error => console.warn('⚠️ Mock agent audio failed to play:', error));
+      }
+    });
+
+    onEvent('audio-stop', ({ uid: remoteUid }) => {
+      const user = this.remoteUsers.find(candidate => candidate.uid === remoteUid);
+      if (user && user.audioTrack) {
+        user.audioTrack.stopClip();
+      }
+    });
+
+    console.log(`🧪 Mock RTC: joined ${channel} as uid ${this.uid}`);
+    return this.uid;
+  }
+
+  async leave() {
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+    this.remoteUsers.forEach(user => user.audioTrack && user.audioTrack.close());
+    this.remoteUsers = [];
+    this.setConnectionState('DISCONNECTED', 'LEAVE');
+  }
+
+  async publish() {}
+
+  async unpublish() {}
+
+  async subscribe(user, mediaType) {
+    if (mediaType === 'audio' && !user.audioTrack) {
+      user.audioTrack = new MockRemoteAudioTrack();
+    }
+    return mediaType === 'audio' ? user.audioTrack : null;
+  }
+
+  async renewToken() {}
+}
+
+export const createMockRtcClient = ({ serverUrl }) => new MockRtcClient(serverUrl);
@@ -0,0 +1,123 @@
+/*
+ * Agent personas
+ *
+ * A persona bundles everything that makes a character look, sound and behave
+ * the same every time: the avatar GLB, its resting expression/animation, the
+ * TTS voice, the LLM system messages, the greeting and the ASR language.
+ * Personas are defined in public/personas.json so they can be edited without
+ * a rebuild:
+ *
+ *   {
+ *     "personas": [{
+ *       "id": "aurora", "name": "Aurora", "emoji": "🌟", "description": "...",
+ *       "avatar": "Aurora",                      // models/Avatars/Aurora.glb
+ *       "expression": "smile", "animation": "Idle",
+ *       "voice": { "microsoft": "en-US-AriaNeural", "openai": "shimmer" },
+ *       "systemMessages": ["You are Aurora..."],
+ *       "greeting": "Hello, I'm Aurora...",
+ *       "asrLanguage": "en-US"
+ *     }]
+ *   }
+ *
+ * Voice ids only mean something to one TTS vendor, so `voice` maps vendor ids
+ * (see ttsVendors.js) to voices; a plain string is taken as a Microsoft voice.
+ *
+ * Selecting a persona writes its agent settings to the same sessionStorage
+ * keys the Settings panel uses (plus VITE_PERSONA), so the rest of the app
+ * picks them up through the usual `sessionStorageUpdate` event.
+ */
+
+const PERSONAS_PATH = `${import.meta.env.BASE_URL}personas.json`;
+
+let personasPromise = null;
+
+// Settings the running agent only picks up on (re)start - the LLM ones are hot-updated
+const RESTART_FIELDS = ['ttsVendor', 'ttsVoiceName', 'asrLanguage', 'greeting'];
+
+const normalizePersona = (raw) => {
+  if (!raw || typeof raw !== 'object' || !raw.id || !raw.avatar) {
+    return null;
+  }
+  const systemMessages = Array.isArray(raw.systemMessages)
+    ? raw.systemMessages.filter(message => typeof message === 'string' && message.trim())
+    : (raw.systemMessage ? [raw.systemMessage] : []);
+  return {
+    id: String(raw.id),
+    name: raw.name || String(raw.id),
+    emoji: raw.emoji || '👤',
+    description: raw.description || '',
+    avatar: raw.avatar,
+    expression: raw.expression || '',
+    animation: raw.animation || '',
+    voice: typeof raw.voice === 'string' ? { microsoft: raw.voice } : (raw.voice || {}),
+    systemMessages,
+    greeting: raw.greeting || null,
+    asrLanguage: raw.asrLanguage || null,
+  };
+};
+
+/**
+ * Load and validate public/personas.json (once). Resolves to [] if it is missing
+ * or broken, so the UI can fall back to plain avatar selection.
+ */
+export const loadPersonas = () => {
+  if (!personasPromise) {
+    personasPromise = fetch(PERSONAS_PATH)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(data => {
+        const list = Array.isArray(data) ? data : (data.personas || []);
+        const personas = list.map(normalizePersona).filter(Boolean);
+        if (personas.length < list.length) {
+          console.warn(`⚠️ Skipped ${list.length - personas.length} persona(s) without an id or avatar`);
+        }
+        console.log(`🎭 Loaded ${personas.length} persona(s) from ${PERSONAS_PATH}`);
+        return personas;
+      })
+      .catch(error => {
+        console.warn(`⚠️ Could not load personas from ${PERSONAS_PATH}:`, error);
+        return [];
+      });
+  }
+  return personasPromise;
+};
+
+// The persona's voice for the given TTS vendor, or null if it has none for it
+export const getPersonaVoice = (persona, ttsVendor) => persona.voice[ttsVendor] || null;
+
+/**
+ * sessionStorage entries that switch the agent settings to `persona`.
+ * Fields the persona leaves out keep their current values.
+ */
+export const getPersonaConfigEntries = (persona, ttsVendor) => {
+  const entries = { VITE_PERSONA: persona.id };
+
+  const voice = getPersonaVoice(persona, ttsVendor);
+  if (voice) {
+    entries.VITE_TTS_VOICE_NAME = voice;
+  } else if (Object.keys(persona.voice).length > 0) {
+    console.warn(`⚠️ Persona ${persona.name} has no voice for TTS vendor "${ttsVendor}" - keeping the current voice`);
+  }
+  if (persona.systemMessages.length > 0) {
+    entries.VITE_LLM_SYSTEM_MESSAGES = JSON.stringify(persona.systemMessages);
+  }
+  if (persona.greeting) {
+    entries.VITE_LLM_GREETING = persona.greeting;
+  }
+  if (persona.asrLanguage) {
+    entries.VITE_ASR_LANGUAGE = persona.asrLanguage;
+  }
+
+  return entries;
+};
+
+/**
+ * Whether going from one ConvoAI config to the other needs an agent restart
+ * (voice, ASR language and greeting can't be changed on a running agent).
+ */
+export const needsAgentRestart = (before, after) =>
+  RESTART_FIELDS.some(field => before[field] !== after[field]);
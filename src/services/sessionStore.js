@@ -0,0 +1,158 @@
+/*
+ * Local conversation history (IndexedDB)
+ *
+ * Client-side form of the "Conversations" entity from docs/ARCHITECTURE_PLAN.md.
+ * One record per connected session:
+ *
+ *   {
+ *     id, channel, agentId, agentName, avatar,
+ *     startedAt, endedAt, updatedAt,   // epoch milliseconds, endedAt null while live
+ *     messageCount, preview,           // summary fields for the session list
+ *     messages,                        // chatHistory entries at the time of the last save
+ *   }
+ */
+
+const DB_NAME = 'agora-avatar-conversations';
+const DB_VERSION = 1;
+const STORE_NAME = 'sessions';
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const isSessionStoreAvailable = () => typeof indexedDB !== 'undefined';
+
+const openDb = () => {
+  if (!isSessionStoreAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          store.createIndex('startedAt', 'startedAt');
+          store.createIndex('channel', 'channel');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Run fn(store) inside a transaction and resolve with its request result
+const withStore = async (mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const store = transaction.objectStore(STORE_NAME);
+    let result;
+    requestToPromise(fn(store)).then((value) => { result = value; }, reject);
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// IndexedDB uses structured clone; drop anything that can't be cloned (functions, class instances)
+const toStorable = (messages) => JSON.parse(JSON.stringify(messages || []));
+
+const buildPreview = (messages) => {
+  const first = messages.find(entry => entry.speaker === 'user' && entry.message)
+    || messages.find(entry => entry.message);
+  return first ? first.message.slice(0, 120) : '';
+};
+
+/**
+ * Create a new (not yet saved) session record.
+ */
+export const createSession = ({ channel, agentId = null, agentName = null, avatar = null } = {}) => {
+  const now = Date.now();
+  return {
+    id: `session-${now}-${Math.random().toString(36).slice(2, 8)}`,
+    channel,
+    agentId,
+    agentName,
+    avatar,
+    startedAt: now,
+    endedAt: null,
+    updatedAt: now,
+    messageCount: 0,
+    preview: '',
+    messages: [],
+  };
+};
+
+/**
+ * Save a session together with the given chatHistory snapshot.
+ */
+export const saveSession = (session, messages = session.messages) => {
+  const storableMessages = toStorable(messages);
+  const record = {
+    ...session,
+    messages: storableMessages,
+    messageCount: storableMessages.filter(entry => entry.speaker !== 'system').length,
+    preview: buildPreview(storableMessages),
+    updatedAt: Date.now(),
+  };
+  return withStore('readwrite', store => store.put(record)).then(() => record);
+};
+
+export const getSession = (id) => withStore('readonly', store => store.get(id));
+
+export const deleteSession = (id) => withStore('readwrite', store => store.delete(id));
+
+/**
+ * All sessions, newest first.
+ */
+export const listSessions = async () => {
+  const sessions = await withStore('readonly', store => store.getAll());
+  return (sessions || []).sort((a, b) => b.startedAt - a.startedAt);
+};
+
+/**
+ * Case-insensitive match on channel, agent, avatar and transcript text.
+ */
+export const matchesSessionQuery = (session, query) => {
+  const needle = (query || '').trim().toLowerCase();
+  if (!needle) {
+    return true;
+  }
+
+  const fields = [session.channel, session.agentId, session.agentName, session.avatar];
+  if (fields.some(field => field && String(field).toLowerCase().includes(needle))) {
+    return true;
+  }
+  return (session.messages || []).some(entry =>
+    entry.message && entry.message.toLowerCase().includes(needle)
+  );
+};
+
+export const searchSessions = async (query) => {
+  const sessions = await listSessions();
+  return sessions.filter(session => matchesSessionQuery(session, query));
+};
+
+/**
+ * Sessions still marked live were cut off by a reload or crash - close them at their last save.
+ */
+export const closeDanglingSessions = async (activeSessionId = null) => {
+  const sessions = await listSessions();
+  const dangling = sessions.filter(session => !session.endedAt && session.id !== activeSessionId);
+  await Promise.all(dangling.map(session =>
+    withStore('readwrite', store => store.put({ ...session, endedAt: session.updatedAt }))
+  ));
+  return dangling.length;
+};
@@ -0,0 +1,258 @@
+/*
+ * Settings profiles (localStorage)
+ *
+ * Named sets of the VITE_* config values the Settings panel edits, so you can
+ * keep e.g. a "staging" and a "prod" project around and switch between them.
+ *
+ *   localStorage['agora-avatar-settings-profiles'] = {
+ *     version: 1,
+ *     active: 'staging',                     // last applied profile
+ *     profiles: {
+ *       staging: {
+ *         name, updatedAt,                   // epoch milliseconds
+ *         values: { VITE_AGORA_APP_ID: ..., ... },   // everything except secrets if encrypted
+ *         encrypted: null | { salt, iv, data },       // base64, AES-GCM over the secret values
+ *       },
+ *     },
+ *   }
+ *
+ * Secrets (tokens, API keys, passwords) are stored in plain text unless a
+ * passphrase is given; then they are encrypted with AES-GCM under a PBKDF2
+ * key and the passphrase is needed again to load the profile. Exports keep
+ * encrypted secrets encrypted.
+ *
+ * Applying a profile replaces every VITE_* key in sessionStorage and fires
+ * `sessionStorageUpdate`, the same path a Settings save takes - the provider
+ * re-reads its config from there without a reload.
+ */
+
+import { downloadTextFile } from './fileDownload';
+
+const STORAGE_KEY = 'agora-avatar-settings-profiles';
+const FORMAT_VERSION = 1;
+const PBKDF2_ITERATIONS = 250000;
+
+export const SECRET_CONFIG_KEYS = [
+  'VITE_AGORA_TOKEN',
+  'VITE_RESTFUL_API_KEY',
+  'VITE_RESTFUL_PASSWORD',
+  'VITE_LLM_API_KEY',
+  'VITE_TTS_API_KEY',
+];
+
+const CONFIG_KEY_PATTERN = /^VITE_[A-Z0-9_]+$/;
+
+// Profile names come from the user and from imported files, so the profiles
+// map has no prototype - "__proto__" or "constructor" are just names
+const profileMap = (profiles = {}) => Object.assign(Object.create(null), profiles);
+
+const readStore = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored && stored.profiles && typeof stored.profiles === 'object') {
+      return { ...stored, profiles: profileMap(stored.profiles) };
+    }
+  } catch (error) {
+    console.warn('⚠️ Settings profiles in localStorage are unreadable - starting fresh:', error);
+  }
+  return { version: FORMAT_VERSION, active: null, profiles: profileMap() };
+};
+
+const writeStore = (store) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+};
+
+// Only VITE_* strings make it into a profile
+const cleanValues = (values = {}) => Object.fromEntries(
+  Object.entries(values).filter(([key, value]) => CONFIG_KEY_PATTERN.test(key) && typeof value === 'string' && value !== '')
+);
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+const deriveKey = async (passphrase, salt) => {
+  const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const encryptSecrets = async (secrets, passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(secrets)));
+  return { salt: toBase64(salt), iv: toBase64(iv), data: toBase64(data) };
+};
+
+const decryptSecrets = async (encrypted, passphrase) => {
+  const key = await deriveKey(passphrase, fromBase64(encrypted.salt));
+  try {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(encrypted.iv) }, key, fromBase64(encrypted.data));
+    return JSON.parse(new TextDecoder().decode(data));
+  } catch (error) {
+    // AES-GCM fails authentication on a wrong passphrase
+    throw new Error('Wrong passphrase');
+  }
+};
+
+/**
+ * Profiles for the picker, sorted by name: [{name, updatedAt, encrypted}]
+ */
+export const listProfiles = () => Object.values(readStore().profiles)
+  .map(profile => ({ name: profile.name, updatedAt: profile.updatedAt, encrypted: !!profile.encrypted }))
+  .sort((a, b) => a.name.localeCompare(b.name));
+
+export const getActiveProfileName = () => readStore().active;
+
+/**
+ * Save `values` (VITE_* map) as profile `name`, replacing any profile of that name.
+ * With a passphrase the secret values are encrypted.
+ */
+export const saveProfile = async (name, values, { passphrase } = {}) => {
+  const profileName = (name || '').trim();
+  if (!profileName) {
+    throw new Error('Profile name is required');
+  }
+
+  const clean = cleanValues(values);
+  let encrypted = null;
+  if (passphrase) {
+    const secrets = {};
+    SECRET_CONFIG_KEYS.forEach(key => {
+      if (key in clean) {
+        secrets[key] = clean[key];
+        delete clean[key];
+      }
+    });
+    encrypted = await encryptSecrets(secrets, passphrase);
+  }
+
+  const store = readStore();
+  store.profiles[profileName] = { name: profileName, updatedAt: Date.now(), values: clean, encrypted };
+  writeStore(store);
+  return profileName;
+};
+
+/**
+ * The VITE_* values of profile `name`. Encrypted profiles need their passphrase.
+ */
+export const loadProfile = async (name, { passphrase } = {}) => {
+  const profile = readStore().profiles[name];
+  if (!profile) {
+    throw new Error(`No profile named "${name}"`);
+  }
+  if (!profile.encrypted) {
+    return { ...profile.values };
+  }
+  if (!passphrase) {
+    throw new Error(`Profile "${name}" is encrypted - enter its passphrase`);
+  }
+  const secrets = await decryptSecrets(profile.encrypted, passphrase);
+  return { ...profile.values, ...cleanValues(secrets) };
+};
+
+export const deleteProfile = (name) => {
+  const store = readStore();
+  delete store.profiles[name];
+  if (store.active === name) {
+    store.active = null;
+  }
+  writeStore(store);
+};
+
+/**
+ * Replace the session config with `values` and let the app re-read it.
+ */
+export const applyConfigValues = (values, profileName = null) => {
+  Object.keys(sessionStorage)
+    .filter(key => CONFIG_KEY_PATTERN.test(key))
+    .forEach(key => sessionStorage.removeItem(key));
+  Object.entries(cleanValues(values)).forEach(([key, value]) => sessionStorage.setItem(key, value));
+
+  const store = readStore();
+  store.active = profileName;
+  writeStore(store);
+
+  window.dispatchEvent(new Event('sessionStorageUpdate'));
+};
+
+/**
+ * On startup: a new tab has no session config yet, so fill it from the last
+ * active profile. Encrypted profiles need their passphrase and are left to the
+ * Settings panel. Returns the restored profile name, or null.
+ */
+export const restoreActiveProfile = () => {
+  const store = readStore();
+  const profile = store.active && store.profiles[store.active];
+  if (!profile || profile.encrypted) {
+    return null;
+  }
+  if (Object.keys(sessionStorage).some(key => CONFIG_KEY_PATTERN.test(key))) {
+    return null; // This tab already has its own settings (e.g. after a reload)
+  }
+  Object.entries(profile.values).forEach(([key, value]) => sessionStorage.setItem(key, value));
+  console.log(`💾 Restored settings profile "${profile.name}"`);
+  return profile.name;
+};
+
+/**
+ * JSON text with the given profiles (all if omitted), secrets as stored.
+ */
+export const exportProfiles = (names) => {
+  const { profiles } = readStore();
+  const selected = (names || Object.keys(profiles)).filter(name => profiles[name]).map(name => profiles[name]);
+  return JSON.stringify({ type: 'agora-avatar-settings-profiles', version: FORMAT_VERSION, profiles: selected }, null, 2);
+};
+
+/**
+ * Merge profiles from exported JSON text; same-named profiles are replaced.
+ * Returns the imported profile names.
+ */
+export const importProfiles = (jsonText) => {
+  let data;
+  try {
+    data = JSON.parse(jsonText);
+  } catch (error) {
+    throw new Error('Not a JSON file');
+  }
+  if (!data || data.type !== 'agora-avatar-settings-profiles' || !Array.isArray(data.profiles)) {
+    throw new Error('Not a settings profile export');
+  }
+
+  const store = readStore();
+  const imported = [];
+  data.profiles.forEach(profile => {
+    if (!profile || typeof profile.name !== 'string' || !profile.name.trim()) {
+      return;
+    }
+    const encrypted = profile.encrypted && profile.encrypted.salt && profile.encrypted.iv && profile.encrypted.data
+      ? { salt: profile.encrypted.salt, iv: profile.encrypted.iv, data: profile.encrypted.data }
+      : null;
+    store.profiles[profile.name] = {
+      name: profile.name,
+      updatedAt: profile.updatedAt || Date.now(),
+      values: cleanValues(profile.values),
+      encrypted,
+    };
+    imported.push(profile.name);
+  });
+  writeStore(store);
+  return imported;
+};
+
+/**
+ * Save the export as a .json file.
+ */
+export const downloadProfiles = (names) => {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const filename = `settings-profiles-${stamp}.json`;
+  downloadTextFile(exportProfiles(names), filename, 'application/json');
+
+  console.log(`💾 Exported settings profiles as ${filename}`);
+  return filename;
+};
@@ -0,0 +1,214 @@
+/*
+ * Transcript-driven lip sync
+ *
+ * The audio classifier in lipSyncAnalysis.js can only guess mouth shapes from
+ * formant energy - it can't tell "s" from "sh" or "f" from "th", and it
+ * misses closed-lip plosives entirely. The agent's transcript words carry
+ * start/end timings, so the mouth shape can come from the text instead:
+ *
+ *   word -> phonemes (graphemeToPhoneme.js) -> Oculus visemes -> cues spread over the word's time
+ *
+ * A TextVisemeTrack holds the cues of the current agent turn and lines them up
+ * with the audio: the turn's first voiced audio frame marks where its first
+ * word starts. Between words, before the anchor and after the last word it has
+ * no opinion and the audio classifier takes over. Loudness always comes from
+ * the audio - the text only picks the shape.
+ */
+
+import { wordToPhonemes } from './graphemeToPhoneme';
+import { visemeVector } from './lipSyncAnalysis';
+
+// ARPAbet -> Oculus viseme. Diphthongs glide through two shapes; HH takes the shape of the next sound.
+export const PHONEME_VISEMES = {
+  P: 'viseme_PP', B: 'viseme_PP', M: 'viseme_PP',
+  F: 'viseme_FF', V: 'viseme_FF',
+  TH: 'viseme_TH', DH: 'viseme_TH',
+  T: 'viseme_DD', D: 'viseme_DD',
+  K: 'viseme_kk', G: 'viseme_kk',
+  CH: 'viseme_CH', JH: 'viseme_CH', SH: 'viseme_CH', ZH: 'viseme_CH',
+  S: 'viseme_SS', Z: 'viseme_SS',
+  N: 'viseme_nn', NG: 'viseme_nn', L: 'viseme_nn',
+  R: 'viseme_RR', ER: 'viseme_RR',
+  AA: 'viseme_aa', AE: 'viseme_aa', AH: 'viseme_aa',
+  EH: 'viseme_E',
+  IH: 'viseme_I', IY: 'viseme_I', Y: 'viseme_I',
+  AO: 'viseme_O',
+  UH: 'viseme_U', UW: 'viseme_U', W: 'viseme_U',
+  AY: ['viseme_aa', 'viseme_I'],
+  AW: ['viseme_aa', 'viseme_U'],
+  EY: ['viseme_E', 'viseme_I'],
+  OW: ['viseme_O', 'viseme_U'],
+  OY: ['viseme_O', 'viseme_I'],
+  HH: null,
+};
+
+const VOWEL_PHONEMES = new Set(['AA', 'AE', 'AH', 'AO', 'AW', 'AY', 'EH', 'ER', 'EY', 'IH', 'IY', 'OW', 'OY', 'UH', 'UW']);
+const STOP_PHONEMES = new Set(['P', 'B', 'T', 'D', 'K', 'G']);
+
+// Relative share of a word's duration: vowels are held, stops are a quick closure
+const phonemeWeight = (phoneme) => {
+  if (VOWEL_PHONEMES.has(phoneme)) return 2;
+  if (STOP_PHONEMES.has(phoneme)) return 0.7;
+  return 1;
+};
+
+// Adjacent cues blend over this long (seconds) - lips move toward the next sound before it starts
+const COARTICULATION = 0.04;
+
+// Audio above this volume counts as the agent's voice (same scale as frame.volume)
+const VOICE_VOLUME = 0.02;
+// Silence longer than this before voice counts as the start of a new utterance
+const ONSET_GAP = 0.6;
+// A turn's words may arrive up to this long after its audio started (and vice versa)
+const ONSET_WINDOW = 2;
+
+/**
+ * Viseme cues for a list of timed words ({word, start, end} in seconds):
+ * [{start, end, viseme}], sorted, with same-viseme neighbours merged.
+ * Words without a usable timing (end <= start) are skipped.
+ */
+export const wordVisemeCues = (words = []) => {
+  const cues = [];
+  words
+    .filter(word => typeof word.start === 'number' && typeof word.end === 'number' && word.end > word.start)
+    .sort((a, b) => a.start - b.start)
+    .forEach((word) => {
+      // Each phoneme -> its visemes with a share of the phoneme's weight
+      const segments = [];
+      let carried = 0;
+      wordToPhonemes(word.word).forEach((phoneme) => {
+        const mapped = PHONEME_VISEMES[phoneme];
+        const weight = phonemeWeight(phoneme);
+        if (mapped === null || mapped === undefined) {
+          carried += weight; // HH: spend its time on the following shape
+          return;
+        }
+        const visemes = Array.isArray(mapped) ? mapped : [mapped];
+        visemes.forEach((viseme) => {
+          segments.push({ viseme, weight: (weight + carried) / visemes.length });
+          carried = 0;
+        });
+      });
+      if (segments.length === 0) {
+        return;
+      }
+      if (carried > 0) {
+        segments[segments.length - 1].weight += carried;
+      }
+
+      const total = segments.reduce((sum, segment) => sum + segment.weight, 0);
+      const duration = word.end - word.start;
+      let cursor = word.start;
+      segments.forEach((segment) => {
+        const end = cursor + duration * (segment.weight / total);
+        const previous = cues[cues.length - 1];
+        if (previous && previous.viseme === segment.viseme && Math.abs(previous.end - cursor) < 1e-6) {
+          previous.end = end;
+        } else {
+          cues.push({ start: cursor, end, viseme: segment.viseme });
+        }
+        cursor = end;
+      });
+    });
+  return cues;
+};
+
+const findCue = (cues, time) => {
+  let low = 0;
+  let high = cues.length - 1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (time < cues[middle].start) {
+      high = middle - 1;
+    } else if (time >= cues[middle].end) {
+      low = middle + 1;
+    } else {
+      return middle;
+    }
+  }
+  return -1;
+};
+
+export class TextVisemeTrack {
+  constructor() {
+    this.clear();
+    this.lastVoiceAt = null;
+    this.onsetAt = null;
+    this.usedOnsetAt = null; // an onset belongs to one turn only
+  }
+
+  /**
+   * Forget the current turn (e.g. after an interruption).
+   */
+  clear() {
+    this.turnId = null;
+    this.turnSetAt = null;
+    this.cues = [];
+    this.anchor = null; // clock time at which word time 0 plays
+  }
+
+  /**
+   * Words of the agent's current turn, as far as they are known. Call again
+   * whenever the turn grows; a different turnId starts a new alignment.
+   */
+  setWords(turnId, words, now) {
+    if (turnId !== this.turnId) {
+      this.clear();
+      this.turnId = turnId;
+      this.turnSetAt = now;
+    }
+    this.cues = wordVisemeCues(words);
+    this.align();
+  }
+
+  // Anchor the first word to the utterance onset that came with the turn
+  align() {
+    if (this.anchor !== null || this.cues.length === 0 || this.onsetAt === null || this.onsetAt === this.usedOnsetAt) {
+      return;
+    }
+    if (Math.abs(this.onsetAt - this.turnSetAt) <= ONSET_WINDOW) {
+      this.anchor = this.onsetAt - this.cues[0].start;
+      this.usedOnsetAt = this.onsetAt;
+    }
+  }
+
+  /**
+   * Feed the audio level at clock time `now` (seconds) - finds utterance onsets.
+   */
+  noteAudio(now, volume) {
+    if (volume <= VOICE_VOLUME) {
+      return;
+    }
+    if (this.lastVoiceAt === null || now - this.lastVoiceAt > ONSET_GAP) {
+      this.onsetAt = now;
+      this.align();
+    }
+    this.lastVoiceAt = now;
+  }
+
+  /**
+   * The text's viseme weights at clock time `now`, or null when the text has
+   * nothing to say (no words yet, not aligned, between or after the words).
+   */
+  sample(now) {
+    if (this.anchor === null) {
+      return null;
+    }
+    const time = now - this.anchor;
+    const index = findCue(this.cues, time);
+    if (index === -1) {
+      return null;
+    }
+
+    const cue = this.cues[index];
+    const next = this.cues[index + 1];
+    const weights = { [cue.viseme]: 1 };
+    // Ease into the next shape when it follows without a gap
+    if (next && Math.abs(next.start - cue.end) < 1e-6 && cue.end - time < COARTICULATION) {
+      const blend = 0.5 * (1 - (cue.end - time) / COARTICULATION);
+      weights[cue.viseme] = 1 - blend;
+      weights[next.viseme] = (weights[next.viseme] || 0) + blend;
+    }
+    return { viseme: cue.viseme, weights: visemeVector(weights) };
+  }
+}
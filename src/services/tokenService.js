@@ -0,0 +1,149 @@
+/*
+ * Agora RTC token server client
+ *
+ * In token-endpoint mode (VITE_AGORA_TOKEN_ENDPOINT set) the app never uses a
+ * static VITE_AGORA_TOKEN: the user and the ConvoAI agent each get their own
+ * token from the backend (see `/api/agora/token` in backend-example.js), and
+ * both are renewed before they expire.
+ *
+ * Request:  POST {endpoint}  { channel, uid }   with the backend session cookie (backendSession.js)
+ * Response: { token, appId?, expiresAt? }   expiresAt in epoch seconds
+ *
+ * decodeRtcToken() reads App ID, channel and expiry out of a token for the
+ * Settings diagnostics.
+ */
+
+import { AppError } from './appErrors';
+
+/**
+ * Fetch a token for `uid` in `channel` (uid 0 = any uid, used for the auto-assigned user uid).
+ */
+export const fetchRtcToken = async ({ endpoint, channel, uid = 0 }) => {
+  if (!endpoint) {
+    throw new AppError('CONFIG_MISSING_TOKEN', 'No token endpoint configured');
+  }
+
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ channel, uid }),
+    });
+  } catch (error) {
+    throw new AppError('NETWORK_TOKEN_SERVER', `Token server not reachable at ${endpoint}`, { cause: error });
+  }
+
+  if (response.status === 401) {
+    throw new AppError('AUTH_BACKEND_SIGN_IN', `Token server refused the request (401): ${await response.text()}`, { status: 401 });
+  }
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new AppError('NETWORK_TOKEN_SERVER', `Token server error (${response.status}): ${errorText}`, { status: response.status });
+  }
+
+  const result = await response.json();
+  if (!result.token) {
+    throw new AppError('NETWORK_TOKEN_SERVER', `Token server returned no token${result.error ? `: ${result.error}` : ''}`);
+  }
+
+  return {
+    token: result.token,
+    appId: result.appId || null,
+    expiresAt: typeof result.expiresAt === 'number' ? result.expiresAt : null,
+  };
+};
+
+// Little-endian reader for Agora's token packing (uint16-length-prefixed strings and maps)
+const createReader = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+  const reader = {
+    uint16: () => { const value = view.getUint16(offset, true); offset += 2; return value; },
+    uint32: () => { const value = view.getUint32(offset, true); offset += 4; return value; },
+    bytes: () => { const length = reader.uint16(); const value = bytes.subarray(offset, offset + length); offset += length; return value; },
+    string: () => new TextDecoder().decode(reader.bytes()),
+    uint32Map: () => {
+      const map = {};
+      for (let count = reader.uint16(); count > 0; count--) {
+        const key = reader.uint16();
+        map[key] = reader.uint32();
+      }
+      return map;
+    },
+  };
+  return reader;
+};
+
+const base64ToBytes = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+const inflate = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const RTC_SERVICE_TYPE = 1;
+const JOIN_CHANNEL_PRIVILEGE = 1;
+
+/**
+ * Read the public part of an Agora RTC token (AccessToken2 "007..." or the older "006...").
+ * The signature is not verified - that needs the App Certificate.
+ *
+ * Returns { version, appId, issuedAt, expiresAt, channel, uid } (epoch seconds; channel/uid
+ * only for 007 tokens) and throws if the text is not an Agora token.
+ */
+export const decodeRtcToken = async (token) => {
+  const text = (token || '').trim();
+
+  if (text.startsWith('007')) {
+    const reader = createReader(await inflate(base64ToBytes(text.slice(3))));
+    reader.bytes(); // signature
+    const appId = reader.string();
+    const issuedAt = reader.uint32();
+    const expire = reader.uint32();
+    reader.uint32(); // salt
+
+    let expiresAt = issuedAt + expire;
+    let channel = null;
+    let uid = null;
+    for (let count = reader.uint16(); count > 0; count--) {
+      const type = reader.uint16();
+      const privileges = reader.uint32Map();
+      if (type !== RTC_SERVICE_TYPE) {
+        break; // Other services carry fields we don't parse - RTC comes first in practice
+      }
+      channel = reader.string();
+      uid = reader.string();
+      // Privilege expiry is relative to the issue time; 0 means "as long as the token"
+      const joinExpire = privileges[JOIN_CHANNEL_PRIVILEGE];
+      if (joinExpire) {
+        expiresAt = Math.min(expiresAt, issuedAt + joinExpire);
+      }
+    }
+    return { version: '007', appId, issuedAt, expiresAt, channel, uid };
+  }
+
+  if (text.startsWith('006') && text.length > 35) {
+    const appId = text.slice(3, 35);
+    const reader = createReader(base64ToBytes(text.slice(35)));
+    reader.bytes(); // signature
+    reader.uint32(); // crc of the channel name
+    reader.uint32(); // crc of the uid
+    const message = createReader(reader.bytes());
+    message.uint32(); // salt
+    const messageExpiresAt = message.uint32();
+    // 006 privileges hold absolute expiry timestamps; 0 means no expiry
+    const joinExpiresAt = message.uint32Map()[JOIN_CHANNEL_PRIVILEGE];
+    return {
+      version: '006',
+      appId,
+      issuedAt: null,
+      expiresAt: joinExpiresAt || messageExpiresAt,
+      channel: null,
+      uid: null,
+    };
+  }
+
+  throw new Error('Not an Agora RTC token (expected it to start with 007 or 006)');
+};
@@ -0,0 +1,240 @@
+/*
+ * Transcript Decoder for the ConvoAI RTC data stream
+ *
+ * The agent sends transcripts as `messageId|part|totalParts|base64Data` chunks.
+ * This module reassembles them without touching React state, so it can be fed
+ * recorded payloads (see test/transcriptDecoder.test.js) as well as a live channel.
+ *
+ * Events:
+ *   'message' -> { messageId, data }                     all parts received, data is the decoded Uint8Array
+ *   'partial' -> { messageId, part, totalParts, data }   a single part arrived before the message completed
+ *   'drop'    -> { messageId, reason }                   pending message discarded ('expired' | 'overflow' | 'invalid')
+ *
+ * Payloads are base64-decoded to bytes exactly once; use decodeUtf8() for JSON
+ * or plain text so multi-byte transcripts (Chinese, accents, emoji) survive.
+ */
+
+const DEFAULT_OPTIONS = {
+  messageTtlMs: 10000, // Pending messages older than this are considered lost
+  maxPendingMessages: 50, // Memory cap: number of half-assembled messages kept at once
+  maxPendingBytes: 512 * 1024, // Memory cap: total base64 bytes buffered across pending messages
+  maxProcessedIds: 500, // How many completed IDs are remembered for duplicate detection
+  now: () => Date.now(),
+};
+
+// Parse a raw stream-message payload into its chunk fields (null if malformed)
+export const parseChunk = (payload) => {
+  const text = typeof payload === 'string' ? payload : new TextDecoder().decode(payload);
+  const parts = text.split('|');
+  if (parts.length !== 4) {
+    return null;
+  }
+
+  const [messageId, partNumber, totalParts, base64Data] = parts;
+  const part = parseInt(partNumber, 10);
+  const total = parseInt(totalParts, 10);
+  if (!messageId || !Number.isInteger(part) || !Number.isInteger(total) || total < 1 || part < 1 || part > total) {
+    return null;
+  }
+
+  return { messageId, part, totalParts: total, base64Data };
+};
+
+export class TranscriptDecoder {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.listeners = { message: new Set(), partial: new Set(), drop: new Set() };
+    this.pending = new Map(); // messageId -> { parts: Map<part, base64>, totalParts, bytes, receivedAt }
+    this.pendingBytes = 0;
+    this.processedIds = new Set();
+  }
+
+  // Subscribe to an event, returns an unsubscribe function
+  on(event, listener) {
+    if (!this.listeners[event]) {
+      throw new Error(`Unknown TranscriptDecoder event: ${event}`);
+    }
+    this.listeners[event].add(listener);
+    return () => this.listeners[event].delete(listener);
+  }
+
+  emit(event, detail) {
+    this.listeners[event].forEach((listener) => {
+      try {
+        listener(detail);
+      } catch (error) {
+        console.error(`❌ TranscriptDecoder ${event} listener failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Feed one raw stream-message payload (Uint8Array, ArrayBuffer or string).
+   * Returns what happened to it: 'invalid' | 'duplicate' | 'partial' | 'complete'.
+   */
+  push(payload) {
+    this.expire();
+
+    const chunk = parseChunk(payload);
+    if (!chunk) {
+      this.emit('drop', { messageId: null, reason: 'invalid' });
+      return 'invalid';
+    }
+
+    const { messageId, part, totalParts, base64Data } = chunk;
+    if (this.processedIds.has(messageId)) {
+      return 'duplicate';
+    }
+
+    let entry = this.pending.get(messageId);
+    if (!entry) {
+      entry = { parts: new Map(), totalParts, bytes: 0, receivedAt: this.options.now() };
+      this.pending.set(messageId, entry);
+    } else if (entry.totalParts !== totalParts) {
+      // Conflicting framing for the same ID - discard the whole message
+      this.discard(messageId, 'invalid');
+      return 'invalid';
+    }
+
+    if (entry.parts.has(part)) {
+      return 'duplicate';
+    }
+
+    entry.parts.set(part, base64Data);
+    entry.bytes += base64Data.length;
+    this.pendingBytes += base64Data.length;
+
+    if (entry.parts.size === entry.totalParts) {
+      this.complete(messageId, entry);
+      return 'complete';
+    }
+
+    const data = decodeBase64(base64Data);
+    if (data !== null) {
+      this.emit('partial', { messageId, part, totalParts, data });
+    }
+    this.enforceLimits(messageId);
+    return 'partial';
+  }
+
+  complete(messageId, entry) {
+    this.removePending(messageId);
+    this.rememberProcessed(messageId);
+
+    // Parts may arrive in any order - join them by part number before decoding
+    const orderedParts = [];
+    for (let i = 1; i <= entry.totalParts; i++) {
+      orderedParts.push(entry.parts.get(i));
+    }
+
+    // The agent splits one base64 string; fall back to per-part decoding for padded parts
+    let data = decodeBase64(orderedParts.join(''));
+    if (data === null) {
+      const decodedParts = orderedParts.map(decodeBase64);
+      data = decodedParts.includes(null) ? null : concatBytes(decodedParts);
+    }
+    if (data === null) {
+      this.emit('drop', { messageId, reason: 'invalid' });
+      return;
+    }
+    this.emit('message', { messageId, data });
+  }
+
+  // Drop pending messages that have waited longer than the TTL
+  expire() {
+    const cutoff = this.options.now() - this.options.messageTtlMs;
+    for (const [messageId, entry] of this.pending) {
+      if (entry.receivedAt < cutoff) {
+        this.discard(messageId, 'expired');
+      }
+    }
+  }
+
+  // Evict the oldest pending messages until both memory caps are respected
+  enforceLimits(currentMessageId) {
+    const { maxPendingMessages, maxPendingBytes } = this.options;
+    for (const messageId of this.pending.keys()) {
+      if (this.pending.size <= maxPendingMessages && this.pendingBytes <= maxPendingBytes) {
+        break;
+      }
+      if (messageId !== currentMessageId || this.pending.size === 1) {
+        this.discard(messageId, 'overflow');
+      }
+    }
+  }
+
+  discard(messageId, reason) {
+    this.removePending(messageId);
+    this.emit('drop', { messageId, reason });
+  }
+
+  removePending(messageId) {
+    const entry = this.pending.get(messageId);
+    if (entry) {
+      this.pendingBytes -= entry.bytes;
+      this.pending.delete(messageId);
+    }
+  }
+
+  rememberProcessed(messageId) {
+    this.processedIds.add(messageId);
+    // Sets keep insertion order, so the first entry is the oldest
+    if (this.processedIds.size > this.options.maxProcessedIds) {
+      this.processedIds.delete(this.processedIds.values().next().value);
+    }
+  }
+
+  hasProcessed(messageId) {
+    return this.processedIds.has(messageId);
+  }
+
+  get pendingCount() {
+    return this.pending.size;
+  }
+
+  reset() {
+    this.pending.clear();
+    this.pendingBytes = 0;
+    this.processedIds.clear();
+  }
+}
+
+// Base64 -> bytes, returning null instead of throwing on malformed input
+export const decodeBase64 = (base64Data) => {
+  let binary;
+  try {
+    binary = atob(base64Data);
+  } catch (error) {
+    return null;
+  }
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+// Bytes -> string, treating the payload as UTF-8 (invalid sequences become U+FFFD)
+export const decodeUtf8 = (bytes) => new TextDecoder('utf-8').decode(bytes);
+
+// True when the first non-whitespace byte opens a JSON object
+export const looksLikeJson = (bytes) => {
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+    if (byte === 0x20 || byte === 0x09 || byte === 0x0a || byte === 0x0d) {
+      continue;
+    }
+    return byte === 0x7b; // '{'
+  }
+  return false;
+};
+
+const concatBytes = (chunks) => {
+  const bytes = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+};
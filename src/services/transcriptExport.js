@@ -0,0 +1,237 @@
+/*
+ * Session transcript export
+ *
+ * Turns chatHistory into downloadable files:
+ *   json      full fidelity (every entry, words with timings/confidence, metadata)
+ *   markdown  readable conversation log
+ *   srt/vtt   captions built from word timings
+ *
+ * Word timings are relative to the stream they came from, so caption times are
+ * placed on a session timeline: each turn starts at its arrival time (createdAt
+ * relative to the first turn) and its words keep their own spacing from there.
+ * Turns without word timings get an estimated duration from their text length.
+ */
+
+import { downloadTextFile } from './fileDownload';
+
+export const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  srt: { label: 'SRT', extension: 'srt', mimeType: 'application/x-subrip' },
+  vtt: { label: 'WebVTT', extension: 'vtt', mimeType: 'text/vtt' },
+};
+
+// Caption cue limits
+const MAX_CUE_WORDS = 8;
+const MAX_CUE_SECONDS = 4;
+const SECONDS_PER_WORD_ESTIMATE = 0.4;
+
+const SPEAKER_LABELS = {
+  user: 'User',
+  agent: 'Agent',
+  system: 'System',
+};
+
+const toMillis = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+const entryTime = (entry) => toMillis(entry.createdAt) ?? toMillis(entry.timestamp);
+
+// Only conversation turns end up in captions and the readable log
+const transcriptEntries = (history) => history.filter(entry =>
+  entry.message && entry.message.trim().length > 0 && entry.speaker !== 'system'
+);
+
+const speakerLabel = (speaker) => SPEAKER_LABELS[speaker] || speaker || 'Unknown';
+
+/**
+ * Full-fidelity JSON export. Dates are serialized as ISO strings.
+ */
+export const toJson = (history, metadata = {}) => JSON.stringify({
+  format: 'convoai-session-transcript',
+  version: 1,
+  exportedAt: new Date().toISOString(),
+  session: metadata,
+  entries: history,
+}, null, 2);
+
+/**
+ * Readable Markdown log, one block per turn.
+ */
+export const toMarkdown = (history, metadata = {}) => {
+  const entries = transcriptEntries(history);
+  const lines = ['# Conversation transcript', ''];
+
+  const details = [
+    ['Channel', metadata.channel],
+    ['Agent ID', metadata.agentId],
+    ['Agent', metadata.agentName],
+    ['Started', entries.length > 0 ? new Date(entryTime(entries[0])).toLocaleString() : null],
+    ['Exported', new Date().toLocaleString()],
+    ['Turns', entries.length],
+  ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+  details.forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+  lines.push('');
+
+  entries.forEach((entry) => {
+    const time = entryTime(entry);
+    const notes = [];
+    if (entry.turnStatus === 'interrupted') notes.push('interrupted');
+    if (entry.status === 'interim') notes.push('interim');
+    if (entry.deliveryStatus === 'failed') notes.push('not delivered');
+
+    const heading = [
+      `**${speakerLabel(entry.speaker)}**`,
+      time !== null ? `_${new Date(time).toLocaleTimeString()}_` : null,
+      notes.length > 0 ? `(${notes.join(', ')})` : null,
+    ].filter(Boolean).join(' ');
+
+    lines.push(heading, '');
+    lines.push(`> ${entry.message.trim().replace(/\n/g, '\n> ')}${entry.turnStatus === 'interrupted' ? ' …' : ''}`);
+    lines.push('');
+  });
+
+  return lines.join('\n');
+};
+
+// Split one turn into caption cues (seconds on the session timeline)
+const buildTurnCues = (entry, offset) => {
+  const label = speakerLabel(entry.speaker);
+  const timedWords = (entry.words || []).filter(w => typeof w.start === 'number' && w.end > w.start);
+
+  if (timedWords.length === 0) {
+    const wordCount = entry.message.trim().split(/\s+/).length;
+    return [{
+      start: offset,
+      end: offset + Math.max(1, wordCount * SECONDS_PER_WORD_ESTIMATE),
+      speaker: label,
+      text: entry.message.trim(),
+    }];
+  }
+
+  const base = timedWords[0].start;
+  const cues = [];
+  let current = null;
+
+  timedWords.forEach((word) => {
+    const start = offset + (word.start - base);
+    const end = offset + (word.end - base);
+
+    if (!current || current.words.length >= MAX_CUE_WORDS || end - current.start > MAX_CUE_SECONDS) {
+      current = { start, end, speaker: label, words: [] };
+      cues.push(current);
+    }
+    current.words.push(word.word);
+    current.end = end;
+
+    // Sentence punctuation closes the cue
+    if (/[.!?。！？]$/.test(word.word)) {
+      current = null;
+    }
+  });
+
+  return cues.map(({ words, ...cue }) => ({ ...cue, text: words.join(' ') }));
+};
+
+/**
+ * Build caption cues ({start, end, speaker, text}, seconds) for the whole session.
+ */
+export const buildCaptionCues = (history) => {
+  const entries = transcriptEntries(history);
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const sessionStart = entryTime(entries[0]) ?? 0;
+  const cues = entries.flatMap((entry) => {
+    const time = entryTime(entry);
+    const offset = time !== null ? Math.max(0, (time - sessionStart) / 1000) : 0;
+    return buildTurnCues(entry, offset);
+  });
+
+  return cues.sort((a, b) => a.start - b.start);
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Format seconds as HH:MM:SS<separator>mmm (',' for SRT, '.' for WebVTT).
+ */
+export const formatTimestamp = (seconds, separator) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+};
+
+// A blank line ends a caption cue, so cue text keeps its line breaks but loses empty lines
+const cueLines = (text) => text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).join('\n');
+
+// WebVTT cue text is markup: escape &, < and > (which also defuses a "-->" in the text)
+const escapeVtt = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * SubRip captions.
+ */
+export const toSrt = (history) => buildCaptionCues(history)
+  .map((cue, index) => [
+    index + 1,
+    `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+    `${cue.speaker}: ${cueLines(cue.text)}`,
+    '',
+  ].join('\n'))
+  .join('\n');
+
+/**
+ * WebVTT captions, with the speaker as a voice span.
+ */
+export const toWebVtt = (history) => {
+  const cues = buildCaptionCues(history).map(cue => [
+    `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+    `<v ${escapeVtt(cue.speaker)}>${escapeVtt(cueLines(cue.text))}`,
+    '',
+  ].join('\n'));
+
+  return ['WEBVTT', '', ...cues].join('\n');
+};
+
+/**
+ * Serialize the session in the given format.
+ */
+export const exportTranscript = (format, history, metadata = {}) => {
+  switch (format) {
+    case 'json':
+      return toJson(history, metadata);
+    case 'markdown':
+      return toMarkdown(history, metadata);
+    case 'srt':
+      return toSrt(history);
+    case 'vtt':
+      return toWebVtt(history);
+    default:
+      throw new Error(`Unknown transcript export format: ${format}`);
+  }
+};
+
+/**
+ * Serialize the session and trigger a browser download.
+ */
+export const downloadTranscript = (format, history, metadata = {}) => {
+  const { extension, mimeType } = EXPORT_FORMATS[format] || {};
+  const content = exportTranscript(format, history, metadata);
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const channel = (metadata.channel || 'session').replace(/[^\w-]+/g, '_');
+  const filename = `transcript-${channel}-${stamp}.${extension}`;
+
+  downloadTextFile(content, filename, mimeType);
+
+  console.log(`💾 Exported transcript as ${filename}`);
+  return filename;
+};
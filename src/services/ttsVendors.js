@@ -0,0 +1,267 @@
+/*
+ * TTS vendors
+ *
+ * Each ConvoAI TTS vendor takes a different `tts.params` object. This module
+ * describes them in one place: the Settings form renders `fields`,
+ * getConfigStatus validates them, buildAgentProperties calls `buildParams` and
+ * the Settings diagnostics send the `probe` request (if any) to test the key.
+ * The backend proxy (backend-example.js) loads this same table to check the
+ * browser's `tts` block and to put its key under the vendor's `keyParam`.
+ *
+ * Every vendor reads from the same ConvoAI config keys so switching vendors
+ * never needs new storage:
+ *
+ *   ttsVendor     VITE_TTS_VENDOR      microsoft | elevenlabs | cartesia | openai | minimax
+ *   ttsApiKey     VITE_TTS_API_KEY     sent as the vendor's key param (`key` or `api_key`)
+ *   ttsVoiceName  VITE_TTS_VOICE_NAME  voice name / voice id
+ *   ttsRegion     VITE_TTS_REGION      Microsoft region
+ *   ttsModel      VITE_TTS_MODEL       model id (ElevenLabs, Cartesia, OpenAI, MiniMax)
+ *   ttsGroupId    VITE_TTS_GROUP_ID    MiniMax group id
+ */
+
+export const DEFAULT_TTS_VENDOR = 'microsoft';
+
+export const TTS_VENDORS = {
+  microsoft: {
+    label: 'Microsoft Azure',
+    keyParam: 'key',
+    defaults: { ttsRegion: 'eastus', ttsVoiceName: 'en-US-AriaNeural' },
+    fields: [
+      { key: 'ttsApiKey', label: 'Azure TTS API Key', type: 'password', required: true, secret: true, placeholder: 'Your Azure TTS API Key' },
+      {
+        key: 'ttsRegion',
+        label: 'Region',
+        type: 'select',
+        required: true,
+        options: [
+          { value: 'eastus', label: 'East US' },
+          { value: 'westus', label: 'West US' },
+          { value: 'eastus2', label: 'East US 2' },
+          { value: 'westus2', label: 'West US 2' },
+          { value: 'centralus', label: 'Central US' },
+          { value: 'northeurope', label: 'North Europe' },
+          { value: 'westeurope', label: 'West Europe' },
+        ],
+      },
+      {
+        key: 'ttsVoiceName',
+        label: 'Voice Name',
+        type: 'select',
+        required: true,
+        options: [
+          { value: 'en-US-AriaNeural', label: 'Aria (English US, Female)' },
+          { value: 'en-US-JennyNeural', label: 'Jenny (English US, Female)' },
+          { value: 'en-US-GuyNeural', label: 'Guy (English US, Male)' },
+          { value: 'en-US-DavisNeural', label: 'Davis (English US, Male)' },
+          { value: 'en-GB-SoniaNeural', label: 'Sonia (English UK, Female)' },
+          { value: 'en-GB-RyanNeural', label: 'Ryan (English UK, Male)' },
+        ],
+      },
+    ],
+    buildParams: (config) => ({
+      key: config.ttsApiKey,
+      region: config.ttsRegion,
+      voice_name: config.ttsVoiceName,
+    }),
+    // Exchanging the key for a speech token only works with a valid key for this region
+    probe: (config) => ({
+      url: `https://${config.ttsRegion}.api.cognitive.microsoft.com/sts/v1.0/issueToken`,
+      options: { method: 'POST', headers: { 'Ocp-Apim-Subscription-Key': config.ttsApiKey } },
+    }),
+  },
+
+  elevenlabs: {
+    label: 'ElevenLabs',
+    keyParam: 'key',
+    defaults: { ttsModel: 'eleven_flash_v2_5', ttsVoiceName: '21m00Tcm4TlvDq8ikWAM' },
+    fields: [
+      { key: 'ttsApiKey', label: 'ElevenLabs API Key', type: 'password', required: true, secret: true, placeholder: 'Your ElevenLabs API Key' },
+      {
+        key: 'ttsModel',
+        label: 'Model',
+        type: 'select',
+        required: true,
+        options: [
+          { value: 'eleven_flash_v2_5', label: 'Flash v2.5 (lowest latency)' },
+          { value: 'eleven_turbo_v2_5', label: 'Turbo v2.5' },
+          { value: 'eleven_multilingual_v2', label: 'Multilingual v2' },
+        ],
+      },
+      { key: 'ttsVoiceName', label: 'Voice ID', type: 'text', required: true, placeholder: '21m00Tcm4TlvDq8ikWAM' },
+    ],
+    buildParams: (config) => ({
+      key: config.ttsApiKey,
+      model_id: config.ttsModel,
+      voice_id: config.ttsVoiceName,
+    }),
+    probe: (config) => ({
+      url: `https://api.elevenlabs.io/v1/voices/${encodeURIComponent(config.ttsVoiceName)}`,
+      options: { headers: { 'xi-api-key': config.ttsApiKey } },
+    }),
+  },
+
+  cartesia: {
+    label: 'Cartesia',
+    keyParam: 'api_key',
+    defaults: { ttsModel: 'sonic-2', ttsVoiceName: '' },
+    fields: [
+      { key: 'ttsApiKey', label: 'Cartesia API Key', type: 'password', required: true, secret: true, placeholder: 'Your Cartesia API Key' },
+      {
+        key: 'ttsModel',
+        label: 'Model',
+        type: 'select',
+        required: true,
+        options: [
+          { value: 'sonic-2', label: 'Sonic 2' },
+          { value: 'sonic-turbo', label: 'Sonic Turbo' },
+        ],
+      },
+      { key: 'ttsVoiceName', label: 'Voice ID', type: 'text', required: true, placeholder: 'Cartesia voice UUID' },
+    ],
+    buildParams: (config) => ({
+      api_key: config.ttsApiKey,
+      model_id: config.ttsModel,
+      voice: { mode: 'id', id: config.ttsVoiceName },
+      // Cartesia wants a bare language code - follow the ASR language
+      language: (config.asrLanguage || 'en').split('-')[0],
+    }),
+    probe: (config) => ({
+      url: `https://api.cartesia.ai/voices/${encodeURIComponent(config.ttsVoiceName)}`,
+      options: { headers: { 'X-API-Key': config.ttsApiKey, 'Cartesia-Version': '2024-06-10' } },
+    }),
+  },
+
+  openai: {
+    label: 'OpenAI TTS',
+    keyParam: 'api_key',
+    defaults: { ttsModel: 'gpt-4o-mini-tts', ttsVoiceName: 'alloy' },
+    fields: [
+      { key: 'ttsApiKey', label: 'OpenAI API Key', type: 'password', required: true, secret: true, placeholder: 'sk-...' },
+      {
+        key: 'ttsModel',
+        label: 'Model',
+        type: 'select',
+        required: true,
+        options: [
+          { value: 'gpt-4o-mini-tts', label: 'GPT-4o Mini TTS' },
+          { value: 'tts-1', label: 'TTS-1' },
+          { value: 'tts-1-hd', label: 'TTS-1 HD' },
+        ],
+      },
+      {
+        key: 'ttsVoiceName',
+        label: 'Voice',
+        type: 'select',
+        required: true,
+        options: ['alloy', 'ash', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer']
+          .map(voice => ({ value: voice, label: voice.charAt(0).toUpperCase() + voice.slice(1) })),
+      },
+    ],
+    buildParams: (config) => ({
+      api_key: config.ttsApiKey,
+      model: config.ttsModel,
+      voice: config.ttsVoiceName,
+    }),
+    probe: (config) => ({
+      url: 'https://api.openai.com/v1/models',
+      options: { headers: { Authorization: `Bearer ${config.ttsApiKey}` } },
+    }),
+  },
+
+  minimax: {
+    label: 'MiniMax',
+    keyParam: 'key',
+    defaults: { ttsModel: 'speech-02-turbo', ttsVoiceName: 'English_captivating_female1', ttsGroupId: '' },
+    fields: [
+      { key: 'ttsApiKey', label: 'MiniMax API Key', type: 'password', required: true, secret: true, placeholder: 'Your MiniMax API Key' },
+      { key: 'ttsGroupId', label: 'Group ID', type: 'text', required: true, placeholder: 'Your MiniMax Group ID' },
+      {
+        key: 'ttsModel',
+        label: 'Model',
+        type: 'select',
+        required: true,
+        options: [
+          { value: 'speech-02-turbo', label: 'Speech-02 Turbo' },
+          { value: 'speech-02-hd', label: 'Speech-02 HD' },
+        ],
+      },
+      { key: 'ttsVoiceName', label: 'Voice ID', type: 'text', required: true, placeholder: 'English_captivating_female1' },
+    ],
+    buildParams: (config) => ({
+      key: config.ttsApiKey,
+      group_id: config.ttsGroupId,
+      model: config.ttsModel,
+      voice_setting: { voice_id: config.ttsVoiceName },
+    }),
+  },
+};
+
+// Unknown vendor ids fall back to Microsoft, the original hard-coded vendor
+export const getTtsVendor = (vendorId) => TTS_VENDORS[vendorId] || TTS_VENDORS[DEFAULT_TTS_VENDOR];
+
+/**
+ * `tts` section of the agent join properties for the configured vendor.
+ */
+export const buildTtsConfig = (convoaiConfig) => {
+  const vendorId = TTS_VENDORS[convoaiConfig.ttsVendor] ? convoaiConfig.ttsVendor : DEFAULT_TTS_VENDOR;
+  return {
+    vendor: vendorId,
+    params: TTS_VENDORS[vendorId].buildParams(convoaiConfig),
+  };
+};
+
+/**
+ * Labels of the required fields that are missing for the configured vendor.
+ * Secrets are skipped in proxy mode (the backend holds them); `isValidSecret`
+ * lets the caller reject placeholder keys.
+ */
+export const getMissingTtsFields = (convoaiConfig, { proxyMode = false, isValidSecret = Boolean } = {}) =>
+  getTtsVendor(convoaiConfig.ttsVendor).fields
+    .filter(field => field.required && !(field.secret && proxyMode))
+    .filter(field => (field.secret ? !isValidSecret(convoaiConfig[field.key]) : !convoaiConfig[field.key]))
+    .map(field => field.label);
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Every param in `params` must exist in `shape` (what buildParams produces), nested objects included
+const checkParams = (params, shape, vendorId, path = '') => {
+  if (!isPlainObject(params)) {
+    throw new Error(`TTS params${path ? ` "${path}"` : ''} must be an object`);
+  }
+  return Object.fromEntries(Object.entries(params).map(([key, value]) => {
+    const name = path ? `${path}.${key}` : key;
+    if (!Object.prototype.hasOwnProperty.call(shape, key)) {
+      throw new Error(`TTS param "${name}" is not allowed for ${vendorId}`);
+    }
+    if (isPlainObject(shape[key])) {
+      return [key, checkParams(value, shape[key], vendorId, name)];
+    }
+    if (value !== null && value !== undefined && !['string', 'number', 'boolean'].includes(typeof value)) {
+      throw new Error(`TTS param "${name}" must be a string, number or boolean`);
+    }
+    return [key, value];
+  }));
+};
+
+/**
+ * Check a browser-supplied `tts` block (backend proxy): the vendor must be in
+ * TTS_VENDORS and the params limited to the ones its buildParams produces, so
+ * no caller can point the server's key at an endpoint of its choosing.
+ * Returns { vendor, params, keyParam } or throws an Error saying what was refused.
+ */
+export const checkTtsProperties = (tts) => {
+  const vendorId = isPlainObject(tts) ? tts.vendor : undefined;
+  if (typeof vendorId !== 'string' || !Object.prototype.hasOwnProperty.call(TTS_VENDORS, vendorId)) {
+    throw new Error(`Unknown TTS vendor "${vendorId}"`);
+  }
+  const extra = Object.keys(tts).filter(key => key !== 'vendor' && key !== 'params');
+  if (extra.length > 0) {
+    throw new Error(`TTS setting "${extra[0]}" is not allowed`);
+  }
+  const vendor = TTS_VENDORS[vendorId];
+  return {
+    vendor: vendorId,
+    params: checkParams(tts.params || {}, vendor.buildParams({}), vendorId),
+    keyParam: vendor.keyParam,
+  };
+};
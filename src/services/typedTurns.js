@@ -0,0 +1,134 @@
+/*
+ * Typed turns
+ *
+ * The ConvoAI agent only listens to the microphone - its REST API has no "the
+ * user said this" input. A typed turn therefore takes two documented steps:
+ *
+ *   1. the agent's LLM (same URL, model, params and system messages) answers the
+ *      text, with the transcript so far as context
+ *   2. POST .../agents/:agentId/speak  { text, priority, interruptable } - the
+ *      agent says the answer in its own voice, and the transcript of that turn
+ *      comes back over the data stream like any other agent turn
+ *
+ * Direct mode runs both steps from the browser. In proxy mode the backend's
+ * POST /api/convoai/agents/:agentId/chat route runs them with its own LLM and
+ * ConvoAI secrets - backend-example.js loads this module for that.
+ *
+ * Only OpenAI-style chat completion endpoints are supported.
+ */
+
+export const TYPED_TURN_LLM_STYLES = ['openai'];
+
+// Transcript entries sent along as context
+export const TYPED_TURN_HISTORY = 16;
+
+// The speak endpoint takes at most 512 bytes of text
+export const SPEAK_TEXT_MAX_BYTES = 512;
+
+const MAX_MESSAGE_LENGTH = 4000;
+const CHAT_ROLES = ['user', 'assistant'];
+
+/**
+ * Whether typed turns work with this `llm` block (see buildLlmUpdate).
+ */
+export const supportsTypedTurns = (llm) => TYPED_TURN_LLM_STYLES.includes(llm.style);
+
+/**
+ * Chat messages for a typed turn: the latest user and agent turns of the
+ * conversation history, then the typed text.
+ */
+export const buildTypedTurnMessages = (history, text, maxTurns = TYPED_TURN_HISTORY) => {
+  const turns = history
+    .filter(entry => (entry.speaker === 'user' || entry.speaker === 'agent')
+      && entry.deliveryStatus !== 'failed'
+      && typeof entry.message === 'string' && entry.message.trim())
+    .slice(-maxTurns)
+    .map(entry => ({ role: entry.speaker === 'agent' ? 'assistant' : 'user', content: entry.message.trim() }));
+  return [...turns, { role: 'user', content: text }];
+};
+
+/**
+ * Throws unless `messages` is what buildTypedTurnMessages produces - the backend
+ * checks what the browser sends before it adds its LLM key.
+ */
+export const checkTypedTurnMessages = (messages) => {
+  if (!Array.isArray(messages) || messages.length === 0 || messages.length > TYPED_TURN_HISTORY + 1) {
+    throw new Error(`messages must be a list of 1 to ${TYPED_TURN_HISTORY + 1} chat messages`);
+  }
+  messages.forEach((message, index) => {
+    if (!message || Object.keys(message).some(key => key !== 'role' && key !== 'content')
+      || !CHAT_ROLES.includes(message.role)
+      || typeof message.content !== 'string' || !message.content || message.content.length > MAX_MESSAGE_LENGTH) {
+      throw new Error(`messages[${index}] must be { role: 'user' | 'assistant', content } with up to ${MAX_MESSAGE_LENGTH} characters`);
+    }
+  });
+  if (messages[messages.length - 1].role !== 'user') {
+    throw new Error('The last message must be the typed user turn');
+  }
+  return messages;
+};
+
+/**
+ * fetch() url, headers and JSON body for an OpenAI-style chat completion.
+ */
+export const buildChatCompletionRequest = (llm, messages) => {
+  if (!supportsTypedTurns(llm)) {
+    throw new Error(`Typed turns need an OpenAI-compatible LLM - the "${llm.style}" style is not supported`);
+  }
+  const headers = { 'Content-Type': 'application/json' };
+  if (llm.api_key) {
+    headers.Authorization = `Bearer ${llm.api_key}`;
+  }
+  return {
+    url: llm.url,
+    headers,
+    body: {
+      ...llm.params,
+      messages: [...(llm.system_messages || []), ...messages],
+      stream: false,
+    },
+  };
+};
+
+/**
+ * The answer text of a chat completion response.
+ */
+export const readChatCompletion = (result) => {
+  const choice = result && Array.isArray(result.choices) ? result.choices[0] : null;
+  const content = choice && choice.message ? choice.message.content : null;
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new Error('The LLM returned no answer');
+  }
+  return content.trim();
+};
+
+// Cut `text` to the speak limit, at the last sentence end (or else word break) that fits
+const fitSpeakText = (text) => {
+  const encoder = new TextEncoder();
+  if (encoder.encode(text).length <= SPEAK_TEXT_MAX_BYTES) {
+    return text;
+  }
+  let cut = '';
+  for (const char of text) {
+    if (encoder.encode(cut + char).length > SPEAK_TEXT_MAX_BYTES) {
+      break;
+    }
+    cut += char;
+  }
+  const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '));
+  if (sentenceEnd > 0) {
+    return cut.slice(0, sentenceEnd + 1);
+  }
+  const wordBreak = cut.lastIndexOf(' ');
+  return wordBreak > 0 ? cut.slice(0, wordBreak) : cut;
+};
+
+/**
+ * Body of the speak request for an answer: it cuts off whatever the agent is
+ * saying, and talking over it cuts it off in turn.
+ */
+export const buildSpeakRequest = (text) => ({
+  text: fitSpeakText(text),
+  priority: 'INTERRUPT',
+  interruptable: true,
+});
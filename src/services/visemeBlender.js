@@ -0,0 +1,93 @@
+/*
+ * Viseme blending
+ *
+ * Lip-sync frames carry a weight for each of the 15 Oculus visemes. Applying
+ * them as they come makes the mouth jump between shapes ~60 times a second;
+ * VisemeBlender eases every viseme toward its target on its own clock instead.
+ * Lips close fast for plosives and open slowly into vowels, and a shape that is
+ * no longer wanted fades out while the next one fades in - the overlap is
+ * what reads as continuous speech (coarticulation).
+ *
+ *   const blender = new VisemeBlender();
+ *   const influences = blender.update(targets, deltaTime); // { viseme_aa: 0.42, ... } every render frame
+ */
+
+import { VISEMES } from './lipSyncAnalysis';
+
+// Time constants in seconds: `attack` toward a higher weight, `release` toward a lower one
+export const VISEME_DYNAMICS = {
+  viseme_sil: { attack: 0.08, release: 0.06 },
+  viseme_PP: { attack: 0.025, release: 0.05 }, // lips have to meet for the burst
+  viseme_FF: { attack: 0.035, release: 0.06 },
+  viseme_TH: { attack: 0.035, release: 0.06 },
+  viseme_DD: { attack: 0.03, release: 0.05 },
+  viseme_kk: { attack: 0.03, release: 0.06 },
+  viseme_CH: { attack: 0.04, release: 0.07 },
+  viseme_SS: { attack: 0.04, release: 0.06 },
+  viseme_nn: { attack: 0.04, release: 0.07 },
+  viseme_RR: { attack: 0.05, release: 0.08 },
+  viseme_aa: { attack: 0.06, release: 0.1 },
+  viseme_E: { attack: 0.06, release: 0.1 },
+  viseme_I: { attack: 0.055, release: 0.09 },
+  viseme_O: { attack: 0.07, release: 0.12 }, // rounding spreads over neighbouring sounds
+  viseme_U: { attack: 0.07, release: 0.12 },
+};
+
+// How far each shape drops the jaw, 0 (closed) .. 1 (fully open vowel)
+export const VISEME_JAW_OPENING = {
+  viseme_sil: 0,
+  viseme_PP: 0,
+  viseme_FF: 0.2,
+  viseme_TH: 0.35,
+  viseme_DD: 0.4,
+  viseme_kk: 0.5,
+  viseme_CH: 0.35,
+  viseme_SS: 0.25,
+  viseme_nn: 0.4,
+  viseme_RR: 0.5,
+  viseme_aa: 1,
+  viseme_E: 0.7,
+  viseme_I: 0.5,
+  viseme_O: 0.8,
+  viseme_U: 0.45,
+};
+
+/**
+ * Jaw opening (0..1) for a set of viseme weights.
+ */
+export const jawOpening = (weights) => VISEMES.reduce(
+  (sum, viseme) => sum + (weights[viseme] || 0) * VISEME_JAW_OPENING[viseme],
+  0
+);
+
+export class VisemeBlender {
+  constructor(dynamics = VISEME_DYNAMICS) {
+    this.dynamics = dynamics;
+    this.weights = {};
+    this.reset();
+  }
+
+  /**
+   * Snap every viseme to 0 (e.g. when the agent is interrupted).
+   */
+  reset() {
+    VISEMES.forEach((viseme) => {
+      this.weights[viseme] = 0;
+    });
+  }
+
+  /**
+   * Move each viseme toward `targets` (viseme -> weight, missing = 0) by
+   * `deltaTime` seconds. Returns the blended weights (the same object each call).
+   */
+  update(targets, deltaTime) {
+    VISEMES.forEach((viseme) => {
+      const target = (targets && targets[viseme]) || 0;
+      const current = this.weights[viseme];
+      const { attack, release } = this.dynamics[viseme];
+      const timeConstant = target > current ? attack : release;
+      this.weights[viseme] = current + (target - current) * (1 - Math.exp(-deltaTime / timeConstant));
+    });
+    return this.weights;
+  }
+}
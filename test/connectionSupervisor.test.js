@@ -0,0 +1,169 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { CONNECTION_STATES, ConnectionSupervisor, describeDisconnectReason } from '../src/services/connectionSupervisor';
+
+// A rejoin() whose outcome the test decides
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+const createSupervisor = (rejoin, options = {}) => {
+  const supervisor = new ConnectionSupervisor({ rejoin, baseDelayMs: 1000, maxDelayMs: 8000, maxAttempts: 3, ...options });
+  supervisor.start();
+  supervisor.handleStateChange('CONNECTED', 'CONNECTING');
+  return supervisor;
+};
+
+describe('ConnectionSupervisor', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(Math, 'random').mockReturnValue(0); // no jitter
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('waits for the SDK while it reconnects on its own', async () => {
+    const rejoin = vi.fn();
+    const supervisor = createSupervisor(rejoin);
+    const lost = vi.fn();
+    supervisor.on('lost', lost);
+
+    supervisor.handleStateChange('RECONNECTING', 'CONNECTED', 'NETWORK_ERROR');
+    await vi.advanceTimersByTimeAsync(60000);
+
+    expect(rejoin).not.toHaveBeenCalled();
+    expect(lost).toHaveBeenCalledWith({ reason: 'NETWORK_ERROR' });
+    expect(supervisor.status.state).toBe(CONNECTION_STATES.RECONNECTING);
+  });
+
+  it('rejoins with exponential backoff until one attempt succeeds', async () => {
+    const rejoin = vi.fn()
+      .mockRejectedValueOnce(new Error('offline'))
+      .mockRejectedValueOnce(new Error('still offline'))
+      .mockResolvedValueOnce();
+    const supervisor = createSupervisor(rejoin);
+    const recovered = vi.fn();
+    supervisor.on('recovered', recovered);
+
+    supervisor.handleStateChange('DISCONNECTED', 'CONNECTED', 'KEEP_ALIVE_TIMEOUT');
+    expect(supervisor.status).toMatchObject({ state: CONNECTION_STATES.RECONNECTING, attempt: 1, nextRetryAt: Date.now() + 1000 });
+
+    await vi.advanceTimersByTimeAsync(999);
+    expect(rejoin).toHaveBeenCalledTimes(0);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(rejoin).toHaveBeenCalledTimes(1);
+    expect(supervisor.status).toMatchObject({ attempt: 2, lastError: 'offline' });
+
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(rejoin).toHaveBeenCalledTimes(2);
+    expect(supervisor.status.attempt).toBe(3);
+
+    await vi.advanceTimersByTimeAsync(4000);
+    expect(rejoin).toHaveBeenCalledTimes(3);
+
+    supervisor.handleStateChange('CONNECTED', 'CONNECTING');
+    expect(supervisor.status).toMatchObject({ state: CONNECTION_STATES.CONNECTED, attempt: 0, lastError: null });
+    expect(recovered).toHaveBeenCalledWith({ reason: 'KEEP_ALIVE_TIMEOUT', attempts: 3 });
+  });
+
+  it('gives up after maxAttempts', async () => {
+    const rejoin = vi.fn().mockRejectedValue(new Error('offline'));
+    const supervisor = createSupervisor(rejoin);
+
+    supervisor.handleStateChange('DISCONNECTED', 'CONNECTED', 'NETWORK_ERROR');
+    await vi.advanceTimersByTimeAsync(60000);
+
+    expect(rejoin).toHaveBeenCalledTimes(3);
+    expect(supervisor.status.state).toBe(CONNECTION_STATES.FAILED);
+  });
+
+  it('fails right away when banned and ignores its own leave', async () => {
+    const rejoin = vi.fn();
+    const supervisor = createSupervisor(rejoin);
+
+    supervisor.handleStateChange('DISCONNECTED', 'CONNECTED', 'LEAVE');
+    expect(supervisor.status.state).toBe(CONNECTION_STATES.CONNECTED);
+
+    supervisor.handleStateChange('DISCONNECTED', 'CONNECTED', 'UID_BANNED');
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(rejoin).not.toHaveBeenCalled();
+    expect(supervisor.status).toMatchObject({ state: CONNECTION_STATES.FAILED, reason: 'UID_BANNED' });
+  });
+
+  it('stops retrying once stopped', async () => {
+    const rejoin = vi.fn();
+    const supervisor = createSupervisor(rejoin);
+
+    supervisor.handleStateChange('DISCONNECTED', 'CONNECTED', 'NETWORK_ERROR');
+    supervisor.stop();
+    await vi.advanceTimersByTimeAsync(60000);
+
+    expect(rejoin).not.toHaveBeenCalled();
+    expect(supervisor.status.state).toBe(CONNECTION_STATES.IDLE);
+  });
+
+  it('retryNow skips the backoff', async () => {
+    const rejoin = vi.fn().mockResolvedValue();
+    const supervisor = createSupervisor(rejoin);
+
+    supervisor.handleStateChange('DISCONNECTED', 'CONNECTED', 'NETWORK_ERROR');
+    supervisor.retryNow();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(rejoin).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(rejoin).toHaveBeenCalledTimes(1); // the scheduled attempt was cancelled
+  });
+
+  it('retryNow does not start a second rejoin while one is running', async () => {
+    const pending = deferred();
+    const rejoin = vi.fn(() => pending.promise);
+    const supervisor = createSupervisor(rejoin);
+
+    supervisor.handleStateChange('DISCONNECTED', 'CONNECTED', 'NETWORK_ERROR');
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(rejoin).toHaveBeenCalledTimes(1);
+    const attempt = supervisor.status.attempt;
+
+    supervisor.retryNow('TOKEN_EXPIRE');
+    supervisor.retryNow();
+    expect(rejoin).toHaveBeenCalledTimes(1);
+    expect(supervisor.status.attempt).toBe(attempt);
+
+    // Once it is over, retryNow works again
+    pending.reject(new Error('offline'));
+    await vi.advanceTimersByTimeAsync(0);
+    supervisor.retryNow();
+    expect(rejoin).toHaveBeenCalledTimes(2);
+  });
+
+  it('retryNow after a failure starts counting attempts again', async () => {
+    const rejoin = vi.fn().mockRejectedValue(new Error('offline'));
+    const supervisor = createSupervisor(rejoin);
+
+    supervisor.handleStateChange('DISCONNECTED', 'CONNECTED', 'NETWORK_ERROR');
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(supervisor.status.state).toBe(CONNECTION_STATES.FAILED);
+
+    supervisor.retryNow();
+    expect(supervisor.status).toMatchObject({ state: CONNECTION_STATES.RECONNECTING, attempt: 1 });
+  });
+});
+
+describe('describeDisconnectReason', () => {
+  it('explains known reasons and passes unknown ones through', () => {
+    expect(describeDisconnectReason('TOKEN_EXPIRE')).toBe('Token expired');
+    expect(describeDisconnectReason('SOMETHING_NEW')).toBe('SOMETHING_NEW');
+    expect(describeDisconnectReason(null)).toBeNull();
+  });
+});
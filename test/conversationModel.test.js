@@ -0,0 +1,187 @@
+import { describe, expect, it } from 'vitest';
+import {
+  TURN_STATUS,
+  applyInterrupt,
+  applyTranscription,
+  applyWords,
+  linkReplies,
+  mergeWords,
+  turnEntryId,
+} from '../src/services/conversationModel';
+
+const now = new Date('2026-01-01T12:00:00Z');
+
+const agentTranscript = (turnId, text, turnStatus, words) => ({
+  object: 'assistant.transcription',
+  turn_id: turnId,
+  text,
+  turn_status: turnStatus,
+  ...(words ? { words } : {}),
+});
+
+const userTranscript = (turnId, text, final) => ({
+  object: 'user.transcription',
+  turn_id: turnId,
+  text,
+  final,
+});
+
+describe('applyTranscription', () => {
+  it('merges partial updates of a turn into one entry that turns final', () => {
+    let history = [];
+    history = applyTranscription(history, agentTranscript(1, 'Hello', 0), now);
+    history = applyTranscription(history, agentTranscript(1, 'Hello there', 0), now);
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({
+      id: turnEntryId('agent', 1),
+      speaker: 'agent',
+      message: 'Hello there',
+      status: 'interim',
+      isPartial: true,
+      turnStatus: TURN_STATUS.IN_PROGRESS,
+    });
+
+    history = applyTranscription(history, agentTranscript(1, 'Hello there, friend.', 1), now);
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ message: 'Hello there, friend.', status: 'final', isPartial: false, turnStatus: TURN_STATUS.END });
+  });
+
+  it('uses `final` for user turns', () => {
+    let history = applyTranscription([], userTranscript(7, 'what is', false), now);
+    expect(history[0]).toMatchObject({ speaker: 'user', status: 'interim', turnStatus: TURN_STATUS.IN_PROGRESS });
+    history = applyTranscription(history, userTranscript(7, 'what is the time', true), now);
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ message: 'what is the time', status: 'final', turnStatus: TURN_STATUS.END });
+  });
+
+  it('keeps appending to the open turn when turn_id is missing', () => {
+    let history = applyTranscription([], { object: 'user.transcription', text: 'one' }, now);
+    history = applyTranscription(history, { object: 'user.transcription', text: 'one two' }, now);
+    expect(history).toHaveLength(1);
+    expect(history[0].message).toBe('one two');
+  });
+
+  it('ends the speaker\'s previous turn when a new one starts', () => {
+    let history = applyTranscription([], agentTranscript(1, 'First', 0), now);
+    history = applyTranscription(history, agentTranscript(2, 'Second', 0), now);
+    expect(history.map(entry => entry.turnStatus)).toEqual([TURN_STATUS.END, TURN_STATUS.IN_PROGRESS]);
+  });
+
+  it('merges words across updates and times the turn from them', () => {
+    let history = applyTranscription([], agentTranscript(1, 'Hi you', 0, [
+      { word: 'Hi', start_ms: 0, duration_ms: 300 },
+    ]), now);
+    history = applyTranscription(history, agentTranscript(1, 'Hi you', 0, [
+      { word: 'Hi', start_ms: 0, duration_ms: 300 },
+      { word: 'you', start_ms: 400, duration_ms: 200 },
+    ]), now);
+    expect(history[0].words.map(w => w.word)).toEqual(['Hi', 'you']);
+    expect(history[0].startTime).toBe(0);
+    expect(history[0].endTime).toBeCloseTo(0.6);
+  });
+
+  it('never reopens an interrupted turn', () => {
+    let history = applyTranscription([], agentTranscript(1, 'Let me explain', 0), now);
+    history = applyInterrupt(history, { turn_id: 1 }, now);
+    const frozen = history;
+    history = applyTranscription(history, agentTranscript(1, 'Let me explain everything', 0), now);
+    expect(history).toBe(frozen);
+  });
+
+  it('marks an agent turn as the answer to a typed message', () => {
+    const history = applyTranscription([], agentTranscript(3, 'It is noon.', 0), now, { inReplyTo: 'user-text-1' });
+    expect(history[0].inReplyTo).toBe('user-text-1');
+    // Later updates keep the link
+    const updated = applyTranscription(history, agentTranscript(3, 'It is noon.', 1), now);
+    expect(updated[0].inReplyTo).toBe('user-text-1');
+  });
+});
+
+describe('applyInterrupt', () => {
+  const spokenWords = [
+    { word: 'One', start_ms: 0, duration_ms: 300 },
+    { word: 'two', start_ms: 400, duration_ms: 300 },
+    { word: 'three', start_ms: 800, duration_ms: 300 },
+  ];
+
+  it('cuts the turn back to the words spoken before the interruption', () => {
+    const history = applyTranscription([], agentTranscript(4, 'One two three', 0, spokenWords), now);
+    const [turn] = applyInterrupt(history, { turn_id: 4, start_ms: 700 }, now);
+    expect(turn).toMatchObject({
+      message: 'One two',
+      turnStatus: TURN_STATUS.INTERRUPTED,
+      status: 'final',
+      isPartial: false,
+      interruptedAt: 0.7,
+      truncated: true,
+    });
+    expect(turn.words.map(w => w.word)).toEqual(['One', 'two']);
+  });
+
+  it('falls back to the open agent turn without a known turn_id', () => {
+    let history = applyTranscription([], agentTranscript(5, 'Done', 1), now);
+    history = applyTranscription(history, agentTranscript(6, 'Still talking', 0), now);
+    const next = applyInterrupt(history, {}, now);
+    expect(next[0].turnStatus).toBe(TURN_STATUS.END);
+    expect(next[1]).toMatchObject({ message: 'Still talking', turnStatus: TURN_STATUS.INTERRUPTED });
+  });
+
+  it('leaves the history alone when no agent turn is open', () => {
+    const history = applyTranscription([], userTranscript(1, 'hello', true), now);
+    expect(applyInterrupt(history, {}, now)).toBe(history);
+  });
+
+  it('applies an interrupted turn_status the same way', () => {
+    const history = applyTranscription([], agentTranscript(8, 'One two three', 0, spokenWords), now);
+    const [turn] = applyTranscription(history, agentTranscript(8, 'One two three', 2, spokenWords), now);
+    expect(turn.turnStatus).toBe(TURN_STATUS.INTERRUPTED);
+  });
+});
+
+describe('applyWords', () => {
+  const word = (text, start, speaker) => ({ word: text, start, end: start + 0.2, confidence: 0.9, speaker });
+
+  it('appends words to the speaker\'s open turn', () => {
+    let history = applyWords([], [word('hello', 0, 'user')], { interim: true, now });
+    history = applyWords(history, [word('there', 0.3, 'user')], { now });
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ speaker: 'user', message: 'hello there', status: 'final', source: 'words' });
+  });
+
+  it('splits a mixed batch by speaker and ends the other side\'s turn', () => {
+    let history = applyWords([], [word('question', 0, 'user')], { now });
+    history = applyWords(history, [word('answer', 1, 'agent')], { now: new Date(now.getTime() + 1) });
+    expect(history.map(entry => [entry.speaker, entry.message, entry.turnStatus])).toEqual([
+      ['user', 'question', TURN_STATUS.END],
+      ['agent', 'answer', TURN_STATUS.IN_PROGRESS],
+    ]);
+  });
+
+  it('does not duplicate a word sent twice', () => {
+    expect(mergeWords([word('hi', 0, 'user')], [word('hi', 0.005, 'user')])).toHaveLength(1);
+  });
+});
+
+describe('linkReplies', () => {
+  const typed = { id: 'user-text-1', speaker: 'user', type: 'text', message: 'What time is it?', deliveryStatus: 'sent' };
+
+  it('marks the typed message answered by the agent turn that names it', () => {
+    const reply = { id: turnEntryId('agent', 9), speaker: 'agent', message: 'Noon.', inReplyTo: 'user-text-1' };
+    const linked = linkReplies([typed, reply]);
+    expect(linked[0]).toMatchObject({ deliveryStatus: 'answered', replyId: reply.id });
+    expect(linked[1]).toBe(reply);
+  });
+
+  it('returns the same history when nothing changes', () => {
+    const history = [typed, { id: 'agent-turn-1', speaker: 'agent', message: 'Hi' }];
+    expect(linkReplies(history)).toBe(history);
+
+    const linked = linkReplies([typed, { id: 'agent-turn-2', speaker: 'agent', message: 'Noon.', inReplyTo: 'user-text-1' }]);
+    expect(linkReplies(linked)).toBe(linked);
+  });
+
+  it('ignores replies to messages that are not in the history', () => {
+    const history = [{ id: 'agent-turn-3', speaker: 'agent', message: 'Noon.', inReplyTo: 'gone' }];
+    expect(linkReplies(history)).toBe(history);
+  });
+});
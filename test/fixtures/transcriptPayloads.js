@@ -0,0 +1,56 @@
+/*
+ * Recorded ConvoAI stream-message payloads for the TranscriptDecoder tests.
+ * Each scenario lists raw chunks in arrival order and the outcome the decoder
+ * should report once all of them have been pushed.
+ */
+
+// Protobuf Words message: "Hello there, how can I help you today?" split into 3 parts
+const WORDS_PART_1 = 'f3a1c2d4|1|3|EocCCiAKBUhlbGxvEQAAAAAAAAAAGeF6FK5H4do/JexReD8oAAohCgZ0aGVyZSwRcT0K16Nw3T8ZmpmZmZmZ6T8l7FF4PygACh4KA2hvdxHNzMzMzMzsPxnN';
+const WORDS_PART_2 = 'f3a1c2d4|2|3|zMzMzMzwPyXsUXg/KAAKHgoDY2FuEZqZmZmZmfE/GQAAAAAAAPQ/JexReD8oAAocCgFJEc3MzMzMzPQ/GZqZmZmZmfU/JexReD8oAAofCgRoZWxwEWZmZmZm';
+const WORDS_PART_3 = 'f3a1c2d4|3|3|ZvY/GTMzMzMzM/s/JexReD8oAAoeCgN5b3URAAAAAAAA/D8ZZmZmZmZm/j8l7FF4PygACiEKBnRvZGF5PxEzMzMzMzP/PxkzMzMzMzMDQCXsUXg/KAA=';
+
+// JSON assistant.transcription message sent as a single part
+const JSON_TRANSCRIPTION = 'b7e90f11|1|1|eyJvYmplY3QiOiJhc3Npc3RhbnQudHJhbnNjcmlwdGlvbiIsInRleHQiOiJTdXJlLCBJIGNhbiBkbyB0aGF0LiIsInR1cm5faWQiOjMsImZpbmFsIjp0cnVlfQ==';
+
+// Multi-byte JSON transcription split mid-character across 2 parts
+const UTF8_PART_1 = 'c4d2e8a0|1|2|eyJvYmplY3QiOiAiYXNzaXN0YW50LnRyYW5zY3JpcHRpb24iLCAidGV4dCI6ICLkvaDlpb3vvIHCv0PDs21vIGV';
+const UTF8_PART_2 = 'c4d2e8a0|2|2|zdMOhcz8g8J+YiiIsICJ0dXJuX2lkIjogNCwgImZpbmFsIjogdHJ1ZX0=';
+
+export const transcriptFixtures = [
+  {
+    name: 'in-order protobuf words',
+    chunks: [WORDS_PART_1, WORDS_PART_2, WORDS_PART_3],
+    expect: { messages: ['f3a1c2d4'], drops: [] },
+  },
+  {
+    name: 'out-of-order protobuf words',
+    chunks: [WORDS_PART_3, WORDS_PART_1, WORDS_PART_2],
+    expect: { messages: ['f3a1c2d4'], drops: [] },
+  },
+  {
+    name: 'duplicate parts and replayed message',
+    chunks: [WORDS_PART_1, WORDS_PART_1, WORDS_PART_2, WORDS_PART_3, WORDS_PART_2],
+    expect: { messages: ['f3a1c2d4'], drops: [] },
+  },
+  {
+    name: 'single-part JSON transcription',
+    chunks: [JSON_TRANSCRIPTION],
+    expect: { messages: ['b7e90f11'], drops: [] },
+  },
+  {
+    name: 'multi-byte UTF-8 JSON transcription',
+    chunks: [UTF8_PART_2, UTF8_PART_1],
+    expect: { messages: ['c4d2e8a0'], drops: [], text: '你好！¿Cómo estás? 😊' },
+  },
+  {
+    name: 'malformed chunk',
+    chunks: ['not-a-transcript-chunk'],
+    expect: { messages: [], drops: ['invalid'] },
+  },
+  {
+    name: 'missing part expires',
+    chunks: [WORDS_PART_1, WORDS_PART_3],
+    advanceMs: 15000,
+    expect: { messages: [], drops: ['expired'] },
+  },
+];
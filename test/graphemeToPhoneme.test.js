@@ -0,0 +1,36 @@
+import { describe, expect, it } from 'vitest';
+import { wordToPhonemes } from '../src/services/graphemeToPhoneme';
+import { wordVisemeCues } from '../src/services/textLipSync';
+
+describe('wordToPhonemes', () => {
+  it('looks up dictionary words and their plurals and past tenses', () => {
+    expect(wordToPhonemes('Hello!')).toEqual(['HH', 'AH', 'L', 'OW']);
+    expect(wordToPhonemes('friends')).toEqual(['F', 'R', 'EH', 'N', 'D', 'Z']);
+    expect(wordToPhonemes('answered')).toEqual(['AE', 'N', 'S', 'ER', 'D']);
+  });
+
+  it('spells out digits', () => {
+    expect(wordToPhonemes('2')).toEqual(['T', 'UW']);
+  });
+
+  it.each(['constructor', 'constructors', 'toString', 'valueOf', 'hasOwnProperty', '__proto__'])(
+    'treats "%s" as a plain word, not an Object.prototype member',
+    (word) => {
+      const phonemes = wordToPhonemes(word);
+      expect(phonemes.length).toBeGreaterThan(0);
+      phonemes.forEach(phoneme => expect(phoneme).toMatch(/^[A-Z]+$/));
+    }
+  );
+});
+
+describe('wordVisemeCues', () => {
+  it('keeps going past words that shadow Object.prototype', () => {
+    const cues = wordVisemeCues([
+      { word: 'the', start: 0, end: 0.2 },
+      { word: 'constructor', start: 0.2, end: 0.8 },
+      { word: 'toString', start: 0.8, end: 1.2 },
+    ]);
+    expect(cues.length).toBeGreaterThan(0);
+    expect(cues[cues.length - 1].end).toBeCloseTo(1.2);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_LIPSYNC_TUNING } from '../src/services/lipSyncAnalysis';
+import { fitLipSyncTuning, spectrumFrames } from '../src/services/lipSyncCalibration';
+
+const sampleRate = 16000;
+
+// A sine "vowel" at `frequency` between two stretches of silence
+const syntheticClip = (frequency, viseme, { amplitude = 0.5, seconds = 0.5, silence = 0.25 } = {}) => {
+  const padding = Math.round(silence * sampleRate);
+  const samples = new Float32Array(2 * padding + Math.round(seconds * sampleRate));
+  for (let i = padding; i < samples.length - padding; i++) {
+    samples[i] = amplitude * Math.sin((2 * Math.PI * frequency * i) / sampleRate);
+  }
+  return { label: viseme, viseme, samples, sampleRate };
+};
+
+describe('spectrumFrames', () => {
+  it('yields one frame per 60th of a second once a full FFT window is in', () => {
+    const { samples } = syntheticClip(300, 'viseme_aa', { seconds: 1, silence: 0 });
+    const frames = spectrumFrames(samples, sampleRate);
+    expect(frames).toHaveLength(Math.floor((sampleRate - 256) / Math.round(sampleRate / 60)) + 1);
+    expect(frames[0].bins).toHaveLength(128);
+  });
+
+  it('is silent for silence', () => {
+    const frames = spectrumFrames(new Float32Array(4096), sampleRate);
+    expect(frames.every(frame => frame.volume === 0)).toBe(true);
+  });
+});
+
+describe('fitLipSyncTuning', () => {
+  it('keeps the default bands when they already classify the clip', () => {
+    const { tuning, report } = fitLipSyncTuning([syntheticClip(300, 'viseme_aa')]);
+    expect(tuning.formantBands).toEqual([...DEFAULT_LIPSYNC_TUNING.formantBands]);
+    expect(report).toMatchObject({ bandScale: 1, accuracyBefore: 1, accuracy: 1 });
+    expect(report.clips).toEqual([{ label: 'viseme_aa', viseme: 'viseme_aa', accuracy: 1 }]);
+  });
+
+  it('scales the bands up for a voice with higher formants', () => {
+    // 560Hz lands in the default F2 band, so the default tuning misses the open vowel
+    const { tuning, report } = fitLipSyncTuning([syntheticClip(560, 'viseme_aa')]);
+    expect(report.accuracyBefore).toBe(0);
+    expect(report.accuracy).toBe(1);
+    expect(report.bandScale).toBeGreaterThan(1);
+    expect(tuning.formantBands[1]).toBeGreaterThan(DEFAULT_LIPSYNC_TUNING.formantBands[1]);
+    tuning.formantBands.forEach((edge, i) => {
+      expect(edge).toBeLessThanOrEqual(128);
+      if (i > 0) expect(edge).toBeGreaterThan(tuning.formantBands[i - 1]);
+    });
+  });
+
+  it('puts the silence threshold between the noise floor and the speech level', () => {
+    const { tuning, report } = fitLipSyncTuning([syntheticClip(300, 'viseme_aa')]);
+    expect(report.noiseFloor).toBe(0);
+    expect(tuning.silenceVolume).toBeGreaterThan(report.noiseFloor);
+    expect(tuning.silenceVolume).toBeLessThan(report.speechLevel);
+    expect(tuning.intensityGain).toBeCloseTo(0.9 / report.speechLevel);
+  });
+
+  it('needs less gain for a louder voice', () => {
+    const quiet = fitLipSyncTuning([syntheticClip(300, 'viseme_aa', { amplitude: 0.05 })]);
+    const loud = fitLipSyncTuning([syntheticClip(300, 'viseme_aa', { amplitude: 0.8 })]);
+    expect(loud.tuning.intensityGain).toBeLessThan(quiet.tuning.intensityGain);
+    expect(quiet.tuning.intensityGain).toBeLessThanOrEqual(20);
+  });
+
+  it('reports every clip', () => {
+    const { report } = fitLipSyncTuning([syntheticClip(300, 'viseme_aa'), syntheticClip(560, 'viseme_aa')]);
+    expect(report.clips).toHaveLength(2);
+    expect(report.accuracy).toBeGreaterThanOrEqual(report.accuracyBefore);
+  });
+
+  it('rejects clips that are too short or silent', () => {
+    const short = { label: 'A', viseme: 'viseme_aa', samples: new Float32Array(100), sampleRate };
+    expect(() => fitLipSyncTuning([short])).toThrow('too short');
+    const silent = { ...short, samples: new Float32Array(sampleRate) };
+    expect(() => fitLipSyncTuning([silent])).toThrow('silent');
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, expect, it } from 'vitest';
+import {
+  FrameDelay,
+  LATENCY_OFFSET_RANGE,
+  clampLatencyOffset,
+  createClickTrack,
+  measureOutputLatency,
+} from '../src/services/lipSyncLatency';
+
+// Just enough of an AudioContext for createClickTrack
+const fakeAudioContext = (sampleRate = 16000) => ({
+  sampleRate,
+  createBuffer(channels, length, rate) {
+    const data = new Float32Array(length);
+    return { numberOfChannels: channels, length, sampleRate: rate, getChannelData: () => data };
+  },
+});
+
+describe('FrameDelay', () => {
+  it('passes frames straight through without a delay', () => {
+    const delay = new FrameDelay();
+    expect(delay.push('a', 0)).toBe('a');
+    expect(delay.push('b', 0.016)).toBe('b');
+  });
+
+  it('holds frames back by the delay and releases them in order', () => {
+    const delay = new FrameDelay();
+    delay.setDelay(0.05);
+    const released = [];
+    for (let frame = 0; frame < 10; frame++) {
+      released.push(delay.push(frame, frame * 0.01));
+    }
+    // Frame n is analysed at n * 10 ms and due 50 ms later
+    expect(released).toEqual([null, null, null, null, null, 0, 1, 2, 3, 4]);
+  });
+
+  it('drops frames overtaken by a newer due frame', () => {
+    const delay = new FrameDelay();
+    delay.setDelay(0.1);
+    delay.push('a', 0);
+    delay.push('b', 0.01);
+    delay.push('c', 0.02);
+    // A long gap makes all three due at once - only the newest is shown
+    expect(delay.push('d', 0.5)).toBe('c');
+    expect(delay.push('e', 0.6)).toBe('d');
+  });
+
+  it('never delays by a negative amount', () => {
+    const delay = new FrameDelay();
+    delay.setDelay(-0.2);
+    expect(delay.delay).toBe(0);
+    expect(delay.push('a', 1)).toBe('a');
+  });
+
+  it('forgets pending frames on clear', () => {
+    const delay = new FrameDelay();
+    delay.setDelay(0.05);
+    delay.push('stale', 0);
+    delay.clear();
+    expect(delay.push('fresh', 0.06)).toBe(null);
+    expect(delay.push('next', 0.11)).toBe('fresh');
+  });
+
+  it('caps the buffer when the delay is huge', () => {
+    const delay = new FrameDelay();
+    delay.setDelay(1000);
+    for (let frame = 0; frame < 1000; frame++) {
+      delay.push(frame, frame / 60);
+    }
+    expect(delay.pending).toHaveLength(240);
+    expect(delay.pending[0].frame).toBe(760);
+  });
+});
+
+describe('clampLatencyOffset', () => {
+  it('keeps offsets inside the allowed range', () => {
+    expect(clampLatencyOffset(50)).toBe(50);
+    expect(clampLatencyOffset(-1000)).toBe(LATENCY_OFFSET_RANGE.min);
+    expect(clampLatencyOffset(1000)).toBe(LATENCY_OFFSET_RANGE.max);
+    expect(clampLatencyOffset(LATENCY_OFFSET_RANGE.min)).toBe(LATENCY_OFFSET_RANGE.min);
+    expect(clampLatencyOffset(LATENCY_OFFSET_RANGE.max)).toBe(LATENCY_OFFSET_RANGE.max);
+  });
+
+  it('rounds to whole milliseconds and reads numeric strings', () => {
+    expect(clampLatencyOffset(12.6)).toBe(13);
+    expect(clampLatencyOffset('-40')).toBe(-40);
+  });
+
+  it('falls back to 0 for anything that is not a number', () => {
+    expect(clampLatencyOffset('abc')).toBe(0);
+    expect(clampLatencyOffset(undefined)).toBe(0);
+    expect(clampLatencyOffset(Infinity)).toBe(0);
+  });
+});
+
+describe('measureOutputLatency', () => {
+  it('adds base and output latency, either of which may be missing', () => {
+    expect(measureOutputLatency({ baseLatency: 0.01, outputLatency: 0.04 })).toBeCloseTo(0.05);
+    expect(measureOutputLatency({ baseLatency: 0.01 })).toBeCloseTo(0.01);
+    expect(measureOutputLatency(null)).toBe(0);
+  });
+});
+
+describe('createClickTrack', () => {
+  it('places one decaying click per interval after a short lead-in', () => {
+    const sampleRate = 16000;
+    const buffer = createClickTrack(fakeAudioContext(sampleRate), { clicks: 4, interval: 0.5 });
+    const samples = buffer.getChannelData(0);
+    expect(buffer.length).toBe(Math.ceil((4 * 0.5 + 0.3) * sampleRate));
+
+    // Loudness per 10 ms window
+    const windowSize = sampleRate / 100;
+    const energy = (from) => samples.slice(from, from + windowSize).reduce((sum, value) => sum + Math.abs(value), 0);
+
+    for (let click = 0; click < 4; click++) {
+      const clickStart = Math.floor((0.3 + click * 0.5) * sampleRate);
+      expect(energy(clickStart)).toBeGreaterThan(10);
+      // Silence between clicks
+      expect(energy(clickStart + 0.2 * sampleRate)).toBe(0);
+    }
+    expect(energy(0)).toBe(0);
+  });
+
+  it('stays within -1..1', () => {
+    const samples = createClickTrack(fakeAudioContext()).getChannelData(0);
+    expect(samples.every(value => value >= -1 && value <= 1)).toBe(true);
+  });
+});
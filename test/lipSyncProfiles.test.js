@@ -0,0 +1,92 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  deleteLipSyncProfile,
+  findLipSyncProfileForVoice,
+  listLipSyncProfiles,
+  saveLipSyncProfile,
+} from '../src/services/lipSyncProfiles';
+
+const STORAGE_KEY = 'agora-avatar-lipsync-profiles';
+
+const tuning = { formantBands: [0, 10, 25, 50, 88, 128], silenceVolume: 0.01, intensityGain: 8 };
+
+// Just enough of localStorage for the profile store
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+  };
+};
+
+describe('lipSyncProfiles', () => {
+  let updates;
+
+  beforeEach(() => {
+    vi.stubGlobal('localStorage', memoryStorage());
+    vi.stubGlobal('window', new EventTarget());
+    updates = vi.fn();
+    window.addEventListener('sessionStorageUpdate', updates);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('finds the profile for a voice, ignoring case and spaces', () => {
+    saveLipSyncProfile({ name: 'Aria', voiceName: 'en-US-AriaNeural', tuning, accuracy: 0.8 });
+    expect(findLipSyncProfileForVoice(' en-us-arianeural ')).toMatchObject({ name: 'Aria', tuning, accuracy: 0.8 });
+    expect(findLipSyncProfileForVoice('en-US-GuyNeural')).toBeNull();
+    expect(findLipSyncProfileForVoice('')).toBeNull();
+    expect(updates).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps one profile per voice', () => {
+    saveLipSyncProfile({ name: 'Old', voiceName: 'en-US-AriaNeural', tuning });
+    saveLipSyncProfile({ name: 'New', voiceName: 'en-US-AriaNeural', tuning });
+    expect(listLipSyncProfiles().map(profile => profile.name)).toEqual(['New']);
+  });
+
+  it('falls back to the default for an invalid tuning', () => {
+    const profile = saveLipSyncProfile({ voiceName: 'en-US-GuyNeural', tuning: { formantBands: [3, 2, 1] } });
+    expect(profile.name).toBe('en-US-GuyNeural');
+    expect(profile.tuning.formantBands).toEqual([0, 8, 20, 40, 70, 110]);
+  });
+
+  it('treats names like __proto__ and constructor as plain names', () => {
+    ['__proto__', 'constructor', 'toString'].forEach((name, i) => {
+      saveLipSyncProfile({ name, voiceName: `voice-${i}`, tuning });
+    });
+
+    expect(listLipSyncProfiles().map(profile => profile.name).sort()).toEqual(['__proto__', 'constructor', 'toString']);
+    expect(findLipSyncProfileForVoice('voice-0')).toMatchObject({ name: '__proto__', tuning });
+    expect(findLipSyncProfileForVoice('voice-1')).toMatchObject({ name: 'constructor', tuning });
+
+    // Stored as own keys, not as a prototype
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    expect(Object.keys(stored.profiles).sort()).toEqual(['__proto__', 'constructor', 'toString']);
+    expect(Object.getPrototypeOf(stored.profiles)).toBe(Object.prototype);
+
+    deleteLipSyncProfile('__proto__');
+    deleteLipSyncProfile('constructor');
+    expect(listLipSyncProfiles().map(profile => profile.name)).toEqual(['toString']);
+  });
+
+  it('ignores deleting an inherited name that was never saved', () => {
+    saveLipSyncProfile({ name: 'Aria', voiceName: 'en-US-AriaNeural', tuning });
+    updates.mockClear();
+    deleteLipSyncProfile('constructor');
+    deleteLipSyncProfile('hasOwnProperty');
+    expect(updates).not.toHaveBeenCalled();
+    expect(listLipSyncProfiles()).toHaveLength(1);
+  });
+
+  it('starts fresh when the stored profiles are unreadable', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    localStorage.setItem(STORAGE_KEY, '{not json');
+    expect(listLipSyncProfiles()).toEqual([]);
+    expect(console.warn).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest';
+import { TranscriptDecoder, decodeUtf8, parseChunk } from '../src/services/transcriptDecoder';
+import { transcriptFixtures } from './fixtures/transcriptPayloads';
+
+// Push a fixture's chunks through a fresh decoder on a fake clock and collect what it reports
+const replay = (fixture) => {
+  let clock = 0;
+  const decoder = new TranscriptDecoder({ now: () => clock });
+  const messages = [];
+  const drops = [];
+  const texts = [];
+  decoder.on('message', ({ messageId, data }) => {
+    messages.push(messageId);
+    texts.push(decodeUtf8(data));
+  });
+  decoder.on('drop', ({ reason }) => drops.push(reason));
+
+  fixture.chunks.forEach(chunk => decoder.push(new TextEncoder().encode(chunk)));
+  if (fixture.advanceMs) {
+    clock += fixture.advanceMs;
+    decoder.expire();
+  }
+  return { messages, drops, texts };
+};
+
+describe('TranscriptDecoder', () => {
+  it.each(transcriptFixtures.map(fixture => [fixture.name, fixture]))('%s', (name, fixture) => {
+    const { messages, drops, texts } = replay(fixture);
+    expect(messages).toEqual(fixture.expect.messages);
+    expect(drops).toEqual(fixture.expect.drops);
+    if (fixture.expect.text !== undefined) {
+      expect(JSON.parse(texts[0]).text).toBe(fixture.expect.text);
+    }
+  });
+});
+
+describe('parseChunk', () => {
+  it('splits a chunk into its fields', () => {
+    expect(parseChunk('abc|2|3|Zm9v')).toEqual({ messageId: 'abc', part: 2, totalParts: 3, base64Data: 'Zm9v' });
+  });
+
+  it('rejects malformed chunks', () => {
+    expect(parseChunk('abc|4|3|Zm9v')).toBeNull();
+    expect(parseChunk('abc|1|3')).toBeNull();
+    expect(parseChunk('|1|1|Zm9v')).toBeNull();
+  });
+});
+
+describe('TranscriptDecoder limits', () => {
+  const collect = (decoder) => {
+    const events = { message: [], drop: [] };
+    decoder.on('message', ({ messageId }) => events.message.push(messageId));
+    decoder.on('drop', detail => events.drop.push(detail));
+    return events;
+  };
+
+  it('drops the oldest pending message when too many are half-assembled', () => {
+    const decoder = new TranscriptDecoder({ maxPendingMessages: 2 });
+    const events = collect(decoder);
+
+    decoder.push('stale|1|2|Zm9v');
+    decoder.push('middle|1|2|Zm9v');
+    decoder.push('newest|1|2|Zm9v');
+    expect(events.drop).toEqual([{ messageId: 'stale', reason: 'overflow' }]);
+    expect([...decoder.pending.keys()]).toEqual(['middle', 'newest']);
+
+    // The stale message cannot complete any more, the others still do
+    expect(decoder.push('stale|2|2|YmFy')).toBe('partial');
+    expect(decoder.push('newest|2|2|YmFy')).toBe('complete');
+    expect(events.message).toEqual(['newest']);
+  });
+
+  it('drops older pending messages when the buffered bytes exceed the cap', () => {
+    const decoder = new TranscriptDecoder({ maxPendingBytes: 10 });
+    const events = collect(decoder);
+
+    decoder.push('stale|1|3|Zm9vYmFy'); // 8 bytes
+    expect(events.drop).toEqual([]);
+    decoder.push('current|1|2|Zm9v'); // 12 bytes in total
+    expect(events.drop).toEqual([{ messageId: 'stale', reason: 'overflow' }]);
+    expect(decoder.pendingBytes).toBe(4);
+
+    expect(decoder.push('current|2|2|YmFy')).toBe('complete');
+    expect(events.message).toEqual(['current']);
+  });
+
+  it('drops a single message that alone exceeds the byte cap', () => {
+    const decoder = new TranscriptDecoder({ maxPendingBytes: 4 });
+    const events = collect(decoder);
+
+    decoder.push('huge|1|2|Zm9vYmFy');
+    expect(events.drop).toEqual([{ messageId: 'huge', reason: 'overflow' }]);
+    expect(decoder.pending.size).toBe(0);
+    expect(decoder.pendingBytes).toBe(0);
+  });
+});
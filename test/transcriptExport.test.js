@@ -0,0 +1,148 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildCaptionCues,
+  exportTranscript,
+  formatTimestamp,
+  toJson,
+  toMarkdown,
+  toSrt,
+  toWebVtt,
+} from '../src/services/transcriptExport';
+
+const start = new Date('2026-01-01T12:00:00Z').getTime();
+const at = (seconds) => new Date(start + seconds * 1000);
+
+const word = (text, wordStart, wordEnd) => ({ word: text, start: wordStart, end: wordEnd });
+
+const history = [
+  { id: 'sys', speaker: 'system', message: 'Connected', createdAt: at(0) },
+  {
+    id: 'agent-turn-1',
+    speaker: 'agent',
+    message: 'Hello there. How are you?',
+    createdAt: at(0),
+    turnStatus: 'end',
+    // Word timings are relative to the agent's stream, not the session
+    words: [word('Hello', 10, 10.4), word('there.', 10.5, 10.9), word('How', 11, 11.2), word('are', 11.3, 11.4), word('you?', 11.5, 11.8)],
+  },
+  { id: 'user-text-1', speaker: 'user', type: 'text', message: 'Fine, thanks', createdAt: at(5), deliveryStatus: 'answered' },
+  { id: 'agent-turn-2', speaker: 'agent', message: 'Good to', createdAt: at(8), turnStatus: 'interrupted' },
+];
+
+describe('formatTimestamp', () => {
+  it('formats hours, minutes, seconds and milliseconds', () => {
+    expect(formatTimestamp(0, ',')).toBe('00:00:00,000');
+    expect(formatTimestamp(3723.456, ',')).toBe('01:02:03,456');
+    expect(formatTimestamp(59.9996, '.')).toBe('00:01:00.000');
+  });
+
+  it('clamps negative times to zero', () => {
+    expect(formatTimestamp(-2, '.')).toBe('00:00:00.000');
+  });
+});
+
+describe('buildCaptionCues', () => {
+  it('places turns on the session timeline and splits them at sentence ends', () => {
+    const cues = buildCaptionCues(history);
+    expect(cues.map(cue => [cue.speaker, cue.text])).toEqual([
+      ['Agent', 'Hello there.'],
+      ['Agent', 'How are you?'],
+      ['User', 'Fine, thanks'],
+      ['Agent', 'Good to'],
+    ]);
+    expect(cues[0].start).toBe(0);
+    expect(cues[0].end).toBeCloseTo(0.9);
+    expect(cues[1].start).toBeCloseTo(1);
+    expect(cues[1].end).toBeCloseTo(1.8);
+  });
+
+  it('estimates the length of turns without word timings', () => {
+    const cues = buildCaptionCues(history);
+    expect(cues[2].start).toBe(5);
+    expect(cues[2].end).toBe(6); // two words, at least a second
+    expect(cues[3].start).toBe(8);
+  });
+
+  it('starts a new cue after eight words or four seconds', () => {
+    const words = Array.from({ length: 10 }, (_, index) => word(`w${index}`, index * 0.3, index * 0.3 + 0.2));
+    const cues = buildCaptionCues([{ speaker: 'agent', message: 'x', createdAt: at(0), words }]);
+    expect(cues.map(cue => cue.text.split(' ').length)).toEqual([8, 2]);
+
+    const slow = [word('one', 0, 1), word('two', 3, 4), word('three', 4.5, 5)];
+    expect(buildCaptionCues([{ speaker: 'agent', message: 'x', createdAt: at(0), words: slow }])).toHaveLength(2);
+  });
+
+  it('returns nothing for an empty conversation', () => {
+    expect(buildCaptionCues([])).toEqual([]);
+    expect(buildCaptionCues([{ speaker: 'system', message: 'Connected' }])).toEqual([]);
+  });
+});
+
+describe('toSrt', () => {
+  it('numbers the cues and uses comma milliseconds', () => {
+    const srt = toSrt(history);
+    expect(srt.startsWith('1\n00:00:00,000 --> 00:00:00,900\nAgent: Hello there.\n\n2\n')).toBe(true);
+    expect(srt).toContain('3\n00:00:05,000 --> 00:00:06,000\nUser: Fine, thanks\n');
+  });
+
+  it('drops blank lines, which would end the cue early', () => {
+    const srt = toSrt([{ speaker: 'user', message: 'first\n\n\nsecond', createdAt: at(0) }]);
+    expect(srt).toBe('1\n00:00:00,000 --> 00:00:01,000\nUser: first\nsecond\n');
+  });
+});
+
+describe('toWebVtt', () => {
+  it('writes the header and voice spans', () => {
+    const vtt = toWebVtt(history);
+    expect(vtt.startsWith('WEBVTT\n\n00:00:00.000 --> 00:00:00.900\n<v Agent>Hello there.\n')).toBe(true);
+  });
+
+  it('escapes markup and arrows in the cue text', () => {
+    const vtt = toWebVtt([{ speaker: 'user', message: 'a --> b & <i>c</i>', createdAt: at(0) }]);
+    const cueText = vtt.split('\n')[3];
+    expect(cueText).toBe('<v User>a --&gt; b &amp; &lt;i&gt;c&lt;/i&gt;');
+    expect(vtt.match(/-->/g)).toHaveLength(1); // only the timing line
+  });
+
+  it('keeps every cue in one block when the text has blank lines', () => {
+    const vtt = toWebVtt([{ speaker: 'user', message: 'first\n\nsecond', createdAt: at(0) }]);
+    expect(vtt).toBe('WEBVTT\n\n00:00:00.000 --> 00:00:01.000\n<v User>first\nsecond\n');
+  });
+});
+
+describe('toMarkdown', () => {
+  it('writes a heading per turn with notes, and skips system messages', () => {
+    const markdown = toMarkdown(history, { channel: 'demo', agentId: 'A1' });
+    expect(markdown.startsWith('# Conversation transcript\n')).toBe(true);
+    expect(markdown).toContain('- **Channel:** demo');
+    expect(markdown).toContain('- **Agent ID:** A1');
+    expect(markdown).toContain('- **Turns:** 3');
+    expect(markdown).toContain('> Hello there. How are you?');
+    expect(markdown).toMatch(/\*\*Agent\*\* _[^_]+_ \(interrupted\)\n\n> Good to …/);
+    expect(markdown).not.toContain('Connected');
+  });
+
+  it('quotes every line of a multi-line message', () => {
+    const markdown = toMarkdown([{ speaker: 'user', message: 'one\ntwo', createdAt: at(0) }]);
+    expect(markdown).toContain('> one\n> two');
+  });
+});
+
+describe('toJson', () => {
+  it('keeps every entry and the session metadata', () => {
+    const data = JSON.parse(toJson(history, { channel: 'demo' }));
+    expect(data).toMatchObject({ format: 'convoai-session-transcript', version: 1, session: { channel: 'demo' } });
+    expect(data.entries).toHaveLength(history.length);
+    expect(data.entries[1].words).toHaveLength(5);
+    expect(data.entries[1].createdAt).toBe(at(0).toISOString());
+    expect(Number.isNaN(Date.parse(data.exportedAt))).toBe(false);
+  });
+});
+
+describe('exportTranscript', () => {
+  it('dispatches on the format and rejects unknown ones', () => {
+    expect(exportTranscript('vtt', history)).toBe(toWebVtt(history));
+    expect(exportTranscript('srt', history)).toBe(toSrt(history));
+    expect(() => exportTranscript('docx', history)).toThrow('Unknown transcript export format: docx');
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { TTS_VENDORS, buildTtsConfig, checkTtsProperties } from '../src/services/ttsVendors';
+import { redactAgentSecrets } from '../src/services/agentProperties';
+
+// What the browser sends the proxy for a vendor with its default settings
+const proxyTts = (vendorId) => redactAgentSecrets({
+  tts: buildTtsConfig({ ttsVendor: vendorId, ttsApiKey: 'browser-key', asrLanguage: 'en-US', ...TTS_VENDORS[vendorId].defaults }),
+}).tts;
+
+describe('TTS_VENDORS', () => {
+  it.each(Object.keys(TTS_VENDORS))('%s puts its key under keyParam', (vendorId) => {
+    const vendor = TTS_VENDORS[vendorId];
+    expect(vendor.buildParams({ ttsApiKey: 'secret' })[vendor.keyParam]).toBe('secret');
+  });
+});
+
+describe('checkTtsProperties', () => {
+  it.each(Object.keys(TTS_VENDORS))('accepts what the frontend sends for %s', (vendorId) => {
+    const checked = checkTtsProperties(proxyTts(vendorId));
+    expect(checked.vendor).toBe(vendorId);
+    expect(checked.keyParam).toBe(TTS_VENDORS[vendorId].keyParam);
+    expect(checked.params).not.toHaveProperty(TTS_VENDORS[vendorId].keyParam);
+  });
+
+  it('refuses unknown vendors, including Object.prototype names', () => {
+    expect(() => checkTtsProperties({ vendor: 'acme', params: {} })).toThrow('Unknown TTS vendor');
+    expect(() => checkTtsProperties({ vendor: 'constructor', params: {} })).toThrow('Unknown TTS vendor');
+    expect(() => checkTtsProperties(null)).toThrow('Unknown TTS vendor');
+  });
+
+  it('refuses params the vendor does not take', () => {
+    expect(() => checkTtsProperties({ vendor: 'microsoft', params: { region: 'eastus', base_url: 'https://example.com' } }))
+      .toThrow('TTS param "base_url" is not allowed for microsoft');
+    expect(() => checkTtsProperties({ vendor: 'cartesia', params: { voice: { mode: 'id', url: 'https://example.com' } } }))
+      .toThrow('TTS param "voice.url" is not allowed for cartesia');
+    expect(() => checkTtsProperties({ vendor: 'openai', params: {}, endpoint: 'https://example.com' }))
+      .toThrow('TTS setting "endpoint" is not allowed');
+  });
+
+  it('refuses objects where the vendor takes a plain value', () => {
+    expect(() => checkTtsProperties({ vendor: 'openai', params: { model: { url: 'https://example.com' } } }))
+      .toThrow('TTS param "model" must be a string, number or boolean');
+    expect(() => checkTtsProperties({ vendor: 'cartesia', params: { voice: 'https://example.com' } }))
+      .toThrow('TTS params "voice" must be an object');
+  });
+});
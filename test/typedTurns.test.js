@@ -0,0 +1,107 @@
+import { describe, expect, it } from 'vitest';
+import {
+  SPEAK_TEXT_MAX_BYTES,
+  TYPED_TURN_HISTORY,
+  buildChatCompletionRequest,
+  buildSpeakRequest,
+  buildTypedTurnMessages,
+  checkTypedTurnMessages,
+  readChatCompletion,
+} from '../src/services/typedTurns';
+
+const llm = {
+  url: 'https://api.openai.com/v1/chat/completions',
+  api_key: 'sk-test',
+  style: 'openai',
+  system_messages: [{ role: 'system', content: 'Be brief.' }],
+  params: { model: 'gpt-4o-mini', temperature: 0.5 },
+};
+
+describe('buildTypedTurnMessages', () => {
+  it('turns the transcript into chat messages and ends with the typed text', () => {
+    const history = [
+      { speaker: 'agent', message: 'Hi, how can I help?' },
+      { speaker: 'user', message: 'What time is it' },
+      { speaker: 'system', message: 'Connected' },
+      { speaker: 'user', message: 'never sent', deliveryStatus: 'failed' },
+      { speaker: 'agent', message: '  ' },
+    ];
+    expect(buildTypedTurnMessages(history, 'And the date?')).toEqual([
+      { role: 'assistant', content: 'Hi, how can I help?' },
+      { role: 'user', content: 'What time is it' },
+      { role: 'user', content: 'And the date?' },
+    ]);
+  });
+
+  it('keeps only the latest turns', () => {
+    const history = Array.from({ length: 40 }, (_, index) => ({ speaker: 'user', message: `turn ${index}` }));
+    const messages = buildTypedTurnMessages(history, 'typed');
+    expect(messages).toHaveLength(TYPED_TURN_HISTORY + 1);
+    expect(messages[0].content).toBe(`turn ${40 - TYPED_TURN_HISTORY}`);
+    expect(() => checkTypedTurnMessages(messages)).not.toThrow();
+  });
+});
+
+describe('checkTypedTurnMessages', () => {
+  it('refuses other roles, extra keys and a missing typed turn', () => {
+    expect(() => checkTypedTurnMessages([{ role: 'system', content: 'x' }])).toThrow('messages[0]');
+    expect(() => checkTypedTurnMessages([{ role: 'user', content: 'x', name: 'y' }])).toThrow('messages[0]');
+    expect(() => checkTypedTurnMessages([{ role: 'user', content: 'x' }, { role: 'assistant', content: 'y' }]))
+      .toThrow('The last message must be the typed user turn');
+    expect(() => checkTypedTurnMessages([])).toThrow('messages must be a list');
+    expect(() => checkTypedTurnMessages('hi')).toThrow('messages must be a list');
+  });
+});
+
+describe('buildChatCompletionRequest', () => {
+  it('puts the system messages first and asks for a single answer', () => {
+    const request = buildChatCompletionRequest(llm, [{ role: 'user', content: 'Hello' }]);
+    expect(request.url).toBe(llm.url);
+    expect(request.headers.Authorization).toBe('Bearer sk-test');
+    expect(request.body).toEqual({
+      model: 'gpt-4o-mini',
+      temperature: 0.5,
+      messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hello' }],
+      stream: false,
+    });
+  });
+
+  it('sends no Authorization header without a key', () => {
+    const request = buildChatCompletionRequest({ ...llm, api_key: undefined }, [{ role: 'user', content: 'Hello' }]);
+    expect(request.headers).not.toHaveProperty('Authorization');
+  });
+
+  it('refuses styles other than OpenAI', () => {
+    expect(() => buildChatCompletionRequest({ ...llm, style: 'anthropic' }, [])).toThrow('OpenAI-compatible');
+  });
+});
+
+describe('readChatCompletion', () => {
+  it('returns the first choice', () => {
+    expect(readChatCompletion({ choices: [{ message: { role: 'assistant', content: ' It is noon. ' } }] })).toBe('It is noon.');
+  });
+
+  it('throws on an empty answer', () => {
+    expect(() => readChatCompletion({ choices: [] })).toThrow('no answer');
+    expect(() => readChatCompletion({ error: { message: 'quota' } })).toThrow('no answer');
+  });
+});
+
+describe('buildSpeakRequest', () => {
+  it('interrupts the current turn and can be interrupted', () => {
+    expect(buildSpeakRequest('Hello.')).toEqual({ text: 'Hello.', priority: 'INTERRUPT', interruptable: true });
+  });
+
+  it('cuts long answers at the last sentence that fits', () => {
+    const sentence = 'This sentence is about forty bytes long. ';
+    const { text } = buildSpeakRequest(sentence.repeat(20));
+    expect(new TextEncoder().encode(text).length).toBeLessThanOrEqual(SPEAK_TEXT_MAX_BYTES);
+    expect(text.endsWith('long.')).toBe(true);
+  });
+
+  it('counts bytes, not characters', () => {
+    const { text } = buildSpeakRequest('こんにちは'.repeat(100));
+    expect(new TextEncoder().encode(text).length).toBeLessThanOrEqual(SPEAK_TEXT_MAX_BYTES);
+    expect(text.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import { VISEMES } from '../src/services/lipSyncAnalysis';
+import { VISEME_DYNAMICS, VisemeBlender, jawOpening } from '../src/services/visemeBlender';
+
+describe('jawOpening', () => {
+  it('is closed for silence and lip closures, fully open for an open vowel', () => {
+    expect(jawOpening({})).toBe(0);
+    expect(jawOpening({ viseme_sil: 1 })).toBe(0);
+    expect(jawOpening({ viseme_PP: 1 })).toBe(0);
+    expect(jawOpening({ viseme_aa: 1 })).toBe(1);
+  });
+
+  it('weighs each shape by its share of the mix', () => {
+    expect(jawOpening({ viseme_aa: 0.5, viseme_PP: 0.5 })).toBeCloseTo(0.5);
+    expect(jawOpening({ viseme_O: 0.5, viseme_I: 0.5 })).toBeCloseTo(0.65);
+  });
+
+  it('ignores keys that are not visemes', () => {
+    expect(jawOpening({ viseme_aa: 0.5, jawOpen: 1, volume: 1 })).toBeCloseTo(0.5);
+  });
+});
+
+describe('VisemeBlender', () => {
+  it('starts with every viseme at 0', () => {
+    const blender = new VisemeBlender();
+    expect(Object.keys(blender.weights).sort()).toEqual([...VISEMES].sort());
+    expect(Object.values(blender.weights).every(weight => weight === 0)).toBe(true);
+  });
+
+  it('covers one attack time constant in 1 - 1/e of the way', () => {
+    const blender = new VisemeBlender();
+    const { attack } = VISEME_DYNAMICS.viseme_aa;
+    const weights = blender.update({ viseme_aa: 1 }, attack);
+    expect(weights.viseme_aa).toBeCloseTo(1 - Math.exp(-1));
+  });
+
+  it('closes the lips for a plosive faster than it opens a rounded vowel', () => {
+    const blender = new VisemeBlender();
+    const weights = blender.update({ viseme_PP: 1, viseme_O: 1 }, 0.03);
+    expect(weights.viseme_PP).toBeGreaterThan(weights.viseme_O);
+  });
+
+  it('releases on the release time constant and fades out missing visemes', () => {
+    const blender = new VisemeBlender();
+    blender.weights.viseme_E = 1;
+    const { release } = VISEME_DYNAMICS.viseme_E;
+    const weights = blender.update({}, release);
+    expect(weights.viseme_E).toBeCloseTo(Math.exp(-1));
+  });
+
+  it('overlaps outgoing and incoming shapes (coarticulation)', () => {
+    const blender = new VisemeBlender();
+    for (let frame = 0; frame < 30; frame++) {
+      blender.update({ viseme_aa: 1 }, 1 / 60);
+    }
+    const weights = blender.update({ viseme_O: 1 }, 1 / 60);
+    expect(weights.viseme_aa).toBeGreaterThan(0.5);
+    expect(weights.viseme_O).toBeGreaterThan(0);
+  });
+
+  it('converges on the target and stays within 0..1', () => {
+    const blender = new VisemeBlender();
+    let weights;
+    for (let frame = 0; frame < 120; frame++) {
+      weights = blender.update({ viseme_aa: 0.7, viseme_SS: 0.3 }, 1 / 60);
+      Object.values(weights).forEach((weight) => {
+        expect(weight).toBeGreaterThanOrEqual(0);
+        expect(weight).toBeLessThanOrEqual(1);
+      });
+    }
+    expect(weights.viseme_aa).toBeCloseTo(0.7, 3);
+    expect(weights.viseme_SS).toBeCloseTo(0.3, 3);
+  });
+
+  it('returns the same object every frame and snaps to 0 on reset', () => {
+    const blender = new VisemeBlender();
+    const first = blender.update({ viseme_aa: 1 }, 0.1);
+    expect(blender.update({ viseme_aa: 1 }, 0.1)).toBe(first);
+    blender.reset();
+    expect(first.viseme_aa).toBe(0);
+  });
+});
@@ -1,9 +1,37 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+// The AI Denoiser loads its .wasm files at runtime from an assets path, by their
+// original names - serve them in dev and copy them into the build under <base>ai-denoiser/
+// (see src/services/audioProcessing.js)
+const aiDenoiserAssets = () => {
+  const assetsDir = fileURLToPath(new URL('./node_modules/agora-extension-ai-denoiser/external', import.meta.url))
+  const files = fs.existsSync(assetsDir) ? fs.readdirSync(assetsDir).filter(file => file.endsWith('.wasm')) : []
+
+  return {
+    name: 'ai-denoiser-assets',
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const file = files.find(name => req.url.split('?')[0].endsWith(`/ai-denoiser/${name}`))
+        if (!file) return next()
+        res.setHeader('Content-Type', 'application/wasm')
+        fs.createReadStream(path.join(assetsDir, file)).pipe(res)
+      })
+    },
+    generateBundle() {
+      files.forEach(file => {
+        this.emitFile({ type: 'asset', fileName: `ai-denoiser/${file}`, source: fs.readFileSync(path.join(assetsDir, file)) })
+      })
+    },
+  }
+}
 
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), aiDenoiserAssets()],
   base: '/RPM-agora-agent/',
   build: {
     outDir: 'dist',